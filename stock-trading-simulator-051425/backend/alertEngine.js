@@ -0,0 +1,253 @@
+/**
+ * stock-trading-simulator-051425/backend/alertEngine.js
+ * 提醒模块：用户设置价格或技术指标 (RSI、均线、MACD) 的上穿/下破阈值，由服务端行情循环检查
+ * 价格提醒每个 tick 按最新价检查，指标提醒每根分钟K线按策略引擎的指标算法检查一次
+ * 记录每条提醒上一次检查时的取值，仅当取值由阈值一侧穿越到另一侧时触发 (新建或修改后的首次检查只记录取值)
+ * 提醒触发一次后停止 (可重新启用)，经 userChannel 推送 alert_triggered 给所属用户
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const stockGen = require('./stockDataGenerator');
+const marketData = require('./marketData');
+const strategyEngine = require('./strategyEngine');
+const userChannel = require('./userChannel');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+const ALERT_TYPES = ['PRICE', 'INDICATOR'];
+const DIRECTIONS = ['ABOVE', 'BELOW'];
+const ALERT_STATUSES = ['ACTIVE', 'DISABLED'];
+const MAX_ALERTS_PER_USER = 50;
+
+// 各提醒上一次检查时的取值 { [alertId]: value }，仅保存在内存中
+const lastValues = {};
+
+// 可设置提醒的技术指标：defaultPeriod 缺省周期 (null 表示使用固定参数)，compute 返回与收盘价等长的指标序列
+const ALERT_INDICATORS = {
+  RSI: { label: 'RSI', defaultPeriod: 14, compute: (closes, period) => strategyEngine.calculateRSI(closes, period) },
+  SMA: { label: '简单移动平均', defaultPeriod: 20, compute: (closes, period) => strategyEngine.calculateSMA(closes, period) },
+  EMA: { label: '指数移动平均', defaultPeriod: 20, compute: (closes, period) => strategyEngine.calculateEMA(closes, period) },
+  MACD: { label: 'MACD 柱 (12,26,9)', defaultPeriod: null, compute: (closes) => strategyEngine.calculateMACD(closes).histogram }
+};
+
+/**
+ * 可设置提醒的指标列表 (供前端表单使用)
+ */
+const getIndicatorList = () => Object.entries(ALERT_INDICATORS).map(([key, { label, defaultPeriod }]) => ({
+  key,
+  label,
+  defaultPeriod
+}));
+
+/**
+ * 校验并规范化提醒参数
+ * @param {Object} params { symbol, alertType, indicator, period, interval, direction, threshold, note }
+ * @returns {Object} 规范化后的提醒参数，校验失败时抛出异常
+ */
+const normalizeAlert = (params) => {
+  const symbol = String(params.symbol || '').toUpperCase();
+  const alertType = String(params.alertType || 'PRICE').toUpperCase();
+  const direction = String(params.direction || '').toUpperCase();
+  const threshold = parseFloat(params.threshold);
+
+  if (!marketData.getSymbols().includes(symbol)) throw new Error('未知的股票代码');
+  if (!ALERT_TYPES.includes(alertType)) throw new Error('无效的提醒类型');
+  if (!DIRECTIONS.includes(direction)) throw new Error('无效的触发方向');
+  if (!Number.isFinite(threshold)) throw new Error('缺少有效的提醒阈值');
+  if (alertType === 'PRICE' && threshold <= 0) throw new Error('提醒价格必须大于 0');
+
+  const note = params.note ? String(params.note).slice(0, 100) : null;
+  if (alertType === 'PRICE') {
+    return { symbol, alertType, indicator: null, period: null, interval: null, direction, threshold, note };
+  }
+
+  const indicator = String(params.indicator || '').toUpperCase();
+  const definition = ALERT_INDICATORS[indicator];
+  if (!definition) throw new Error('不支持的技术指标');
+  const interval = params.interval || '1d';
+  if (!marketData.INTERVALS[interval]) throw new Error('不支持的K线周期');
+
+  let period = null;
+  if (definition.defaultPeriod) {
+    period = params.period === undefined || params.period === null ? definition.defaultPeriod : parseInt(params.period);
+    if (!Number.isInteger(period) || period < 2 || period > 200) throw new Error('指标周期须为 2-200 的整数');
+  }
+  return { symbol, alertType, indicator, period, interval, direction, threshold, note };
+};
+
+/**
+ * 查询用户提醒
+ */
+const listAlerts = (userId) => db.getAlerts(userId);
+
+/**
+ * 新建提醒
+ * @param {Number} userId
+ * @param {Object} params 提醒参数
+ */
+const createAlert = async (userId, params) => {
+  const alert = normalizeAlert(params);
+  const existing = await db.getAlerts(userId);
+  if (existing.length >= MAX_ALERTS_PER_USER) throw new Error(`最多设置 ${MAX_ALERTS_PER_USER} 条提醒`);
+  return db.createAlert({ ...alert, userId });
+};
+
+const getOwnAlert = async (userId, alertId) => {
+  const alert = await db.getAlertById(alertId);
+  if (!alert || String(alert.user_id) !== String(userId)) throw new Error('提醒不存在');
+  return alert;
+};
+
+/**
+ * 修改提醒条件或启停状态，重新启用已触发的提醒时清除触发记录
+ * @param {Number} userId
+ * @param {Number} alertId
+ * @param {Object} changes { direction, threshold, indicator, period, interval, note, status: 'ACTIVE'|'DISABLED' }
+ */
+const updateAlert = async (userId, alertId, changes) => {
+  const alert = await getOwnAlert(userId, alertId);
+  const merged = normalizeAlert({
+    symbol: alert.symbol,
+    alertType: alert.alert_type,
+    indicator: changes.indicator ?? alert.indicator,
+    period: changes.period ?? alert.period,
+    interval: changes.interval ?? alert.bar_interval,
+    direction: changes.direction ?? alert.direction,
+    threshold: changes.threshold ?? alert.threshold,
+    note: changes.note ?? alert.note
+  });
+
+  const fields = {
+    indicator: merged.indicator,
+    period: merged.period,
+    bar_interval: merged.interval,
+    direction: merged.direction,
+    threshold: merged.threshold,
+    note: merged.note
+  };
+  if (changes.status !== undefined) {
+    const status = String(changes.status).toUpperCase();
+    if (!ALERT_STATUSES.includes(status)) throw new Error('无效的提醒状态');
+    fields.status = status;
+    if (status === 'ACTIVE') Object.assign(fields, { triggered_value: null, triggered_at: null, acknowledged: 0 });
+  }
+  // 条件变化或重新启用后从下一次检查重新记录取值
+  delete lastValues[alert.id];
+  return db.updateAlert(alert.id, fields);
+};
+
+/**
+ * 删除提醒
+ */
+const deleteAlert = async (userId, alertId) => {
+  const alert = await getOwnAlert(userId, alertId);
+  await db.deleteAlert(alert.id);
+  delete lastValues[alert.id];
+  return alert;
+};
+
+/**
+ * 已触发的提醒全部标记为已读
+ */
+const acknowledgeAlerts = (userId) => db.acknowledgeAlerts(userId);
+
+/**
+ * 取值是否穿越阈值：上穿为上次低于阈值、本次不低于阈值，下破为上次高于阈值、本次不高于阈值
+ * @param {Object} alert
+ * @param {Number|null} previous 上一次检查时的取值 (无记录时为 null，不触发)
+ * @param {Number} value 本次取值
+ */
+const isCrossed = (alert, previous, value) => {
+  if (previous === null || previous === undefined) return false;
+  return alert.direction === 'ABOVE'
+    ? previous < alert.threshold && value >= alert.threshold
+    : previous > alert.threshold && value <= alert.threshold;
+};
+
+/**
+ * 标记提醒已触发并推送给用户
+ */
+const triggerAlert = async (alert, value) => {
+  logger.info(`Alert #${alert.id} triggered: ${alert.symbol} ${alert.indicator || 'PRICE'} ${alert.direction} ${alert.threshold} (${value})`);
+  const updated = await db.updateAlert(alert.id, {
+    status: 'TRIGGERED',
+    triggered_value: Number(value.toFixed(4)),
+    triggered_at: new Date().toISOString(),
+    acknowledged: 0
+  });
+  return userChannel.publishAlert(updated);
+};
+
+/**
+ * 指标在最新一根K线上的取值 (含当前未收盘K线)，数据不足时返回 null
+ */
+const latestIndicatorValue = (alert) => {
+  const closes = marketData.getHistory(alert.symbol, undefined, alert.bar_interval || '1d').map(c => c.close);
+  const series = ALERT_INDICATORS[alert.indicator].compute(closes, alert.period);
+  const value = series[series.length - 1];
+  return value === null || value === undefined ? null : value;
+};
+
+// 上一轮检查指标提醒时所在的分钟K线，每根K线只检查一次
+let lastBarMinute = null;
+let checking = false;
+
+/**
+ * 检查生效中的提醒：价格提醒按最新价，指标提醒在进入新的分钟K线时计算
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ * @param {Object} options { now 模拟时间, checkIndicators 是否检查指标提醒 (仅盘中聚合K线时) }
+ * @returns {Array} 本轮触发的提醒
+ */
+const checkAlerts = async (prices, { now, checkIndicators = false } = {}) => {
+  if (checking) return [];
+  checking = true;
+
+  const triggered = [];
+  try {
+    const barMinute = `${stockGen.formatDate(now)} ${stockGen.formatMinute(now.getHours() * 60 + now.getMinutes())}`;
+    const newBar = checkIndicators && barMinute !== lastBarMinute;
+    if (newBar) lastBarMinute = barMinute;
+
+    // 同一股票、周期与指标参数只计算一次
+    const indicatorCache = {};
+    const alerts = await db.getActiveAlerts();
+    for (const alert of alerts) {
+      let value = null;
+      if (alert.alert_type === 'PRICE') {
+        value = prices[alert.symbol] ?? null;
+      } else if (newBar && ALERT_INDICATORS[alert.indicator]) {
+        const key = [alert.symbol, alert.bar_interval, alert.indicator, alert.period].join('|');
+        if (!(key in indicatorCache)) indicatorCache[key] = latestIndicatorValue(alert);
+        value = indicatorCache[key];
+      }
+      if (value === null) continue;
+      const previous = lastValues[alert.id];
+      lastValues[alert.id] = value;
+      if (isCrossed(alert, previous, value)) {
+        delete lastValues[alert.id];
+        triggered.push(await triggerAlert(alert, value));
+      }
+    }
+  } catch (err) {
+    logger.error(`checkAlerts error: ${err.message}`);
+  } finally {
+    checking = false;
+  }
+  return triggered.filter(Boolean);
+};
+
+module.exports = {
+  ALERT_TYPES,
+  DIRECTIONS,
+  getIndicatorList,
+  listAlerts,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  acknowledgeAlerts,
+  isCrossed,
+  checkAlerts
+};
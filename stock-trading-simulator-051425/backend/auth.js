@@ -0,0 +1,200 @@
+/**
+ * stock-trading-simulator-051425/backend/auth.js
+ * 用户认证模块：基于 JWT 的登录会话
+ * 访问令牌短期有效，刷新令牌与服务端会话绑定，每次刷新轮换，登出时撤销会话
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const winston = require('winston');
+const db = require('./database');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 令牌参数，可通过环境变量覆盖
+const AUTH_CONFIG = {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 7
+};
+
+// 管理员用户名列表 (逗号分隔)，可调用行情导入等管理接口
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim()).filter(Boolean);
+
+// 未配置密钥时使用进程内随机密钥，服务重启后需重新登录
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  logger.warn('JWT_SECRET not set, using a random secret. Sessions will not survive a restart.');
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 认证失败 (HTTP 401)
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = 401;
+  }
+}
+
+/** 返回给客户端的用户信息 (不含密码哈希) */
+const toPublicUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  accountType: user.account_type || 'CASH'
+});
+
+/**
+ * 签发访问令牌与刷新令牌
+ * @param {Object} user 用户记录
+ * @param {String} sessionId 会话 ID
+ * @param {String} refreshJti 刷新令牌 ID，会话中仅最新的刷新令牌有效
+ */
+const signTokens = (user, sessionId, refreshJti) => ({
+  accessToken: jwt.sign(
+    { sub: user.id, username: user.username, sid: sessionId, type: 'access' },
+    JWT_SECRET,
+    { expiresIn: AUTH_CONFIG.accessTokenTtl }
+  ),
+  refreshToken: jwt.sign(
+    { sub: user.id, sid: sessionId, jti: refreshJti, type: 'refresh' },
+    JWT_SECRET,
+    { expiresIn: `${AUTH_CONFIG.refreshTokenDays}d` }
+  )
+});
+
+const isSessionActive = (session) =>
+  Boolean(session) && !session.revoked_at && session.expires_at > new Date().toISOString();
+
+const verifyToken = (token, type) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== type) throw new Error('token type mismatch');
+    return payload;
+  } catch (err) {
+    throw new AuthError(type === 'access' ? '登录已失效，请重新登录' : '刷新令牌无效，请重新登录');
+  }
+};
+
+/**
+ * 创建会话并签发令牌
+ */
+const startSession = async (user) => {
+  const sessionId = crypto.randomUUID();
+  const refreshJti = crypto.randomUUID();
+  await db.createSession({
+    id: sessionId,
+    userId: user.id,
+    refreshJti,
+    expiresAt: new Date(Date.now() + AUTH_CONFIG.refreshTokenDays * DAY_MS).toISOString()
+  });
+  return { ...signTokens(user, sessionId, refreshJti), user: toPublicUser(user) };
+};
+
+/**
+ * 用户名密码登录
+ * @returns {Object} { accessToken, refreshToken, user }
+ */
+const login = async (username, password) => {
+  const user = username ? await db.getUserByUsername(username) : null;
+  const matched = user && password ? await bcrypt.compare(String(password), user.password) : false;
+  if (!matched) throw new AuthError('用户名或密码错误');
+  logger.info(`User ${user.id} logged in`);
+  return startSession(user);
+};
+
+/**
+ * 使用刷新令牌换取新的令牌对 (轮换刷新令牌)
+ * 已被轮换的旧刷新令牌再次使用时视为泄露，撤销整个会话
+ */
+const refresh = async (refreshToken) => {
+  const payload = verifyToken(refreshToken, 'refresh');
+  const session = await db.getSession(payload.sid);
+  if (!isSessionActive(session)) throw new AuthError('会话已失效，请重新登录');
+
+  if (session.refresh_jti !== payload.jti) {
+    await db.updateSession(session.id, { revoked_at: new Date().toISOString() });
+    logger.warn(`Refresh token reuse detected, session ${session.id} revoked`);
+    throw new AuthError('会话已失效，请重新登录');
+  }
+
+  const user = await db.getUserById(session.user_id);
+  if (!user) throw new AuthError('用户不存在');
+
+  const refreshJti = crypto.randomUUID();
+  await db.updateSession(session.id, {
+    refresh_jti: refreshJti,
+    expires_at: new Date(Date.now() + AUTH_CONFIG.refreshTokenDays * DAY_MS).toISOString()
+  });
+  return { ...signTokens(user, session.id, refreshJti), user: toPublicUser(user) };
+};
+
+/**
+ * 登出：撤销当前会话，会话下的访问令牌与刷新令牌同时失效
+ */
+const logout = async (sessionId) => {
+  await db.updateSession(sessionId, { revoked_at: new Date().toISOString() });
+};
+
+/**
+ * 校验访问令牌并返回会话中的用户 { id, username, sessionId, expiresAt 访问令牌到期时间戳 (毫秒) }
+ */
+const authenticate = async (accessToken) => {
+  const payload = verifyToken(accessToken, 'access');
+  const session = await db.getSession(payload.sid);
+  if (!isSessionActive(session)) throw new AuthError('登录已失效，请重新登录');
+  return { id: payload.sub, username: payload.username, sessionId: payload.sid, expiresAt: payload.exp * 1000 };
+};
+
+/**
+ * Express 中间件：从 Authorization: Bearer <token> 解析当前用户，写入 req.user
+ */
+const requireAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ success: false, message: '请先登录' });
+
+  try {
+    req.user = await authenticate(token);
+    next();
+  } catch (err) {
+    res.status(err.status || 401).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Express 中间件：携带访问令牌时解析当前用户 (令牌无效返回 401 以便客户端刷新)，未携带时以匿名身份继续
+ */
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return next();
+  return requireAuth(req, res, next);
+};
+
+/**
+ * Express 中间件：仅允许管理员访问，需在 requireAuth 之后使用
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !ADMIN_USERS.includes(req.user.username)) {
+    return res.status(403).json({ success: false, message: '需要管理员权限' });
+  }
+  next();
+};
+
+module.exports = {
+  AUTH_CONFIG,
+  AuthError,
+  startSession,
+  login,
+  refresh,
+  logout,
+  authenticate,
+  requireAuth,
+  optionalAuth,
+  requireAdmin
+};
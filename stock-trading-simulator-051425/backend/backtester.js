@@ -0,0 +1,206 @@
+/**
+ * stock-trading-simulator-051425/backend/backtester.js
+ * 事件驱动回测模块：按K线逐根推进，信号在当根收盘产生、下一根开盘成交
+ * 计入滑点与交易费用，输出资金曲线、交易明细及绩效指标，并与买入持有对比
+ */
+
+const feeModel = require('./feeModel');
+
+const DEFAULT_OPTIONS = {
+  initialCapital: 100000,
+  positionSize: 1, // 每次开仓占用当前资金的比例 (0 - 1]
+  periodsPerYear: 252 // 日线年化周期数
+};
+
+const round2 = (num) => Number(num.toFixed(2));
+const round4 = (num) => Number(num.toFixed(4));
+
+/**
+ * 在可用资金范围内计算最大可买数量 (含滑点与费用)
+ */
+const sizeBuyOrder = (budget, openPrice, volume) => {
+  let quantity = Math.floor(budget / openPrice);
+  while (quantity > 0) {
+    const quote = feeModel.quoteTrade({ side: 'BUY', marketPrice: openPrice, quantity, volume });
+    if (quote.netAmount <= budget) return quote;
+    // 按超出比例回退，避免逐股递减
+    quantity = Math.min(quantity - 1, Math.floor(quantity * budget / quote.netAmount));
+  }
+  return null;
+};
+
+/**
+ * 计算资金曲线的绩效指标
+ * @param {Array} equities 每根K线收盘时的账户净值
+ * @param {Number} periodsPerYear 年化周期数
+ */
+const calculateMetrics = (equities, periodsPerYear) => {
+  const start = equities[0];
+  const end = equities[equities.length - 1];
+  const totalReturn = start > 0 ? end / start - 1 : 0;
+
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  equities.forEach(value => {
+    peak = Math.max(peak, value);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+  });
+
+  const returns = [];
+  for (let i = 1; i < equities.length; i++) {
+    if (equities[i - 1] > 0) returns.push(equities[i] / equities[i - 1] - 1);
+  }
+  const mean = returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+  const variance = returns.length > 1
+    ? returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (returns.length - 1)
+    : 0;
+  const volatility = Math.sqrt(variance);
+  const sharpeRatio = volatility > 0 ? (mean / volatility) * Math.sqrt(periodsPerYear) : 0;
+  const years = returns.length / periodsPerYear;
+  const annualizedReturn = years > 0 && end > 0 ? Math.pow(end / start, 1 / years) - 1 : 0;
+
+  return {
+    totalReturn: round4(totalReturn),
+    annualizedReturn: round4(annualizedReturn),
+    maxDrawdown: round4(maxDrawdown),
+    volatility: round4(volatility * Math.sqrt(periodsPerYear)),
+    sharpeRatio: round2(sharpeRatio)
+  };
+};
+
+/**
+ * 解析请求中的数值型回测选项：未提供时返回 undefined (使用默认值)，提供时原样转为数值交由 runBacktest 校验
+ * (0 或非数字不会被替换为默认值)
+ */
+const parseOption = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * 运行回测
+ * @param {Array} history K线数据 [{ date, open, high, low, close, volume }]
+ * @param {Array} signals 策略信号 [{ date, type: 'BUY'|'SELL', desc }]
+ * @param {Object} options { initialCapital, positionSize, periodsPerYear }
+ */
+const runBacktest = (history, signals, options = {}) => {
+  const definedOptions = Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+  const { initialCapital, positionSize, periodsPerYear } = { ...DEFAULT_OPTIONS, ...definedOptions };
+  if (!history || history.length < 2) return { error: '历史数据不足，无法回测' };
+  if (!(initialCapital > 0)) return { error: '初始资金必须大于0' };
+  if (!(positionSize > 0 && positionSize <= 1)) return { error: '仓位比例必须在 0 到 1 之间' };
+
+  const signalByDate = {};
+  (signals || []).forEach(s => { signalByDate[s.date] = s; });
+
+  let cash = initialCapital;
+  let shares = 0;
+  let openTrade = null;
+  let pendingSignal = null;
+  const trades = [];
+  const equityCurve = [];
+
+  // 基准：首根开盘全仓买入并持有
+  const first = history[0];
+  const benchmarkQuote = sizeBuyOrder(initialCapital, Number(first.open), Number(first.volume));
+  const benchmarkShares = benchmarkQuote ? benchmarkQuote.quantity : 0;
+  const benchmarkCash = initialCapital - (benchmarkQuote ? benchmarkQuote.netAmount : 0);
+
+  history.forEach((bar, i) => {
+    const open = Number(bar.open);
+    const close = Number(bar.close);
+    const volume = Number(bar.volume || 0);
+
+    // 1. 执行上一根K线收盘产生的信号 (下一根开盘成交)
+    if (pendingSignal) {
+      if (pendingSignal.type === 'BUY' && shares === 0) {
+        const quote = sizeBuyOrder(cash * positionSize, open, volume);
+        if (quote) {
+          cash -= quote.netAmount;
+          shares = quote.quantity;
+          openTrade = {
+            entryDate: bar.date,
+            entryPrice: quote.price,
+            quantity: quote.quantity,
+            entryCost: quote.netAmount,
+            fees: quote.fees,
+            entrySignal: pendingSignal.desc
+          };
+        }
+      } else if (pendingSignal.type === 'SELL' && shares > 0) {
+        const quote = feeModel.quoteTrade({ side: 'SELL', marketPrice: open, quantity: shares, volume });
+        cash += quote.netAmount;
+        const pnl = quote.netAmount - openTrade.entryCost;
+        trades.push({
+          ...openTrade,
+          exitDate: bar.date,
+          exitPrice: quote.price,
+          fees: round2(openTrade.fees + quote.fees),
+          pnl: round2(pnl),
+          returnPct: round4(pnl / openTrade.entryCost),
+          exitSignal: pendingSignal.desc
+        });
+        shares = 0;
+        openTrade = null;
+      }
+      pendingSignal = null;
+    }
+
+    // 2. 收盘估值
+    const equity = cash + shares * close;
+    equityCurve.push({
+      date: bar.date,
+      equity: round2(equity),
+      cash: round2(cash),
+      position: shares,
+      benchmark: round2(benchmarkCash + benchmarkShares * close)
+    });
+
+    // 3. 当根收盘产生的信号留待下一根开盘执行
+    if (i < history.length - 1 && signalByDate[bar.date]) {
+      pendingSignal = signalByDate[bar.date];
+    }
+  });
+
+  // 回测结束仍持有的仓位按最后收盘价估值，标记为未平仓
+  const last = history[history.length - 1];
+  if (openTrade) {
+    const pnl = shares * Number(last.close) - openTrade.entryCost;
+    trades.push({
+      ...openTrade,
+      exitDate: null,
+      exitPrice: Number(last.close),
+      pnl: round2(pnl),
+      returnPct: round4(pnl / openTrade.entryCost),
+      open: true
+    });
+  }
+
+  const closedTrades = trades.filter(t => !t.open);
+  const wins = closedTrades.filter(t => t.pnl > 0).length;
+  const strategyMetrics = calculateMetrics(equityCurve.map(p => p.equity), periodsPerYear);
+  const benchmarkMetrics = calculateMetrics(equityCurve.map(p => p.benchmark), periodsPerYear);
+
+  return {
+    initialCapital,
+    finalEquity: equityCurve[equityCurve.length - 1].equity,
+    metrics: {
+      ...strategyMetrics,
+      tradeCount: closedTrades.length,
+      winRate: closedTrades.length ? round4(wins / closedTrades.length) : 0,
+      totalFees: round2(trades.reduce((sum, t) => sum + t.fees, 0))
+    },
+    benchmark: {
+      name: '买入持有',
+      finalEquity: equityCurve[equityCurve.length - 1].benchmark,
+      ...benchmarkMetrics
+    },
+    excessReturn: round4(strategyMetrics.totalReturn - benchmarkMetrics.totalReturn),
+    equityCurve,
+    trades
+  };
+};
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseOption,
+  calculateMetrics,
+  runBacktest
+};
@@ -0,0 +1,77 @@
+/**
+ * stock-trading-simulator-051425/backend/customStrategies.js
+ * 自定义策略模块：用户保存的规则策略 (规则定义见 ruleStrategy)，保存前在服务端校验
+ */
+
+const db = require('./database');
+const ruleStrategy = require('./ruleStrategy');
+
+const MAX_STRATEGIES_PER_USER = 20;
+const MAX_NAME_LENGTH = 30;
+
+const normalizeName = (name) => {
+  const value = String(name || '').trim();
+  if (!value) throw new Error('策略名称不能为空');
+  if (value.length > MAX_NAME_LENGTH) throw new Error(`策略名称不超过 ${MAX_NAME_LENGTH} 个字符`);
+  return value;
+};
+
+/**
+ * 查询用户的自定义策略
+ */
+const listStrategies = (userId) => db.getCustomStrategies(userId);
+
+/**
+ * 获取用户自己的策略，不存在或不属于该用户时报错
+ */
+const getStrategy = async (userId, strategyId) => {
+  const strategy = await db.getCustomStrategyById(strategyId);
+  if (!strategy || String(strategy.user_id) !== String(userId)) throw new Error('自定义策略不存在');
+  return strategy;
+};
+
+/**
+ * 新建策略
+ * @param {Number} userId
+ * @param {Object} params { name, definition }
+ */
+const createStrategy = async (userId, { name, definition } = {}) => {
+  const strategyName = normalizeName(name);
+  const rules = ruleStrategy.validateRules(definition);
+  const existing = await db.getCustomStrategies(userId);
+  if (existing.length >= MAX_STRATEGIES_PER_USER) throw new Error(`最多保存 ${MAX_STRATEGIES_PER_USER} 个自定义策略`);
+  if (existing.some(s => s.name === strategyName)) throw new Error('策略名称已存在');
+  return db.createCustomStrategy({ userId, name: strategyName, definition: rules });
+};
+
+/**
+ * 修改策略名称或规则定义
+ * @param {Number} userId
+ * @param {Number} strategyId
+ * @param {Object} changes { name, definition }
+ */
+const updateStrategy = async (userId, strategyId, { name, definition } = {}) => {
+  const strategy = await getStrategy(userId, strategyId);
+  const strategyName = name === undefined ? strategy.name : normalizeName(name);
+  const rules = definition === undefined ? strategy.definition : ruleStrategy.validateRules(definition);
+  const existing = await db.getCustomStrategies(userId);
+  if (existing.some(s => s.name === strategyName && s.id !== strategy.id)) throw new Error('策略名称已存在');
+  return db.updateCustomStrategy(strategy.id, { name: strategyName, definition: rules });
+};
+
+/**
+ * 删除策略
+ */
+const deleteStrategy = async (userId, strategyId) => {
+  const strategy = await getStrategy(userId, strategyId);
+  await db.deleteCustomStrategy(strategy.id);
+  return strategy;
+};
+
+module.exports = {
+  listStrategies,
+  getStrategy,
+  createStrategy,
+  updateStrategy,
+  deleteStrategy
+};
@@ -1,20 +1,22 @@
 /**
  * stock-trading-simulator-051425/backend/database.js
  * 数据库操作模块：SQLite3 + 内存兜底
- * 管理用户、资产、交易记录
+ * 管理用户、登录会话、资产、交易记录、账户净值快照及持久化的历史K线 (含导入行情登记)
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcrypt');
 const winston = require('winston');
+const taxLots = require('./taxLots');
 
 // 配置日志
 const logger = winston.createLogger({
   transports: [new winston.transports.Console({ format: winston.format.simple() })]
 });
 
-const DB_PATH = path.resolve(__dirname, 'stock_trading_simulator.db');
+// 数据库文件，可通过环境变量 DB_PATH 覆盖 (测试使用 ':memory:')
+const DB_PATH = process.env.DB_PATH || path.resolve(__dirname, 'stock_trading_simulator.db');
 let db = null;
 let useMemory = false;
 
@@ -22,7 +24,16 @@ let useMemory = false;
 const memoryStore = {
   users: [],
   portfolios: {}, // key: userId-symbol
-  transactions: []
+  transactions: [],
+  orders: [],
+  taxLots: [],
+  sessions: [],
+  equitySnapshots: [],
+  importedSymbols: [],
+  alerts: [],
+  watchlists: [], // 含 symbols 数组 (按排列顺序)
+  customStrategies: [], // definition 为规则定义对象
+  priceHistory: {} // key: symbol, value: 按日期升序的K线数组
 };
 
 // 数据库初始化
@@ -36,7 +47,7 @@ const initDatabase = () => {
         resolve();
       } else {
         logger.info('Connected to SQLite database.');
-        createTables().then(resolve).catch(e => {
+        createTables().then(migrateSchema).then(resolve).catch(e => {
           logger.error(`Table creation failed: ${e.message}. Switching to In-Memory mode.`);
           useMemory = true;
           initMemoryData();
@@ -51,7 +62,9 @@ const initMemoryData = () => {
   // 初始化默认内存用户
   const passHash = bcrypt.hashSync('password123', 10);
   memoryStore.users.push({
-    id: 1, username: 'demo', password: passHash, balance: 100000.00, created_at: new Date().toISOString()
+    id: 1, username: 'demo', password: passHash, balance: 100000.00,
+    account_type: 'CASH', credit_limit: 100000.00, margin_interest: 0, cost_basis_method: 'FIFO',
+    created_at: new Date().toISOString()
   });
 };
 
@@ -64,9 +77,24 @@ const createTables = () => {
         username TEXT UNIQUE,
         password TEXT,
         balance REAL DEFAULT 100000.00,
+        account_type TEXT DEFAULT 'CASH',
+        credit_limit REAL DEFAULT 100000.00,
+        margin_interest REAL DEFAULT 0,
+        cost_basis_method TEXT DEFAULT 'FIFO',
         created_at TEXT
       )`);
 
+      // 登录会话表 (刷新令牌轮换，登出时撤销)
+      db.run(`CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER,
+        refresh_jti TEXT,
+        expires_at TEXT,
+        revoked_at TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+
       // 持仓表
       db.run(`CREATE TABLE IF NOT EXISTS portfolios (
         user_id INTEGER,
@@ -77,6 +105,125 @@ const createTables = () => {
         PRIMARY KEY (user_id, symbol)
       )`);
 
+      // 持仓批次表 (每笔开仓一个批次，平仓按成本计价方法冲销，quantity 为剩余数量)
+      db.run(`CREATE TABLE IF NOT EXISTS tax_lots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        symbol TEXT,
+        side TEXT,
+        quantity INTEGER,
+        original_quantity INTEGER,
+        unit_cost REAL,
+        open_transaction_id INTEGER,
+        opened_at TEXT,
+        closed_at TEXT
+      )`);
+
+      // 委托订单表 (限价/止损/止损限价挂单)
+      db.run(`CREATE TABLE IF NOT EXISTS orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        symbol TEXT,
+        side TEXT,
+        order_type TEXT,
+        quantity INTEGER,
+        limit_price REAL,
+        stop_price REAL,
+        time_in_force TEXT,
+        status TEXT,
+        filled_price REAL,
+        transaction_id INTEGER,
+        reason TEXT,
+        expires_at TEXT,
+        replay_session_id TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+
+      // 历史日K线表 (种子生成后持久化，随模拟交易日推进追加)
+      db.run(`CREATE TABLE IF NOT EXISTS price_history (
+        symbol TEXT,
+        date TEXT,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL,
+        volume INTEGER,
+        PRIMARY KEY (symbol, date)
+      )`);
+
+      // 导入行情的股票登记表 (历史K线来自外部数据文件)
+      db.run(`CREATE TABLE IF NOT EXISTS imported_symbols (
+        symbol TEXT PRIMARY KEY,
+        name TEXT,
+        source TEXT,
+        first_date TEXT,
+        last_date TEXT,
+        bar_count INTEGER,
+        volatility REAL,
+        imported_at TEXT
+      )`);
+
+      // 账户净值快照表 (每个模拟交易日收盘记录一次)
+      db.run(`CREATE TABLE IF NOT EXISTS equity_snapshots (
+        user_id INTEGER,
+        date TEXT,
+        cash REAL,
+        long_value REAL,
+        short_value REAL,
+        position_value REAL,
+        equity REAL,
+        created_at TEXT,
+        PRIMARY KEY (user_id, date)
+      )`);
+
+      // 价格与技术指标提醒表 (触发一次后停止，可重新启用)
+      db.run(`CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        symbol TEXT,
+        alert_type TEXT,
+        indicator TEXT,
+        period INTEGER,
+        bar_interval TEXT,
+        direction TEXT,
+        threshold REAL,
+        note TEXT,
+        status TEXT,
+        triggered_value REAL,
+        triggered_at TEXT,
+        acknowledged INTEGER DEFAULT 0,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+
+      // 自选股分组表 (每个用户可建多个命名分组)
+      db.run(`CREATE TABLE IF NOT EXISTS watchlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        name TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+
+      // 自选股分组内的股票 (sort_order 为排列顺序)
+      db.run(`CREATE TABLE IF NOT EXISTS watchlist_items (
+        watchlist_id INTEGER,
+        symbol TEXT,
+        sort_order INTEGER,
+        PRIMARY KEY (watchlist_id, symbol)
+      )`);
+
+      // 用户自定义规则策略表 (definition 为 JSON 格式的买卖规则)
+      db.run(`CREATE TABLE IF NOT EXISTS custom_strategies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        name TEXT,
+        definition TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      )`);
+
       // 交易记录表
       db.run(`CREATE TABLE IF NOT EXISTS transactions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -86,6 +233,10 @@ const createTables = () => {
         price REAL,
         quantity INTEGER,
         total_amount REAL,
+        commission REAL DEFAULT 0,
+        stamp_duty REAL DEFAULT 0,
+        slippage REAL DEFAULT 0,
+        realized_pnl REAL DEFAULT 0,
         timestamp TEXT
       )`, (err) => {
         if (err) return reject(err);
@@ -105,6 +256,37 @@ const createTables = () => {
   });
 };
 
+// 旧版本数据库补充新增列 (CREATE TABLE IF NOT EXISTS 不会修改已存在的表)
+const SCHEMA_MIGRATIONS = {
+  users: {
+    account_type: "TEXT DEFAULT 'CASH'",
+    credit_limit: 'REAL DEFAULT 100000.00',
+    margin_interest: 'REAL DEFAULT 0',
+    cost_basis_method: "TEXT DEFAULT 'FIFO'"
+  },
+  transactions: {
+    commission: 'REAL DEFAULT 0',
+    stamp_duty: 'REAL DEFAULT 0',
+    slippage: 'REAL DEFAULT 0',
+    realized_pnl: 'REAL DEFAULT 0'
+  },
+  orders: {
+    replay_session_id: 'TEXT'
+  }
+};
+
+const migrateSchema = async () => {
+  for (const [table, columns] of Object.entries(SCHEMA_MIGRATIONS)) {
+    const existing = (await dbAll(`PRAGMA table_info(${table})`)).map(c => c.name);
+    for (const [column, definition] of Object.entries(columns)) {
+      if (!existing.includes(column)) {
+        await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        logger.info(`Added column ${table}.${column}`);
+      }
+    }
+  }
+};
+
 // Promise 包装器
 const dbRun = (sql, params = []) => {
   if (useMemory) return Promise.reject(new Error("Memory mode does not support raw SQL"));
@@ -153,26 +335,31 @@ const getUserByUsername = async (username) => {
 const getUserById = async (id) => {
   if (useMemory) return memoryStore.users.find(u => u.id === id);
   try {
-    return await dbGet("SELECT id, username, balance FROM users WHERE id = ?", [id]);
+    return await dbGet(
+      "SELECT id, username, balance, account_type, credit_limit, margin_interest, cost_basis_method FROM users WHERE id = ?", [id]
+    );
   } catch (e) {
     return null;
   }
 };
 
-const createUser = async (username, password) => {
+const createUser = async (username, password, accountType = 'CASH') => {
   const hash = bcrypt.hashSync(password, 10);
   const now = new Date().toISOString();
   if (useMemory) {
-    const newUser = { id: memoryStore.users.length + 1, username, password: hash, balance: 100000.00, created_at: now };
+    const newUser = {
+      id: memoryStore.users.length + 1, username, password: hash, balance: 100000.00,
+      account_type: accountType, credit_limit: 100000.00, margin_interest: 0, cost_basis_method: 'FIFO', created_at: now
+    };
     memoryStore.users.push(newUser);
     return newUser;
   }
   try {
     const result = await dbRun(
-      "INSERT INTO users (username, password, balance, created_at) VALUES (?, ?, ?, ?)",
-      [username, hash, 100000.00, now]
+      "INSERT INTO users (username, password, balance, account_type, created_at) VALUES (?, ?, ?, ?, ?)",
+      [username, hash, 100000.00, accountType, now]
     );
-    return { id: result.lastID, username, balance: 100000.00 };
+    return { id: result.lastID, username, balance: 100000.00, account_type: accountType };
   } catch (e) {
     logger.error(`createUser error: ${e.message}`);
     throw new Error('User creation failed');
@@ -204,134 +391,938 @@ const getTransactions = async (userId) => {
   }
 };
 
+/**
+ * 分页查询交易记录 (按成交时间倒序)
+ * @param {Number} userId
+ * @param {Object} filters { symbol, type: 'BUY'|'SELL', fromTime, toTime (ISO 时间，含起不含止), limit, offset }
+ * @returns {Object} { items, total, symbols 该用户交易过的全部股票 }
+ */
+const queryTransactions = async (userId, { symbol, type, fromTime, toTime, limit = 20, offset = 0 } = {}) => {
+  if (useMemory) {
+    const own = memoryStore.transactions.filter(t => t.user_id === userId);
+    const matched = own
+      .filter(t => (!symbol || t.symbol === symbol) && (!type || t.type === type) &&
+        (!fromTime || t.timestamp >= fromTime) && (!toTime || t.timestamp < toTime))
+      .reverse();
+    return {
+      items: matched.slice(offset, offset + limit),
+      total: matched.length,
+      symbols: [...new Set(own.map(t => t.symbol))].sort()
+    };
+  }
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (symbol) { conditions.push('symbol = ?'); params.push(symbol); }
+  if (type) { conditions.push('type = ?'); params.push(type); }
+  if (fromTime) { conditions.push('timestamp >= ?'); params.push(fromTime); }
+  if (toTime) { conditions.push('timestamp < ?'); params.push(toTime); }
+  const where = conditions.join(' AND ');
+  try {
+    const [items, countRow, symbolRows] = await Promise.all([
+      dbAll(`SELECT * FROM transactions WHERE ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]),
+      dbGet(`SELECT count(*) as count FROM transactions WHERE ${where}`, params),
+      dbAll("SELECT DISTINCT symbol FROM transactions WHERE user_id = ? ORDER BY symbol", [userId])
+    ]);
+    return { items, total: countRow.count, symbols: symbolRows.map(r => r.symbol) };
+  } catch (e) {
+    logger.error(`queryTransactions error: ${e.message}`);
+    return { items: [], total: 0, symbols: [] };
+  }
+};
+
+// 交易串行队列：sqlite3 为单连接，避免撮合循环与接口请求的事务相互交错
+let tradeQueue = Promise.resolve();
+const runExclusive = (task) => {
+  const result = tradeQueue.then(task);
+  tradeQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * 按用户的成本计价方法匹配持仓批次，计算已实现盈亏与成交后的持仓
+ * 旧版本数据只有持仓没有批次时，先以持仓均价补建批次
+ * @param {String} method 成本计价方法
+ * @param {Array} lots 当前未平仓批次
+ * @param {Object|null} position 当前持仓
+ * @param {String} type 'BUY' | 'SELL'
+ * @param {Number} quantity 成交数量
+ * @param {Number} total 成交总额 (买入含费用，卖出扣除费用)
+ */
+const matchTradeLots = (method, lots, position, type, quantity, total) => {
+  const legacy = lots.length === 0 ? taxLots.legacyLotFor(position) : null;
+  return taxLots.applyTradeToLots(legacy ? [legacy] : lots, method || 'FIFO', type, quantity, total / quantity);
+};
+
+/**
+ * 现金账户不允许透支与卖空；保证金账户的额度由调用方传入的 beforeTrade 在同一串行区间内校验
+ */
+const assertCashAccountTrade = (user, position, type, quantity, total) => {
+  if (user.account_type === 'MARGIN') return;
+  if (type === 'BUY') {
+    if (user.balance < total) throw new Error("Insufficient funds");
+  } else if (!position || position.quantity < quantity) {
+    throw new Error("Insufficient holdings");
+  }
+};
+
 /**
  * 执行交易
  * @param {Number} userId 
  * @param {String} symbol 
  * @param {String} type 'BUY' | 'SELL'
- * @param {Number} price 
+ * @param {Number} price 成交价 (已含滑点)
  * @param {Number} quantity 
+ * @param {Object} fees { commission, stampDuty, slippage } 交易费用，买入计入成本，卖出从所得中扣除
+ * @param {Object} options { beforeTrade 成交前校验 (如保证金)，与余额、持仓更新在同一串行区间内执行，抛出异常则不成交 }
+ * @returns {Object} { success, balance, transaction }，transaction.realized_pnl 为本笔平仓的已实现盈亏
  */
-const executeTrade = async (userId, symbol, type, price, quantity) => {
-  const total = price * quantity;
+const executeTrade = async (userId, symbol, type, price, quantity, fees = {}, { beforeTrade } = {}) => {
+  const commission = fees.commission || 0;
+  const stampDuty = fees.stampDuty || 0;
+  const slippage = fees.slippage || 0;
+  const gross = price * quantity;
+  const total = Number((type === 'BUY' ? gross + commission + stampDuty : gross - commission - stampDuty).toFixed(2));
+  const cashChange = type === 'BUY' ? -total : total;
   const now = new Date().toISOString();
 
   // 内存模式逻辑
-  if (useMemory) {
+  if (useMemory) return runExclusive(async () => {
+    if (beforeTrade) await beforeTrade();
     const user = memoryStore.users.find(u => u.id === userId);
     if (!user) throw new Error("User not found");
 
-    if (type === 'BUY') {
-      if (user.balance < total) throw new Error("Insufficient funds");
-      user.balance -= total;
-      
-      const key = `${userId}-${symbol}`;
-      if (!memoryStore.portfolios[key]) {
-        memoryStore.portfolios[key] = { user_id: userId, symbol, quantity: 0, average_price: 0, updated_at: now };
-      }
-      const p = memoryStore.portfolios[key];
-      const oldTotalVal = p.quantity * p.average_price;
-      p.quantity += quantity;
-      p.average_price = (oldTotalVal + total) / p.quantity;
-      p.updated_at = now;
-    } else {
-      const key = `${userId}-${symbol}`;
-      const p = memoryStore.portfolios[key];
-      if (!p || p.quantity < quantity) throw new Error("Insufficient holdings");
-      
-      p.quantity -= quantity;
-      user.balance += total;
-      if (p.quantity === 0) delete memoryStore.portfolios[key];
-      else p.updated_at = now;
-    }
+    const key = `${userId}-${symbol}`;
+    const p = memoryStore.portfolios[key];
+    assertCashAccountTrade(user, p, type, quantity, total);
+
+    const openLots = memoryStore.taxLots.filter(l => l.user_id === userId && l.symbol === symbol && l.quantity > 0);
+    const matched = matchTradeLots(user.cost_basis_method, openLots, p, type, quantity, total);
 
-    const tx = { id: memoryStore.transactions.length + 1, user_id: userId, symbol, type, price, quantity, total_amount: total, timestamp: now };
+    user.balance += cashChange;
+    const next = matched.position;
+    if (next.quantity === 0) delete memoryStore.portfolios[key];
+    else memoryStore.portfolios[key] = { user_id: userId, symbol, ...next, updated_at: now };
+
+    const tx = {
+      id: memoryStore.transactions.length + 1, user_id: userId, symbol, type, price, quantity,
+      total_amount: total, commission, stamp_duty: stampDuty, slippage, realized_pnl: matched.realizedPnl,
+      timestamp: now
+    };
     memoryStore.transactions.push(tx);
+
+    matched.lots.forEach(lot => {
+      const closedAt = lot.quantity === 0 ? now : null;
+      const existing = lot.id && memoryStore.taxLots.find(l => l.id === lot.id);
+      if (existing) {
+        Object.assign(existing, { quantity: lot.quantity, unit_cost: lot.unit_cost, closed_at: closedAt });
+      } else {
+        memoryStore.taxLots.push({
+          ...lot, id: memoryStore.taxLots.length + 1, user_id: userId, symbol,
+          open_transaction_id: lot.opened_at ? null : tx.id, opened_at: lot.opened_at || now, closed_at: closedAt
+        });
+      }
+    });
     return { success: true, balance: user.balance, transaction: tx };
-  }
+  });
 
   // SQLite 事务逻辑
-  return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      db.run("BEGIN TRANSACTION");
+  return runExclusive(async () => {
+    await dbRun("BEGIN TRANSACTION");
+    try {
+      // 1. 检查用户余额或持仓 (保证金账户由 beforeTrade 按事务内的最新账户校验)
+      if (beforeTrade) await beforeTrade();
+      const userRow = await dbGet("SELECT balance, account_type, cost_basis_method FROM users WHERE id = ?", [userId]);
+      if (!userRow) throw new Error("User not found");
 
-      // 1. 检查用户余额或持仓
-      const checkUser = new Promise((res, rej) => {
-        db.get("SELECT balance FROM users WHERE id = ?", [userId], (err, row) => {
-          if (err || !row) rej(new Error("User not found"));
-          else res(row);
-        });
-      });
+      const pf = await dbGet("SELECT * FROM portfolios WHERE user_id = ? AND symbol = ?", [userId, symbol]);
+      assertCashAccountTrade(userRow, pf, type, quantity, total);
 
-      checkUser.then(userRow => {
-        if (type === 'BUY') {
-          if (userRow.balance < total) throw new Error("Insufficient funds");
-          
-          // 扣款
-          db.run("UPDATE users SET balance = balance - ? WHERE id = ?", [total, userId]);
-          
-          // 更新持仓
-          db.get("SELECT * FROM portfolios WHERE user_id = ? AND symbol = ?", [userId, symbol], (err, pf) => {
-            if (err) throw err;
-            if (pf) {
-              const newQty = pf.quantity + quantity;
-              const newAvg = ((pf.quantity * pf.average_price) + total) / newQty;
-              db.run("UPDATE portfolios SET quantity = ?, average_price = ?, updated_at = ? WHERE user_id = ? AND symbol = ?", 
-                [newQty, newAvg, now, userId, symbol]);
-            } else {
-              db.run("INSERT INTO portfolios (user_id, symbol, quantity, average_price, updated_at) VALUES (?, ?, ?, ?, ?)", 
-                [userId, symbol, quantity, price, now]);
-            }
-          });
-
-        } else { // SELL
-          // 检查持仓
-          db.get("SELECT * FROM portfolios WHERE user_id = ? AND symbol = ?", [userId, symbol], (err, pf) => {
-            if (err) {
-              db.run("ROLLBACK");
-              return reject(err);
-            }
-            if (!pf || pf.quantity < quantity) {
-              db.run("ROLLBACK");
-              return reject(new Error("Insufficient holdings"));
-            }
-            
-            // 加款
-            db.run("UPDATE users SET balance = balance + ? WHERE id = ?", [total, userId]);
-            
-            // 扣持仓
-            const newQty = pf.quantity - quantity;
-            if (newQty === 0) {
-              db.run("DELETE FROM portfolios WHERE user_id = ? AND symbol = ?", [userId, symbol]);
-            } else {
-              db.run("UPDATE portfolios SET quantity = ?, updated_at = ? WHERE user_id = ? AND symbol = ?", 
-                [newQty, now, userId, symbol]);
-            }
-          });
+      // 2. 资金变动：买入扣款，卖出 (含卖空) 加款
+      await dbRun("UPDATE users SET balance = balance + ? WHERE id = ?", [cashChange, userId]);
+
+      // 3. 匹配持仓批次，计算已实现盈亏并更新持仓
+      const openLots = await dbAll(
+        "SELECT * FROM tax_lots WHERE user_id = ? AND symbol = ? AND quantity > 0", [userId, symbol]
+      );
+      const matched = matchTradeLots(userRow.cost_basis_method, openLots, pf, type, quantity, total);
+      const next = matched.position;
+      if (next.quantity === 0) {
+        await dbRun("DELETE FROM portfolios WHERE user_id = ? AND symbol = ?", [userId, symbol]);
+      } else if (pf) {
+        await dbRun("UPDATE portfolios SET quantity = ?, average_price = ?, updated_at = ? WHERE user_id = ? AND symbol = ?", 
+          [next.quantity, next.average_price, now, userId, symbol]);
+      } else {
+        await dbRun("INSERT INTO portfolios (user_id, symbol, quantity, average_price, updated_at) VALUES (?, ?, ?, ?, ?)", 
+          [userId, symbol, next.quantity, next.average_price, now]);
+      }
+
+      // 记录交易
+      const txResult = await dbRun(
+        `INSERT INTO transactions (user_id, symbol, type, price, quantity, total_amount, commission, stamp_duty, slippage,
+          realized_pnl, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, 
+        [userId, symbol, type, price, quantity, total, commission, stampDuty, slippage, matched.realizedPnl, now]
+      );
+
+      // 4. 写回批次：已有批次更新剩余数量与成本，新批次关联本笔成交
+      for (const lot of matched.lots) {
+        const closedAt = lot.quantity === 0 ? now : null;
+        if (lot.id) {
+          await dbRun("UPDATE tax_lots SET quantity = ?, unit_cost = ?, closed_at = ? WHERE id = ?",
+            [lot.quantity, lot.unit_cost, closedAt, lot.id]);
+        } else {
+          await dbRun(
+            `INSERT INTO tax_lots (user_id, symbol, side, quantity, original_quantity, unit_cost, open_transaction_id,
+              opened_at, closed_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, symbol, lot.side, lot.quantity, lot.original_quantity, lot.unit_cost,
+              lot.opened_at ? null : txResult.lastID, lot.opened_at || now, closedAt]
+          );
         }
+      }
+      await dbRun("COMMIT");
 
-        // 记录交易
-        db.run("INSERT INTO transactions (user_id, symbol, type, price, quantity, total_amount, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)", 
-          [userId, symbol, type, price, quantity, total, now], 
-          function(err) {
-            if (err) {
-              db.run("ROLLBACK");
-              reject(err);
-            } else {
-              db.run("COMMIT");
-              // 获取最新余额返回
-              db.get("SELECT balance FROM users WHERE id = ?", [userId], (e, r) => {
-                resolve({ success: true, balance: r ? r.balance : 0 });
-              });
-            }
-          });
-
-      }).catch(err => {
-        db.run("ROLLBACK");
-        reject(err);
-      });
+      // 获取最新余额返回
+      const balanceRow = await dbGet("SELECT balance FROM users WHERE id = ?", [userId]);
+      const tx = {
+        id: txResult.lastID, user_id: userId, symbol, type, price, quantity,
+        total_amount: total, commission, stamp_duty: stampDuty, slippage, realized_pnl: matched.realizedPnl,
+        timestamp: now
+      };
+      return { success: true, balance: balanceRow ? balanceRow.balance : 0, transaction: tx };
+    } catch (err) {
+      await dbRun("ROLLBACK").catch(() => {});
+      throw err;
+    }
+  });
+};
+
+// === 保证金账户 ===
+
+const ACCOUNT_TYPES = ['CASH', 'MARGIN'];
+
+/** 查询全部保证金账户 (供维持保证金检查与计息使用) */
+const getMarginUsers = async () => {
+  if (useMemory) return memoryStore.users.filter(u => u.account_type === 'MARGIN');
+  try {
+    return await dbAll("SELECT id, username, balance, account_type, credit_limit, margin_interest FROM users WHERE account_type = 'MARGIN'");
+  } catch (e) {
+    logger.error(`getMarginUsers error: ${e.message}`);
+    return [];
+  }
+};
+
+/** 查询全部用户的账户字段 (供收盘净值快照使用) */
+const getAllUsers = async () => {
+  if (useMemory) return memoryStore.users;
+  try {
+    return await dbAll("SELECT id, username, balance, account_type, credit_limit, margin_interest, cost_basis_method FROM users");
+  } catch (e) {
+    logger.error(`getAllUsers error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 切换账户类型
+ * @param {Number} userId
+ * @param {String} accountType 'CASH' | 'MARGIN'
+ */
+const setAccountType = async (userId, accountType) => {
+  if (useMemory) {
+    const user = memoryStore.users.find(u => u.id === userId);
+    if (user) user.account_type = accountType;
+    return user;
+  }
+  await dbRun("UPDATE users SET account_type = ? WHERE id = ?", [accountType, userId]);
+  return getUserById(userId);
+};
+
+/**
+ * 设置成本计价方法 (影响此后卖出时的批次匹配)
+ * @param {Number} userId
+ * @param {String} method 'FIFO' | 'LIFO' | 'AVERAGE'
+ */
+const setCostBasisMethod = async (userId, method) => {
+  if (useMemory) {
+    const user = memoryStore.users.find(u => u.id === userId);
+    if (user) user.cost_basis_method = method;
+    return user;
+  }
+  await dbRun("UPDATE users SET cost_basis_method = ? WHERE id = ?", [method, userId]);
+  return getUserById(userId);
+};
+
+/**
+ * 查询用户的未平仓批次
+ * @param {Number} userId
+ */
+const getOpenLots = async (userId) => {
+  if (useMemory) return memoryStore.taxLots.filter(l => l.user_id === userId && l.quantity > 0);
+  try {
+    return await dbAll("SELECT * FROM tax_lots WHERE user_id = ? AND quantity > 0 ORDER BY opened_at ASC", [userId]);
+  } catch (e) {
+    logger.error(`getOpenLots error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 扣收融资融券利息
+ * @param {Number} userId
+ * @param {Number} amount 利息金额
+ */
+const chargeInterest = async (userId, amount) => {
+  if (useMemory) {
+    const user = memoryStore.users.find(u => u.id === userId);
+    if (user) {
+      user.balance -= amount;
+      user.margin_interest = (user.margin_interest || 0) + amount;
+    }
+    return;
+  }
+  await runExclusive(() => dbRun(
+    "UPDATE users SET balance = balance - ?, margin_interest = margin_interest + ? WHERE id = ?",
+    [amount, amount, userId]
+  ));
+};
+
+// === 委托订单 ===
+
+// 未成交状态：OPEN 等待触发/成交，TRIGGERED 止损限价单已触发、等待限价成交
+const OPEN_ORDER_STATUSES = ['OPEN', 'TRIGGERED'];
+
+const createOrder = async (order) => {
+  const now = new Date().toISOString();
+  const record = {
+    user_id: order.userId,
+    symbol: order.symbol,
+    side: order.side,
+    order_type: order.orderType,
+    quantity: order.quantity,
+    limit_price: order.limitPrice ?? null,
+    stop_price: order.stopPrice ?? null,
+    time_in_force: order.timeInForce,
+    status: 'OPEN',
+    filled_price: null,
+    transaction_id: null,
+    reason: null,
+    expires_at: order.expiresAt ?? null,
+    replay_session_id: order.replaySessionId ?? null,
+    created_at: now,
+    updated_at: now
+  };
+
+  if (useMemory) {
+    const newOrder = { id: memoryStore.orders.length + 1, ...record };
+    memoryStore.orders.push(newOrder);
+    return newOrder;
+  }
+  try {
+    const result = await dbRun(
+      `INSERT INTO orders (user_id, symbol, side, order_type, quantity, limit_price, stop_price, time_in_force,
+        status, expires_at, replay_session_id, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [record.user_id, record.symbol, record.side, record.order_type, record.quantity, record.limit_price,
+        record.stop_price, record.time_in_force, record.status, record.expires_at, record.replay_session_id, now, now]
+    );
+    return { id: result.lastID, ...record };
+  } catch (e) {
+    logger.error(`createOrder error: ${e.message}`);
+    throw new Error('Order creation failed');
+  }
+};
+
+const getOrderById = async (orderId) => {
+  if (useMemory) return memoryStore.orders.find(o => o.id === Number(orderId));
+  try {
+    return await dbGet("SELECT * FROM orders WHERE id = ?", [orderId]);
+  } catch (e) {
+    logger.error(`getOrderById error: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * 查询用户委托
+ * @param {Number} userId
+ * @param {Boolean} openOnly 仅返回未成交委托
+ */
+const getOrders = async (userId, openOnly = false) => {
+  if (useMemory) {
+    return memoryStore.orders
+      .filter(o => o.user_id === userId && (!openOnly || OPEN_ORDER_STATUSES.includes(o.status)))
+      .reverse();
+  }
+  try {
+    const statusFilter = openOnly ? `AND status IN ('OPEN', 'TRIGGERED')` : '';
+    return await dbAll(`SELECT * FROM orders WHERE user_id = ? ${statusFilter} ORDER BY created_at DESC`, [userId]);
+  } catch (e) {
+    logger.error(`getOrders error: ${e.message}`);
+    return [];
+  }
+};
+
+/** 查询全部用户的未成交委托 (供撮合循环使用) */
+const getOpenOrders = async () => {
+  if (useMemory) return memoryStore.orders.filter(o => OPEN_ORDER_STATUSES.includes(o.status));
+  try {
+    return await dbAll("SELECT * FROM orders WHERE status IN ('OPEN', 'TRIGGERED') ORDER BY created_at ASC");
+  } catch (e) {
+    logger.error(`getOpenOrders error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 更新委托字段
+ * @param {Number} orderId
+ * @param {Object} fields 需要更新的列 (snake_case)
+ */
+const updateOrder = async (orderId, fields) => {
+  const changes = { ...fields, updated_at: new Date().toISOString() };
+  if (useMemory) {
+    const order = memoryStore.orders.find(o => o.id === Number(orderId));
+    if (!order) return null;
+    Object.assign(order, changes);
+    return order;
+  }
+  const columns = Object.keys(changes);
+  await dbRun(
+    `UPDATE orders SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => changes[c]), orderId]
+  );
+  return getOrderById(orderId);
+};
+
+// === 登录会话 ===
+
+const createSession = async (session) => {
+  const now = new Date().toISOString();
+  const record = {
+    id: session.id,
+    user_id: session.userId,
+    refresh_jti: session.refreshJti,
+    expires_at: session.expiresAt,
+    revoked_at: null,
+    created_at: now,
+    updated_at: now
+  };
+  if (useMemory) {
+    memoryStore.sessions.push(record);
+    return record;
+  }
+  await dbRun(
+    "INSERT INTO sessions (id, user_id, refresh_jti, expires_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)",
+    [record.id, record.user_id, record.refresh_jti, record.expires_at, now, now]
+  );
+  return record;
+};
+
+const getSession = async (sessionId) => {
+  if (useMemory) return memoryStore.sessions.find(s => s.id === sessionId);
+  try {
+    return await dbGet("SELECT * FROM sessions WHERE id = ?", [sessionId]);
+  } catch (e) {
+    logger.error(`getSession error: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * 更新会话字段
+ * @param {String} sessionId
+ * @param {Object} fields 需要更新的列 (snake_case)
+ */
+const updateSession = async (sessionId, fields) => {
+  const changes = { ...fields, updated_at: new Date().toISOString() };
+  if (useMemory) {
+    const session = memoryStore.sessions.find(s => s.id === sessionId);
+    if (session) Object.assign(session, changes);
+    return session;
+  }
+  const columns = Object.keys(changes);
+  await dbRun(
+    `UPDATE sessions SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => changes[c]), sessionId]
+  );
+  return getSession(sessionId);
+};
+
+// === 账户净值快照 ===
+
+/**
+ * 批量写入收盘净值快照 (同一用户同一日期已存在时覆盖)
+ * @param {String} date 交易日 YYYY-MM-DD
+ * @param {Array} snapshots [{ userId, cash, longValue, shortValue, positionValue, equity }]
+ */
+const saveEquitySnapshots = async (date, snapshots) => {
+  if (snapshots.length === 0) return;
+  const now = new Date().toISOString();
+  const rows = snapshots.map(s => ({
+    user_id: s.userId, date, cash: s.cash, long_value: s.longValue, short_value: s.shortValue,
+    position_value: s.positionValue, equity: s.equity, created_at: now
+  }));
+  if (useMemory) {
+    rows.forEach(row => {
+      const index = memoryStore.equitySnapshots.findIndex(r => r.user_id === row.user_id && r.date === date);
+      if (index >= 0) memoryStore.equitySnapshots[index] = row;
+      else memoryStore.equitySnapshots.push(row);
     });
+    return;
+  }
+  await runExclusive(async () => {
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      for (const r of rows) {
+        await dbRun(
+          `INSERT OR REPLACE INTO equity_snapshots
+            (user_id, date, cash, long_value, short_value, position_value, equity, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [r.user_id, r.date, r.cash, r.long_value, r.short_value, r.position_value, r.equity, r.created_at]
+        );
+      }
+      await dbRun('COMMIT');
+    } catch (e) {
+      await dbRun('ROLLBACK').catch(() => {});
+      logger.error(`saveEquitySnapshots error: ${e.message}`);
+      throw e;
+    }
+  });
+};
+
+/**
+ * 查询用户的净值快照 (按日期升序)
+ * @param {Number} userId
+ * @param {String} from 起始日期 YYYY-MM-DD (含)，可选
+ * @param {String} to 结束日期 YYYY-MM-DD (含)，可选
+ */
+const getEquitySnapshots = async (userId, from, to) => {
+  if (useMemory) {
+    return memoryStore.equitySnapshots
+      .filter(r => r.user_id === userId && (!from || r.date >= from) && (!to || r.date <= to))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  try {
+    return await dbAll(
+      `SELECT date, cash, long_value, short_value, position_value, equity FROM equity_snapshots
+        WHERE user_id = ? AND date >= ? AND date <= ? ORDER BY date ASC`,
+      [userId, from || '0000-00-00', to || '9999-99-99']
+    );
+  } catch (e) {
+    logger.error(`getEquitySnapshots error: ${e.message}`);
+    return [];
+  }
+};
+
+// === 历史K线 ===
+
+/**
+ * 查询股票的全部历史日K线 (按日期升序)
+ */
+const getPriceHistory = async (symbol) => {
+  if (useMemory) return memoryStore.priceHistory[symbol] || [];
+  try {
+    return await dbAll(
+      "SELECT date, open, high, low, close, volume FROM price_history WHERE symbol = ? ORDER BY date ASC",
+      [symbol]
+    );
+  } catch (e) {
+    logger.error(`getPriceHistory error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 批量写入历史日K线 (同一日期已存在时覆盖)
+ * @param {String} symbol
+ * @param {Array} candles [{ date, open, high, low, close, volume }]
+ */
+const savePriceHistory = async (symbol, candles) => {
+  if (candles.length === 0) return;
+  if (useMemory) {
+    const byDate = {};
+    (memoryStore.priceHistory[symbol] || []).concat(candles).forEach(c => { byDate[c.date] = c; });
+    memoryStore.priceHistory[symbol] = Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+    return;
+  }
+  await runExclusive(async () => {
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      for (const c of candles) {
+        await dbRun(
+          "INSERT OR REPLACE INTO price_history (symbol, date, open, high, low, close, volume) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [symbol, c.date, c.open, c.high, c.low, c.close, c.volume]
+        );
+      }
+      await dbRun('COMMIT');
+    } catch (e) {
+      await dbRun('ROLLBACK').catch(() => {});
+      logger.error(`savePriceHistory error: ${e.message}`);
+      throw e;
+    }
+  });
+};
+
+/**
+ * 用导入的K线整体替换股票的历史K线 (删除原有生成数据)
+ * @param {String} symbol
+ * @param {Array} candles [{ date, open, high, low, close, volume }]
+ */
+const replacePriceHistory = async (symbol, candles) => {
+  if (useMemory) {
+    memoryStore.priceHistory[symbol] = [...candles].sort((a, b) => a.date.localeCompare(b.date));
+    return;
+  }
+  await runExclusive(async () => {
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      await dbRun("DELETE FROM price_history WHERE symbol = ?", [symbol]);
+      for (const c of candles) {
+        await dbRun(
+          "INSERT OR REPLACE INTO price_history (symbol, date, open, high, low, close, volume) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          [symbol, c.date, c.open, c.high, c.low, c.close, c.volume]
+        );
+      }
+      await dbRun('COMMIT');
+    } catch (e) {
+      await dbRun('ROLLBACK').catch(() => {});
+      logger.error(`replacePriceHistory error: ${e.message}`);
+      throw e;
+    }
+  });
+};
+
+// === 导入行情登记 ===
+
+/** 查询全部导入行情的股票 (按代码排序) */
+const getImportedSymbols = async () => {
+  if (useMemory) return [...memoryStore.importedSymbols].sort((a, b) => a.symbol.localeCompare(b.symbol));
+  try {
+    return await dbAll("SELECT * FROM imported_symbols ORDER BY symbol");
+  } catch (e) {
+    logger.error(`getImportedSymbols error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 登记导入行情的股票 (重复导入时覆盖)
+ * @param {Object} meta { symbol, name, source, first_date, last_date, bar_count, volatility }
+ */
+const saveImportedSymbol = async (meta) => {
+  const record = { ...meta, imported_at: new Date().toISOString() };
+  if (useMemory) {
+    memoryStore.importedSymbols = memoryStore.importedSymbols.filter(s => s.symbol !== meta.symbol).concat([record]);
+    return record;
+  }
+  await dbRun(
+    `INSERT OR REPLACE INTO imported_symbols
+      (symbol, name, source, first_date, last_date, bar_count, volatility, imported_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [record.symbol, record.name, record.source, record.first_date, record.last_date,
+      record.bar_count, record.volatility, record.imported_at]
+  );
+  return record;
+};
+
+// === 价格提醒 ===
+
+/**
+ * 新建提醒
+ * @param {Object} alert { userId, symbol, alertType, indicator, period, interval, direction, threshold, note }
+ */
+const createAlert = async (alert) => {
+  const now = new Date().toISOString();
+  const record = {
+    user_id: alert.userId,
+    symbol: alert.symbol,
+    alert_type: alert.alertType,
+    indicator: alert.indicator ?? null,
+    period: alert.period ?? null,
+    bar_interval: alert.interval ?? null,
+    direction: alert.direction,
+    threshold: alert.threshold,
+    note: alert.note ?? null,
+    status: 'ACTIVE',
+    triggered_value: null,
+    triggered_at: null,
+    acknowledged: 0,
+    created_at: now,
+    updated_at: now
+  };
+
+  if (useMemory) {
+    const newAlert = { id: memoryStore.alerts.reduce((max, a) => Math.max(max, a.id), 0) + 1, ...record };
+    memoryStore.alerts.push(newAlert);
+    return newAlert;
+  }
+  try {
+    const result = await dbRun(
+      `INSERT INTO alerts (user_id, symbol, alert_type, indicator, period, bar_interval, direction, threshold, note,
+        status, acknowledged, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [record.user_id, record.symbol, record.alert_type, record.indicator, record.period, record.bar_interval,
+        record.direction, record.threshold, record.note, record.status, record.acknowledged, now, now]
+    );
+    return { id: result.lastID, ...record };
+  } catch (e) {
+    logger.error(`createAlert error: ${e.message}`);
+    throw new Error('Alert creation failed');
+  }
+};
+
+const getAlertById = async (alertId) => {
+  if (useMemory) return memoryStore.alerts.find(a => a.id === Number(alertId));
+  try {
+    return await dbGet("SELECT * FROM alerts WHERE id = ?", [alertId]);
+  } catch (e) {
+    logger.error(`getAlertById error: ${e.message}`);
+    return null;
+  }
+};
+
+/** 查询用户的全部提醒 (最新创建在前) */
+const getAlerts = async (userId) => {
+  if (useMemory) return memoryStore.alerts.filter(a => a.user_id === userId).reverse();
+  try {
+    return await dbAll("SELECT * FROM alerts WHERE user_id = ? ORDER BY created_at DESC", [userId]);
+  } catch (e) {
+    logger.error(`getAlerts error: ${e.message}`);
+    return [];
+  }
+};
+
+/** 查询全部用户生效中的提醒 (供行情循环检查) */
+const getActiveAlerts = async () => {
+  if (useMemory) return memoryStore.alerts.filter(a => a.status === 'ACTIVE');
+  try {
+    return await dbAll("SELECT * FROM alerts WHERE status = 'ACTIVE' ORDER BY created_at ASC");
+  } catch (e) {
+    logger.error(`getActiveAlerts error: ${e.message}`);
+    return [];
+  }
+};
+
+/**
+ * 更新提醒字段
+ * @param {Number} alertId
+ * @param {Object} fields 需要更新的列 (snake_case)
+ */
+const updateAlert = async (alertId, fields) => {
+  const changes = { ...fields, updated_at: new Date().toISOString() };
+  if (useMemory) {
+    const alert = memoryStore.alerts.find(a => a.id === Number(alertId));
+    if (!alert) return null;
+    Object.assign(alert, changes);
+    return alert;
+  }
+  const columns = Object.keys(changes);
+  await dbRun(
+    `UPDATE alerts SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(c => changes[c]), alertId]
+  );
+  return getAlertById(alertId);
+};
+
+const deleteAlert = async (alertId) => {
+  if (useMemory) {
+    memoryStore.alerts = memoryStore.alerts.filter(a => a.id !== Number(alertId));
+    return;
+  }
+  await dbRun("DELETE FROM alerts WHERE id = ?", [alertId]);
+};
+
+/** 将用户已触发的提醒全部标记为已读 */
+const acknowledgeAlerts = async (userId) => {
+  const now = new Date().toISOString();
+  if (useMemory) {
+    memoryStore.alerts
+      .filter(a => a.user_id === userId && a.triggered_at && !a.acknowledged)
+      .forEach(a => Object.assign(a, { acknowledged: 1, updated_at: now }));
+    return;
+  }
+  await dbRun(
+    "UPDATE alerts SET acknowledged = 1, updated_at = ? WHERE user_id = ? AND triggered_at IS NOT NULL AND acknowledged = 0",
+    [now, userId]
+  );
+};
+
+// === 自选股 ===
+
+/** 为分组记录附上按顺序排列的股票代码 */
+const withWatchlistSymbols = async (watchlist) => {
+  if (!watchlist) return null;
+  const items = await dbAll("SELECT symbol FROM watchlist_items WHERE watchlist_id = ? ORDER BY sort_order", [watchlist.id]);
+  return { ...watchlist, symbols: items.map(i => i.symbol) };
+};
+
+/** 查询用户的自选股分组 (按创建顺序，含股票代码) */
+const getWatchlists = async (userId) => {
+  if (useMemory) return memoryStore.watchlists.filter(w => w.user_id === userId).map(w => ({ ...w, symbols: [...w.symbols] }));
+  try {
+    const lists = await dbAll("SELECT * FROM watchlists WHERE user_id = ? ORDER BY id", [userId]);
+    return Promise.all(lists.map(withWatchlistSymbols));
+  } catch (e) {
+    logger.error(`getWatchlists error: ${e.message}`);
+    return [];
+  }
+};
+
+const getWatchlistById = async (watchlistId) => {
+  if (useMemory) {
+    const list = memoryStore.watchlists.find(w => w.id === Number(watchlistId));
+    return list ? { ...list, symbols: [...list.symbols] } : null;
+  }
+  try {
+    return await withWatchlistSymbols(await dbGet("SELECT * FROM watchlists WHERE id = ?", [watchlistId]));
+  } catch (e) {
+    logger.error(`getWatchlistById error: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * 新建自选股分组
+ * @param {Object} watchlist { userId, name }
+ */
+const createWatchlist = async (watchlist) => {
+  const now = new Date().toISOString();
+  const record = { user_id: watchlist.userId, name: watchlist.name, created_at: now, updated_at: now };
+  if (useMemory) {
+    const newList = { id: memoryStore.watchlists.reduce((max, w) => Math.max(max, w.id), 0) + 1, ...record, symbols: [] };
+    memoryStore.watchlists.push(newList);
+    return { ...newList, symbols: [] };
+  }
+  const result = await dbRun(
+    "INSERT INTO watchlists (user_id, name, created_at, updated_at) VALUES (?, ?, ?, ?)",
+    [record.user_id, record.name, now, now]
+  );
+  return { id: result.lastID, ...record, symbols: [] };
+};
+
+/** 重命名自选股分组 */
+const renameWatchlist = async (watchlistId, name) => {
+  const now = new Date().toISOString();
+  if (useMemory) {
+    const list = memoryStore.watchlists.find(w => w.id === Number(watchlistId));
+    if (list) Object.assign(list, { name, updated_at: now });
+  } else {
+    await dbRun("UPDATE watchlists SET name = ?, updated_at = ? WHERE id = ?", [name, now, watchlistId]);
+  }
+  return getWatchlistById(watchlistId);
+};
+
+/**
+ * 以给定顺序整体替换分组内的股票
+ * @param {Number} watchlistId
+ * @param {string[]} symbols
+ */
+const setWatchlistSymbols = async (watchlistId, symbols) => {
+  const now = new Date().toISOString();
+  if (useMemory) {
+    const list = memoryStore.watchlists.find(w => w.id === Number(watchlistId));
+    if (list) Object.assign(list, { symbols: [...symbols], updated_at: now });
+    return getWatchlistById(watchlistId);
+  }
+  await runExclusive(async () => {
+    await dbRun('BEGIN TRANSACTION');
+    try {
+      await dbRun("DELETE FROM watchlist_items WHERE watchlist_id = ?", [watchlistId]);
+      for (const [index, symbol] of symbols.entries()) {
+        await dbRun("INSERT INTO watchlist_items (watchlist_id, symbol, sort_order) VALUES (?, ?, ?)", [watchlistId, symbol, index]);
+      }
+      await dbRun("UPDATE watchlists SET updated_at = ? WHERE id = ?", [now, watchlistId]);
+      await dbRun('COMMIT');
+    } catch (e) {
+      await dbRun('ROLLBACK').catch(() => {});
+      logger.error(`setWatchlistSymbols error: ${e.message}`);
+      throw e;
+    }
   });
+  return getWatchlistById(watchlistId);
+};
+
+/** 删除自选股分组及其中的股票 */
+const deleteWatchlist = async (watchlistId) => {
+  if (useMemory) {
+    memoryStore.watchlists = memoryStore.watchlists.filter(w => w.id !== Number(watchlistId));
+    return;
+  }
+  await dbRun("DELETE FROM watchlist_items WHERE watchlist_id = ?", [watchlistId]);
+  await dbRun("DELETE FROM watchlists WHERE id = ?", [watchlistId]);
+};
+
+// === 自定义策略 ===
+
+/** 解析规则策略记录中的 JSON 定义 */
+const parseCustomStrategy = (row) => (row ? { ...row, definition: JSON.parse(row.definition) } : null);
+
+/** 查询用户的自定义策略 (按创建顺序) */
+const getCustomStrategies = async (userId) => {
+  if (useMemory) return memoryStore.customStrategies.filter(s => s.user_id === userId).map(s => ({ ...s }));
+  try {
+    const rows = await dbAll("SELECT * FROM custom_strategies WHERE user_id = ? ORDER BY id", [userId]);
+    return rows.map(parseCustomStrategy);
+  } catch (e) {
+    logger.error(`getCustomStrategies error: ${e.message}`);
+    return [];
+  }
+};
+
+const getCustomStrategyById = async (strategyId) => {
+  if (useMemory) {
+    const strategy = memoryStore.customStrategies.find(s => s.id === Number(strategyId));
+    return strategy ? { ...strategy } : null;
+  }
+  try {
+    return parseCustomStrategy(await dbGet("SELECT * FROM custom_strategies WHERE id = ?", [strategyId]));
+  } catch (e) {
+    logger.error(`getCustomStrategyById error: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * 新建自定义策略
+ * @param {Object} strategy { userId, name, definition }
+ */
+const createCustomStrategy = async (strategy) => {
+  const now = new Date().toISOString();
+  const record = { user_id: strategy.userId, name: strategy.name, definition: strategy.definition, created_at: now, updated_at: now };
+  if (useMemory) {
+    const newStrategy = { id: memoryStore.customStrategies.reduce((max, s) => Math.max(max, s.id), 0) + 1, ...record };
+    memoryStore.customStrategies.push(newStrategy);
+    return { ...newStrategy };
+  }
+  const result = await dbRun(
+    "INSERT INTO custom_strategies (user_id, name, definition, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+    [record.user_id, record.name, JSON.stringify(record.definition), now, now]
+  );
+  return { id: result.lastID, ...record };
+};
+
+/**
+ * 修改自定义策略的名称与规则定义
+ * @param {Number} strategyId
+ * @param {Object} changes { name, definition }
+ */
+const updateCustomStrategy = async (strategyId, { name, definition }) => {
+  const now = new Date().toISOString();
+  if (useMemory) {
+    const strategy = memoryStore.customStrategies.find(s => s.id === Number(strategyId));
+    if (strategy) Object.assign(strategy, { name, definition, updated_at: now });
+  } else {
+    await dbRun(
+      "UPDATE custom_strategies SET name = ?, definition = ?, updated_at = ? WHERE id = ?",
+      [name, JSON.stringify(definition), now, strategyId]
+    );
+  }
+  return getCustomStrategyById(strategyId);
+};
+
+const deleteCustomStrategy = async (strategyId) => {
+  if (useMemory) {
+    memoryStore.customStrategies = memoryStore.customStrategies.filter(s => s.id !== Number(strategyId));
+    return;
+  }
+  await dbRun("DELETE FROM custom_strategies WHERE id = ?", [strategyId]);
 };
 
 module.exports = {
@@ -341,5 +1332,47 @@ module.exports = {
   createUser,
   getPortfolio,
   getTransactions,
-  executeTrade
-};
\ No newline at end of file
+  queryTransactions,
+  executeTrade,
+  ACCOUNT_TYPES,
+  getAllUsers,
+  getMarginUsers,
+  setAccountType,
+  setCostBasisMethod,
+  getOpenLots,
+  chargeInterest,
+  OPEN_ORDER_STATUSES,
+  createOrder,
+  getOrderById,
+  getOrders,
+  getOpenOrders,
+  updateOrder,
+  createSession,
+  getSession,
+  updateSession,
+  saveEquitySnapshots,
+  getEquitySnapshots,
+  getPriceHistory,
+  savePriceHistory,
+  replacePriceHistory,
+  getImportedSymbols,
+  saveImportedSymbol,
+  createAlert,
+  getAlertById,
+  getAlerts,
+  getActiveAlerts,
+  updateAlert,
+  deleteAlert,
+  acknowledgeAlerts,
+  getWatchlists,
+  getWatchlistById,
+  createWatchlist,
+  renameWatchlist,
+  setWatchlistSymbols,
+  deleteWatchlist,
+  getCustomStrategies,
+  getCustomStrategyById,
+  createCustomStrategy,
+  updateCustomStrategy,
+  deleteCustomStrategy
+};
@@ -0,0 +1,159 @@
+/**
+ * stock-trading-simulator-051425/backend/equityTracker.js
+ * 账户净值跟踪模块：每个模拟交易日收盘时为全部用户记录现金、持仓市值与总净值快照，
+ * 并基于快照序列计算收益率、回撤与波动率等账户表现指标
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const stockGen = require('./stockDataGenerator');
+const marketClock = require('./marketClock');
+const marginEngine = require('./marginEngine');
+const backtester = require('./backtester');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 收盘时刻 (自零点起的分钟数)，与日内K线的交易时段一致
+const CLOSE_MINUTE = stockGen.INTRADAY_SESSION.openMinute + stockGen.INTRADAY_SESSION.minutes;
+
+// 净值快照按交易日计，年化周期数取 252
+const PERIODS_PER_YEAR = 252;
+
+// 最近一次完成快照的交易日，避免同一收盘重复写入
+let lastSnapshotDate = null;
+let snapshotting = false;
+
+const round2 = (num) => Number(num.toFixed(2));
+const round4 = (num) => Number(num.toFixed(4));
+
+/**
+ * 按最新价格计算单个用户的净值构成
+ */
+const valueAccount = async (user, prices) => {
+  const positions = await db.getPortfolio(user.id);
+  const summary = marginEngine.summarizeAccount(user, positions, prices);
+  return {
+    cash: summary.cash,
+    longValue: summary.longValue,
+    shortValue: summary.shortValue,
+    positionValue: round2(summary.longValue - summary.shortValue),
+    equity: summary.equity
+  };
+};
+
+/**
+ * 为全部用户记录指定交易日的净值快照 (同日重复调用时覆盖)
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ * @param {String} date 交易日 YYYY-MM-DD
+ * @returns {Number} 写入的快照数
+ */
+const takeSnapshots = async (prices, date) => {
+  const users = await db.getAllUsers();
+  const snapshots = [];
+  for (const user of users) {
+    snapshots.push({ userId: user.id, ...(await valueAccount(user, prices)) });
+  }
+  await db.saveEquitySnapshots(date, snapshots);
+  logger.info(`Equity snapshots ${date}: ${snapshots.length} accounts`);
+  return snapshots.length;
+};
+
+/**
+ * 收盘检查：交易日到达收盘时刻且尚未快照时，以收盘价记录全部用户的净值
+ * 由行情循环每个 tick 调用，服务在收盘后启动时会补记当日快照
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ * @param {Date} now 当前模拟时间
+ */
+const recordMarketClose = async (prices, now = marketClock.now()) => {
+  const today = stockGen.formatDate(now);
+  if (snapshotting || lastSnapshotDate === today || !marketClock.isTradingDay(now)) return;
+  if (now.getHours() * 60 + now.getMinutes() < CLOSE_MINUTE) return;
+
+  snapshotting = true;
+  try {
+    await takeSnapshots(prices, today);
+    lastSnapshotDate = today;
+  } catch (err) {
+    logger.error(`Equity snapshot error: ${err.message}`);
+  } finally {
+    snapshotting = false;
+  }
+};
+
+/**
+ * 净值序列的账户表现指标
+ * @param {Array} points 按日期升序的净值点 [{ date, equity }]
+ * @returns {Object} { startEquity, endEquity, pnl, totalReturn, annualizedReturn, maxDrawdown,
+ *   currentDrawdown, volatility, sharpeRatio, bestDay, worstDay }
+ */
+const calculateStats = (points) => {
+  if (points.length === 0) return null;
+  const equities = points.map(p => p.equity);
+  const metrics = backtester.calculateMetrics(equities, PERIODS_PER_YEAR);
+
+  const peak = Math.max(...equities);
+  const end = equities[equities.length - 1];
+  let bestDay = null;
+  let worstDay = null;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i - 1].equity <= 0) continue;
+    const dailyReturn = round4(points[i].equity / points[i - 1].equity - 1);
+    if (!bestDay || dailyReturn > bestDay.return) bestDay = { date: points[i].date, return: dailyReturn };
+    if (!worstDay || dailyReturn < worstDay.return) worstDay = { date: points[i].date, return: dailyReturn };
+  }
+
+  return {
+    startEquity: equities[0],
+    endEquity: end,
+    pnl: round2(end - equities[0]),
+    ...metrics,
+    currentDrawdown: peak > 0 ? round4((peak - end) / peak) : 0,
+    bestDay,
+    worstDay
+  };
+};
+
+/**
+ * 查询账户净值历史与表现指标
+ * 快照为各交易日收盘净值，末尾附加按最新价格计算的当前净值 (当日已收盘快照时替换之)
+ * @param {Number} userId
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ * @param {Object} options { from, to } 日期为 YYYY-MM-DD (含)
+ */
+const getEquityHistory = async (userId, prices, { from, to } = {}) => {
+  const user = await db.getUserById(userId);
+  if (!user) return null;
+
+  const rows = await db.getEquitySnapshots(userId, from, to);
+  const snapshots = rows.map(r => ({
+    date: r.date,
+    cash: r.cash,
+    longValue: r.long_value,
+    shortValue: r.short_value,
+    positionValue: r.position_value,
+    equity: r.equity
+  }));
+
+  const today = stockGen.formatDate(marketClock.now());
+  const current = await valueAccount(user, prices);
+  const includeCurrent = !to || to >= today;
+  const points = snapshots.filter(s => !includeCurrent || s.date !== today);
+  if (includeCurrent) points.push({ date: today, ...current, live: true });
+
+  return {
+    from: from || null,
+    to: to || null,
+    current,
+    points,
+    stats: calculateStats(points)
+  };
+};
+
+module.exports = {
+  takeSnapshots,
+  recordMarketClose,
+  calculateStats,
+  getEquityHistory
+};
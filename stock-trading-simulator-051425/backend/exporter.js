@@ -0,0 +1,119 @@
+/**
+ * stock-trading-simulator-051425/backend/exporter.js
+ * 数据导出模块：将交易记录、持仓与回测交易明细以 CSV / XLSX 流式写入 HTTP 响应
+ * 行数据由异步迭代器逐批提供，导出大量记录时无需一次性载入内存
+ */
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// 各数据集的导出列 { key: 行字段, header: 表头, width: XLSX 列宽 }
+const TRANSACTION_COLUMNS = [
+  { key: 'id', header: '成交编号', width: 10 },
+  { key: 'timestamp', header: '成交时间', width: 24 },
+  { key: 'symbol', header: '股票', width: 10 },
+  { key: 'type', header: '方向', width: 8 },
+  { key: 'price', header: '成交价', width: 12 },
+  { key: 'quantity', header: '数量', width: 10 },
+  { key: 'total_amount', header: '成交额', width: 14 },
+  { key: 'commission', header: '佣金', width: 10 },
+  { key: 'stamp_duty', header: '印花税', width: 10 },
+  { key: 'slippage', header: '滑点', width: 10 },
+  { key: 'realized_pnl', header: '已实现盈亏', width: 14 }
+];
+
+const POSITION_COLUMNS = [
+  { key: 'symbol', header: '股票', width: 10 },
+  { key: 'quantity', header: '数量 (空头为负)', width: 16 },
+  { key: 'average_price', header: '成本价', width: 12 },
+  { key: 'currentPrice', header: '现价', width: 12 },
+  { key: 'marketValue', header: '市值', width: 14 },
+  { key: 'profit', header: '浮动盈亏', width: 14 },
+  { key: 'profitPercent', header: '收益率 (%)', width: 12 },
+  { key: 'updated_at', header: '更新时间', width: 24 }
+];
+
+const BACKTEST_TRADE_COLUMNS = [
+  { key: 'entryDate', header: '买入日期', width: 18 },
+  { key: 'entryPrice', header: '买入价', width: 12 },
+  { key: 'exitDate', header: '卖出日期', width: 18 },
+  { key: 'exitPrice', header: '卖出价', width: 12 },
+  { key: 'quantity', header: '数量', width: 10 },
+  { key: 'fees', header: '费用', width: 10 },
+  { key: 'pnl', header: '盈亏', width: 12 },
+  { key: 'returnPct', header: '收益率', width: 10 },
+  { key: 'open', header: '持仓中', width: 8 }
+];
+
+/** 单元格取值：布尔值导出为 Y / N */
+const cellValue = (value) => (typeof value === 'boolean' ? (value ? 'Y' : 'N') : value);
+
+/**
+ * CSV 字段转义：含逗号、引号或换行时加引号，内部引号加倍
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(cellValue(value));
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * 写入数据，缓冲区已满时等待 drain，避免导出大文件时堆积内存
+ */
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) resolve();
+  else res.once('drain', resolve);
+});
+
+const writeCsv = async (res, columns, batches) => {
+  // UTF-8 BOM，保证 Excel 直接打开时中文表头不乱码
+  await writeChunk(res, '\uFEFF' + columns.map(c => escapeCsv(c.header)).join(',') + '\r\n');
+  for await (const rows of batches) {
+    if (rows.length === 0) continue;
+    await writeChunk(res, rows.map(row => columns.map(c => escapeCsv(row[c.key])).join(',')).join('\r\n') + '\r\n');
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, sheetName, columns, batches) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(({ key, header, width }) => ({ key, header, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for await (const rows of batches) {
+    rows.forEach(row => sheet.addRow(columns.reduce((acc, c) => {
+      acc[c.key] = cellValue(row[c.key]);
+      return acc;
+    }, {})).commit());
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * 将数据以附件形式流式写入响应
+ * @param {Object} res Express 响应
+ * @param {Object} options { format: 'csv'|'xlsx', filename 不含扩展名, sheetName, columns, batches }
+ *   batches 为行数组的 (异步) 可迭代对象，每次产出一批行
+ */
+const sendExport = async (res, { format, filename, sheetName, columns, batches }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (format === 'xlsx') await writeXlsx(res, sheetName, columns, batches);
+  else await writeCsv(res, columns, batches);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  TRANSACTION_COLUMNS,
+  POSITION_COLUMNS,
+  BACKTEST_TRADE_COLUMNS,
+  sendExport
+};
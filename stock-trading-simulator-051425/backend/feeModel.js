@@ -0,0 +1,100 @@
+/**
+ * stock-trading-simulator-051425/backend/feeModel.js
+ * 交易费用与滑点模型：佣金 (按股或按成交额)、最低佣金、卖出印花税
+ * 滑点按委托数量占日成交量的比例估算 (平方根冲击模型)
+ */
+
+/**
+ * 读取非负数值型环境变量：未设置或不是有限的非负数时使用缺省值 (允许显式设置为 0)
+ * @param {String} name 环境变量名
+ * @param {Number} fallback 缺省值
+ */
+const envNonNegative = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// 费率表，可通过环境变量覆盖
+const FEE_SCHEDULE = {
+  commissionType: process.env.COMMISSION_TYPE || 'PERCENT', // 'PERCENT' 按成交额 | 'PER_SHARE' 按股数
+  commissionRate: envNonNegative('COMMISSION_RATE', 0.0003), // PERCENT: 成交额比例；PER_SHARE: 每股金额
+  minCommission: envNonNegative('MIN_COMMISSION', 1.00), // 单笔最低佣金
+  stampDutyRate: envNonNegative('STAMP_DUTY_RATE', 0.0005) // 印花税，仅卖出收取
+};
+
+// 滑点模型参数
+const SLIPPAGE_MODEL = {
+  impactCoefficient: envNonNegative('SLIPPAGE_IMPACT', 0.1), // 冲击系数
+  maxRate: 0.05 // 单笔滑点上限 5%
+};
+
+const round2 = (num) => Number(num.toFixed(2));
+
+/**
+ * 计算佣金与印花税
+ * @param {String} side 'BUY' | 'SELL'
+ * @param {Number} price 成交价
+ * @param {Number} quantity 成交数量
+ */
+const calculateFees = (side, price, quantity) => {
+  const grossAmount = price * quantity;
+  const rawCommission = FEE_SCHEDULE.commissionType === 'PER_SHARE'
+    ? FEE_SCHEDULE.commissionRate * quantity
+    : FEE_SCHEDULE.commissionRate * grossAmount;
+  const commission = round2(Math.max(rawCommission, FEE_SCHEDULE.minCommission));
+  const stampDuty = side === 'SELL' ? round2(grossAmount * FEE_SCHEDULE.stampDutyRate) : 0;
+  return { commission, stampDuty };
+};
+
+/**
+ * 估算滑点比例：冲击系数 * sqrt(委托数量 / 日成交量)
+ * @param {Number} quantity 委托数量
+ * @param {Number} volume 参考日成交量
+ */
+const estimateSlippageRate = (quantity, volume) => {
+  if (!volume || volume <= 0) return 0;
+  const rate = SLIPPAGE_MODEL.impactCoefficient * Math.sqrt(quantity / volume);
+  return Math.min(rate, SLIPPAGE_MODEL.maxRate);
+};
+
+/**
+ * 生成成交报价：滑点后的成交价、各项费用与现金变动
+ * @param {Object} params { side, marketPrice, quantity, volume, limitPrice }
+ *   limitPrice 存在时成交价不劣于限价
+ */
+const quoteTrade = ({ side, marketPrice, quantity, volume, limitPrice = null }) => {
+  const rate = estimateSlippageRate(quantity, volume);
+  let price = round2(side === 'BUY' ? marketPrice * (1 + rate) : marketPrice * (1 - rate));
+  if (limitPrice) {
+    price = side === 'BUY' ? Math.min(price, limitPrice) : Math.max(price, limitPrice);
+  }
+
+  const grossAmount = round2(price * quantity);
+  const { commission, stampDuty } = calculateFees(side, price, quantity);
+  const fees = round2(commission + stampDuty);
+
+  return {
+    side,
+    quantity,
+    marketPrice,
+    price,
+    slippage: round2(Math.abs(price - marketPrice) * quantity),
+    commission,
+    stampDuty,
+    fees,
+    grossAmount,
+    // 买入为现金支出，卖出为现金收入
+    netAmount: side === 'BUY' ? round2(grossAmount + fees) : round2(grossAmount - fees)
+  };
+};
+
+module.exports = {
+  envNonNegative,
+  FEE_SCHEDULE,
+  SLIPPAGE_MODEL,
+  calculateFees,
+  estimateSlippageRate,
+  quoteTrade
+};
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * stock-trading-simulator-051425/backend/importHistory.js
+ * 命令行导入真实历史日K线
+ * 用法: node importHistory.js --symbol AAPL --file ./AAPL.csv [--name "Apple Inc."] [--format csv|json] [--adjust]
+ * 导入写入数据库，运行中的服务需重启后生效 (或改用管理接口 POST /api/admin/history/import 即时生效)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const importer = require('./importer');
+
+const USAGE = 'Usage: node importHistory.js --symbol <SYMBOL> --file <path> [--name <name>] [--format csv|json] [--adjust]';
+
+/**
+ * 解析命令行参数：--key value 与布尔开关 --adjust
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    if (key === 'adjust') args.adjust = true;
+    else args[key] = argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.symbol || !args.file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const filePath = path.resolve(args.file);
+  const content = fs.readFileSync(filePath, 'utf8');
+  await db.initDatabase();
+  const record = await importer.importHistory({
+    symbol: args.symbol,
+    name: args.name,
+    content,
+    format: args.format,
+    adjust: Boolean(args.adjust),
+    source: path.basename(filePath)
+  });
+  console.log(`Imported ${record.bar_count} candles for ${record.symbol} (${record.first_date} ~ ${record.last_date}), ` +
+    `${record.skipped} rows skipped, daily volatility ${record.volatility}`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error(`Import failed: ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,269 @@
+/**
+ * stock-trading-simulator-051425/backend/importer.js
+ * 历史行情导入模块：解析外部日K线数据文件并按股票持久化
+ * 支持带表头的 CSV (含 Yahoo Finance 导出格式)、JSON 数组及 Yahoo chart 接口 JSON
+ * 导入后该股票的历史K线、策略分析与实时行情均基于真实数据回放，不再使用随机生成
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const stockGen = require('./stockDataGenerator');
+const marketClock = require('./marketClock');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// 导入数据至少需要的K线数 (策略指标需要一定长度的历史)
+const MIN_IMPORT_BARS = 30;
+
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+
+// 表头别名 (小写、去除空格与下划线后匹配)
+const FIELD_ALIASES = {
+  date: ['date', 'datetime', 'timestamp', 'time', 'day'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last'],
+  adjClose: ['adjclose', 'adjustedclose'],
+  volume: ['volume', 'vol', 'v']
+};
+
+/**
+ * 导入数据校验失败 (HTTP 400)
+ */
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 400;
+  }
+}
+
+const round2 = (num) => Number(num.toFixed(2));
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[\s_]/g, '');
+
+/**
+ * 将各种日期表示转换为 YYYY-MM-DD
+ * 支持 YYYY-MM-DD / YYYY/MM/DD、ISO 时间字符串及 Unix 时间戳 (秒或毫秒)
+ * @param {String|Number} value
+ * @param {Number} gmtOffset 时间戳所在交易所相对 UTC 的秒数 (Yahoo chart 数据提供)
+ */
+const normalizeDate = (value, gmtOffset = 0) => {
+  if (value === null || value === undefined || value === '') return null;
+  const str = String(value).trim();
+  if (/^\d{9,13}$/.test(str)) {
+    const ms = str.length > 10 ? Number(str) : Number(str) * 1000;
+    return new Date(ms + gmtOffset * 1000).toISOString().slice(0, 10);
+  }
+  const match = str.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (!match) return null;
+  return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+};
+
+/**
+ * 单行原始数据转为K线，数据缺失或价格关系不合法时返回 null
+ * @param {Object} row { date, open, high, low, close, adjClose, volume }
+ * @param {Boolean} adjust 是否按复权收盘价调整开高低收
+ */
+const toCandle = (row, adjust) => {
+  const date = normalizeDate(row.date, row.gmtOffset);
+  const [open, high, low, close, adjClose, volume] = ['open', 'high', 'low', 'close', 'adjClose', 'volume']
+    .map(key => (row[key] === null || row[key] === undefined || row[key] === '' ? NaN : Number(row[key])));
+  if (!date || ![open, high, low, close].every(v => Number.isFinite(v) && v > 0)) return null;
+
+  const factor = adjust && Number.isFinite(adjClose) && adjClose > 0 ? adjClose / close : 1;
+  const candle = {
+    date,
+    open: round2(open * factor),
+    high: round2(high * factor),
+    low: round2(low * factor),
+    close: round2(close * factor),
+    volume: Number.isFinite(volume) && volume >= 0 ? Math.round(volume) : 0
+  };
+  // 部分数据源的高低价不包含开收盘价，修正为合法区间
+  candle.high = Math.max(candle.high, candle.open, candle.close);
+  candle.low = Math.min(candle.low, candle.open, candle.close);
+  return candle;
+};
+
+/**
+ * 按表头别名把一行数据映射为标准字段
+ */
+const mapFields = (headers) => {
+  const mapping = {};
+  headers.forEach((header, index) => {
+    const key = normalizeKey(header);
+    const field = Object.keys(FIELD_ALIASES).find(f => FIELD_ALIASES[f].includes(key));
+    if (field && mapping[field] === undefined) mapping[field] = index;
+  });
+  return mapping;
+};
+
+/**
+ * 解析一行 CSV (支持引号包裹的字段)
+ */
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+};
+
+const parseCsvRows = (content) => {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new ImportError('CSV 文件缺少数据行');
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    (lines[0].split(d).length > lines[0].split(best).length ? d : best), ',');
+
+  const mapping = mapFields(splitCsvLine(lines[0], delimiter));
+  const missing = ['date', 'open', 'high', 'low', 'close'].filter(f => mapping[f] === undefined);
+  if (missing.length > 0) throw new ImportError(`CSV 表头缺少字段: ${missing.join(', ')}`);
+
+  return lines.slice(1).map(line => {
+    const fields = splitCsvLine(line, delimiter);
+    return Object.keys(mapping).reduce((row, field) => {
+      // Yahoo 导出用 "null" 表示停牌等缺失数据
+      const value = fields[mapping[field]];
+      row[field] = value === 'null' ? null : value;
+      return row;
+    }, {});
+  });
+};
+
+const parseJsonRows = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new ImportError('JSON 格式错误');
+  }
+
+  // Yahoo chart 接口: { chart: { result: [{ meta, timestamp, indicators: { quote: [...], adjclose: [...] } }] } }
+  const chart = data && data.chart && Array.isArray(data.chart.result) ? data.chart.result[0] : null;
+  if (chart) {
+    const quote = (chart.indicators && chart.indicators.quote && chart.indicators.quote[0]) || {};
+    const adjClose = chart.indicators && chart.indicators.adjclose && chart.indicators.adjclose[0]
+      ? chart.indicators.adjclose[0].adjclose : [];
+    const gmtOffset = (chart.meta && chart.meta.gmtoffset) || 0;
+    return (chart.timestamp || []).map((ts, i) => ({
+      date: ts,
+      gmtOffset,
+      open: quote.open && quote.open[i],
+      high: quote.high && quote.high[i],
+      low: quote.low && quote.low[i],
+      close: quote.close && quote.close[i],
+      adjClose: adjClose[i],
+      volume: quote.volume && quote.volume[i]
+    }));
+  }
+
+  // 对象数组，或 { candles: [...] } / { data: [...] }
+  const list = Array.isArray(data) ? data : (data && (data.candles || data.data));
+  if (!Array.isArray(list)) throw new ImportError('JSON 应为K线数组或 Yahoo chart 数据');
+  return list.map(item => {
+    const mapping = mapFields(Object.keys(item));
+    const keys = Object.keys(item);
+    return Object.keys(mapping).reduce((row, field) => {
+      row[field] = item[keys[mapping[field]]];
+      return row;
+    }, {});
+  });
+};
+
+/**
+ * 解析数据文件内容为按日期升序、去重后的日K线
+ * @param {String} content 文件内容
+ * @param {Object} options { format: 'csv'|'json' (缺省按内容判断), adjust 是否按复权价调整 }
+ * @returns {Object} { candles, skipped 无效行数 }
+ */
+const parseCandles = (content, { format, adjust = false } = {}) => {
+  const text = String(content || '').trim();
+  if (!text) throw new ImportError('数据文件为空');
+  const resolved = format || (/^[[{]/.test(text) ? 'json' : 'csv');
+  if (!IMPORT_FORMATS.includes(resolved)) throw new ImportError('不支持的数据格式');
+
+  const rows = resolved === 'json' ? parseJsonRows(text) : parseCsvRows(text);
+  const byDate = {};
+  let skipped = 0;
+  rows.forEach(row => {
+    const candle = toCandle(row, adjust);
+    if (candle) byDate[candle.date] = candle;
+    else skipped++;
+  });
+  return {
+    candles: Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date)),
+    skipped
+  };
+};
+
+/**
+ * 日收益率的标准差，作为该股票的日波动率
+ */
+const dailyVolatility = (candles) => {
+  const returns = [];
+  for (let i = 1; i < candles.length; i++) returns.push(candles[i].close / candles[i - 1].close - 1);
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / Math.max(1, returns.length - 1);
+  return Number(Math.sqrt(variance).toFixed(4));
+};
+
+/**
+ * 导入股票的历史日K线：替换该股票已有的历史数据并登记为导入行情
+ * 当日及以后日期的数据被丢弃 (当日K线由实时行情聚合)
+ * @param {Object} params { symbol, name, content, format, adjust, source 数据来源说明 (如文件名) }
+ * @returns {Object} 登记信息 { symbol, name, source, first_date, last_date, bar_count, volatility, skipped }
+ */
+const importHistory = async ({ symbol, name, content, format, adjust, source }) => {
+  const code = String(symbol || '').trim().toUpperCase();
+  if (!SYMBOL_PATTERN.test(code)) throw new ImportError('无效的股票代码');
+
+  const parsed = parseCandles(content, { format, adjust });
+  const today = stockGen.formatDate(marketClock.now());
+  const candles = parsed.candles.filter(c => c.date < today);
+  if (candles.length < MIN_IMPORT_BARS) {
+    throw new ImportError(`有效K线不足 ${MIN_IMPORT_BARS} 根 (解析到 ${candles.length} 根)`);
+  }
+
+  const preset = stockGen.STOCKS.find(s => s.symbol === code);
+  await db.replacePriceHistory(code, candles);
+  const record = await db.saveImportedSymbol({
+    symbol: code,
+    name: name || (preset ? preset.name : code),
+    source: source || 'upload',
+    first_date: candles[0].date,
+    last_date: candles[candles.length - 1].date,
+    bar_count: candles.length,
+    volatility: dailyVolatility(candles)
+  });
+  logger.info(`Imported ${candles.length} candles for ${code} (${record.first_date} ~ ${record.last_date}), ${parsed.skipped} rows skipped`);
+  return { ...record, skipped: parsed.skipped };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  MIN_IMPORT_BARS,
+  ImportError,
+  parseCandles,
+  importHistory
+};
@@ -0,0 +1,327 @@
+/**
+ * stock-trading-simulator-051425/backend/indicators.js
+ * 技术指标库：基于完整K线 (开高低收量) 计算 KDJ、ATR、OBV、随机指标、CCI、威廉指标、VWAP 与一目均衡表
+ * 每个指标返回与K线逐一对应的序列，数据不足的前段为 null；pane 标明指标叠加在主图 (main) 还是副图 (sub)
+ */
+
+const { validateParams } = require('./strategyEngine');
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+
+// 工具函数：滚动窗口计算，窗口未满时为 null
+const rolling = (values, period, fn) => values.map((_, i) => {
+  if (i < period - 1) return null;
+  const window = values.slice(i - period + 1, i + 1);
+  return window.some(v => v === null) ? null : fn(window);
+});
+
+const highest = (values, period) => rolling(values, period, w => Math.max(...w));
+const lowest = (values, period) => rolling(values, period, w => Math.min(...w));
+const average = (values, period) => rolling(values, period, w => w.reduce((a, b) => a + b, 0) / period);
+
+// 工具函数：未成熟随机值 RSV = (收盘 - N日最低) / (N日最高 - N日最低) * 100
+const calculateRSV = (bars, period) => {
+  const hh = highest(bars.map(b => b.high), period);
+  const ll = lowest(bars.map(b => b.low), period);
+  return bars.map((bar, i) => {
+    if (hh[i] === null) return null;
+    const range = hh[i] - ll[i];
+    return range === 0 ? 50 : (bar.close - ll[i]) / range * 100;
+  });
+};
+
+// 工具函数：N周期最高最低价的中点 (一目均衡表各线)
+const midpoint = (bars, period) => {
+  const hh = highest(bars.map(b => b.high), period);
+  const ll = lowest(bars.map(b => b.low), period);
+  return hh.map((h, i) => (h === null ? null : (h + ll[i]) / 2));
+};
+
+// 序列整体向后平移 offset 根K线 (负数向前)，超出部分丢弃
+const shift = (values, offset) => values.map((_, i) => {
+  const source = i - offset;
+  return source >= 0 && source < values.length ? values[source] : null;
+});
+
+/**
+ * KDJ 随机指标：K = 前K × (M1-1)/M1 + RSV/M1，D 同理平滑 K，J = 3K - 2D
+ */
+const calculateKDJ = (bars, { period, kSmooth, dSmooth }) => {
+  const rsv = calculateRSV(bars, period);
+  const k = [];
+  const d = [];
+  const j = [];
+  let prevK = 50;
+  let prevD = 50;
+  rsv.forEach(value => {
+    if (value === null) {
+      k.push(null);
+      d.push(null);
+      j.push(null);
+      return;
+    }
+    prevK = (prevK * (kSmooth - 1) + value) / kSmooth;
+    prevD = (prevD * (dSmooth - 1) + prevK) / dSmooth;
+    k.push(round(prevK));
+    d.push(round(prevD));
+    j.push(round(3 * prevK - 2 * prevD));
+  });
+  return { k, d, j };
+};
+
+/**
+ * ATR 平均真实波幅 (Wilder 平滑)
+ */
+const calculateATR = (bars, { period }) => {
+  const trueRanges = bars.map((bar, i) => {
+    if (i === 0) return bar.high - bar.low;
+    const prevClose = bars[i - 1].close;
+    return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+  });
+  const atr = [];
+  let prev = null;
+  trueRanges.forEach((tr, i) => {
+    if (i < period - 1) {
+      atr.push(null);
+      return;
+    }
+    prev = prev === null
+      ? trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period
+      : (prev * (period - 1) + tr) / period;
+    atr.push(round(prev));
+  });
+  return { atr };
+};
+
+/**
+ * OBV 能量潮：收盘上涨累加成交量，下跌累减
+ */
+const calculateOBV = (bars) => {
+  let total = 0;
+  const obv = bars.map((bar, i) => {
+    if (i > 0) {
+      const prevClose = bars[i - 1].close;
+      if (bar.close > prevClose) total += bar.volume;
+      else if (bar.close < prevClose) total -= bar.volume;
+    }
+    return total;
+  });
+  return { obv };
+};
+
+/**
+ * 慢速随机指标：%K 为 RSV 的简单平均，%D 为 %K 的简单平均
+ */
+const calculateStochastic = (bars, { period, kSmooth, dSmooth }) => {
+  const k = average(calculateRSV(bars, period), kSmooth);
+  const d = average(k, dSmooth);
+  return { k: k.map(v => round(v)), d: d.map(v => round(v)) };
+};
+
+/**
+ * CCI 顺势指标：(典型价 - 均值) / (0.015 × 平均绝对偏差)
+ */
+const calculateCCI = (bars, { period }) => {
+  const typical = bars.map(b => (b.high + b.low + b.close) / 3);
+  const cci = rolling(typical, period, window => {
+    const mean = window.reduce((a, b) => a + b, 0) / period;
+    const deviation = window.reduce((a, b) => a + Math.abs(b - mean), 0) / period;
+    const last = window[window.length - 1];
+    return deviation === 0 ? 0 : (last - mean) / (0.015 * deviation);
+  });
+  return { cci: cci.map(v => round(v)) };
+};
+
+/**
+ * 威廉指标 %R：(N日最高 - 收盘) / (N日最高 - N日最低) × -100
+ */
+const calculateWilliamsR = (bars, { period }) => {
+  const hh = highest(bars.map(b => b.high), period);
+  const ll = lowest(bars.map(b => b.low), period);
+  const wr = bars.map((bar, i) => {
+    if (hh[i] === null) return null;
+    const range = hh[i] - ll[i];
+    return round(range === 0 ? -50 : (hh[i] - bar.close) / range * -100);
+  });
+  return { wr };
+};
+
+/**
+ * VWAP 成交量加权均价：日内K线按交易日累计 (每日重新开始)，日线按最近 N 根K线滚动计算
+ */
+const calculateVWAP = (bars, { period }) => {
+  const intraday = bars.length > 0 && String(bars[0].date).length > 10;
+  const weighted = bars.map(b => (b.high + b.low + b.close) / 3 * b.volume);
+
+  if (!intraday) {
+    const vwap = bars.map((_, i) => {
+      if (i < period - 1) return null;
+      const volume = bars.slice(i - period + 1, i + 1).reduce((a, b) => a + b.volume, 0);
+      const amount = weighted.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+      return volume === 0 ? null : round(amount / volume);
+    });
+    return { vwap };
+  }
+
+  let day = null;
+  let amount = 0;
+  let volume = 0;
+  const vwap = bars.map((bar, i) => {
+    const barDay = bar.date.slice(0, 10);
+    if (barDay !== day) {
+      day = barDay;
+      amount = 0;
+      volume = 0;
+    }
+    amount += weighted[i];
+    volume += bar.volume;
+    return volume === 0 ? round(bar.close) : round(amount / volume);
+  });
+  return { vwap };
+};
+
+/**
+ * 一目均衡表：转换线、基准线、先行带 A/B (向后平移 displacement 根)、迟行线 (向前平移)
+ */
+const calculateIchimoku = (bars, { conversion, base, spanB, displacement }) => {
+  const tenkan = midpoint(bars, conversion);
+  const kijun = midpoint(bars, base);
+  const spanA = tenkan.map((t, i) => (t === null || kijun[i] === null ? null : (t + kijun[i]) / 2));
+  return {
+    tenkan: tenkan.map(v => round(v)),
+    kijun: kijun.map(v => round(v)),
+    spanA: shift(spanA, displacement).map(v => round(v)),
+    spanB: shift(midpoint(bars, spanB), displacement).map(v => round(v)),
+    chikou: shift(bars.map(b => b.close), -displacement).map(v => round(v))
+  };
+};
+
+/**
+ * 指标定义：outputs 为各输出序列的显示名称，levels 为副图参考线
+ */
+const INDICATOR_DEFINITIONS = {
+  KDJ: {
+    name: 'KDJ',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: 'RSV周期', type: 'integer', default: 9, min: 2, max: 100, step: 1 },
+      { key: 'kSmooth', label: 'K平滑', type: 'integer', default: 3, min: 1, max: 20, step: 1 },
+      { key: 'dSmooth', label: 'D平滑', type: 'integer', default: 3, min: 1, max: 20, step: 1 }
+    ],
+    outputs: { k: 'K', d: 'D', j: 'J' },
+    levels: [20, 80],
+    compute: calculateKDJ
+  },
+  ATR: {
+    name: 'ATR 平均真实波幅',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: '周期', type: 'integer', default: 14, min: 2, max: 100, step: 1 }
+    ],
+    outputs: { atr: 'ATR' },
+    levels: [],
+    compute: calculateATR
+  },
+  OBV: {
+    name: 'OBV 能量潮',
+    pane: 'sub',
+    params: [],
+    outputs: { obv: 'OBV' },
+    levels: [],
+    compute: calculateOBV
+  },
+  STOCH: {
+    name: '随机指标 (Stochastic)',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: '%K周期', type: 'integer', default: 14, min: 2, max: 100, step: 1 },
+      { key: 'kSmooth', label: '%K平滑', type: 'integer', default: 3, min: 1, max: 20, step: 1 },
+      { key: 'dSmooth', label: '%D周期', type: 'integer', default: 3, min: 1, max: 20, step: 1 }
+    ],
+    outputs: { k: '%K', d: '%D' },
+    levels: [20, 80],
+    compute: calculateStochastic
+  },
+  CCI: {
+    name: 'CCI 顺势指标',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: '周期', type: 'integer', default: 20, min: 2, max: 100, step: 1 }
+    ],
+    outputs: { cci: 'CCI' },
+    levels: [-100, 100],
+    compute: calculateCCI
+  },
+  WR: {
+    name: '威廉指标 %R',
+    pane: 'sub',
+    params: [
+      { key: 'period', label: '周期', type: 'integer', default: 14, min: 2, max: 100, step: 1 }
+    ],
+    outputs: { wr: '%R' },
+    levels: [-80, -20],
+    compute: calculateWilliamsR
+  },
+  VWAP: {
+    name: 'VWAP 成交量加权均价',
+    pane: 'main',
+    params: [
+      { key: 'period', label: '日线滚动周期', type: 'integer', default: 20, min: 1, max: 250, step: 1 }
+    ],
+    outputs: { vwap: 'VWAP' },
+    levels: [],
+    compute: calculateVWAP
+  },
+  ICHIMOKU: {
+    name: '一目均衡表',
+    pane: 'main',
+    params: [
+      { key: 'conversion', label: '转换线周期', type: 'integer', default: 9, min: 2, max: 100, step: 1 },
+      { key: 'base', label: '基准线周期', type: 'integer', default: 26, min: 2, max: 200, step: 1 },
+      { key: 'spanB', label: '先行带B周期', type: 'integer', default: 52, min: 2, max: 300, step: 1 },
+      { key: 'displacement', label: '平移', type: 'integer', default: 26, min: 1, max: 100, step: 1 }
+    ],
+    outputs: { tenkan: '转换线', kijun: '基准线', spanA: '先行带A', spanB: '先行带B', chikou: '迟行线' },
+    levels: [],
+    compute: calculateIchimoku
+  }
+};
+
+/**
+ * 获取指标列表及参数定义
+ */
+const getIndicatorList = () => Object.entries(INDICATOR_DEFINITIONS).map(([key, { compute, ...def }]) => ({ key, ...def }));
+
+/**
+ * 计算指定指标
+ * @param {Array} bars K线数据 [{ date, open, high, low, close, volume }]
+ * @param {String} name 指标名称 (INDICATOR_DEFINITIONS 的键)
+ * @param {Object} overrides 指标参数 (缺省使用默认值)
+ * @returns {Object} { name, label, pane, params, outputs, levels, dates, series } 或 { error }
+ */
+const computeIndicator = (bars, name, overrides = {}) => {
+  const key = String(name || '').toUpperCase();
+  const definition = INDICATOR_DEFINITIONS[key];
+  if (!definition) return { error: '不支持的技术指标' };
+  if (!bars || bars.length === 0) return { error: '无历史数据' };
+
+  const { params, error } = validateParams(definition.params, overrides || {});
+  if (error) return { error };
+
+  return {
+    name: key,
+    label: definition.name,
+    pane: definition.pane,
+    params,
+    outputs: definition.outputs,
+    levels: definition.levels,
+    dates: bars.map(b => b.date),
+    series: definition.compute(bars, params)
+  };
+};
+
+module.exports = {
+  INDICATOR_DEFINITIONS,
+  getIndicatorList,
+  computeIndicator
+};
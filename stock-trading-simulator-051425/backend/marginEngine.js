@@ -0,0 +1,254 @@
+/**
+ * stock-trading-simulator-051425/backend/marginEngine.js
+ * 保证金账户模块：融资买入、融券卖空、授信额度、利息计提
+ * 以及基于实时行情的维持保证金检查与强制平仓
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const feeModel = require('./feeModel');
+const marketData = require('./marketData');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 保证金参数，可通过环境变量覆盖 (维持保证金与利率可设置为 0；初始保证金用于计算购买力，须大于 0)
+const configuredInitialMargin = feeModel.envNonNegative('INITIAL_MARGIN', 0.5);
+const MARGIN_CONFIG = {
+  initialMargin: configuredInitialMargin > 0 ? configuredInitialMargin : 0.5, // 初始保证金比例 (最高 2 倍杠杆)
+  maintenanceMargin: feeModel.envNonNegative('MAINTENANCE_MARGIN', 0.25), // 多头维持保证金比例
+  shortMaintenanceMargin: feeModel.envNonNegative('SHORT_MAINTENANCE_MARGIN', 0.3), // 空头维持保证金比例
+  annualInterestRate: feeModel.envNonNegative('MARGIN_INTEREST_RATE', 0.08) // 融资融券年利率
+};
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const round2 = (num) => Number(num.toFixed(2));
+
+/**
+ * 汇总账户保证金状态
+ * @param {Object} user 用户记录 { balance, credit_limit }
+ * @param {Array} positions 持仓列表 { symbol, quantity, average_price }，数量为负表示空头
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ */
+const summarizeAccount = (user, positions, prices) => {
+  let longValue = 0;
+  let shortValue = 0;
+  positions.forEach(p => {
+    const price = prices[p.symbol] || p.average_price;
+    if (p.quantity > 0) longValue += p.quantity * price;
+    else shortValue += -p.quantity * price;
+  });
+
+  const cash = user.balance;
+  const equity = cash + longValue - shortValue;
+  const debit = Math.max(0, -cash);
+  const borrowed = debit + shortValue;
+  const initialRequirement = (longValue + shortValue) * MARGIN_CONFIG.initialMargin;
+  const maintenanceRequirement = longValue * MARGIN_CONFIG.maintenanceMargin +
+    shortValue * MARGIN_CONFIG.shortMaintenanceMargin;
+  const creditLimit = user.credit_limit || 0;
+
+  return {
+    accountType: user.account_type || 'CASH',
+    costBasisMethod: user.cost_basis_method || 'FIFO',
+    cash: round2(cash),
+    longValue: round2(longValue),
+    shortValue: round2(shortValue),
+    equity: round2(equity),
+    debit: round2(debit),
+    borrowed: round2(borrowed),
+    creditLimit,
+    initialRequirement: round2(initialRequirement),
+    maintenanceRequirement: round2(maintenanceRequirement),
+    buyingPower: round2(Math.max(0, Math.min(
+      (equity - initialRequirement) / MARGIN_CONFIG.initialMargin,
+      creditLimit - borrowed + Math.max(0, cash)
+    ))),
+    marginInterest: round2(user.margin_interest || 0)
+  };
+};
+
+/**
+ * 按最新价格补充持仓的现价、市值与浮动盈亏
+ * @param {Array} positions 持仓
+ * @param {Object} prices 最新价格
+ */
+const enrichPositions = (positions, prices) => positions.map(p => {
+  const currentPrice = prices[p.symbol] || p.average_price;
+  return {
+    ...p,
+    currentPrice,
+    marketValue: parseFloat((currentPrice * p.quantity).toFixed(2)),
+    profit: parseFloat(((currentPrice - p.average_price) * p.quantity).toFixed(2)),
+    // 空头持仓价格下跌为盈利
+    profitPercent: parseFloat(((currentPrice - p.average_price) / p.average_price * 100 * Math.sign(p.quantity)).toFixed(2))
+  };
+});
+
+/**
+ * 查询账户保证金状态
+ */
+const getAccountSummary = async (userId, prices) => {
+  const user = await db.getUserById(userId);
+  if (!user) return null;
+  const positions = await db.getPortfolio(userId);
+  return summarizeAccount(user, positions, prices);
+};
+
+/**
+ * 保证金账户下单前校验：按成交报价推演成交后的账户，
+ * 增加风险敞口的交易须满足初始保证金要求且借入总额不超过授信额度
+ * @param {Number} userId
+ * @param {String} symbol
+ * @param {String} side 'BUY' | 'SELL'
+ * @param {Number} quantity
+ * @param {Object} quote feeModel.quoteTrade 的报价结果
+ * @param {Object} prices 最新价格
+ */
+const checkTrade = async (userId, symbol, side, quantity, quote, prices) => {
+  const user = await db.getUserById(userId);
+  if (!user || user.account_type !== 'MARGIN') return;
+
+  const positions = await db.getPortfolio(userId);
+  const current = positions.find(p => p.symbol === symbol);
+  const oldQty = current ? current.quantity : 0;
+  const newQty = oldQty + (side === 'BUY' ? quantity : -quantity);
+
+  // 平仓或减仓类交易降低风险，始终允许 (保证强平与用户自救可以执行)
+  if (Math.abs(newQty) <= Math.abs(oldQty) && Math.sign(newQty) !== -Math.sign(oldQty)) return;
+
+  const projectedPositions = positions.filter(p => p.symbol !== symbol);
+  if (newQty !== 0) projectedPositions.push({ symbol, quantity: newQty, average_price: quote.price });
+  const projectedUser = {
+    ...user,
+    balance: user.balance + (side === 'BUY' ? -quote.netAmount : quote.netAmount)
+  };
+  const summary = summarizeAccount(projectedUser, projectedPositions, { ...prices, [symbol]: quote.marketPrice });
+
+  if (summary.equity < summary.initialRequirement) {
+    throw new Error(
+      `保证金不足：成交后账户净值 $${summary.equity.toFixed(2)} 低于初始保证金要求 $${summary.initialRequirement.toFixed(2)}`
+    );
+  }
+  if (summary.borrowed > summary.creditLimit) {
+    throw new Error(
+      `超出授信额度：成交后借入总额 $${summary.borrowed.toFixed(2)} 超过额度 $${summary.creditLimit.toFixed(2)}`
+    );
+  }
+};
+
+/**
+ * 强制平仓单个持仓 (按市价成交，不做保证金校验)
+ */
+const liquidatePosition = async (userId, position, prices) => {
+  const marketPrice = prices[position.symbol];
+  if (!marketPrice) return null;
+
+  const side = position.quantity > 0 ? 'SELL' : 'BUY';
+  const quantity = Math.abs(position.quantity);
+  const quote = feeModel.quoteTrade({
+    side,
+    marketPrice,
+    quantity,
+    volume: marketData.getReferenceVolume(position.symbol)
+  });
+  const result = await db.executeTrade(userId, position.symbol, side, quote.price, quantity, quote);
+  logger.info(`Margin liquidation: user ${userId} ${side} ${quantity} ${position.symbol} @ ${quote.price}`);
+  return { symbol: position.symbol, side, quantity, price: quote.price, transaction: result.transaction };
+};
+
+let checking = false;
+
+/**
+ * 维持保证金检查：账户净值低于维持保证金要求时发出追保事件，
+ * 并按敞口从大到小逐一强制平仓，直至满足维持保证金要求
+ * @param {Object} prices 最新价格
+ * @returns {Array} 追保事件 { userId, equity, maintenanceRequirement, deficit, liquidated 强制平仓成交, timestamp }
+ */
+const checkMaintenance = async (prices) => {
+  if (checking) return [];
+  checking = true;
+
+  const events = [];
+  try {
+    const users = await db.getMarginUsers();
+    for (const user of users) {
+      let positions = await db.getPortfolio(user.id);
+      if (positions.length === 0) continue;
+
+      const before = summarizeAccount(user, positions, prices);
+      if (before.equity >= before.maintenanceRequirement) continue;
+
+      logger.info(`Margin call: user ${user.id} equity ${before.equity} < requirement ${before.maintenanceRequirement}`);
+      const liquidated = [];
+      let summary = before;
+      const byExposure = (a, b) => Math.abs(b.quantity * (prices[b.symbol] || b.average_price)) -
+        Math.abs(a.quantity * (prices[a.symbol] || a.average_price));
+
+      while (positions.length > 0 && summary.equity < summary.maintenanceRequirement) {
+        const [largest] = [...positions].sort(byExposure);
+        try {
+          const fill = await liquidatePosition(user.id, largest, prices);
+          if (!fill) break;
+          liquidated.push(fill);
+        } catch (err) {
+          logger.error(`Liquidation failed for user ${user.id} ${largest.symbol}: ${err.message}`);
+          break;
+        }
+        const refreshed = await db.getUserById(user.id);
+        positions = await db.getPortfolio(user.id);
+        summary = summarizeAccount(refreshed, positions, prices);
+      }
+
+      events.push({
+        userId: user.id,
+        equity: before.equity,
+        maintenanceRequirement: before.maintenanceRequirement,
+        deficit: round2(before.maintenanceRequirement - before.equity),
+        liquidated,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (err) {
+    logger.error(`checkMaintenance error: ${err.message}`);
+  } finally {
+    checking = false;
+  }
+  return events;
+};
+
+/**
+ * 计提融资融券利息：按融资负债与融券市值及经过的时间计息
+ * @param {Object} prices 最新价格
+ * @param {Number} elapsedMs 距上次计息经过的模拟时间毫秒数
+ * @returns {Array} 本次被计息的用户 ID
+ */
+const accrueInterest = async (prices, elapsedMs) => {
+  const charged = [];
+  try {
+    const users = await db.getMarginUsers();
+    for (const user of users) {
+      const positions = await db.getPortfolio(user.id);
+      const { borrowed } = summarizeAccount(user, positions, prices);
+      const interest = Number((borrowed * MARGIN_CONFIG.annualInterestRate * elapsedMs / YEAR_MS).toFixed(4));
+      if (interest > 0) {
+        await db.chargeInterest(user.id, interest);
+        charged.push(user.id);
+      }
+    }
+  } catch (err) {
+    logger.error(`accrueInterest error: ${err.message}`);
+  }
+  return charged;
+};
+
+module.exports = {
+  MARGIN_CONFIG,
+  summarizeAccount,
+  enrichPositions,
+  getAccountSummary,
+  checkTrade,
+  checkMaintenance,
+  accrueInterest
+};
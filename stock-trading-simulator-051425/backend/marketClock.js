@@ -0,0 +1,248 @@
+/**
+ * stock-trading-simulator-051425/backend/marketClock.js
+ * 模拟市场时钟：统一提供模拟时间、交易日历 (周末与美股休市日) 及盘前、盘中、盘后交易时段
+ * 模拟时间可设置起点并按倍率加速，行情推送、K线换日、委托撮合与收盘快照均以此时钟为准
+ * 交易日历与交易时段按交易所当地时间计算：加载时将进程时区 (TZ) 设为交易所时区，
+ * 使本模块及K线日期、当日委托过期等按本地时间换算的逻辑与服务器所在时区无关
+ */
+
+const stockGen = require('./stockDataGenerator');
+
+// 交易所时区，可通过环境变量 MARKET_TIMEZONE 覆盖 (IANA 时区名)，无效时使用纽约时间
+const DEFAULT_TIMEZONE = 'America/New_York';
+const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+const EXCHANGE_TIMEZONE = isValidTimezone(process.env.MARKET_TIMEZONE) ? process.env.MARKET_TIMEZONE : DEFAULT_TIMEZONE;
+process.env.TZ = EXCHANGE_TIMEZONE;
+
+// 时钟配置，可通过环境变量覆盖
+// MARKET_CLOCK_START: 模拟时间起点 (如 2025-03-03T09:25:00，未带时区时按交易所时间)，缺省为服务启动时的真实时间
+// MARKET_CLOCK_ACCELERATION: 时间加速倍率，1 为与真实时间同步
+// MARKET_ALWAYS_OPEN: 为 true 时忽略交易日历，全天按盘中处理 (开发调试用)
+// MARKET_HOLIDAYS: 额外休市日 (逗号分隔的 YYYY-MM-DD)
+const CLOCK_CONFIG = {
+  timezone: EXCHANGE_TIMEZONE,
+  acceleration: Math.max(1, parseFloat(process.env.MARKET_CLOCK_ACCELERATION) || 1),
+  alwaysOpen: process.env.MARKET_ALWAYS_OPEN === 'true',
+  extraHolidays: (process.env.MARKET_HOLIDAYS || '').split(',').map(d => d.trim()).filter(Boolean)
+};
+
+const { openMinute, minutes: regularMinutes } = stockGen.INTRADAY_SESSION;
+
+// 交易时段 (自零点起的分钟数，左闭右开)，盘中时段与日内K线一致
+const MARKET_SESSIONS = [
+  { session: 'PRE_MARKET', label: '盘前', start: 4 * 60, end: openMinute },
+  { session: 'REGULAR', label: '盘中', start: openMinute, end: openMinute + regularMinutes },
+  { session: 'AFTER_HOURS', label: '盘后', start: openMinute + regularMinutes, end: 20 * 60 }
+];
+
+const CLOSED = { session: 'CLOSED', label: '休市' };
+
+const realEpoch = Date.now();
+const configuredStart = process.env.MARKET_CLOCK_START ? new Date(process.env.MARKET_CLOCK_START) : null;
+const simEpoch = configuredStart && !Number.isNaN(configuredStart.getTime()) ? configuredStart.getTime() : realEpoch;
+
+/**
+ * 当前模拟时间
+ */
+const now = () => new Date(simEpoch + (Date.now() - realEpoch) * CLOCK_CONFIG.acceleration);
+
+const minuteOfDay = (date) => date.getHours() * 60 + date.getMinutes();
+
+/**
+ * 指定日期某一分钟的时刻
+ */
+const atMinute = (dateStr, minute) => {
+  const date = stockGen.parseDate(dateStr);
+  date.setMinutes(minute);
+  return date;
+};
+
+/**
+ * 某月第 n 个星期几 (n 为 -1 时取最后一个)
+ * @param {Number} month 0-11
+ * @param {Number} weekday 0 (周日) - 6 (周六)
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = new Date(year, month, 1);
+    return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+  }
+  const last = new Date(year, month + 1, 0);
+  return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+};
+
+/**
+ * 复活节 (公历，匿名算法)
+ */
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * 固定日期假日的补休日：逢周六提前到周五，逢周日顺延到周一
+ */
+const observed = (date) => {
+  const result = new Date(date);
+  if (date.getDay() === 6) result.setDate(date.getDate() - 1);
+  if (date.getDay() === 0) result.setDate(date.getDate() + 1);
+  return result;
+};
+
+// 按年份缓存的休市日 { [year]: { [YYYY-MM-DD]: 名称 } }
+const holidayCache = {};
+
+/**
+ * 美股 (NYSE) 全天休市日
+ */
+const holidaysOf = (year) => {
+  if (holidayCache[year]) return holidayCache[year];
+  const goodFriday = easterSunday(year);
+  goodFriday.setDate(goodFriday.getDate() - 2);
+  const newYear = new Date(year, 0, 1);
+
+  const list = [
+    // 元旦逢周六时不在上一年最后一个交易日补休
+    [newYear.getDay() === 6 ? null : observed(newYear), '元旦'],
+    [nthWeekday(year, 0, 1, 3), '马丁·路德·金纪念日'],
+    [nthWeekday(year, 1, 1, 3), '总统日'],
+    [goodFriday, '耶稣受难日'],
+    [nthWeekday(year, 4, 1, -1), '阵亡将士纪念日'],
+    [year >= 2022 ? observed(new Date(year, 5, 19)) : null, '六月节'],
+    [observed(new Date(year, 6, 4)), '独立日'],
+    [nthWeekday(year, 8, 1, 1), '劳动节'],
+    [nthWeekday(year, 10, 4, 4), '感恩节'],
+    [observed(new Date(year, 11, 25)), '圣诞节']
+  ];
+  holidayCache[year] = list.reduce((acc, [date, name]) => {
+    if (date) acc[stockGen.formatDate(date)] = name;
+    return acc;
+  }, {});
+  CLOCK_CONFIG.extraHolidays
+    .filter(d => d.startsWith(`${year}-`))
+    .forEach(d => { holidayCache[year][d] = holidayCache[year][d] || '临时休市'; });
+  return holidayCache[year];
+};
+
+/**
+ * 休市日名称，非休市日返回 null
+ * @param {Date|String} date
+ */
+const getHoliday = (date) => {
+  const dateStr = typeof date === 'string' ? date : stockGen.formatDate(date);
+  return holidaysOf(Number(dateStr.slice(0, 4)))[dateStr] || null;
+};
+
+/**
+ * 是否为交易日 (非周末且非休市日)
+ * @param {Date|String} date
+ */
+const isTradingDay = (date) => {
+  const day = typeof date === 'string' ? stockGen.parseDate(date) : date;
+  if (day.getDay() === 0 || day.getDay() === 6) return false;
+  return !getHoliday(day);
+};
+
+/**
+ * 指定日期之后的下一个交易日 (YYYY-MM-DD)
+ */
+const nextTradingDay = (dateStr) => {
+  const date = stockGen.parseDate(dateStr);
+  do {
+    date.setDate(date.getDate() + 1);
+  } while (!isTradingDay(date));
+  return stockGen.formatDate(date);
+};
+
+/**
+ * 当前所处交易时段
+ * @param {Date} at 模拟时间
+ * @returns {Object} { session: 'PRE_MARKET'|'REGULAR'|'AFTER_HOURS'|'CLOSED', label }
+ */
+const getSession = (at = now()) => {
+  if (CLOCK_CONFIG.alwaysOpen) return MARKET_SESSIONS[1];
+  if (!isTradingDay(at)) return CLOSED;
+  const minute = minuteOfDay(at);
+  return MARKET_SESSIONS.find(s => minute >= s.start && minute < s.end) || CLOSED;
+};
+
+/**
+ * 下一次交易时段切换
+ * @returns {Object|null} { session 切换后的时段, at 切换时刻 }
+ */
+const nextTransition = (at) => {
+  if (CLOCK_CONFIG.alwaysOpen) return null;
+  const today = stockGen.formatDate(at);
+  if (isTradingDay(at)) {
+    const minute = minuteOfDay(at);
+    const boundary = MARKET_SESSIONS.map(s => s.start).concat([MARKET_SESSIONS[2].end]).find(b => b > minute);
+    if (boundary !== undefined) {
+      const next = MARKET_SESSIONS.find(s => s.start === boundary) || CLOSED;
+      return { session: next.session, at: atMinute(today, boundary) };
+    }
+  }
+  return { session: MARKET_SESSIONS[0].session, at: atMinute(nextTradingDay(today), MARKET_SESSIONS[0].start) };
+};
+
+/**
+ * 当前或下一个交易日的盘后结束时刻 (当日有效委托的过期时间)
+ * @param {Date} at 模拟时间
+ */
+const tradingDayEnd = (at = now()) => {
+  const today = stockGen.formatDate(at);
+  const close = MARKET_SESSIONS[2].end;
+  if (isTradingDay(at) && minuteOfDay(at) < close) return atMinute(today, close);
+  return atMinute(nextTradingDay(today), close);
+};
+
+/**
+ * 市场状态 (通过 market_status 事件推送)
+ * @returns {Object} { session, label, isOpen, holiday, time 模拟时间, nextSession, nextChangeAt, acceleration }
+ */
+const getStatus = (at = now()) => {
+  const { session, label } = getSession(at);
+  const transition = nextTransition(at);
+  return {
+    session,
+    label,
+    isOpen: session !== 'CLOSED',
+    holiday: getHoliday(at),
+    time: at.toISOString(),
+    nextSession: transition ? transition.session : null,
+    nextChangeAt: transition ? transition.at.toISOString() : null,
+    acceleration: CLOCK_CONFIG.acceleration
+  };
+};
+
+module.exports = {
+  CLOCK_CONFIG,
+  MARKET_SESSIONS,
+  now,
+  getHoliday,
+  isTradingDay,
+  nextTradingDay,
+  getSession,
+  tradingDayEnd,
+  getStatus
+};
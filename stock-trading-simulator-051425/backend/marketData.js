@@ -0,0 +1,500 @@
+/**
+ * stock-trading-simulator-051425/backend/marketData.js
+ * 行情数据模块：统一提供历史K线 (日线及 1m/5m/15m/1h 日内周期) 与当日实时K线
+ * 启动时从数据库加载已持久化的K线，缺失部分由种子生成器补齐并写回；
+ * 当日K线由实时 tick 聚合，跨日时收盘写入历史，保证图表、策略分析与回测看到同一份行情
+ * 历史日内K线由日K线确定性生成，当日日内K线由 tick 聚合的分钟线合成
+ * 导入了真实行情的股票：历史K线即导入数据，之后的交易日 (含当日实时行情) 按顺序回放导入数据的真实日内涨跌
+ * 日期与交易日均以 marketClock 的模拟时间及交易日历为准
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const stockGen = require('./stockDataGenerator');
+const marketClock = require('./marketClock');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 参考成交量取最近 N 个交易日的平均值
+const VOLUME_LOOKBACK = 20;
+
+// 报价附带的迷你走势图取最近 N 个交易日收盘价
+const SPARKLINE_DAYS = 30;
+
+// 内存缓存 { [symbol]: 按日期升序的已收盘日K线数组 (不含当日) }
+const historyCache = {};
+
+// 当日实时K线 { [symbol]: { date, open, high, low, close, volume } }
+const liveBars = {};
+
+// 当日由 tick 聚合的分钟K线 { [symbol]: [{ date: 'YYYY-MM-DD HH:mm', ... }] }
+const minuteBars = {};
+
+// 股票登记 { [symbol]: { symbol, name, basePrice, source: 'GENERATED'|'IMPORTED', importedLastDate } }
+const symbols = {};
+
+// 导入行情股票的真实日K线 (回放模板)，以及当日回放的目标K线与分钟路径
+const importedCandles = {};
+const replayTargets = {};
+
+// K线周期：minutes 每根K线的分钟数，defaultDays/maxDays 默认与最大回溯自然日 (限制日内数据量)
+const INTERVALS = {
+  '1m': { minutes: 1, defaultDays: 3, maxDays: 10 },
+  '5m': { minutes: 5, defaultDays: 10, maxDays: 30 },
+  '15m': { minutes: 15, defaultDays: 30, maxDays: 90 },
+  '1h': { minutes: 60, defaultDays: 90, maxDays: 180 },
+  '1d': { minutes: 24 * 60, defaultDays: 365, maxDays: Infinity }
+};
+
+/**
+ * 返回指定日期的下一个自然日 (YYYY-MM-DD)
+ */
+const nextDay = (dateStr) => {
+  const date = stockGen.parseDate(dateStr);
+  date.setDate(date.getDate() + 1);
+  return stockGen.formatDate(date);
+};
+
+const isImported = (symbol) => Boolean(symbols[symbol] && symbols[symbol].source === 'IMPORTED');
+
+/**
+ * 导入数据结束日之后、截至 date (含) 的交易日数
+ */
+const tradingDaysAfterImport = (symbol, date) => {
+  let count = 0;
+  const cursor = stockGen.parseDate(symbols[symbol].importedLastDate);
+  const target = stockGen.parseDate(date);
+  while (cursor < target) {
+    cursor.setDate(cursor.getDate() + 1);
+    if (marketClock.isTradingDay(cursor)) count++;
+  }
+  return count;
+};
+
+/**
+ * 导入数据结束后的第 N 个交易日按顺序回放第 N 根真实K线的相对涨跌 (循环使用)，
+ * 以前收盘价为基准缩放开高低收，成交量沿用原值
+ * @param {String} symbol 股票代码
+ * @param {Number} prevClose 前一交易日收盘价
+ * @param {String} date 目标交易日 YYYY-MM-DD
+ * @param {Number} index 导入数据结束日之后的交易日序号 (从 0 开始)，缺省按日期遍历日历计算
+ */
+const replayCandle = (symbol, prevClose, date, index = tradingDaysAfterImport(symbol, date) - 1) => {
+  const real = importedCandles[symbol];
+  const i = (Math.max(0, index) % (real.length - 1)) + 1;
+  const ratio = prevClose / real[i - 1].close;
+  return {
+    date,
+    open: Number((real[i].open * ratio).toFixed(2)),
+    high: Number((real[i].high * ratio).toFixed(2)),
+    low: Number((real[i].low * ratio).toFixed(2)),
+    close: Number((real[i].close * ratio).toFixed(2)),
+    volume: real[i].volume
+  };
+};
+
+/**
+ * 回放生成日期区间内的K线 (跳过非交易日)
+ * 交易日序号只在起始日计算一次，之后逐日递增，避免每根K线都从导入结束日重新遍历日历
+ */
+const replayHistory = (symbol, fromDate, toDate, prevClose) => {
+  const data = [];
+  let close = prevClose;
+  const endDate = stockGen.formatDate(toDate);
+  const cursor = stockGen.parseDate(fromDate);
+  let index = tradingDaysAfterImport(symbol, fromDate) - (marketClock.isTradingDay(cursor) ? 1 : 0);
+  while (stockGen.formatDate(cursor) <= endDate) {
+    if (marketClock.isTradingDay(cursor)) {
+      const candle = replayCandle(symbol, close, stockGen.formatDate(cursor), index++);
+      data.push(candle);
+      close = candle.close;
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return data;
+};
+
+/**
+ * 将单只股票的K线补齐到指定日期并持久化新增部分
+ * @returns {Array} 新增的K线
+ */
+const extendHistory = async (symbol, toDate) => {
+  const candles = historyCache[symbol] || [];
+  const last = candles[candles.length - 1];
+  let appended;
+  if (isImported(symbol)) {
+    appended = last ? replayHistory(symbol, nextDay(last.date), toDate, last.close) : [];
+  } else {
+    appended = last
+      ? stockGen.generateHistory(symbol, nextDay(last.date), toDate, last.close, marketClock.isTradingDay)
+      : stockGen.generateHistory(symbol, stockGen.HISTORY_START_DATE, toDate, null, marketClock.isTradingDay);
+  }
+
+  if (appended.length > 0) {
+    historyCache[symbol] = candles.concat(appended);
+    await db.savePriceHistory(symbol, appended);
+  }
+  return appended;
+};
+
+/**
+ * 以开盘价创建新的当日K线 (尚无成交)
+ */
+const openLiveBar = (date, price) => ({ date, open: price, high: price, low: price, close: price, volume: 0 });
+
+/**
+ * 开启新交易日：创建当日K线并清空分钟K线，导入行情的股票同时确定当日回放的目标K线与分钟路径
+ */
+const startLiveDay = (symbol, date, prevClose) => {
+  liveBars[symbol] = openLiveBar(date, prevClose);
+  minuteBars[symbol] = [];
+  if (isImported(symbol)) {
+    const candle = replayCandle(symbol, prevClose, date);
+    replayTargets[symbol] = { candle, path: stockGen.generateIntradayBars(symbol, candle) };
+  } else {
+    delete replayTargets[symbol];
+  }
+};
+
+/**
+ * 从数据库加载单只股票的历史K线，补齐到昨天并开启当日K线
+ * @returns {Object} { candles 历史K线数, generated 新增K线数, lastClose }
+ */
+const loadSymbol = async (symbol, now) => {
+  const today = stockGen.formatDate(now);
+  // 当日K线由实时行情聚合，丢弃库中已存在的当日及以后的数据
+  const stored = await db.getPriceHistory(symbol);
+  historyCache[symbol] = stored.filter(c => c.date < today);
+  if (isImported(symbol)) {
+    importedCandles[symbol] = historyCache[symbol].filter(c => c.date <= symbols[symbol].importedLastDate);
+  }
+  const appended = await extendHistory(symbol, yesterdayOf(now));
+  const candles = historyCache[symbol];
+  const lastClose = candles.length > 0 ? candles[candles.length - 1].close : symbols[symbol].basePrice;
+  startLiveDay(symbol, today, lastClose);
+  return { candles: candles.length, generated: appended.length, lastClose };
+};
+
+/**
+ * 加载股票登记：预置模拟股票 + 数据库中导入了真实行情的股票 (同代码时导入数据优先)
+ */
+const loadSymbols = async () => {
+  stockGen.STOCKS.forEach(stock => {
+    symbols[stock.symbol] = { symbol: stock.symbol, name: stock.name, basePrice: stock.basePrice, source: 'GENERATED' };
+  });
+  const imported = await db.getImportedSymbols();
+  imported.forEach(meta => {
+    const preset = symbols[meta.symbol];
+    symbols[meta.symbol] = {
+      symbol: meta.symbol,
+      name: meta.name,
+      basePrice: preset ? preset.basePrice : 0,
+      source: 'IMPORTED',
+      importedLastDate: meta.last_date
+    };
+  });
+};
+
+const yesterdayOf = (now) => {
+  const date = new Date(now);
+  date.setDate(date.getDate() - 1);
+  return date;
+};
+
+/**
+ * 初始化：加载全部股票的历史K线并补齐到昨天，以最后收盘价开启当日K线
+ */
+const initMarketData = async (now = marketClock.now()) => {
+  await loadSymbols();
+  for (const symbol of Object.keys(symbols)) {
+    const { candles, generated, lastClose } = await loadSymbol(symbol, now);
+    logger.info(`Market data ${symbol} [${symbols[symbol].source}]: ${candles} candles (${generated} generated), last close ${lastClose}`);
+  }
+};
+
+/**
+ * 导入真实行情后重新加载该股票：刷新登记信息、历史K线与当日K线
+ * @param {String} symbol 股票代码
+ */
+const reloadSymbol = async (symbol, now = marketClock.now()) => {
+  await loadSymbols();
+  if (!symbols[symbol]) return null;
+  const result = await loadSymbol(symbol, now);
+  logger.info(`Market data ${symbol} reloaded: ${result.candles} candles, last close ${result.lastClose}`);
+  return result;
+};
+
+/**
+ * 日内K线所属周期的起始时间标签：以交易时段开盘为基准按周期分桶
+ * @param {String} label 'YYYY-MM-DD HH:mm'
+ * @param {Number} minutes 周期分钟数
+ */
+const bucketLabel = (label, minutes) => {
+  const [date, time] = label.split(' ');
+  const [h, m] = time.split(':').map(Number);
+  const minuteOfDay = h * 60 + m;
+  const { openMinute } = stockGen.INTRADAY_SESSION;
+  const offset = (((minuteOfDay - openMinute) % minutes) + minutes) % minutes;
+  return `${date} ${stockGen.formatMinute(Math.max(0, minuteOfDay - offset))}`;
+};
+
+/**
+ * 将分钟K线合并为更大周期的K线
+ * @param {Array} bars 按时间升序的分钟K线
+ * @param {Number} minutes 目标周期分钟数
+ */
+const aggregateBars = (bars, minutes) => {
+  if (minutes === 1) return bars.map(b => ({ ...b }));
+  const result = [];
+  bars.forEach(bar => {
+    const date = bucketLabel(bar.date, minutes);
+    const last = result[result.length - 1];
+    if (last && last.date === date) {
+      last.high = Math.max(last.high, bar.high);
+      last.low = Math.min(last.low, bar.low);
+      last.close = bar.close;
+      last.volume += bar.volume;
+    } else {
+      result.push({ ...bar, date });
+    }
+  });
+  return result;
+};
+
+/**
+ * 将实时 tick 聚合进当日K线及当前分钟K线
+ * @param {String} symbol 股票代码
+ * @param {Number} price 最新成交价
+ * @param {Number} volume 本次 tick 成交量
+ * @param {Date} now tick 时间
+ * @returns {Object|null} 更新后的当日K线
+ */
+const applyTick = (symbol, price, volume = 0, now = marketClock.now()) => {
+  const bar = liveBars[symbol];
+  if (!bar) return null;
+  bar.high = Math.max(bar.high, price);
+  bar.low = Math.min(bar.low, price);
+  bar.close = price;
+  bar.volume += volume;
+
+  const minuteLabel = `${bar.date} ${stockGen.formatMinute(now.getHours() * 60 + now.getMinutes())}`;
+  const minutes = minuteBars[symbol];
+  const current = minutes[minutes.length - 1];
+  if (current && current.date === minuteLabel) {
+    current.high = Math.max(current.high, price);
+    current.low = Math.min(current.low, price);
+    current.close = price;
+    current.volume += volume;
+  } else {
+    minutes.push({ date: minuteLabel, open: price, high: price, low: price, close: price, volume });
+  }
+  return { ...bar };
+};
+
+/**
+ * 获取全部股票当前所处的日内周期K线 { [symbol]: { '1m': bar, '5m': bar, ... } }
+ */
+const getIntradayLiveBars = () => Object.keys(minuteBars).reduce((acc, symbol) => {
+  const minutes = minuteBars[symbol];
+  if (minutes.length === 0) return acc;
+  const last = minutes[minutes.length - 1];
+  acc[symbol] = {};
+  Object.entries(INTERVALS).forEach(([interval, { minutes: size }]) => {
+    if (interval === '1d') return;
+    const bucket = bucketLabel(last.date, size);
+    const [bar] = aggregateBars(minutes.filter(m => bucketLabel(m.date, size) === bucket), size);
+    acc[symbol][interval] = bar;
+  });
+  return acc;
+}, {});
+
+/**
+ * 生成股票的下一个实时价格
+ * 导入行情的股票沿当日回放目标K线的分钟路径推进 (开盘前为开盘价，收盘后为收盘价)，
+ * 其余股票按随机漫步生成
+ * @param {String} symbol 股票代码
+ * @param {Number} lastPrice 上一次价格
+ * @param {Date} now tick 时间
+ */
+const nextTickPrice = (symbol, lastPrice, now = marketClock.now()) => {
+  const replay = replayTargets[symbol];
+  if (!replay) return stockGen.generateRealtimeTick(lastPrice, symbol);
+
+  const { openMinute, minutes } = stockGen.INTRADAY_SESSION;
+  const elapsed = now.getHours() * 60 + now.getMinutes() - openMinute;
+  if (elapsed < 0) return replay.candle.open;
+  if (elapsed >= minutes) return replay.candle.close;
+  // 分钟K线内按秒线性插值
+  const bar = replay.path[elapsed];
+  const fraction = now.getSeconds() / 60;
+  return Number((bar.open + (bar.close - bar.open) * fraction).toFixed(2));
+};
+
+/** 全部股票代码 */
+const getSymbols = () => Object.keys(symbols);
+
+/**
+ * 股票列表 (含数据来源与最新价)
+ * @returns {Array} [{ symbol, name, price, source: 'GENERATED'|'IMPORTED' }]
+ */
+const getStockList = () => Object.values(symbols).map(s => ({
+  symbol: s.symbol,
+  name: s.name,
+  price: getLastPrice(s.symbol) || s.basePrice,
+  source: s.source
+}));
+
+/** 获取全部股票的当日实时K线 { [symbol]: bar } */
+const getLiveBars = () => Object.keys(liveBars).reduce((acc, symbol) => {
+  acc[symbol] = { ...liveBars[symbol] };
+  return acc;
+}, {});
+
+/** 获取最新价格 (当日K线收盘价) */
+const getLastPrice = (symbol) => (liveBars[symbol] ? liveBars[symbol].close : null);
+
+let rolling = false;
+
+/**
+ * 交易日切换：日期变化后将当日K线收盘写入历史 (无成交则丢弃)，
+ * 停机期间缺失的交易日由种子生成器补齐，并开启新的当日K线
+ * @returns {Object} 新增的历史K线 { [symbol]: candle[] }，无变化时为空对象
+ */
+const rollover = async (now = marketClock.now()) => {
+  // 上一次追加尚未写入完成时跳过，避免重复生成
+  if (rolling) return {};
+  rolling = true;
+
+  const today = stockGen.formatDate(now);
+  const appendedBySymbol = {};
+  try {
+    for (const symbol of Object.keys(liveBars)) {
+      const live = liveBars[symbol];
+      if (live.date >= today) continue;
+
+      const closed = [];
+      if (live.volume > 0) {
+        historyCache[symbol] = historyCache[symbol].concat([{ ...live }]);
+        await db.savePriceHistory(symbol, [{ ...live }]);
+        closed.push({ ...live });
+      }
+      const generated = await extendHistory(symbol, yesterdayOf(now));
+      const candles = historyCache[symbol];
+      // 无补齐数据时延续上一根实时K线的价格，避免价格跳变
+      const openPrice = generated.length > 0 ? candles[candles.length - 1].close : live.close;
+      startLiveDay(symbol, today, openPrice);
+
+      if (closed.length + generated.length > 0) appendedBySymbol[symbol] = closed.concat(generated);
+    }
+  } catch (err) {
+    logger.error(`Market data rollover error: ${err.message}`);
+  } finally {
+    rolling = false;
+  }
+  return appendedBySymbol;
+};
+
+/**
+ * 获取最近若干自然日内的K线，末尾附带当日由实时行情聚合的K线
+ * @param {String} symbol 股票代码
+ * @param {Number} days 回溯天数，缺省取周期默认值，日内周期不超过最大回溯天数
+ * @param {String} interval K线周期 '1m' | '5m' | '15m' | '1h' | '1d'
+ */
+const getHistory = (symbol, days, interval = '1d') => {
+  const config = INTERVALS[interval];
+  if (!config) return [];
+
+  const candles = historyCache[symbol] || [];
+  const start = marketClock.now();
+  start.setDate(start.getDate() - Math.min(days || config.defaultDays, config.maxDays));
+  const startDate = stockGen.formatDate(start);
+  const daily = candles.filter(c => c.date >= startDate);
+
+  if (interval === '1d') {
+    const live = liveBars[symbol];
+    if (live && live.volume > 0) daily.push({ ...live });
+    return daily;
+  }
+
+  const intraday = daily.flatMap(c => stockGen.generateIntradayBars(symbol, c));
+  return aggregateBars(intraday.concat(minuteBars[symbol] || []), config.minutes);
+};
+
+/**
+ * 获取已收盘的历史日K线 (不含当日实时K线)
+ * @param {String} symbol 股票代码
+ * @param {String} fromDate 起始日期 YYYY-MM-DD (含)，缺省返回全部
+ */
+const getDailyHistory = (symbol, fromDate) =>
+  (historyCache[symbol] || []).filter(c => !fromDate || c.date >= fromDate);
+
+/**
+ * 股票报价：最新价、相对前收盘的涨跌、当日开高低与成交量，以及近期收盘价走势 (迷你走势图，末尾为最新价)
+ * @param {String} symbol 股票代码
+ * @param {Number} price 最新价，缺省取当日K线收盘价
+ * @returns {Object|null}
+ */
+const getQuote = (symbol, price) => {
+  const meta = symbols[symbol];
+  if (!meta) return null;
+  const history = historyCache[symbol] || [];
+  const live = liveBars[symbol];
+  const last = price || getLastPrice(symbol) || meta.basePrice;
+  const prevClose = history.length > 0 ? history[history.length - 1].close : (live ? live.open : last);
+  const change = last - prevClose;
+  return {
+    symbol,
+    name: meta.name,
+    source: meta.source,
+    price: last,
+    prevClose,
+    change: Number(change.toFixed(2)),
+    changePercent: Number((change / prevClose * 100).toFixed(2)),
+    open: live ? live.open : last,
+    high: live ? Math.max(live.high, last) : last,
+    low: live ? Math.min(live.low, last) : last,
+    volume: live ? live.volume : 0,
+    sparkline: history.slice(-SPARKLINE_DAYS).map(c => c.close).concat([last])
+  };
+};
+
+/**
+ * 参考日成交量 (最近交易日平均成交量，用于滑点估算)
+ * @param {String} symbol 股票代码
+ */
+const getReferenceVolume = (symbol) => {
+  const recent = (historyCache[symbol] || []).slice(-VOLUME_LOOKBACK);
+  if (recent.length === 0) return stockGen.getReferenceVolume(symbol);
+  return Math.round(recent.reduce((sum, c) => sum + c.volume, 0) / recent.length);
+};
+
+/**
+ * 周期对应的年化K线数 (日线 252 个交易日，日内按交易时段折算)
+ * @param {String} interval K线周期
+ */
+const getPeriodsPerYear = (interval = '1d') => {
+  const config = INTERVALS[interval];
+  if (!config || interval === '1d') return 252;
+  return 252 * Math.ceil(stockGen.INTRADAY_SESSION.minutes / config.minutes);
+};
+
+module.exports = {
+  INTERVALS,
+  initMarketData,
+  reloadSymbol,
+  getSymbols,
+  getStockList,
+  nextTickPrice,
+  applyTick,
+  getLiveBars,
+  getIntradayLiveBars,
+  getLastPrice,
+  getQuote,
+  rollover,
+  getHistory,
+  getDailyHistory,
+  getPeriodsPerYear,
+  getReferenceVolume
+};
@@ -0,0 +1,297 @@
+/**
+ * stock-trading-simulator-051425/backend/optimizer.js
+ * 策略参数优化模块：在参数区间内做网格搜索或随机搜索，每组参数运行一次回测，按目标指标排序
+ * 计算在 worker_threads 工作线程中进行，不阻塞 Express 事件循环；进度与结果经 userChannel 推送给任务所属用户
+ * 任务仅保存在内存中，服务重启后失效
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const winston = require('winston');
+const marketData = require('./marketData');
+const strategyEngine = require('./strategyEngine');
+const backtester = require('./backtester');
+const userChannel = require('./userChannel');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 优化目标：key 为回测指标字段，order 为排序方向，requiresTrades 为 true 时没有完成交易的组合不参与排名
+// (从不交易的组合回撤恒为 0，按最大回撤升序会全部排在最前)
+const OBJECTIVES = {
+  SHARPE: { label: '夏普比率', key: 'sharpeRatio', order: 'desc' },
+  RETURN: { label: '总收益率', key: 'totalReturn', order: 'desc' },
+  DRAWDOWN: { label: '最大回撤', key: 'maxDrawdown', order: 'asc', requiresTrades: true }
+};
+const METHODS = ['GRID', 'RANDOM'];
+
+const MAX_GRID_COMBINATIONS = 2000;
+const MAX_RANDOM_BUDGET = 500;
+const DEFAULT_RANDOM_BUDGET = 100;
+const MAX_RESULTS = 50;
+const MAX_JOBS_PER_USER = 5;
+
+// 优化任务 { [id]: job }
+const jobs = {};
+
+/**
+ * 任务概要 (结果仅在完成后返回)
+ */
+const serialize = (job) => ({
+  id: job.id,
+  symbol: job.symbol,
+  strategyType: job.strategyType,
+  strategyName: job.strategyName,
+  interval: job.interval,
+  objective: job.objective,
+  method: job.method,
+  status: job.status,
+  total: job.combinations.length,
+  completed: job.completed,
+  skipped: job.skipped,
+  unranked: job.unranked,
+  results: job.results,
+  error: job.error,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * 按参数定义校验区间；未给出区间的参数固定为 fixed 中的值或默认值
+ * 只计算各参数的取值个数，取值在抽取组合时按序号生成，网格过大时不会先展开
+ * @param {Array} schemas 策略参数定义
+ * @param {Object} ranges { [key]: { min, max, step } }，步长不小于参数定义的步长
+ * @param {Object} fixed 固定参数
+ * @returns {Array} [{ key, min, step, count }]
+ */
+const expandRanges = (schemas, ranges = {}, fixed = {}) => {
+  const axes = schemas.map(schema => {
+    const range = ranges[schema.key];
+    if (!range) return { key: schema.key, min: fixed[schema.key] ?? schema.default, step: 0, count: 1 };
+
+    const min = Number(range.min);
+    const max = Number(range.max);
+    const step = Number(range.step);
+    if (![min, max, step].every(Number.isFinite)) throw new Error(`参数 ${schema.label} 的区间格式错误`);
+    if (min < schema.min || max > schema.max || min > max) {
+      throw new Error(`参数 ${schema.label} 的区间须在 [${schema.min}, ${schema.max}] 内且下限不大于上限`);
+    }
+    const minStep = schema.step || 1;
+    if (!(step >= minStep)) throw new Error(`参数 ${schema.label} 的步长不能小于 ${minStep}`);
+    if (schema.type === 'integer' && ![min, max, step].every(Number.isInteger)) throw new Error(`参数 ${schema.label} 的区间须为整数`);
+
+    const count = Math.floor(Number(((max - min) / step).toFixed(6))) + 1;
+    return { key: schema.key, min, step, count };
+  });
+  if (!axes.some(axis => axis.count > 1)) throw new Error('请至少为一个参数设置取值区间');
+  return axes;
+};
+
+/**
+ * 按序号取网格中的参数组合 (各参数取值按混合进制展开)
+ */
+const combinationAt = (axes, index) => {
+  const params = {};
+  let rest = index;
+  axes.forEach(({ key, min, step, count }) => {
+    // 固定参数原样传给策略，由策略自行校验
+    params[key] = count > 1 ? Number((min + (rest % count) * step).toFixed(6)) : min;
+    rest = Math.floor(rest / count);
+  });
+  return params;
+};
+
+/**
+ * 生成待回测的参数组合：网格搜索取全部组合，随机搜索在网格中不重复抽取 budget 组
+ */
+const buildCombinations = (axes, method, budget) => {
+  const gridSize = axes.reduce((size, axis) => size * axis.count, 1);
+  if (method === 'GRID') {
+    if (gridSize > MAX_GRID_COMBINATIONS) {
+      throw new Error(`网格共 ${gridSize} 组参数，超过上限 ${MAX_GRID_COMBINATIONS}，请缩小区间、增大步长或改用随机搜索`);
+    }
+    return Array.from({ length: gridSize }, (_, i) => combinationAt(axes, i));
+  }
+
+  if (gridSize <= budget) return Array.from({ length: gridSize }, (_, i) => combinationAt(axes, i));
+  const picked = new Set();
+  while (picked.size < budget) picked.add(Math.floor(Math.random() * gridSize));
+  return [...picked].map(i => combinationAt(axes, i));
+};
+
+/** 回测结果能否参与该目标的排名 */
+const isRankable = (result, objective) => !OBJECTIVES[objective].requiresTrades || result.metrics.tradeCount > 0;
+
+/**
+ * 按目标指标排序，取前 MAX_RESULTS 组 (目标相同时按总收益率)
+ */
+const rankResults = (results, objective) => {
+  const { key, order } = OBJECTIVES[objective];
+  const direction = order === 'asc' ? 1 : -1;
+  return results
+    .filter(result => isRankable(result, objective))
+    .sort((a, b) => (a.metrics[key] - b.metrics[key]) * direction || b.metrics.totalReturn - a.metrics.totalReturn)
+    .slice(0, MAX_RESULTS)
+    .map((result, i) => ({ rank: i + 1, ...result }));
+};
+
+const finishJob = (job, status, fields = {}) => {
+  if (job.status !== 'RUNNING') return;
+  Object.assign(job, { status, finishedAt: new Date().toISOString(), worker: null, ...fields });
+  logger.info(`Optimization ${job.id} ${status}: ${job.completed}/${job.combinations.length}`);
+  userChannel.publishOptimization(job.userId, 'optimize_complete', serialize(job));
+};
+
+// 每个用户仅保留最近的若干个已结束任务
+const pruneJobs = (userId) => {
+  const finished = Object.values(jobs)
+    .filter(j => String(j.userId) === String(userId) && j.status !== 'RUNNING')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  finished.slice(0, Math.max(0, finished.length - MAX_JOBS_PER_USER + 1)).forEach(j => delete jobs[j.id]);
+};
+
+/**
+ * 创建参数优化任务并在工作线程中开始计算
+ * @param {Number} userId
+ * @param {Object} request { symbol, strategyType, interval, days, ranges: { [参数]: { min, max, step } }, params 固定参数,
+ *   objective: 'SHARPE'|'RETURN'|'DRAWDOWN', method: 'GRID'|'RANDOM', budget 随机搜索组数, initialCapital, positionSize }
+ * @returns {Object} 任务概要
+ */
+const startOptimization = (userId, request = {}) => {
+  const symbol = String(request.symbol || '').toUpperCase();
+  if (!marketData.getSymbols().includes(symbol)) throw new Error('未知的股票代码');
+  const strategyType = request.strategyType;
+  const definition = strategyEngine.STRATEGY_DEFINITIONS[strategyType];
+  if (!definition) throw new Error('仅支持对内置策略进行参数优化');
+  const interval = request.interval || '1d';
+  if (!marketData.INTERVALS[interval]) throw new Error('不支持的K线周期');
+  const objective = String(request.objective || 'SHARPE').toUpperCase();
+  if (!OBJECTIVES[objective]) throw new Error('不支持的优化目标');
+  const method = String(request.method || 'GRID').toUpperCase();
+  if (!METHODS.includes(method)) throw new Error('不支持的搜索方式');
+  const budget = request.budget === undefined ? DEFAULT_RANDOM_BUDGET : parseInt(request.budget);
+  if (method === 'RANDOM' && !(budget >= 1 && budget <= MAX_RANDOM_BUDGET)) throw new Error(`随机搜索组数须在 1-${MAX_RANDOM_BUDGET} 之间`);
+
+  const running = Object.values(jobs).find(j => String(j.userId) === String(userId) && j.status === 'RUNNING');
+  if (running) throw new Error('已有进行中的优化任务，请等待完成或取消后再试');
+
+  const axes = expandRanges(definition.params, request.ranges, request.params);
+  const combinations = buildCombinations(axes, method, budget);
+
+  const history = marketData.getHistory(symbol, parseInt(request.days), interval);
+  const options = {
+    initialCapital: backtester.parseOption(request.initialCapital),
+    positionSize: backtester.parseOption(request.positionSize),
+    periodsPerYear: marketData.getPeriodsPerYear(interval)
+  };
+  // 先以空信号试运行一次，回测选项或数据有误时直接报错，避免每组参数都失败
+  const check = backtester.runBacktest(history, [], options);
+  if (check.error) throw new Error(check.error);
+
+  pruneJobs(userId);
+  const job = {
+    id: crypto.randomUUID(),
+    userId,
+    symbol,
+    strategyType,
+    strategyName: definition.name,
+    interval,
+    objective,
+    method,
+    combinations,
+    status: 'RUNNING',
+    completed: 0,
+    skipped: 0,
+    unranked: 0,
+    results: null,
+    error: null,
+    worker: null,
+    createdAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  jobs[job.id] = job;
+
+  const worker = new Worker(path.join(__dirname, 'optimizerWorker.js'), {
+    workerData: {
+      history,
+      strategyType,
+      combinations,
+      options
+    }
+  });
+  job.worker = worker;
+
+  worker.on('message', (msg) => {
+    if (job.status !== 'RUNNING') return;
+    if (msg.type === 'progress') {
+      job.completed = msg.completed;
+      userChannel.publishOptimization(job.userId, 'optimize_progress', {
+        id: job.id,
+        completed: job.completed,
+        total: job.combinations.length
+      });
+    } else if (msg.type === 'done') {
+      finishJob(job, 'COMPLETED', {
+        skipped: msg.skipped,
+        unranked: msg.results.filter(result => !isRankable(result, job.objective)).length,
+        results: rankResults(msg.results, job.objective)
+      });
+    }
+  });
+  worker.on('error', (err) => {
+    logger.error(`Optimization ${job.id} error: ${err.message}`);
+    finishJob(job, 'FAILED', { error: '参数优化计算失败' });
+  });
+  worker.on('exit', (code) => {
+    if (code !== 0) finishJob(job, 'FAILED', { error: '参数优化计算异常退出' });
+  });
+
+  logger.info(`Optimization ${job.id} started: ${symbol} ${strategyType} ${method} ${combinations.length} combinations`);
+  return serialize(job);
+};
+
+const getOwnJob = (userId, jobId) => {
+  const job = jobs[jobId];
+  if (!job || String(job.userId) !== String(userId)) throw new Error('优化任务不存在');
+  return job;
+};
+
+/**
+ * 查询优化任务 (客户端重连后用于恢复进度或获取结果)
+ */
+const getOptimization = (userId, jobId) => serialize(getOwnJob(userId, jobId));
+
+/**
+ * 取消进行中的优化任务
+ */
+const cancelOptimization = async (userId, jobId) => {
+  const job = getOwnJob(userId, jobId);
+  if (job.status !== 'RUNNING') throw new Error('任务已结束');
+  const { worker } = job;
+  finishJob(job, 'CANCELLED');
+  await worker.terminate();
+  return serialize(job);
+};
+
+/**
+ * 优化目标与搜索上限 (供前端表单使用)
+ */
+const getOptimizerOptions = () => ({
+  objectives: Object.entries(OBJECTIVES).map(([key, { label }]) => ({ key, label })),
+  maxGridCombinations: MAX_GRID_COMBINATIONS,
+  maxRandomBudget: MAX_RANDOM_BUDGET
+});
+
+module.exports = {
+  OBJECTIVES,
+  MAX_GRID_COMBINATIONS,
+  expandRanges,
+  buildCombinations,
+  rankResults,
+  getOptimizerOptions,
+  startOptimization,
+  getOptimization,
+  cancelOptimization
+};
@@ -0,0 +1,37 @@
+/**
+ * stock-trading-simulator-051425/backend/optimizerWorker.js
+ * 参数优化工作线程：对每组参数运行策略与回测，定期回报进度，结束时返回全部回测指标
+ * workerData: { history K线数据, strategyType, combinations 参数组合数组, options 回测选项 }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const strategyEngine = require('./strategyEngine');
+const backtester = require('./backtester');
+
+const { history, strategyType, combinations, options } = workerData;
+
+// 约每完成 5% 回报一次进度
+const reportEvery = Math.max(1, Math.floor(combinations.length / 20));
+const results = [];
+let skipped = 0;
+
+combinations.forEach((params, i) => {
+  const strategy = strategyEngine.runStrategy(history, strategyType, params);
+  const result = strategy.error ? strategy : backtester.runBacktest(history, strategy.signals, options);
+  if (result.error) {
+    // 不满足参数约束 (如快线周期不小于慢线周期) 的组合跳过
+    skipped++;
+  } else {
+    results.push({
+      params: strategy.params,
+      metrics: result.metrics,
+      excessReturn: result.excessReturn,
+      finalEquity: result.finalEquity
+    });
+  }
+  if ((i + 1) % reportEvery === 0 || i === combinations.length - 1) {
+    parentPort.postMessage({ type: 'progress', completed: i + 1 });
+  }
+});
+
+parentPort.postMessage({ type: 'done', results, skipped });
@@ -0,0 +1,351 @@
+/**
+ * stock-trading-simulator-051425/backend/orderEngine.js
+ * 委托撮合模块：限价单、止损单、止损限价单的挂单管理与撮合
+ * 由 server.js 的行情 tick 循环驱动，价格穿越触发价时成交
+ * 复盘回放会话内的委托 (replay_session_id 非空) 由 replayEngine 以回放价格与回放时间单独撮合，成交记入会话的模拟账户 (replayAccount)
+ * 实时行情按 marketClock 的交易时段撮合：盘中全部委托类型，盘前盘后仅限价单，休市时挂单排队等待开盘
+ * 委托状态变化与成交经 userChannel 推送给委托所属用户
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const feeModel = require('./feeModel');
+const marketData = require('./marketData');
+const marginEngine = require('./marginEngine');
+const marketClock = require('./marketClock');
+const userChannel = require('./userChannel');
+const replayAccount = require('./replayAccount');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+const TIME_IN_FORCE = ['DAY', 'GTC'];
+const SIDES = ['BUY', 'SELL'];
+
+// 市价单默认最大滑点容忍度 (1%，可设置为 0 表示不容忍滑点)，客户端可在上限内自行指定
+const DEFAULT_MAX_SLIPPAGE = feeModel.envNonNegative('MAX_SLIPPAGE', 0.01);
+const MAX_SLIPPAGE_LIMIT = 0.1;
+
+/**
+ * 当天本地时间 23:59:59.999
+ */
+const endOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d.toISOString();
+};
+
+/**
+ * 当日有效(DAY)委托的过期时间：实时行情为当前 (休市时为下一个) 交易日盘后结束，回放会话为回放当天结束
+ * @param {String} replaySessionId 所属回放会话
+ * @param {Date} now 回放时间 (实时行情取模拟时钟)
+ */
+const dayOrderExpiry = (replaySessionId, now) =>
+  (replaySessionId ? endOfDay(now) : marketClock.tradingDayEnd().toISOString());
+
+const toPositivePrice = (value) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num > 0 ? Number(num.toFixed(2)) : null;
+};
+
+/**
+ * 校验并规范化挂单参数
+ * @param {Object} params { symbol, side, orderType, quantity, limitPrice, stopPrice, timeInForce }
+ * @returns {Object} 规范化后的委托参数，校验失败时抛出异常
+ */
+const normalizeOrder = (params) => {
+  const symbol = String(params.symbol || '').toUpperCase();
+  const side = String(params.side || '').toUpperCase();
+  const orderType = String(params.orderType || 'LIMIT').toUpperCase();
+  const timeInForce = String(params.timeInForce || 'DAY').toUpperCase();
+  const quantity = parseInt(params.quantity);
+
+  if (!symbol) throw new Error('缺少股票代码');
+  if (!marketData.getSymbols().includes(symbol)) throw new Error('未知的股票代码');
+  if (!SIDES.includes(side)) throw new Error('无效的交易方向');
+  if (!ORDER_TYPES.includes(orderType) || orderType === 'MARKET') throw new Error('无效的委托类型');
+  if (!TIME_IN_FORCE.includes(timeInForce)) throw new Error('无效的委托有效期');
+  if (!Number.isInteger(quantity) || quantity <= 0) throw new Error('委托数量必须为正整数');
+
+  const limitPrice = toPositivePrice(params.limitPrice);
+  const stopPrice = toPositivePrice(params.stopPrice);
+  if ((orderType === 'LIMIT' || orderType === 'STOP_LIMIT') && !limitPrice) throw new Error('缺少有效的限价');
+  if ((orderType === 'STOP' || orderType === 'STOP_LIMIT') && !stopPrice) throw new Error('缺少有效的止损触发价');
+
+  return {
+    symbol,
+    side,
+    orderType,
+    quantity,
+    limitPrice: orderType === 'STOP' ? null : limitPrice,
+    stopPrice: orderType === 'LIMIT' ? null : stopPrice,
+    timeInForce
+  };
+};
+
+/**
+ * 市价单成交价校验：一律以服务端最新价成交，客户端报价仅作为最大滑点保护
+ * 买入时市价高于报价、卖出时市价低于报价且超出容忍度则拒绝交易
+ * @param {Object} params { side, marketPrice, clientPrice, maxSlippage }
+ */
+const assertWithinSlippage = ({ side, marketPrice, clientPrice, maxSlippage }) => {
+  const reference = parseFloat(clientPrice);
+  if (!Number.isFinite(reference) || reference <= 0) return;
+
+  let tolerance = parseFloat(maxSlippage);
+  if (!Number.isFinite(tolerance) || tolerance < 0) tolerance = DEFAULT_MAX_SLIPPAGE;
+  tolerance = Math.min(tolerance, MAX_SLIPPAGE_LIMIT);
+
+  const deviation = side === 'BUY'
+    ? (marketPrice - reference) / reference
+    : (reference - marketPrice) / reference;
+
+  if (deviation > tolerance) {
+    throw new Error(
+      `行情已变动：当前成交价 $${marketPrice.toFixed(2)} 偏离报价 $${reference.toFixed(2)} ` +
+      `超过 ${(tolerance * 100).toFixed(2)}% 的滑点容忍范围，交易已拒绝`
+    );
+  }
+};
+
+/**
+ * 市价单交易时段校验：仅盘中可即时成交，盘前盘后及休市时拒绝 (可改用限价单)
+ * @param {Object} status 市场状态 (marketClock.getStatus)
+ */
+const assertMarketOrderSession = (status) => {
+  if (status.session === 'REGULAR') return;
+  if (status.session === 'CLOSED') {
+    throw new Error(`${status.holiday ? `${status.holiday}休市` : '当前休市'}，市价单无法成交，可提交限价单待开盘后撮合`);
+  }
+  throw new Error(`${status.label}时段仅接受限价单`);
+};
+
+/**
+ * 按市价成交：计算滑点与费用，保证金账户在成交前的同一串行区间内校验保证金与授信额度
+ * 回放会话内的成交只记入会话的模拟账户，不触及真实账户
+ * @param {Number} userId
+ * @param {String} symbol
+ * @param {String} side 'BUY' | 'SELL'
+ * @param {Number} quantity
+ * @param {Number} marketPrice 服务端最新价
+ * @param {Object} options { latestPrices 全部最新价格 (保证金估值用), limitPrice 限价保护, replaySessionId 所属回放会话,
+ *   now 回放时间, orderId 来源委托 }
+ */
+const executeMarketTrade = async (userId, symbol, side, quantity, marketPrice,
+  { latestPrices = {}, limitPrice = null, replaySessionId = null, now, orderId = null } = {}) => {
+  const quote = feeModel.quoteTrade({
+    side,
+    marketPrice,
+    quantity,
+    volume: marketData.getReferenceVolume(symbol),
+    limitPrice
+  });
+  if (replaySessionId) {
+    const result = replayAccount.executeTrade(replaySessionId, symbol, side, quote.price, quantity, quote, now);
+    return { ...result, fees: quote };
+  }
+  // 保证金校验与成交在同一串行区间内，并发委托不会基于同一账户快照各自通过校验
+  const result = await db.executeTrade(userId, symbol, side, quote.price, quantity, quote, {
+    beforeTrade: () => marginEngine.checkTrade(userId, symbol, side, quantity, quote, latestPrices)
+  });
+  await userChannel.publishExecution(userId, { transaction: result.transaction, fees: quote, orderId });
+  return { ...result, fees: quote };
+};
+
+/**
+ * 更新委托并推送给委托所属用户
+ */
+const saveOrder = async (orderId, fields) => userChannel.publishOrder(await db.updateOrder(orderId, fields));
+
+/**
+ * 提交挂单
+ * @param {Number} userId
+ * @param {Object} params 委托参数
+ * @param {Object} options { replaySessionId 所属回放会话, now 回放时间，用于计算当日委托过期时间 }
+ */
+const placeOrder = async (userId, params, { replaySessionId = null, now } = {}) => {
+  const order = normalizeOrder(params);
+  const created = await db.createOrder({
+    ...order,
+    userId,
+    replaySessionId,
+    expiresAt: order.timeInForce === 'DAY' ? dayOrderExpiry(replaySessionId, now) : null
+  });
+  return userChannel.publishOrder(created);
+};
+
+const getOwnOpenOrder = async (userId, orderId) => {
+  const order = await db.getOrderById(orderId);
+  if (!order || String(order.user_id) !== String(userId)) throw new Error('委托不存在');
+  if (!db.OPEN_ORDER_STATUSES.includes(order.status)) throw new Error('委托已结束，无法修改或撤销');
+  return order;
+};
+
+/**
+ * 修改未成交委托 (数量、限价、触发价、有效期)
+ * @param {Number} userId
+ * @param {Number} orderId
+ * @param {Object} changes { quantity, limitPrice, stopPrice, timeInForce }
+ * @param {Object} options { now 回放时间，回放委托改为当日有效时用于计算过期时间 }
+ */
+const amendOrder = async (userId, orderId, changes, { now } = {}) => {
+  const order = await getOwnOpenOrder(userId, orderId);
+  const merged = normalizeOrder({
+    symbol: order.symbol,
+    side: order.side,
+    orderType: order.order_type,
+    quantity: changes.quantity ?? order.quantity,
+    limitPrice: changes.limitPrice ?? order.limit_price,
+    stopPrice: changes.stopPrice ?? order.stop_price,
+    timeInForce: changes.timeInForce ?? order.time_in_force
+  });
+
+  let expiresAt = order.expires_at;
+  if (merged.timeInForce !== order.time_in_force) {
+    expiresAt = merged.timeInForce === 'DAY' ? dayOrderExpiry(order.replay_session_id, now) : null;
+  }
+
+  return saveOrder(order.id, {
+    quantity: merged.quantity,
+    limit_price: merged.limitPrice,
+    stop_price: merged.stopPrice,
+    time_in_force: merged.timeInForce,
+    expires_at: expiresAt
+  });
+};
+
+/**
+ * 撤销未成交委托
+ */
+const cancelOrder = async (userId, orderId) => {
+  const order = await getOwnOpenOrder(userId, orderId);
+  return saveOrder(order.id, { status: 'CANCELLED', reason: '用户撤单' });
+};
+
+/**
+ * 判断委托在当前价格下的动作
+ * @returns {String|null} 'FILL' 成交 | 'TRIGGER' 止损限价单触发 | null 继续等待
+ */
+const evaluateOrder = (order, price) => {
+  const isBuy = order.side === 'BUY';
+  const limitReached = order.limit_price !== null &&
+    (isBuy ? price <= order.limit_price : price >= order.limit_price);
+  const stopReached = order.stop_price !== null &&
+    (isBuy ? price >= order.stop_price : price <= order.stop_price);
+
+  switch (order.order_type) {
+    case 'LIMIT':
+      return limitReached ? 'FILL' : null;
+    case 'STOP':
+      return stopReached ? 'FILL' : null;
+    case 'STOP_LIMIT':
+      if (order.status === 'TRIGGERED') return limitReached ? 'FILL' : null;
+      if (!stopReached) return null;
+      return limitReached ? 'FILL' : 'TRIGGER';
+    default:
+      return null;
+  }
+};
+
+/**
+ * 以当前市价成交委托 (计入滑点与费用，限价单成交价不劣于限价)，余额或持仓不足时委托被拒绝
+ */
+const fillOrder = async (order, marketPrice, latestPrices, now) => {
+  try {
+    const result = await executeMarketTrade(order.user_id, order.symbol, order.side, order.quantity, marketPrice, {
+      latestPrices,
+      limitPrice: order.limit_price,
+      replaySessionId: order.replay_session_id || null,
+      now,
+      orderId: order.id
+    });
+    const filledPrice = result.fees.price;
+    logger.info(`Order #${order.id} filled: ${order.side} ${order.quantity} ${order.symbol} @ ${filledPrice}`);
+    return saveOrder(order.id, {
+      status: 'FILLED',
+      filled_price: filledPrice,
+      transaction_id: result.transaction ? result.transaction.id : null
+    });
+  } catch (err) {
+    logger.info(`Order #${order.id} rejected: ${err.message}`);
+    return saveOrder(order.id, { status: 'REJECTED', reason: err.message });
+  }
+};
+
+// 正在撮合的行情来源：'live' 实时行情，或回放会话 ID
+const matching = new Set();
+
+/**
+ * 撮合循环：遍历未成交委托，按最新价格触发、成交或过期
+ * 缺省撮合实时行情下的委托 (盘前盘后仅撮合限价单)；指定 replaySessionId 时仅撮合该回放会话内的委托
+ * @param {Object} latestPrices { [symbol]: price }
+ * @param {Object} options { replaySessionId 回放会话 ID, now 当前模拟 (回放) 时间，用于判断交易时段与当日委托过期 }
+ * @returns {Array} 本轮状态发生变化的委托
+ */
+const matchOrders = async (latestPrices, { replaySessionId = null, now = marketClock.now() } = {}) => {
+  // 同一行情来源的上一轮撮合尚未结束时跳过，避免同一委托被重复成交
+  const source = replaySessionId || 'live';
+  if (matching.has(source)) return [];
+  matching.add(source);
+
+  const changed = [];
+  try {
+    const nowIso = now.toISOString();
+    const regular = Boolean(replaySessionId) || marketClock.getSession(now).session === 'REGULAR';
+    const openOrders = (await db.getOpenOrders())
+      .filter(o => (o.replay_session_id || null) === replaySessionId);
+
+    for (const order of openOrders) {
+      if (order.expires_at && order.expires_at < nowIso) {
+        changed.push(await saveOrder(order.id, { status: 'EXPIRED', reason: '当日委托已过期' }));
+        continue;
+      }
+
+      const price = latestPrices[order.symbol];
+      if (!price || (!regular && order.order_type !== 'LIMIT')) continue;
+
+      const action = evaluateOrder(order, price);
+      if (action === 'TRIGGER') {
+        changed.push(await saveOrder(order.id, { status: 'TRIGGERED' }));
+      } else if (action === 'FILL') {
+        changed.push(await fillOrder(order, price, latestPrices, now));
+      }
+    }
+  } catch (err) {
+    logger.error(`matchOrders error: ${err.message}`);
+  } finally {
+    matching.delete(source);
+  }
+  return changed.filter(Boolean);
+};
+
+/**
+ * 撤销回放会话内的全部未成交委托 (会话结束或服务重启后会话已不存在)
+ * @param {String} replaySessionId 回放会话 ID，缺省撤销所有回放会话的委托
+ * @returns {Number} 撤销的委托数
+ */
+const cancelReplayOrders = async (replaySessionId) => {
+  const orders = (await db.getOpenOrders())
+    .filter(o => o.replay_session_id && (!replaySessionId || o.replay_session_id === replaySessionId));
+  for (const order of orders) {
+    await saveOrder(order.id, { status: 'CANCELLED', reason: '回放会话已结束' });
+  }
+  return orders.length;
+};
+
+module.exports = {
+  ORDER_TYPES,
+  TIME_IN_FORCE,
+  assertWithinSlippage,
+  assertMarketOrderSession,
+  normalizeOrder,
+  evaluateOrder,
+  executeMarketTrade,
+  placeOrder,
+  amendOrder,
+  cancelOrder,
+  matchOrders,
+  cancelReplayOrders
+};
@@ -0,0 +1,137 @@
+/**
+ * stock-trading-simulator-051425/backend/pnlEngine.js
+ * 盈亏统计模块：已实现盈亏取自成交记录 (按批次匹配计算)，未实现盈亏按最新价格对持仓估值
+ * 支持按股票与按日/周/月/年分组汇总
+ */
+
+const db = require('./database');
+const stockGen = require('./stockDataGenerator');
+
+const PNL_GROUPS = ['day', 'week', 'month', 'year'];
+
+const round2 = (num) => Number(num.toFixed(2));
+
+/**
+ * 成交时间所属的统计周期 (本地时间)
+ * day: YYYY-MM-DD，week: 所在周周一 YYYY-MM-DD，month: YYYY-MM，year: YYYY
+ */
+const periodKey = (timestamp, groupBy) => {
+  const date = new Date(timestamp);
+  const day = stockGen.formatDate(date);
+  switch (groupBy) {
+    case 'day':
+      return day;
+    case 'week': {
+      const monday = new Date(date);
+      monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      return stockGen.formatDate(monday);
+    }
+    case 'year':
+      return day.slice(0, 4);
+    default:
+      return day.slice(0, 7);
+  }
+};
+
+/**
+ * 生成盈亏报表
+ * @param {Number} userId
+ * @param {Object} prices 最新价格 { [symbol]: price }
+ * @param {Object} options { groupBy: 'day'|'week'|'month'|'year', from, to } 日期为 YYYY-MM-DD (含)，
+ *   区间仅作用于已实现盈亏，未实现盈亏始终为当前持仓估值
+ */
+const getPnlReport = async (userId, prices, { groupBy = 'month', from, to } = {}) => {
+  const user = await db.getUserById(userId);
+  if (!user) return null;
+
+  const [positions, transactions, lots] = await Promise.all([
+    db.getPortfolio(userId),
+    db.getTransactions(userId),
+    db.getOpenLots(userId)
+  ]);
+
+  const inRange = transactions.filter(tx => {
+    const day = stockGen.formatDate(new Date(tx.timestamp));
+    return (!from || day >= from) && (!to || day <= to);
+  });
+
+  const bySymbol = {};
+  const ensureSymbol = (symbol) => {
+    if (!bySymbol[symbol]) {
+      bySymbol[symbol] = {
+        symbol, quantity: 0, averageCost: 0, marketPrice: null, marketValue: 0,
+        realized: 0, unrealized: 0, fees: 0, trades: 0, lots: []
+      };
+    }
+    return bySymbol[symbol];
+  };
+
+  const byPeriod = {};
+  inRange.forEach(tx => {
+    const fees = (tx.commission || 0) + (tx.stamp_duty || 0);
+    const realized = tx.realized_pnl || 0;
+    const item = ensureSymbol(tx.symbol);
+    item.realized += realized;
+    item.fees += fees;
+    item.trades += 1;
+
+    const key = periodKey(tx.timestamp, groupBy);
+    if (!byPeriod[key]) byPeriod[key] = { period: key, realized: 0, fees: 0, trades: 0 };
+    byPeriod[key].realized += realized;
+    byPeriod[key].fees += fees;
+    byPeriod[key].trades += 1;
+  });
+
+  // 未实现盈亏：(最新价 - 持仓成本) * 数量，空头数量为负，价格下跌为盈利
+  positions.forEach(p => {
+    const item = ensureSymbol(p.symbol);
+    const marketPrice = prices[p.symbol] || p.average_price;
+    item.quantity = p.quantity;
+    item.averageCost = round2(p.average_price);
+    item.marketPrice = marketPrice;
+    item.marketValue = round2(marketPrice * p.quantity);
+    item.unrealized = (marketPrice - p.average_price) * p.quantity;
+  });
+
+  lots.forEach(lot => {
+    ensureSymbol(lot.symbol).lots.push({
+      id: lot.id,
+      side: lot.side,
+      quantity: lot.quantity,
+      unitCost: round2(lot.unit_cost),
+      openedAt: lot.opened_at
+    });
+  });
+
+  const symbols = Object.values(bySymbol).map(item => ({
+    ...item,
+    realized: round2(item.realized),
+    unrealized: round2(item.unrealized),
+    fees: round2(item.fees),
+    total: round2(item.realized + item.unrealized)
+  })).sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  const realized = round2(symbols.reduce((sum, s) => sum + s.realized, 0));
+  const unrealized = round2(symbols.reduce((sum, s) => sum + s.unrealized, 0));
+
+  return {
+    costBasisMethod: user.cost_basis_method || 'FIFO',
+    groupBy,
+    from: from || null,
+    to: to || null,
+    realized,
+    unrealized,
+    total: round2(realized + unrealized),
+    fees: round2(symbols.reduce((sum, s) => sum + s.fees, 0)),
+    marginInterest: round2(user.margin_interest || 0),
+    bySymbol: symbols,
+    byPeriod: Object.values(byPeriod)
+      .map(p => ({ ...p, realized: round2(p.realized), fees: round2(p.fees) }))
+      .sort((a, b) => a.period.localeCompare(b.period))
+  };
+};
+
+module.exports = {
+  PNL_GROUPS,
+  getPnlReport
+};
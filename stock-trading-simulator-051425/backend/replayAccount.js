@@ -0,0 +1,118 @@
+/**
+ * stock-trading-simulator-051425/backend/replayAccount.js
+ * 复盘回放模拟账户：每个回放会话一个独立的现金账户 (现金、持仓批次、成交记录)，随会话创建与删除，仅保存在内存中
+ * 回放成交只记入该账户，不触及用户真实账户的余额、持仓、批次与交易记录，不参与保证金检查、盈亏报表与导出
+ */
+
+const taxLots = require('./taxLots');
+
+// 回放账户初始资金
+const REPLAY_INITIAL_CASH = 100000;
+
+// 回放账户 { [sessionId]: account }
+const accounts = {};
+
+const round2 = (num) => Number(num.toFixed(2));
+
+const getAccount = (sessionId) => {
+  const account = accounts[sessionId];
+  if (!account) throw new Error('回放账户不存在');
+  return account;
+};
+
+/**
+ * 为回放会话开立模拟账户
+ * @param {String} sessionId
+ * @param {Number} initialCash 初始资金
+ */
+const openAccount = (sessionId, initialCash = REPLAY_INITIAL_CASH) => {
+  accounts[sessionId] = { initialCash, cash: initialCash, lots: {}, transactions: [], nextId: 1 };
+  return accounts[sessionId];
+};
+
+/**
+ * 删除回放会话的模拟账户
+ */
+const closeAccount = (sessionId) => {
+  delete accounts[sessionId];
+};
+
+/**
+ * 在回放账户内成交：现金账户规则，不可透支与卖空，平仓按先进先出计算已实现盈亏
+ * @param {String} sessionId
+ * @param {String} symbol
+ * @param {String} type 'BUY' | 'SELL'
+ * @param {Number} price 成交价 (已含滑点)
+ * @param {Number} quantity
+ * @param {Object} fees { commission, stampDuty, slippage }
+ * @param {Date} now 回放时间
+ * @returns {Object} { success, balance, transaction }，与真实账户成交结果结构一致
+ */
+const executeTrade = (sessionId, symbol, type, price, quantity, fees = {}, now = new Date()) => {
+  const account = getAccount(sessionId);
+  const commission = fees.commission || 0;
+  const stampDuty = fees.stampDuty || 0;
+  const gross = price * quantity;
+  const total = round2(type === 'BUY' ? gross + commission + stampDuty : gross - commission - stampDuty);
+
+  const lots = account.lots[symbol] || [];
+  const position = taxLots.summarizeLots(lots);
+  if (type === 'BUY' && account.cash < total) throw new Error('回放账户资金不足');
+  if (type === 'SELL' && position.quantity < quantity) throw new Error('回放账户持仓不足');
+
+  const timestamp = now.toISOString();
+  const matched = taxLots.applyTradeToLots(lots, 'FIFO', type, quantity, total / quantity);
+  account.lots[symbol] = matched.lots
+    .filter(l => l.quantity > 0)
+    .map(l => ({ ...l, opened_at: l.opened_at || timestamp }));
+  account.cash = round2(account.cash + (type === 'BUY' ? -total : total));
+
+  const transaction = {
+    id: account.nextId++, symbol, type, price, quantity, total_amount: total,
+    commission, stamp_duty: stampDuty, slippage: fees.slippage || 0,
+    realized_pnl: matched.realizedPnl, replay_session_id: sessionId, timestamp
+  };
+  account.transactions.push(transaction);
+  return { success: true, balance: account.cash, transaction };
+};
+
+/**
+ * 回放账户概要：现金、按回放价格估值的持仓、已实现盈亏与成交记录
+ * @param {String} sessionId
+ * @param {Object} prices 当前回放价格
+ */
+const summarizeAccount = (sessionId, prices = {}) => {
+  const account = getAccount(sessionId);
+  const positions = Object.entries(account.lots)
+    .map(([symbol, lots]) => {
+      const { quantity, average_price: averagePrice } = taxLots.summarizeLots(lots);
+      const price = prices[symbol] ?? averagePrice;
+      return {
+        symbol,
+        quantity,
+        averagePrice: round2(averagePrice),
+        price,
+        marketValue: round2(price * quantity),
+        unrealizedPnl: round2((price - averagePrice) * quantity)
+      };
+    })
+    .filter(p => p.quantity > 0);
+  const positionValue = round2(positions.reduce((sum, p) => sum + p.marketValue, 0));
+  return {
+    initialCash: account.initialCash,
+    cash: account.cash,
+    positionValue,
+    equity: round2(account.cash + positionValue),
+    realizedPnl: round2(account.transactions.reduce((sum, t) => sum + t.realized_pnl, 0)),
+    positions,
+    transactions: [...account.transactions].reverse()
+  };
+};
+
+module.exports = {
+  REPLAY_INITIAL_CASH,
+  openAccount,
+  closeAccount,
+  executeTrade,
+  summarizeAccount
+};
@@ -0,0 +1,370 @@
+/**
+ * stock-trading-simulator-051425/backend/replayEngine.js
+ * 复盘回放模块：选定股票与起始日期，按历史日K线的日内分钟路径插值出 tick，
+ * 以可调倍速 (1x / 10x / 60x) 通过 Socket.IO 推送给会话房间，支持暂停、继续与跳转
+ * 会话内的下单以回放价格成交，挂单由回放 tick 按回放时间撮合；每个会话使用独立的模拟账户 (replayAccount)，与真实账户隔离
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const stockGen = require('./stockDataGenerator');
+const marketData = require('./marketData');
+const orderEngine = require('./orderEngine');
+const replayAccount = require('./replayAccount');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+// 回放倍速：1x 时回放时间与真实时间同步
+const REPLAY_SPEEDS = [1, 10, 60];
+
+// 每秒推送一次回放 tick，回放时间推进 speed 秒
+const REPLAY_TICK_INTERVAL = 1000;
+
+const MAX_REPLAY_SYMBOLS = 10;
+const MAX_SESSIONS_PER_USER = 3;
+
+// 交易时段长度 (秒)
+const SESSION_SECONDS = stockGen.INTRADAY_SESSION.minutes * 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEEK_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}):(\d{2}))?$/;
+
+// 回放会话 { [id]: session }，仅保存在内存中，服务重启后失效
+const sessions = {};
+
+let io = null;
+
+const round2 = (num) => Number(num.toFixed(2));
+
+/** 会话对应的 Socket.IO 房间名 */
+const roomOf = (sessionId) => `replay:${sessionId}`;
+
+/**
+ * 绑定 Socket.IO 服务，用于向会话房间推送回放行情
+ */
+const attachSocket = (server) => {
+  io = server;
+};
+
+const emit = (session, event, payload) => {
+  if (io) io.to(roomOf(session.id)).emit(event, payload);
+};
+
+/**
+ * 当前回放时间 (本地时间，交易时段开盘 + 已回放秒数)
+ */
+const sessionTime = (session) => {
+  const time = stockGen.parseDate(session.days[session.dayIndex]);
+  time.setMinutes(stockGen.INTRADAY_SESSION.openMinute);
+  time.setSeconds(Math.floor(session.second));
+  return time;
+};
+
+/** 回放时间标签 'YYYY-MM-DD HH:mm:ss' */
+const formatTime = (time) =>
+  `${stockGen.formatDate(time)} ${stockGen.formatMinute(time.getHours() * 60 + time.getMinutes())}:` +
+  String(time.getSeconds()).padStart(2, '0');
+
+/**
+ * 切换交易日时生成各股票当日的分钟路径 (与历史日内K线同源，确定性生成)
+ */
+const loadDay = (session) => {
+  const date = session.days[session.dayIndex];
+  if (session.pathDate === date) return;
+  session.pathDate = date;
+  session.symbols.forEach(symbol => {
+    const candle = session.candles[symbol][date];
+    session.paths[symbol] = candle ? stockGen.generateIntradayBars(symbol, candle) : null;
+  });
+};
+
+/**
+ * 计算当前回放时刻各股票的价格、当日K线与当前分钟K线
+ * 分钟K线内按秒线性插值；当日停牌 (无K线) 的股票沿用上一价格
+ */
+const updateQuotes = (session) => {
+  loadDay(session);
+  const minuteIndex = Math.min(Math.floor(session.second / 60), stockGen.INTRADAY_SESSION.minutes - 1);
+  const fraction = Math.min(1, (session.second - minuteIndex * 60) / 60);
+
+  session.symbols.forEach(symbol => {
+    const path = session.paths[symbol];
+    if (!path) {
+      delete session.bars[symbol];
+      delete session.minuteBars[symbol];
+      return;
+    }
+    const bar = path[minuteIndex];
+    const price = round2(bar.open + (bar.close - bar.open) * fraction);
+    const done = path.slice(0, minuteIndex);
+    session.prices[symbol] = price;
+    session.minuteBars[symbol] = {
+      date: bar.date,
+      open: bar.open,
+      high: Math.max(bar.open, price),
+      low: Math.min(bar.open, price),
+      close: price,
+      volume: Math.round(bar.volume * fraction)
+    };
+    session.bars[symbol] = {
+      date: session.days[session.dayIndex],
+      open: path[0].open,
+      high: Math.max(price, ...done.map(b => b.high)),
+      low: Math.min(price, ...done.map(b => b.low)),
+      close: price,
+      volume: done.reduce((sum, b) => sum + b.volume, 0) + session.minuteBars[symbol].volume
+    };
+  });
+};
+
+/**
+ * 会话概要 (不含当日分钟K线)
+ */
+const serialize = (session) => ({
+  id: session.id,
+  symbols: session.symbols,
+  startDate: session.days[0],
+  endDate: session.days[session.days.length - 1],
+  day: session.days[session.dayIndex],
+  dayIndex: session.dayIndex,
+  totalDays: session.days.length,
+  time: formatTime(sessionTime(session)),
+  speed: session.speed,
+  status: session.status,
+  prices: { ...session.prices },
+  bars: { ...session.bars },
+  createdAt: session.createdAt
+});
+
+/**
+ * 会话快照：概要 + 当日开盘至当前时刻的分钟K线，供客户端加入房间、跳转或换日时重绘图表
+ */
+const snapshot = (session) => {
+  const minuteIndex = Math.floor(session.second / 60);
+  const minuteBars = session.symbols.reduce((acc, symbol) => {
+    const path = session.paths[symbol];
+    if (path) acc[symbol] = path.slice(0, minuteIndex).concat(session.minuteBars[symbol] ? [session.minuteBars[symbol]] : []);
+    return acc;
+  }, {});
+  return { ...serialize(session), minuteBars };
+};
+
+const stopTimer = (session) => {
+  if (session.timer) clearInterval(session.timer);
+  session.timer = null;
+};
+
+/**
+ * 推进回放时间：收盘时刻先推送收盘价，下一个 tick 进入下一交易日开盘，最后一个交易日收盘后回放结束
+ * @returns {Boolean} 是否切换了交易日
+ */
+const advance = (session) => {
+  if (session.second >= SESSION_SECONDS) {
+    if (session.dayIndex >= session.days.length - 1) {
+      session.status = 'FINISHED';
+      return false;
+    }
+    session.dayIndex++;
+    session.second = 0;
+    return true;
+  }
+  session.second = Math.min(SESSION_SECONDS, session.second + session.speed * REPLAY_TICK_INTERVAL / 1000);
+  return false;
+};
+
+/**
+ * 单个回放 tick：推进时间、推送行情并以回放价格撮合会话内挂单
+ */
+const tick = (session) => {
+  const dayChanged = advance(session);
+  if (session.status === 'FINISHED') {
+    stopTimer(session);
+    emit(session, 'replay_status', serialize(session));
+    logger.info(`Replay ${session.id} finished`);
+    return;
+  }
+
+  updateQuotes(session);
+  if (dayChanged) {
+    emit(session, 'replay_snapshot', snapshot(session));
+  } else {
+    emit(session, 'replay_tick', {
+      sessionId: session.id,
+      time: formatTime(sessionTime(session)),
+      prices: { ...session.prices },
+      bars: { ...session.bars },
+      minuteBars: { ...session.minuteBars }
+    });
+  }
+
+  orderEngine.matchOrders(session.prices, { replaySessionId: session.id, now: sessionTime(session) });
+};
+
+const startTimer = (session) => {
+  stopTimer(session);
+  session.timer = setInterval(() => tick(session), REPLAY_TICK_INTERVAL);
+};
+
+const parseSpeed = (value) => {
+  const speed = Number(value);
+  if (!REPLAY_SPEEDS.includes(speed)) throw new Error(`回放倍速仅支持 ${REPLAY_SPEEDS.join(' / ')}`);
+  return speed;
+};
+
+/**
+ * 获取用户自己的回放会话
+ */
+const getOwnSession = (userId, sessionId) => {
+  const session = sessions[sessionId];
+  if (!session || String(session.userId) !== String(userId)) throw new Error('回放会话不存在');
+  return session;
+};
+
+/**
+ * 创建回放会话并开始播放
+ * @param {Number} userId
+ * @param {Object} params { symbols 股票代码数组, startDate 起始日期 YYYY-MM-DD, endDate 结束日期 (可选), speed 倍速 }
+ * @returns {Object} 会话快照
+ */
+const createSession = (userId, { symbols, startDate, endDate, speed = 1 }) => {
+  const list = [...new Set((Array.isArray(symbols) ? symbols : []).map(s => String(s).toUpperCase()))];
+  if (list.length === 0) throw new Error('请选择回放的股票');
+  if (list.length > MAX_REPLAY_SYMBOLS) throw new Error(`最多同时回放 ${MAX_REPLAY_SYMBOLS} 只股票`);
+  const unknown = list.filter(s => !marketData.getSymbols().includes(s));
+  if (unknown.length > 0) throw new Error(`未知的股票代码: ${unknown.join(', ')}`);
+  if (!DATE_PATTERN.test(startDate || '')) throw new Error('起始日期格式应为 YYYY-MM-DD');
+  if (endDate && (!DATE_PATTERN.test(endDate) || endDate < startDate)) throw new Error('结束日期无效');
+
+  const own = Object.values(sessions).filter(s => String(s.userId) === String(userId));
+  if (own.length >= MAX_SESSIONS_PER_USER) throw new Error(`最多同时保留 ${MAX_SESSIONS_PER_USER} 个回放会话，请先结束旧会话`);
+
+  // 回放交易日取各股票历史K线日期的并集
+  const candles = {};
+  const days = new Set();
+  list.forEach(symbol => {
+    candles[symbol] = {};
+    marketData.getDailyHistory(symbol, startDate)
+      .filter(c => !endDate || c.date <= endDate)
+      .forEach(c => {
+        candles[symbol][c.date] = c;
+        days.add(c.date);
+      });
+  });
+  if (days.size === 0) throw new Error('所选区间内没有历史行情');
+
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    symbols: list,
+    speed: parseSpeed(speed),
+    status: 'PLAYING',
+    days: [...days].sort(),
+    candles,
+    dayIndex: 0,
+    second: 0,
+    pathDate: null,
+    paths: {},
+    prices: {},
+    bars: {},
+    minuteBars: {},
+    timer: null,
+    createdAt: new Date().toISOString()
+  };
+  updateQuotes(session);
+  sessions[session.id] = session;
+  replayAccount.openAccount(session.id);
+  startTimer(session);
+  logger.info(`Replay ${session.id} created by user ${userId}: ${list.join(',')} from ${session.days[0]} (${session.days.length} days)`);
+  return snapshot(session);
+};
+
+/** 用户的全部回放会话概要 */
+const listSessions = (userId) => Object.values(sessions)
+  .filter(s => String(s.userId) === String(userId))
+  .map(serialize);
+
+/** 获取会话快照 */
+const getSnapshot = (userId, sessionId) => snapshot(getOwnSession(userId, sessionId));
+
+/**
+ * 控制回放：暂停/继续、调整倍速、跳转
+ * @param {Number} userId
+ * @param {String} sessionId
+ * @param {Object} changes { status: 'PLAYING'|'PAUSED', speed, seekTo: 'YYYY-MM-DD' 或 'YYYY-MM-DD HH:mm' }
+ * @returns {Object} 会话快照
+ */
+const controlSession = (userId, sessionId, { status, speed, seekTo }) => {
+  const session = getOwnSession(userId, sessionId);
+  if (status !== undefined && !['PLAYING', 'PAUSED'].includes(status)) throw new Error('无效的回放状态');
+  if (speed !== undefined) session.speed = parseSpeed(speed);
+
+  if (seekTo !== undefined) {
+    const match = String(seekTo).match(SEEK_PATTERN);
+    if (!match) throw new Error('跳转时间格式应为 YYYY-MM-DD 或 YYYY-MM-DD HH:mm');
+    const dayIndex = session.days.findIndex(d => d >= match[1]);
+    if (dayIndex < 0) throw new Error('跳转时间超出回放区间');
+    // 跳转到非交易日时落在其后第一个交易日的开盘
+    const offset = match[2] && session.days[dayIndex] === match[1]
+      ? (Number(match[2]) * 60 + Number(match[3]) - stockGen.INTRADAY_SESSION.openMinute) * 60
+      : 0;
+    session.dayIndex = dayIndex;
+    session.second = Math.max(0, Math.min(SESSION_SECONDS, offset));
+    if (session.status === 'FINISHED') session.status = 'PAUSED';
+    updateQuotes(session);
+  }
+
+  if (status !== undefined && session.status !== 'FINISHED') session.status = status;
+  if (session.status === 'PLAYING' && (!session.timer || speed !== undefined)) startTimer(session);
+  if (session.status !== 'PLAYING') stopTimer(session);
+
+  const result = snapshot(session);
+  emit(session, 'replay_snapshot', result);
+  return result;
+};
+
+/**
+ * 结束并删除回放会话，撤销会话内未成交的挂单并删除会话的模拟账户
+ */
+const deleteSession = async (userId, sessionId) => {
+  const session = getOwnSession(userId, sessionId);
+  stopTimer(session);
+  delete sessions[session.id];
+  const cancelled = await orderEngine.cancelReplayOrders(session.id);
+  replayAccount.closeAccount(session.id);
+  emit(session, 'replay_status', { ...serialize(session), status: 'FINISHED' });
+  logger.info(`Replay ${session.id} closed, ${cancelled} open orders cancelled`);
+  return { id: session.id, cancelledOrders: cancelled };
+};
+
+/**
+ * 会话内下单所需的回放行情
+ * @returns {Object} { symbols 会话回放的股票, prices 当前回放价格, now 回放时间 }
+ */
+const getTradingContext = (userId, sessionId) => {
+  const session = getOwnSession(userId, sessionId);
+  if (session.status === 'FINISHED') throw new Error('回放已结束，无法交易');
+  return { symbols: [...session.symbols], prices: { ...session.prices }, now: sessionTime(session) };
+};
+
+/**
+ * 会话模拟账户概要 (持仓按当前回放价格估值)
+ */
+const getAccount = (userId, sessionId) => {
+  const session = getOwnSession(userId, sessionId);
+  return replayAccount.summarizeAccount(session.id, session.prices);
+};
+
+module.exports = {
+  REPLAY_SPEEDS,
+  roomOf,
+  attachSocket,
+  createSession,
+  listSessions,
+  getSnapshot,
+  controlSession,
+  deleteSession,
+  getTradingContext,
+  getAccount
+};
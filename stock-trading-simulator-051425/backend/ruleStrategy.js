@@ -0,0 +1,272 @@
+/**
+ * stock-trading-simulator-051425/backend/ruleStrategy.js
+ * 规则策略引擎：用户以 JSON 定义买入/卖出条件 (如 SMA(5) 上穿 SMA(20) 且 RSI(14) < 60)，
+ * 按K线逐根求值生成与内置策略同格式的信号，供策略分析与回测共用
+ *
+ * 规则定义格式：
+ * {
+ *   buy:  { logic: 'AND'|'OR', conditions: [{ left: 操作数, operator: 'GT'|'GTE'|'LT'|'LTE'|'CROSS_ABOVE'|'CROSS_BELOW', right: 操作数 }] },
+ *   sell: { ... 同上 }
+ * }
+ * 操作数：{ type: 'SMA', period: 20 }、{ type: 'CLOSE' }、{ type: 'VALUE', value: 60 } 等，见 OPERANDS
+ * 条件组由不满足变为满足的那根K线产生一次信号 (同一根K线买卖同时满足时不产生信号)
+ */
+
+const strategyEngine = require('./strategyEngine');
+const indicators = require('./indicators');
+
+const PERIOD = (defaultValue) => ({ key: 'period', label: '周期', type: 'integer', default: defaultValue, min: 2, max: 250, step: 1 });
+const MULTIPLIER = { key: 'multiplier', label: '标准差倍数', type: 'number', default: 2, min: 0.5, max: 4, step: 0.1 };
+
+const closesOf = (bars) => bars.map(b => b.close);
+
+// 指标库中的指标：周期参数沿用指标库自身的定义，使规则校验与指标计算的取值范围一致
+const INDICATOR_PERIOD = (name) => indicators.INDICATOR_DEFINITIONS[name].params.find(p => p.key === 'period');
+const indicatorOutput = (name, output) => (bars, { period }) => {
+  const result = indicators.computeIndicator(bars, name, { period });
+  if (result.error) throw new Error(result.error);
+  return result.series[output];
+};
+
+// 布林带：中轨 ± 倍数 × 标准差
+const bollinger = (bars, { period, multiplier }, side) => {
+  const closes = closesOf(bars);
+  const sma = strategyEngine.calculateSMA(closes, period);
+  if (side === 0) return sma;
+  const stdDev = strategyEngine.calculateStdDev(closes, period, sma);
+  return sma.map((mid, i) => (mid === null ? null : Number((mid + side * multiplier * stdDev[i]).toFixed(2))));
+};
+
+/**
+ * 可用的操作数：label 显示名称，pane 在K线图上的位置 (main 主图、rsi/macd 等为副图，null 为常数)，
+ * params 参数定义 (格式同策略参数)，compute 返回与K线逐一对应的序列
+ */
+const OPERANDS = {
+  VALUE: { label: '数值', pane: null, params: [] },
+  CLOSE: { label: '收盘价', pane: 'main', params: [], compute: (bars) => closesOf(bars) },
+  OPEN: { label: '开盘价', pane: 'main', params: [], compute: (bars) => bars.map(b => b.open) },
+  HIGH: { label: '最高价', pane: 'main', params: [], compute: (bars) => bars.map(b => b.high) },
+  LOW: { label: '最低价', pane: 'main', params: [], compute: (bars) => bars.map(b => b.low) },
+  VOLUME: { label: '成交量', pane: 'volume', params: [], compute: (bars) => bars.map(b => b.volume) },
+  SMA: { label: 'SMA', pane: 'main', params: [PERIOD(20)], compute: (bars, { period }) => strategyEngine.calculateSMA(closesOf(bars), period) },
+  EMA: { label: 'EMA', pane: 'main', params: [PERIOD(20)], compute: (bars, { period }) => strategyEngine.calculateEMA(closesOf(bars), period) },
+  BB_UPPER: { label: '布林上轨', pane: 'main', params: [PERIOD(20), MULTIPLIER], compute: (bars, p) => bollinger(bars, p, 1) },
+  BB_MIDDLE: { label: '布林中轨', pane: 'main', params: [PERIOD(20)], compute: (bars, p) => bollinger(bars, p, 0) },
+  BB_LOWER: { label: '布林下轨', pane: 'main', params: [PERIOD(20), MULTIPLIER], compute: (bars, p) => bollinger(bars, p, -1) },
+  RSI: { label: 'RSI', pane: 'rsi', params: [PERIOD(14)], compute: (bars, { period }) => strategyEngine.calculateRSI(closesOf(bars), period) },
+  MACD: { label: 'MACD (12,26,9)', pane: 'macd', params: [], compute: (bars) => strategyEngine.calculateMACD(closesOf(bars)).macdLine },
+  MACD_SIGNAL: { label: 'MACD 信号线', pane: 'macd', params: [], compute: (bars) => strategyEngine.calculateMACD(closesOf(bars)).signalLine },
+  MACD_HIST: { label: 'MACD 柱', pane: 'macd', params: [], compute: (bars) => strategyEngine.calculateMACD(closesOf(bars)).histogram },
+  KDJ_K: { label: 'KDJ-K', pane: 'kdj', params: [INDICATOR_PERIOD('KDJ')], compute: indicatorOutput('KDJ', 'k') },
+  KDJ_D: { label: 'KDJ-D', pane: 'kdj', params: [INDICATOR_PERIOD('KDJ')], compute: indicatorOutput('KDJ', 'd') },
+  KDJ_J: { label: 'KDJ-J', pane: 'kdj', params: [INDICATOR_PERIOD('KDJ')], compute: indicatorOutput('KDJ', 'j') },
+  ATR: { label: 'ATR', pane: 'atr', params: [INDICATOR_PERIOD('ATR')], compute: indicatorOutput('ATR', 'atr') },
+  CCI: { label: 'CCI', pane: 'cci', params: [INDICATOR_PERIOD('CCI')], compute: indicatorOutput('CCI', 'cci') },
+  WR: { label: '威廉 %R', pane: 'wr', params: [INDICATOR_PERIOD('WR')], compute: indicatorOutput('WR', 'wr') }
+};
+
+const OPERATORS = {
+  GT: { label: '>', test: (l, r) => l > r },
+  GTE: { label: '≥', test: (l, r) => l >= r },
+  LT: { label: '<', test: (l, r) => l < r },
+  LTE: { label: '≤', test: (l, r) => l <= r },
+  CROSS_ABOVE: { label: '上穿', test: (l, r, pl, pr) => pl !== null && pr !== null && pl <= pr && l > r },
+  CROSS_BELOW: { label: '下穿', test: (l, r, pl, pr) => pl !== null && pr !== null && pl >= pr && l < r }
+};
+
+const LOGICS = { AND: '且', OR: '或' };
+const MAX_CONDITIONS = 10;
+
+/**
+ * 规则编辑器所需的操作数、运算符与组合方式
+ */
+const getRuleSchema = () => ({
+  operands: Object.entries(OPERANDS).map(([type, { label, pane, params }]) => ({ type, label, pane, params })),
+  operators: Object.entries(OPERATORS).map(([key, { label }]) => ({ key, label })),
+  logics: Object.entries(LOGICS).map(([key, label]) => ({ key, label })),
+  maxConditions: MAX_CONDITIONS
+});
+
+/**
+ * 校验并规范化操作数 (补全默认参数)
+ */
+const normalizeOperand = (operand, position) => {
+  const type = String(operand?.type || '').toUpperCase();
+  const definition = OPERANDS[type];
+  if (!definition) throw new Error(`${position}的操作数类型无效`);
+  if (type === 'VALUE') {
+    const value = Number(operand.value);
+    if (operand.value === null || operand.value === '' || !Number.isFinite(value)) throw new Error(`${position}缺少有效的数值`);
+    return { type, value };
+  }
+  const { params, error } = strategyEngine.validateParams(definition.params, operand);
+  if (error) throw new Error(`${position}${error}`);
+  return { type, ...params };
+};
+
+const normalizeGroup = (group, side) => {
+  const sideLabel = side === 'buy' ? '买入' : '卖出';
+  const logic = String(group?.logic || 'AND').toUpperCase();
+  if (!LOGICS[logic]) throw new Error(`${sideLabel}条件的组合方式无效`);
+  const conditions = Array.isArray(group?.conditions) ? group.conditions : [];
+  if (conditions.length === 0) throw new Error(`请至少设置一条${sideLabel}条件`);
+  if (conditions.length > MAX_CONDITIONS) throw new Error(`${sideLabel}条件最多 ${MAX_CONDITIONS} 条`);
+
+  return {
+    logic,
+    conditions: conditions.map((condition, i) => {
+      const position = `${sideLabel}条件 ${i + 1} `;
+      const operator = String(condition?.operator || '').toUpperCase();
+      if (!OPERATORS[operator]) throw new Error(`${position}的比较方式无效`);
+      const left = normalizeOperand(condition.left, `${position}左侧`);
+      const right = normalizeOperand(condition.right, `${position}右侧`);
+      if (left.type === 'VALUE') throw new Error(`${position}左侧必须为价格或指标`);
+      return { left, operator, right };
+    })
+  };
+};
+
+/**
+ * 校验并规范化规则定义
+ * @param {Object} definition { buy, sell }
+ * @returns {Object} 规范化后的定义，校验失败时抛出异常
+ */
+const validateRules = (definition) => {
+  if (!definition || typeof definition !== 'object') throw new Error('规则定义格式错误');
+  return {
+    buy: normalizeGroup(definition.buy, 'buy'),
+    sell: normalizeGroup(definition.sell, 'sell')
+  };
+};
+
+/** 操作数的显示名称，如 SMA(5)、布林下轨(20,2) */
+const operandName = (operand) => {
+  if (operand.type === 'VALUE') return String(operand.value);
+  const values = OPERANDS[operand.type].params.map(p => operand[p.key]);
+  return values.length ? `${OPERANDS[operand.type].label}(${values.join(',')})` : OPERANDS[operand.type].label;
+};
+
+const describeCondition = ({ left, operator, right }) =>
+  `${operandName(left)} ${OPERATORS[operator].label} ${operandName(right)}`;
+
+/**
+ * 运行规则策略
+ * @param {Array} stockData 股票K线数据
+ * @param {Object} definition 规则定义
+ * @param {String} name 策略名称
+ * @returns {Object} 与 strategyEngine.runStrategy 相同格式的结果，另含 indicatorPanes 指标所在副图；或 { error }
+ */
+const runRuleStrategy = (stockData, definition, name = '自定义规则策略') => {
+  if (!stockData || stockData.length === 0) return { error: '无数据可供分析' };
+
+  let rules;
+  try {
+    rules = validateRules(definition);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const bars = stockData.map(d => ({
+    date: d.date,
+    open: Number(d.open),
+    high: Number(d.high),
+    low: Number(d.low),
+    close: Number(d.close),
+    volume: Number(d.volume || 0)
+  }));
+
+  // 同一操作数只计算一次，按显示名称缓存
+  const seriesByName = {};
+  const seriesOf = (operand) => {
+    if (operand.type === 'VALUE') return null;
+    const key = operandName(operand);
+    if (!seriesByName[key]) seriesByName[key] = OPERANDS[operand.type].compute(bars, operand);
+    return seriesByName[key];
+  };
+  const valueAt = (operand, i) => {
+    if (i < 0) return null;
+    if (operand.type === 'VALUE') return operand.value;
+    const value = seriesOf(operand)[i];
+    return value === undefined ? null : value;
+  };
+
+  const testCondition = (condition, i) => {
+    const l = valueAt(condition.left, i);
+    const r = valueAt(condition.right, i);
+    if (l === null || r === null) return false;
+    return OPERATORS[condition.operator].test(l, r, valueAt(condition.left, i - 1), valueAt(condition.right, i - 1));
+  };
+  const testGroup = (group, i) => (group.logic === 'AND'
+    ? group.conditions.every(c => testCondition(c, i))
+    : group.conditions.some(c => testCondition(c, i)));
+
+  const describe = (group, i) => {
+    const matched = group.conditions.filter(c => testCondition(c, i));
+    return matched.map(describeCondition).join(` ${LOGICS[group.logic]} `);
+  };
+
+  // 预先计算规则中的全部操作数，指标计算失败时返回错误而非在逐根求值时抛出
+  const operands = [rules.buy, rules.sell].flatMap(g => g.conditions.flatMap(c => [c.left, c.right]));
+  try {
+    operands.forEach(seriesOf);
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const signals = [];
+  let prevBuy = false;
+  let prevSell = false;
+  bars.forEach((bar, i) => {
+    const buy = testGroup(rules.buy, i);
+    const sell = testGroup(rules.sell, i);
+    if (buy !== sell) {
+      const type = buy ? 'BUY' : 'SELL';
+      const group = buy ? rules.buy : rules.sell;
+      if ((buy && !prevBuy) || (sell && !prevSell)) {
+        // 置信度按满足条件占比计算 (AND 组合恒为满足全部条件)
+        const matched = group.conditions.filter(c => testCondition(c, i)).length;
+        signals.push({
+          date: bar.date,
+          price: bar.close,
+          type,
+          confidence: Math.round(60 + 35 * matched / group.conditions.length),
+          desc: describe(group, i)
+        });
+      }
+    }
+    prevBuy = buy;
+    prevSell = sell;
+  });
+
+  // 规则中用到的指标序列 (不含K线自身的开高低收)，用于图表叠加
+  const indicatorSeries = {};
+  const indicatorPanes = {};
+  operands
+    .filter(operand => operand.type !== 'VALUE' && !['CLOSE', 'OPEN', 'HIGH', 'LOW'].includes(operand.type))
+    .forEach(operand => {
+      const key = operandName(operand);
+      indicatorSeries[key] = seriesOf(operand);
+      indicatorPanes[key] = OPERANDS[operand.type].pane;
+    });
+
+  signals.reverse();
+  return {
+    name,
+    indicators: indicatorSeries,
+    indicatorPanes,
+    signals,
+    aiScore: signals.length > 0 ? signals[0].confidence : 50,
+    dates: bars.map(b => b.date),
+    strategyType: 'CUSTOM',
+    params: {},
+    rules
+  };
+};
+
+module.exports = {
+  OPERANDS,
+  OPERATORS,
+  getRuleSchema,
+  validateRules,
+  runRuleStrategy
+};
@@ -12,11 +12,32 @@ const cors = require('cors');
 const helmet = require('helmet');
 const winston = require('winston');
 const { Server } = require('socket.io');
+const multer = require('multer');
 
 // 引入业务模块
 const db = require('./database');
 const stockGen = require('./stockDataGenerator');
+const marketData = require('./marketData');
+const marketClock = require('./marketClock');
 const strategyEngine = require('./strategyEngine');
+const indicators = require('./indicators');
+const ruleStrategy = require('./ruleStrategy');
+const customStrategies = require('./customStrategies');
+const optimizer = require('./optimizer');
+const orderEngine = require('./orderEngine');
+const feeModel = require('./feeModel');
+const marginEngine = require('./marginEngine');
+const backtester = require('./backtester');
+const auth = require('./auth');
+const pnlEngine = require('./pnlEngine');
+const equityTracker = require('./equityTracker');
+const exporter = require('./exporter');
+const importer = require('./importer');
+const replayEngine = require('./replayEngine');
+const userChannel = require('./userChannel');
+const alertEngine = require('./alertEngine');
+const watchlists = require('./watchlists');
+const taxLots = require('./taxLots');
 
 // 配置日志
 const logger = winston.createLogger({
@@ -55,6 +76,9 @@ app.use(helmet({
   frameguard: false
 }));
 app.use(cors());
+// 历史行情导入的 JSON Body 携带整个数据文件，放宽到与上传文件相同的大小限制 (须在全局解析器之前注册)
+const IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+app.use('/api/admin/history/import', express.json({ limit: IMPORT_MAX_BYTES }));
 app.use(express.json());
 
 // 静态资源配置
@@ -65,53 +89,272 @@ const publicPath = fs.existsSync(publicDir) ? publicDir : distDir;
 // 必须先注册静态资源
 app.use(express.static(publicPath));
 
-// 初始化数据库
-db.initDatabase().catch(err => {
-  logger.error(`Database init failed: ${err.message}`);
-});
-
 // === 实时行情模拟逻辑 ===
-// 内存中缓存最新价格，用于生成下一个tick
+// 内存中缓存最新价格，用于生成下一个tick (行情数据加载后以最后收盘价初始化)
 const latestPrices = {};
-stockGen.STOCKS.forEach(s => {
-  latestPrices[s.symbol] = s.basePrice;
-});
+const TICK_INTERVAL = 2000;
 
-// 每2秒向所有客户端广播最新的模拟价格
-setInterval(() => {
-  const updates = {};
+const syncLatestPrices = () => {
+  marketData.getStockList().forEach(s => {
+    latestPrices[s.symbol] = s.price;
+  });
+};
+
+// === 行情订阅 ===
+// 客户端按股票订阅行情房间 (subscribe / unsubscribe)，tick 只推送给订阅了该股票的房间
+// 每只股票的行情流带递增序号 seq (同一 tick 的价格与K线推送共用)，客户端据此发现漏推并请求快照补齐
+
+const MAX_SUBSCRIPTIONS = 100;
+
+// 各股票行情流的最新序号 { [symbol]: seq }
+const streamSeq = {};
+
+const symbolRoom = (symbol) => `symbol:${symbol}`;
+
+const hasSubscribers = (symbol) => Boolean(io.sockets.adapter.rooms.get(symbolRoom(symbol)));
+
+/**
+ * 规范化订阅参数：单个代码或代码数组，过滤未知股票
+ */
+const normalizeSymbols = (symbols) => {
+  const list = Array.isArray(symbols) ? symbols : [symbols];
+  return [...new Set(list.filter(s => typeof s === 'string').map(s => s.toUpperCase()))]
+    .filter(symbol => latestPrices[symbol] !== undefined);
+};
+
+const priceEntry = (symbol, timestamp) => ({ symbol, price: latestPrices[symbol], timestamp, seq: streamSeq[symbol] || 0 });
+
+/**
+ * 向单个客户端推送股票的行情快照 (最新价、当日K线与日内周期K线)，与增量推送使用相同的事件
+ * @returns {Object} { [symbol]: seq } 快照对应的行情流序号
+ */
+const emitSnapshot = (socket, symbols) => {
+  const timestamp = marketClock.now().toISOString();
+  const liveBars = marketData.getLiveBars();
+  const intradayBars = marketData.getIntradayLiveBars();
+  const pick = (source) => symbols.reduce((acc, symbol) => {
+    if (source[symbol]) acc[symbol] = source[symbol];
+    return acc;
+  }, {});
+
+  socket.emit('price_update', symbols.reduce((acc, symbol) => {
+    acc[symbol] = priceEntry(symbol, timestamp);
+    return acc;
+  }, {}));
+  socket.emit('bar_update', pick(liveBars));
+  socket.emit('intraday_bar_update', pick(intradayBars));
+  return symbols.reduce((acc, symbol) => {
+    acc[symbol] = streamSeq[symbol] || 0;
+    return acc;
+  }, {});
+};
+
+// 当前市场状态，交易时段切换时广播 market_status
+let marketStatus = marketClock.getStatus();
+
+const updateMarketStatus = (now) => {
+  const status = marketClock.getStatus(now);
+  if (status.session !== marketStatus.session) {
+    logger.info(`Market session: ${marketStatus.session} -> ${status.session}`);
+    io.emit('market_status', status);
+  }
+  marketStatus = status;
+};
+
+/**
+ * 生成一轮实时价格并推送给各股票的订阅房间，仅盘中的成交聚合进当日K线 (盘前盘后只更新最新价)
+ */
+const publishTicks = (now) => {
+  const regular = marketStatus.session === 'REGULAR';
+  // 加速时钟下每个 tick 覆盖的模拟时长按倍率放大
+  const tickSpan = TICK_INTERVAL * marketClock.CLOCK_CONFIG.acceleration;
+  const bars = {};
   Object.keys(latestPrices).forEach(symbol => {
-    const newPrice = stockGen.generateRealtimeTick(latestPrices[symbol], symbol);
-    latestPrices[symbol] = newPrice;
-    updates[symbol] = {
-      symbol,
-      price: newPrice,
-      timestamp: new Date().toISOString()
-    };
+    latestPrices[symbol] = marketData.nextTickPrice(symbol, latestPrices[symbol], now);
+    streamSeq[symbol] = (streamSeq[symbol] || 0) + 1;
+    if (regular) {
+      const volume = stockGen.generateTickVolume(marketData.getReferenceVolume(symbol), tickSpan);
+      bars[symbol] = marketData.applyTick(symbol, latestPrices[symbol], volume, now);
+    }
+  });
+
+  const intradayBars = regular ? marketData.getIntradayLiveBars() : {};
+  Object.keys(latestPrices).filter(hasSubscribers).forEach(symbol => {
+    const room = io.to(symbolRoom(symbol));
+    room.emit('price_update', { [symbol]: priceEntry(symbol, now.toISOString()) });
+    if (regular) {
+      room.emit('bar_update', { [symbol]: bars[symbol] });
+      if (intradayBars[symbol]) room.emit('intraday_bar_update', { [symbol]: intradayBars[symbol] });
+    }
+  });
+};
+
+// 每2秒推进一次模拟时钟：交易时段内生成新价格并向所有客户端广播，休市时停止推送
+const startMarketFeed = () => {
+  setInterval(() => {
+    const now = marketClock.now();
+    updateMarketStatus(now);
+    if (marketStatus.isOpen) {
+      publishTicks(now);
+      // 价格提醒每个 tick 检查，指标提醒仅盘中每根分钟K线检查一次
+      alertEngine.checkAlerts(latestPrices, { now, checkIndicators: marketStatus.session === 'REGULAR' });
+    }
+
+    // 跨越自然日时当日K线收盘写入历史，补齐数据后重新同步最新价格
+    marketData.rollover(now).then(appended => {
+      if (Object.keys(appended).length > 0) syncLatestPrices();
+    });
+
+    // 交易时段内使用最新价格撮合挂单，随后检查保证金账户的维持保证金；到达收盘时刻时记录账户净值快照
+    const matched = marketStatus.isOpen
+      ? orderEngine.matchOrders(latestPrices, { now })
+        .then(() => marginEngine.checkMaintenance(latestPrices))
+        .then(events => Promise.all(events.map(userChannel.publishMarginCall)))
+      : Promise.resolve();
+    matched.then(() => equityTracker.recordMarketClose(latestPrices, now));
+  }, TICK_INTERVAL);
+};
+
+// 初始化数据库，随后加载 (必要时生成) 持久化的历史K线并启动行情推送
+// 回放会话仅存在于内存，重启前遗留的回放挂单一并撤销
+db.initDatabase()
+  .then(() => orderEngine.cancelReplayOrders())
+  .then(() => marketData.initMarketData())
+  .then(() => {
+    syncLatestPrices();
+    startMarketFeed();
+  })
+  .catch(err => {
+    logger.error(`Database init failed: ${err.message}`);
+  });
+
+// 每分钟计提一次融资融券利息，计息时长取模拟时钟经过的时间 (加速时钟下按倍率放大)，计息后推送余额
+const INTEREST_INTERVAL = 60 * 1000;
+let lastInterestAt = marketClock.now();
+setInterval(() => {
+  const now = marketClock.now();
+  const elapsedMs = now - lastInterestAt;
+  lastInterestAt = now;
+  marginEngine.accrueInterest(latestPrices, elapsedMs)
+    .then(charged => Promise.all(charged.map(userId => userChannel.publishAccount(userId))));
+}, INTEREST_INTERVAL);
+
+replayEngine.attachSocket(io);
+userChannel.attachSocket(io, { getPrices: () => latestPrices });
+
+// 连接时携带访问令牌 (auth.token) 则校验身份，令牌无效时拒绝连接 (客户端刷新令牌后重连)；未携带令牌仅可订阅公开行情
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+  try {
+    socket.data.user = await auth.authenticate(token);
+    next();
+  } catch (err) {
+    const error = new Error(err.message);
+    error.data = { code: 'AUTH_FAILED' };
+    next(error);
+  }
+});
+
+/**
+ * 取消连接的登录身份：离开用户私有房间与回放会话房间，此后仅接收公开行情
+ */
+const dropSocketAuth = (socket) => {
+  clearTimeout(socket.data.authTimer);
+  socket.data.user = null;
+  [...socket.rooms]
+    .filter(room => room.startsWith('user:') || room.startsWith('replay:'))
+    .forEach(room => socket.leave(room));
+};
+
+/**
+ * 登出后撤销该登录会话下全部连接的身份
+ * @param {String} sessionId 登录会话 ID
+ */
+const revokeSessionSockets = (sessionId) => {
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data.user && socket.data.user.sessionId === sessionId) {
+      dropSocketAuth(socket);
+      socket.emit('auth_revoked');
+    }
   });
-  io.emit('price_update', updates);
-}, 2000);
+};
 
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`);
-  socket.emit('price_update', Object.keys(latestPrices).reduce((acc, symbol) => {
-    acc[symbol] = { symbol, price: latestPrices[symbol], timestamp: new Date().toISOString() };
-    return acc;
-  }, {}));
+  socket.emit('market_status', marketClock.getStatus());
+
+  // 已登录连接加入用户私有房间，接收委托、成交、余额与持仓推送
+  // 访问令牌到期时取消连接身份并通知客户端，客户端刷新令牌后重新握手
+  if (socket.data.user) {
+    socket.join(userChannel.roomOf(socket.data.user.id));
+    socket.data.authTimer = setTimeout(() => {
+      dropSocketAuth(socket);
+      socket.emit('auth_expired');
+    }, Math.max(0, socket.data.user.expiresAt - Date.now()));
+  }
+
+  // 订阅股票行情：加入股票房间并推送快照，ack 返回 { success, data: { [symbol]: seq } }
+  socket.on('subscribe', (symbols, ack) => {
+    const list = normalizeSymbols(symbols);
+    const subscribed = [...socket.rooms].filter(room => room.startsWith('symbol:')).length;
+    const added = list.filter(symbol => !socket.rooms.has(symbolRoom(symbol)));
+    if (subscribed + added.length > MAX_SUBSCRIPTIONS) {
+      if (typeof ack === 'function') ack({ success: false, message: `最多同时订阅 ${MAX_SUBSCRIPTIONS} 只股票` });
+      return;
+    }
+    list.forEach(symbol => socket.join(symbolRoom(symbol)));
+    const seq = emitSnapshot(socket, list);
+    if (typeof ack === 'function') ack({ success: true, data: seq });
+  });
+
+  socket.on('unsubscribe', (symbols) => {
+    normalizeSymbols(symbols).forEach(symbol => socket.leave(symbolRoom(symbol)));
+  });
+
+  // 断线重连或发现序号跳跃时请求已订阅股票的快照
+  socket.on('snapshot', (symbols, ack) => {
+    const list = normalizeSymbols(symbols).filter(symbol => socket.rooms.has(symbolRoom(symbol)));
+    const seq = emitSnapshot(socket, list);
+    if (typeof ack === 'function') ack({ success: true, data: seq });
+  });
+
+  // 加入/离开复盘回放会话房间：与 REST 接口一致仅会话所属用户可加入，加入时推送会话快照
+  socket.on('replay_join', (sessionId) => {
+    try {
+      if (!socket.data.user) throw new Error('请先登录');
+      const snapshot = replayEngine.getSnapshot(socket.data.user.id, sessionId);
+      socket.join(replayEngine.roomOf(sessionId));
+      socket.emit('replay_snapshot', snapshot);
+    } catch (err) {
+      socket.emit('replay_error', { sessionId, message: err.message });
+    }
+  });
+
+  socket.on('replay_leave', (sessionId) => {
+    socket.leave(replayEngine.roomOf(sessionId));
+  });
 
   socket.on('disconnect', () => {
-    // 客户端断开
+    clearTimeout(socket.data.authTimer);
   });
 });
 
 // === 业务 API 路由 ===
 
+/**
+ * 获取市场状态 (模拟时间、当前交易时段、休市日及下一次时段切换)
+ */
+app.get('/api/market/status', (req, res) => {
+  res.json({ success: true, data: marketClock.getStatus() });
+});
+
 /**
  * 获取股票列表
  */
 app.get('/api/stocks', (req, res) => {
   try {
-    const list = stockGen.getStockList();
+    const list = marketData.getStockList();
     // 附带当前内存中的最新价格
     const listWithPrice = list.map(item => ({
       ...item,
@@ -125,15 +368,85 @@ app.get('/api/stocks', (req, res) => {
 });
 
 /**
- * 获取单只股票历史K线数据
- * Query: symbol, days (default 365)
+ * 批量获取股票报价 (最新价、涨跌幅、当日高低及迷你走势图)
+ * Query: symbols 逗号分隔的股票代码
+ */
+app.get('/api/quotes', (req, res) => {
+  try {
+    const list = normalizeSymbols(String(req.query.symbols || '').split(',')).slice(0, MAX_SUBSCRIPTIONS);
+    res.json({ success: true, data: list.map(symbol => marketData.getQuote(symbol, latestPrices[symbol])) });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取报价失败' });
+  }
+});
+
+// 查询参数中的日期格式 YYYY-MM-DD
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 校验K线周期参数，缺省为日线
+const resolveInterval = (interval) => {
+  const value = interval || '1d';
+  return marketData.INTERVALS[value] ? value : null;
+};
+
+// 导出交易记录时每批读取的条数
+const EXPORT_BATCH_SIZE = 500;
+
+// 校验导出格式，缺省为 CSV
+const resolveExportFormat = (format) => {
+  const value = format || 'csv';
+  return exporter.EXPORT_FORMATS.includes(value) ? value : null;
+};
+
+// 导出文件名：前缀 + 日期，如 transactions-20240102
+const exportFilename = (prefix) => `${prefix}-${stockGen.formatDate(new Date()).replace(/-/g, '')}`;
+
+// 导出失败：尚未开始写入时返回错误信息，已开始写入则中断连接
+const handleExportError = (res, err, message) => {
+  logger.error(err);
+  if (res.headersSent) return res.destroy(err);
+  res.status(500).json({ success: false, message });
+};
+
+/**
+ * 解析交易记录筛选参数 (列表与导出共用)
+ * 日期按服务器本地时间解析，结束日期包含当天
+ * @returns {Object} { filters: { symbol, type, fromTime, toTime } } 或 { error }
+ */
+const parseTransactionFilters = ({ symbol, type, from, to }) => {
+  if (type && !['BUY', 'SELL'].includes(type)) return { error: '无效的交易方向' };
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: '日期格式应为 YYYY-MM-DD' };
+  }
+  let toTime;
+  if (to) {
+    const end = stockGen.parseDate(to);
+    end.setDate(end.getDate() + 1);
+    toTime = end.toISOString();
+  }
+  return {
+    filters: {
+      symbol: symbol ? String(symbol).toUpperCase() : undefined,
+      type,
+      fromTime: from ? stockGen.parseDate(from).toISOString() : undefined,
+      toTime
+    }
+  };
+};
+
+/**
+ * 获取单只股票历史K线数据 (末尾为当日实时K线)
+ * Query: symbol, days (日线默认365，日内周期按周期默认并限制最大回溯), interval ('1m'|'5m'|'15m'|'1h'|'1d')
  */
 app.get('/api/stocks/history', (req, res) => {
   try {
     const { symbol, days } = req.query;
     if (!symbol) return res.status(400).json({ success: false, message: '缺少股票代码' });
+    const interval = resolveInterval(req.query.interval);
+    if (!interval) return res.status(400).json({ success: false, message: '不支持的K线周期' });
 
-    const data = stockGen.generateHistory(symbol, parseInt(days) || 365);
+    const data = marketData.getHistory(symbol, parseInt(days), interval);
     res.json({ success: true, data });
   } catch (err) {
     logger.error(err);
@@ -142,12 +455,52 @@ app.get('/api/stocks/history', (req, res) => {
 });
 
 /**
- * 获取用户信息 (余额等)
- * Query: userId (默认1 demo用户)
+ * 获取技术指标列表及参数定义
  */
-app.get('/api/user', async (req, res) => {
+app.get('/api/indicators/list', (req, res) => {
+  res.json({ success: true, data: indicators.getIndicatorList() });
+});
+
+/**
+ * 计算技术指标序列 (与历史K线逐一对应)
+ * Query: symbol, name (KDJ|ATR|OBV|STOCH|CCI|WR|VWAP|ICHIMOKU), params (params[period]=14 或 JSON 字符串), days, interval
+ */
+app.get('/api/indicators', (req, res) => {
+  try {
+    const { symbol, name, days } = req.query;
+    if (!symbol) return res.status(400).json({ success: false, message: '缺少股票代码' });
+    if (!name) return res.status(400).json({ success: false, message: '缺少指标名称' });
+    const interval = resolveInterval(req.query.interval);
+    if (!interval) return res.status(400).json({ success: false, message: '不支持的K线周期' });
+
+    let params = req.query.params || {};
+    if (typeof params === 'string') {
+      try {
+        params = JSON.parse(params);
+      } catch (err) {
+        return res.status(400).json({ success: false, message: '指标参数格式错误' });
+      }
+    }
+
+    const history = marketData.getHistory(symbol, parseInt(days), interval);
+    const result = indicators.computeIndicator(history, name, params);
+    if (result.error) return res.status(400).json({ success: false, message: result.error });
+
+    res.json({ success: true, data: { ...result, symbol, interval } });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '计算技术指标失败' });
+  }
+});
+
+// 以下用户相关接口均需登录，用户身份取自访问令牌 (req.user)
+
+/**
+ * 获取当前登录用户信息 (余额等)
+ */
+app.get('/api/user', auth.requireAuth, async (req, res) => {
   try {
-    const userId = req.query.userId || 1; 
+    const userId = req.user.id;
     const user = await db.getUserById(userId);
     if (!user) return res.status(404).json({ success: false, message: '用户不存在' });
     res.json({ success: true, data: user });
@@ -158,27 +511,82 @@ app.get('/api/user', async (req, res) => {
 });
 
 /**
- * 获取用户持仓
- * Query: userId (默认1)
+ * 获取账户保证金状态 (净值、借入、保证金要求、购买力)
  */
-app.get('/api/portfolio', async (req, res) => {
+app.get('/api/account', auth.requireAuth, async (req, res) => {
   try {
-    const userId = req.query.userId || 1;
-    const portfolio = await db.getPortfolio(userId);
-    
-    // 补充当前市值估算
-    const enriched = portfolio.map(p => {
-      const currentPrice = latestPrices[p.symbol] || p.average_price;
-      return {
-        ...p,
-        currentPrice,
-        marketValue: parseFloat((currentPrice * p.quantity).toFixed(2)),
-        profit: parseFloat(((currentPrice - p.average_price) * p.quantity).toFixed(2)),
-        profitPercent: parseFloat(((currentPrice - p.average_price) / p.average_price * 100).toFixed(2))
-      };
-    });
+    const userId = req.user.id;
+    const summary = await marginEngine.getAccountSummary(userId, latestPrices);
+    if (!summary) return res.status(404).json({ success: false, message: '用户不存在' });
+    res.json({ success: true, data: { ...summary, config: marginEngine.MARGIN_CONFIG } });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取账户信息失败' });
+  }
+});
+
+/**
+ * 获取账户净值历史 (每日收盘快照 + 当前净值) 及收益率、回撤、波动率等指标
+ * Query: from, to (YYYY-MM-DD，可选)
+ */
+app.get('/api/account/equity-history', auth.requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, message: '日期格式应为 YYYY-MM-DD' });
+    }
+    const history = await equityTracker.getEquityHistory(req.user.id, latestPrices, { from, to });
+    if (!history) return res.status(404).json({ success: false, message: '用户不存在' });
+    res.json({ success: true, data: history });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取净值历史失败' });
+  }
+});
+
+/**
+ * 修改账户设置：账户类型与成本计价方法
+ * Body: { accountType: 'CASH' | 'MARGIN', costBasisMethod: 'FIFO' | 'LIFO' | 'AVERAGE' } (至少提供一项)
+ */
+app.put('/api/account', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { accountType, costBasisMethod } = req.body;
+    if (!accountType && !costBasisMethod) {
+      return res.status(400).json({ success: false, message: '缺少需要修改的账户设置' });
+    }
+    if (accountType && !db.ACCOUNT_TYPES.includes(accountType)) {
+      return res.status(400).json({ success: false, message: '无效的账户类型' });
+    }
+    if (costBasisMethod && !taxLots.COST_BASIS_METHODS.includes(costBasisMethod)) {
+      return res.status(400).json({ success: false, message: '无效的成本计价方法' });
+    }
+
+    if (accountType === 'CASH') {
+      const summary = await marginEngine.getAccountSummary(userId, latestPrices);
+      if (!summary) return res.status(404).json({ success: false, message: '用户不存在' });
+      if (summary.debit > 0 || summary.shortValue > 0) {
+        return res.status(400).json({ success: false, message: '请先归还融资负债并平掉空头持仓' });
+      }
+    }
+
+    let user = null;
+    if (accountType) user = await db.setAccountType(userId, accountType);
+    if (costBasisMethod) user = await db.setCostBasisMethod(userId, costBasisMethod);
+    res.json({ success: true, data: user });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '修改账户设置失败' });
+  }
+});
 
-    res.json({ success: true, data: enriched });
+/**
+ * 获取用户持仓
+ */
+app.get('/api/portfolio', auth.requireAuth, async (req, res) => {
+  try {
+    const portfolio = await db.getPortfolio(req.user.id);
+    res.json({ success: true, data: marginEngine.enrichPositions(portfolio, latestPrices) });
   } catch (err) {
     logger.error(err);
     res.status(500).json({ success: false, message: '获取持仓失败' });
@@ -186,38 +594,190 @@ app.get('/api/portfolio', async (req, res) => {
 });
 
 /**
- * 获取交易记录
+ * 导出当前持仓
+ * Query: format ('csv' | 'xlsx')
+ */
+app.get('/api/portfolio/export', auth.requireAuth, async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+    if (!format) return res.status(400).json({ success: false, message: '不支持的导出格式' });
+    const portfolio = await db.getPortfolio(req.user.id);
+    await exporter.sendExport(res, {
+      format,
+      filename: exportFilename('positions'),
+      sheetName: '持仓',
+      columns: exporter.POSITION_COLUMNS,
+      batches: [marginEngine.enrichPositions(portfolio, latestPrices)]
+    });
+  } catch (err) {
+    handleExportError(res, err, '导出持仓失败');
+  }
+});
+
+/**
+ * 分页获取交易记录
+ * Query: symbol, type ('BUY' | 'SELL'), from, to (YYYY-MM-DD，含), page (从 1 开始), pageSize (默认 20，最大 200)
  */
-app.get('/api/transactions', async (req, res) => {
+app.get('/api/transactions', auth.requireAuth, async (req, res) => {
   try {
-    const userId = req.query.userId || 1;
-    const txs = await db.getTransactions(userId);
-    res.json({ success: true, data: txs });
+    const { filters, error } = parseTransactionFilters(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const page = parseInt(req.query.page) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize) || 20, 200);
+    if (page < 1 || pageSize < 1) {
+      return res.status(400).json({ success: false, message: '无效的分页参数' });
+    }
+
+    const result = await db.queryTransactions(req.user.id, {
+      ...filters,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+    res.json({ success: true, data: { ...result, page, pageSize } });
   } catch (err) {
     logger.error(err);
     res.status(500).json({ success: false, message: '获取交易记录失败' });
   }
 });
 
+/**
+ * 导出交易记录 (全部匹配记录，分批读取)
+ * Query: format ('csv' | 'xlsx')，筛选参数同 /api/transactions
+ */
+app.get('/api/transactions/export', auth.requireAuth, async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+    if (!format) return res.status(400).json({ success: false, message: '不支持的导出格式' });
+    const { filters, error } = parseTransactionFilters(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const userId = req.user.id;
+    async function* batches() {
+      for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const { items } = await db.queryTransactions(userId, { ...filters, limit: EXPORT_BATCH_SIZE, offset });
+        if (items.length === 0) return;
+        yield items;
+        if (items.length < EXPORT_BATCH_SIZE) return;
+      }
+    }
+
+    await exporter.sendExport(res, {
+      format,
+      filename: exportFilename('transactions'),
+      sheetName: '交易记录',
+      columns: exporter.TRANSACTION_COLUMNS,
+      batches: batches()
+    });
+  } catch (err) {
+    handleExportError(res, err, '导出交易记录失败');
+  }
+});
+
+/**
+ * 盈亏统计：已实现 / 未实现盈亏，按股票与周期汇总
+ * Query: groupBy ('day'|'week'|'month'|'year'，默认 month), from, to (YYYY-MM-DD，仅筛选已实现盈亏)
+ */
+app.get('/api/pnl', auth.requireAuth, async (req, res) => {
+  try {
+    const { groupBy = 'month', from, to } = req.query;
+    if (!pnlEngine.PNL_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ success: false, message: '无效的统计周期' });
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ success: false, message: '日期格式应为 YYYY-MM-DD' });
+    }
+    const report = await pnlEngine.getPnlReport(req.user.id, latestPrices, { groupBy, from, to });
+    if (!report) return res.status(404).json({ success: false, message: '用户不存在' });
+    res.json({ success: true, data: report });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取盈亏统计失败' });
+  }
+});
+
+/**
+ * 交易预估 (成交价、滑点、佣金、印花税、总额)
+ * Query: symbol, type, quantity, orderType, limitPrice, stopPrice
+ */
+app.get('/api/trade/estimate', (req, res) => {
+  try {
+    const { symbol, type, orderType, limitPrice, stopPrice } = req.query;
+    const qty = parseInt(req.query.quantity);
+    if (!symbol || !['BUY', 'SELL'].includes(type) || !Number.isInteger(qty) || qty <= 0) {
+      return res.status(400).json({ success: false, message: '缺少交易参数' });
+    }
+
+    const marketPrice = latestPrices[symbol];
+    if (!marketPrice) {
+      return res.status(400).json({ success: false, message: `暂无 ${symbol} 的行情` });
+    }
+
+    // 止损单以触发价估算，限价单成交价不劣于限价
+    const referencePrice = orderType === 'STOP' && parseFloat(stopPrice) > 0 ? parseFloat(stopPrice) : marketPrice;
+    const quote = feeModel.quoteTrade({
+      side: type,
+      marketPrice: referencePrice,
+      quantity: qty,
+      volume: marketData.getReferenceVolume(symbol),
+      limitPrice: ['LIMIT', 'STOP_LIMIT'].includes(orderType) && parseFloat(limitPrice) > 0 ? parseFloat(limitPrice) : null
+    });
+    res.json({ success: true, data: { ...quote, schedule: feeModel.FEE_SCHEDULE } });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '交易预估失败' });
+  }
+});
+
 /**
  * 执行交易 (买入/卖出)
- * Body: { userId, symbol, type, quantity, price }
+ * Body: { symbol, type, quantity, price, maxSlippage, orderType, limitPrice, stopPrice, timeInForce, replaySessionId }
+ * orderType 缺省为 MARKET，以服务端最新价立即成交，price 仅作为最大滑点保护的参考报价
+ * LIMIT/STOP/STOP_LIMIT 生成挂单，由撮合循环成交
+ * 指定 replaySessionId 时在复盘回放会话内交易：以回放价格成交，挂单按回放时间撮合，成交记入会话的模拟账户
  */
-app.post('/api/trade', async (req, res) => {
+app.post('/api/trade', auth.requireAuth, async (req, res) => {
   try {
-    let { userId, symbol, type, quantity, price } = req.body;
-    userId = userId || 1; // 默认用户
+    const userId = req.user.id;
+    const { symbol, type, quantity, price, maxSlippage, orderType, replaySessionId } = req.body;
+    const replay = replaySessionId ? replayEngine.getTradingContext(userId, replaySessionId) : null;
+    const prices = replay ? replay.prices : latestPrices;
+    // 回放会话只有所选股票的行情，其他股票的挂单永远无法成交
+    if (replay && !replay.symbols.includes(String(symbol || '').toUpperCase())) {
+      return res.status(400).json({ success: false, message: `回放会话不包含 ${symbol || '该股票'}，无法交易` });
+    }
 
-    if (!symbol || !type || !quantity || !price) {
+    // 休市及盘前盘后的挂单排队等待撮合，市价单仅盘中 (回放会话不受实时交易时段限制)
+    if (orderType && orderType !== 'MARKET') {
+      const order = await orderEngine.placeOrder(userId, { ...req.body, side: type }, replay ? {
+        replaySessionId,
+        now: replay.now
+      } : {});
+      return res.json({ success: true, data: { order } });
+    }
+
+    if (!symbol || !type || !quantity) {
       return res.status(400).json({ success: false, message: '缺少交易参数' });
     }
+    const qty = parseInt(quantity);
+    if (!['BUY', 'SELL'].includes(type) || !Number.isInteger(qty) || qty <= 0) {
+      return res.status(400).json({ success: false, message: '无效的交易方向或数量' });
+    }
+    if (!replay) orderEngine.assertMarketOrderSession(marketClock.getStatus());
 
-    // 如果前端传的价格和后端内存价格差距过大(防止作弊)，实际应用需校验，模拟器暂略
-    // 这里强制使用后端最新价格作为参考，或者信任前端传参
-    // 为了模拟真实成交，我们在后端再次获取最新价格，如果偏差在允许范围内则执行
-    // 简化：直接执行
-    
-    const result = await db.executeTrade(userId, symbol, type, parseFloat(price), parseInt(quantity));
+    const marketPrice = prices[symbol];
+    if (!marketPrice) {
+      return res.status(400).json({ success: false, message: `暂无 ${symbol} 的行情，无法成交` });
+    }
+
+    // 成交价以后端最新行情为准，前端报价仅用于滑点保护
+    orderEngine.assertWithinSlippage({ side: type, marketPrice, clientPrice: price, maxSlippage });
+
+    // 按委托规模计算滑点后的成交价及佣金、印花税，保证金账户校验保证金
+    const result = await orderEngine.executeMarketTrade(userId, symbol, type, qty, marketPrice, {
+      latestPrices: prices,
+      replaySessionId: replay ? replaySessionId : null,
+      now: replay ? replay.now : undefined
+    });
     res.json({ success: true, data: result });
   } catch (err) {
     logger.error(`Trade failed: ${err.message}`);
@@ -225,41 +785,589 @@ app.post('/api/trade', async (req, res) => {
   }
 });
 
+/**
+ * 获取委托列表
+ * Query: status ('open' 仅未成交 | 'all')
+ */
+app.get('/api/orders', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const orders = await db.getOrders(userId, req.query.status === 'open');
+    res.json({ success: true, data: orders });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取委托失败' });
+  }
+});
+
+/**
+ * 修改未成交委托
+ * Body: { quantity, limitPrice, stopPrice, timeInForce }
+ */
+app.put('/api/orders/:id', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    // 回放委托改为当日有效时按回放时间计算过期时间
+    const existing = await db.getOrderById(req.params.id);
+    const replay = existing && existing.replay_session_id
+      ? replayEngine.getTradingContext(userId, existing.replay_session_id)
+      : null;
+    const order = await orderEngine.amendOrder(userId, req.params.id, req.body, replay ? { now: replay.now } : {});
+    res.json({ success: true, data: order });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 撤销未成交委托
+ */
+app.delete('/api/orders/:id', auth.requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const order = await orderEngine.cancelOrder(userId, req.params.id);
+    res.json({ success: true, data: order });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 获取策略列表及参数定义 (默认值与取值范围)
+ */
+app.get('/api/strategy/list', (req, res) => {
+  res.json({ success: true, data: strategyEngine.getStrategyList() });
+});
+
+/**
+ * 按请求运行策略：内置策略，或用户自定义规则策略 (customStrategyId 为已保存的策略，需登录；rules 为未保存的规则定义)
+ * @param {Array} history K线数据
+ * @param {Object} request { strategyType, params, customStrategyId, rules }
+ * @param {Object} user 当前登录用户 (可为空)
+ * @returns {Object} 策略结果或 { error }
+ */
+const runRequestedStrategy = async (history, { strategyType, params, customStrategyId, rules }, user) => {
+  if (customStrategyId) {
+    if (!user) return { error: '请先登录后使用自定义策略' };
+    try {
+      const strategy = await customStrategies.getStrategy(user.id, customStrategyId);
+      return ruleStrategy.runRuleStrategy(history, strategy.definition, strategy.name);
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  if (rules) return ruleStrategy.runRuleStrategy(history, rules);
+  return strategyEngine.runStrategy(history, strategyType || 'ML_COMPOSITE', params);
+};
+
 /**
  * 策略分析
- * Body: { symbol, strategyType, period }
+ * Body: { symbol, strategyType, period, params, interval, customStrategyId, rules }
+ * period: 参与分析的历史天数 (日线默认365)，params: 策略参数覆盖值，interval: K线周期 (默认日线)
+ * customStrategyId / rules: 改用自定义规则策略 (见 runRequestedStrategy)
  */
-app.post('/api/strategy/analyze', (req, res) => {
+app.post('/api/strategy/analyze', auth.optionalAuth, async (req, res) => {
   try {
-    const { symbol, strategyType, period } = req.body; // strategyType: 'MA_CROSS' | 'MOMENTUM' | 'BOLLINGER'
+    const { symbol, period } = req.body;
     if (!symbol) return res.status(400).json({ success: false, message: '缺少股票代码' });
+    const interval = resolveInterval(req.body.interval);
+    if (!interval) return res.status(400).json({ success: false, message: '不支持的K线周期' });
 
-    // 获取历史数据用于分析 (默认取过去1年数据以确保指标计算准确)
-    const history = stockGen.generateHistory(symbol, 365);
+    // 获取历史数据用于分析 (日线默认取过去1年数据以确保指标计算准确)
+    const history = marketData.getHistory(symbol, parseInt(period), interval);
     
     // 运行策略引擎
-    const result = strategyEngine.runStrategy(history, strategyType || 'MA_CROSS');
+    const result = await runRequestedStrategy(history, req.body, req.user);
     
     // 如果发生错误
     if (result.error) {
       return res.status(400).json({ success: false, message: result.error });
     }
 
-    res.json({ success: true, data: result });
+    res.json({ success: true, data: { ...result, interval } });
   } catch (err) {
     logger.error(err);
     res.status(500).json({ success: false, message: '策略分析失败' });
   }
 });
 
-// 简易用户注册 (MVP辅助)
-app.post('/api/auth/register', async (req, res) => {
+/**
+ * 按请求参数运行策略回测 (回测与导出共用)
+ * @returns {Object} { result } 或 { error } 参数错误信息
+ */
+const runBacktestRequest = async (request, user) => {
+  const { symbol, days, initialCapital, positionSize, interval: rawInterval } = request;
+  if (!symbol) return { error: '缺少股票代码' };
+  const interval = resolveInterval(rawInterval);
+  if (!interval) return { error: '不支持的K线周期' };
+
+  const history = marketData.getHistory(symbol, parseInt(days), interval);
+  const strategy = await runRequestedStrategy(history, request, user);
+  if (strategy.error) return { error: strategy.error };
+
+  const result = backtester.runBacktest(history, strategy.signals, {
+    initialCapital: backtester.parseOption(initialCapital),
+    positionSize: backtester.parseOption(positionSize),
+    periodsPerYear: marketData.getPeriodsPerYear(interval)
+  });
+  if (result.error) return { error: result.error };
+
+  return { result: { symbol, interval, strategy: strategy.name, params: strategy.params, ...result } };
+};
+
+/**
+ * 策略回测：按策略信号在历史K线上模拟交易 (下一根开盘成交，计入费用)
+ * Body: { symbol, strategyType, params, days, interval, initialCapital, positionSize, customStrategyId, rules }
+ */
+app.post('/api/strategy/backtest', auth.optionalAuth, async (req, res) => {
   try {
-    const { username, password } = req.body;
-    const user = await db.createUser(username, password);
-    res.json({ success: true, data: { id: user.id, username: user.username } });
+    const { result, error } = await runBacktestRequest(req.body, req.user);
+    if (error) return res.status(400).json({ success: false, message: error });
+    res.json({ success: true, data: result });
   } catch (err) {
-    res.status(400).json({ success: false, message: '注册失败，用户名可能已存在' });
+    logger.error(err);
+    res.status(500).json({ success: false, message: '策略回测失败' });
+  }
+});
+
+/**
+ * 导出回测交易明细
+ * Query: format ('csv' | 'xlsx')；Body 同 /api/strategy/backtest
+ */
+app.post('/api/strategy/backtest/export', auth.optionalAuth, async (req, res) => {
+  try {
+    const format = resolveExportFormat(req.query.format);
+    if (!format) return res.status(400).json({ success: false, message: '不支持的导出格式' });
+    const { result, error } = await runBacktestRequest(req.body, req.user);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    await exporter.sendExport(res, {
+      format,
+      filename: exportFilename(`backtest-${result.symbol}-${result.interval}`),
+      sheetName: '回测交易',
+      columns: exporter.BACKTEST_TRADE_COLUMNS,
+      batches: [result.trades]
+    });
+  } catch (err) {
+    handleExportError(res, err, '导出回测结果失败');
+  }
+});
+
+// === 自定义策略 ===
+
+/**
+ * 获取当前用户的自定义规则策略及规则编辑器定义 (操作数、比较方式、组合方式)
+ */
+app.get('/api/strategy/custom', auth.requireAuth, async (req, res) => {
+  try {
+    const strategies = await customStrategies.listStrategies(req.user.id);
+    res.json({ success: true, data: { strategies, schema: ruleStrategy.getRuleSchema() } });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取自定义策略失败' });
+  }
+});
+
+/**
+ * 新建自定义策略
+ * Body: { name, definition: { buy: { logic, conditions }, sell: { logic, conditions } } }
+ */
+app.post('/api/strategy/custom', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await customStrategies.createStrategy(req.user.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 修改自定义策略
+ * Body: { name, definition }
+ */
+app.put('/api/strategy/custom/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await customStrategies.updateStrategy(req.user.id, req.params.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 删除自定义策略
+ */
+app.delete('/api/strategy/custom/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await customStrategies.deleteStrategy(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// === 参数优化 ===
+
+/**
+ * 获取参数优化可选的目标指标及搜索上限
+ */
+app.get('/api/strategy/optimize/options', auth.requireAuth, (req, res) => {
+  res.json({ success: true, data: optimizer.getOptimizerOptions() });
+});
+
+/**
+ * 创建参数优化任务：在工作线程中按参数区间逐组回测，立即返回任务概要
+ * 进度与排名结果通过 Socket 事件 optimize_progress / optimize_complete 推送
+ * Body: { symbol, strategyType, interval, days, ranges: { [参数]: { min, max, step } }, params,
+ *   objective: SHARPE|RETURN|DRAWDOWN, method: GRID|RANDOM, budget, initialCapital, positionSize }
+ */
+app.post('/api/strategy/optimize', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: optimizer.startOptimization(req.user.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 查询参数优化任务进度及结果
+ */
+app.get('/api/strategy/optimize/:id', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: optimizer.getOptimization(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 取消进行中的参数优化任务
+ */
+app.delete('/api/strategy/optimize/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await optimizer.cancelOptimization(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// === 复盘回放 ===
+
+/**
+ * 获取当前用户的回放会话列表及支持的倍速
+ */
+app.get('/api/replay/sessions', auth.requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: { sessions: replayEngine.listSessions(req.user.id), speeds: replayEngine.REPLAY_SPEEDS }
+  });
+});
+
+/**
+ * 创建回放会话并开始推送 (客户端通过 Socket 事件 replay_join 加入会话房间)
+ * Body: { symbols, startDate, endDate, speed }
+ */
+app.post('/api/replay/sessions', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: replayEngine.createSession(req.user.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 获取回放会话快照 (当前回放时间、价格及当日分钟K线)
+ */
+app.get('/api/replay/sessions/:id', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: replayEngine.getSnapshot(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 控制回放：暂停/继续、倍速、跳转
+ * Body: { status: 'PLAYING'|'PAUSED', speed, seekTo: 'YYYY-MM-DD' 或 'YYYY-MM-DD HH:mm' }
+ */
+app.put('/api/replay/sessions/:id', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: replayEngine.controlSession(req.user.id, req.params.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 获取回放会话的模拟账户 (现金、持仓、已实现盈亏及成交记录)
+ */
+app.get('/api/replay/sessions/:id/account', auth.requireAuth, (req, res) => {
+  try {
+    res.json({ success: true, data: replayEngine.getAccount(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 结束回放会话 (撤销会话内未成交的挂单，删除会话的模拟账户)
+ */
+app.delete('/api/replay/sessions/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await replayEngine.deleteSession(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// === 价格提醒 ===
+
+/**
+ * 获取当前用户的提醒列表及可设置提醒的技术指标
+ */
+app.get('/api/alerts', auth.requireAuth, async (req, res) => {
+  try {
+    const alerts = await alertEngine.listAlerts(req.user.id);
+    res.json({ success: true, data: { alerts, indicators: alertEngine.getIndicatorList() } });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取提醒失败' });
+  }
+});
+
+/**
+ * 新建提醒
+ * Body: { symbol, alertType: 'PRICE'|'INDICATOR', indicator, period, interval, direction: 'ABOVE'|'BELOW', threshold, note }
+ */
+app.post('/api/alerts', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await alertEngine.createAlert(req.user.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 已触发的提醒全部标记为已读
+ */
+app.post('/api/alerts/read', auth.requireAuth, async (req, res) => {
+  try {
+    await alertEngine.acknowledgeAlerts(req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '标记已读失败' });
+  }
+});
+
+/**
+ * 修改提醒条件或启停 (status 为 ACTIVE 时重新启用已触发的提醒)
+ * Body: { direction, threshold, indicator, period, interval, note, status: 'ACTIVE'|'DISABLED' }
+ */
+app.put('/api/alerts/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await alertEngine.updateAlert(req.user.id, req.params.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 删除提醒
+ */
+app.delete('/api/alerts/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await alertEngine.deleteAlert(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// === 自选股 ===
+
+/**
+ * 获取当前用户的自选股分组 (首次访问时创建默认分组)
+ */
+app.get('/api/watchlists', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.listWatchlists(req.user.id) });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取自选股失败' });
+  }
+});
+
+/**
+ * 新建自选股分组
+ * Body: { name, symbols }
+ */
+app.post('/api/watchlists', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.createWatchlist(req.user.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 重命名分组或调整分组内股票及顺序
+ * Body: { name, symbols }
+ */
+app.put('/api/watchlists/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.updateWatchlist(req.user.id, req.params.id, req.body) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 删除自选股分组
+ */
+app.delete('/api/watchlists/:id', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.deleteWatchlist(req.user.id, req.params.id) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 向分组添加股票
+ * Body: { symbol }
+ */
+app.post('/api/watchlists/:id/symbols', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.addSymbol(req.user.id, req.params.id, req.body.symbol) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+/**
+ * 从分组移除股票
+ */
+app.delete('/api/watchlists/:id/symbols/:symbol', auth.requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, data: await watchlists.removeSymbol(req.user.id, req.params.id, req.params.symbol) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+});
+
+// === 管理接口 ===
+
+// 行情数据文件上传 (内存存储，单文件不超过 20MB)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES } });
+
+/**
+ * 导入股票的真实历史日K线 (管理员)
+ * multipart/form-data: file 数据文件, symbol, name, format ('csv' | 'json'，缺省按内容判断), adjust ('true' 按复权价调整)
+ * 或 JSON Body: { symbol, name, format, adjust, content 文件内容 } (Body 不超过 20MB)
+ */
+app.post('/api/admin/history/import', auth.requireAuth, auth.requireAdmin, upload.single('file'), async (req, res) => {
+  try {
+    const { symbol, name, format } = req.body;
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content) return res.status(400).json({ success: false, message: '缺少数据文件' });
+
+    const record = await importer.importHistory({
+      symbol,
+      name,
+      content,
+      format: format || undefined,
+      adjust: req.body.adjust === true || req.body.adjust === 'true',
+      source: req.file ? req.file.originalname : 'api'
+    });
+    await marketData.reloadSymbol(record.symbol);
+    syncLatestPrices();
+    res.json({ success: true, data: record });
+  } catch (err) {
+    if (err instanceof importer.ImportError) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
+    logger.error(err);
+    res.status(500).json({ success: false, message: '导入历史行情失败' });
+  }
+});
+
+/**
+ * 查询已导入真实行情的股票
+ */
+app.get('/api/admin/history/imports', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, data: await db.getImportedSymbols() });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '获取导入记录失败' });
+  }
+});
+
+// === 用户认证 ===
+
+/**
+ * 用户注册，成功后直接登录
+ * Body: { username, password, accountType: 'CASH' | 'MARGIN' }
+ */
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { username, password, accountType } = req.body;
+    if (!username || String(username).trim().length < 3) {
+      return res.status(400).json({ success: false, message: '用户名至少3个字符' });
+    }
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({ success: false, message: '密码至少6个字符' });
+    }
+    if (await db.getUserByUsername(String(username).trim())) {
+      return res.status(400).json({ success: false, message: '用户名已存在' });
+    }
+
+    const user = await db.createUser(String(username).trim(), String(password), accountType === 'MARGIN' ? 'MARGIN' : 'CASH');
+    const session = await auth.startSession(user);
+    res.json({ success: true, data: session });
+  } catch (err) {
+    res.status(400).json({ success: false, message: '注册失败，用户名可能已存在' });
+  }
+});
+
+/**
+ * 用户登录
+ * Body: { username, password }
+ * 返回 { accessToken, refreshToken, user }
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const session = await auth.login(username, password);
+    res.json({ success: true, data: session });
+  } catch (err) {
+    if (!err.status) logger.error(err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : '登录失败' });
+  }
+});
+
+/**
+ * 刷新令牌 (刷新令牌单次有效，每次刷新返回新的令牌对)
+ * Body: { refreshToken }
+ */
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const session = await auth.refresh(req.body.refreshToken);
+    res.json({ success: true, data: session });
+  } catch (err) {
+    if (!err.status) logger.error(err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : '刷新登录状态失败' });
+  }
+});
+
+/**
+ * 登出：撤销当前会话
+ */
+app.post('/api/auth/logout', auth.requireAuth, async (req, res) => {
+  try {
+    await auth.logout(req.user.sessionId);
+    revokeSessionSockets(req.user.sessionId);
+    res.json({ success: true });
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json({ success: false, message: '登出失败' });
   }
 });
 
@@ -3,6 +3,7 @@
  * 股票数据生成器模块
  * 负责生成模拟的股票K线历史数据和实时价格波动
  * 采用简化的随机漫步模型模拟市场行为
+ * 历史K线使用按 股票代码+日期 派生的固定种子生成，同一交易日的K线在任何时候生成都一致
  */
 
 // 预置的模拟股票列表
@@ -16,6 +17,39 @@ const STOCKS = [
   { symbol: 'META', name: 'Meta Platforms', basePrice: 320.00, volatility: 0.025 }
 ];
 
+// 日成交量基准 (generateCandle 在此基础上随机波动)
+const VOLUME_BASE = 1000000;
+
+// 历史K线的固定起始日期，保证每次从头生成的数据完全一致
+const HISTORY_START_DATE = process.env.HISTORY_START_DATE || '2023-01-02';
+
+/**
+ * 字符串哈希 (FNV-1a)，用于派生随机种子
+ */
+const hashSeed = (str) => {
+  let hash = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * 创建可复现的伪随机数发生器 (mulberry32)，返回值区间 [0, 1)
+ * @param {Number} seed 32位整数种子
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
 /**
  * 格式化日期为 YYYY-MM-DD (本地时间)
  */
@@ -31,14 +65,15 @@ const formatDate = (date) => {
  * @param {Number} prevClose 前一日收盘价
  * @param {Number} volatility 波动率
  * @param {Date} date 当前日期对象
+ * @param {Function} random 随机数发生器，默认 Math.random
  */
-const generateCandle = (prevClose, volatility, date) => {
+const generateCandle = (prevClose, volatility, date, random = Math.random) => {
   // 模拟开盘跳空：Open通常接近PrevClose，但有微小随机偏差
-  const gap = (Math.random() - 0.5) * volatility * 0.2;
+  const gap = (random() - 0.5) * volatility * 0.2;
   const open = Number((prevClose * (1 + gap)).toFixed(2));
 
   // 模拟当日涨跌幅
-  const changePercent = (Math.random() - 0.5) * volatility * 2; // 扩大一点日内波动
+  const changePercent = (random() - 0.5) * volatility * 2; // 扩大一点日内波动
   let close = Number((open * (1 + changePercent)).toFixed(2));
 
   // 确保价格不为负
@@ -50,15 +85,14 @@ const generateCandle = (prevClose, volatility, date) => {
   const bodyMax = Math.max(open, close);
   const bodyMin = Math.min(open, close);
   
-  const highChange = Math.random() * volatility * 0.5;
-  const lowChange = Math.random() * volatility * 0.5;
+  const highChange = random() * volatility * 0.5;
+  const lowChange = random() * volatility * 0.5;
 
   const high = Number((bodyMax * (1 + highChange)).toFixed(2));
   const low = Number((bodyMin * (1 - lowChange)).toFixed(2));
 
   // 模拟成交量 (随机波动)
-  const volumeBase = 1000000;
-  const volume = Math.floor(volumeBase * (0.5 + Math.random()) * (1 + Math.abs(changePercent) * 10));
+  const volume = Math.floor(VOLUME_BASE * (0.5 + random()) * (1 + Math.abs(changePercent) * 10));
 
   return {
     date: formatDate(date),
@@ -71,43 +105,130 @@ const generateCandle = (prevClose, volatility, date) => {
 };
 
 /**
- * 生成指定股票的历史K线数据
- * @param {String} symbol 股票代码
- * @param {Number} days 生成天数
+ * 解析 YYYY-MM-DD 为本地时间日期对象
  */
-const generateHistory = (symbol, days = 365) => {
-  const stock = STOCKS.find(s => s.symbol === symbol);
-  if (!stock) return [];
+const parseDate = (str) => {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
 
-  const data = [];
+/**
+ * 股票在历史起始日之前的初始价格：以股票代码为种子预热随机漫步，
+ * 避免所有股票都死板地从 basePrice 开始
+ */
+const getSeedPrice = (stock) => {
+  const random = createRandom(hashSeed(stock.symbol));
   let currentPrice = stock.basePrice;
-  
-  // 为了让曲线看起来更自然，先随机预热运算50次，避免所有股票都死板地从basePrice开始
   for (let i = 0; i < 50; i++) {
-    const change = (Math.random() - 0.5) * stock.volatility;
+    const change = (random() - 0.5) * stock.volatility;
     currentPrice = currentPrice * (1 + change);
   }
+  return currentPrice;
+};
 
-  const endDate = new Date();
-  const startDate = new Date();
-  startDate.setDate(endDate.getDate() - days);
+/**
+ * 是否为工作日 (周一至周五)
+ */
+const isWeekday = (date) => date.getDay() !== 0 && date.getDay() !== 6;
 
-  let currentDate = new Date(startDate);
+/**
+ * 生成指定股票在日期区间内的历史K线数据 (跳过非交易日)
+ * 每根K线的随机数由 股票代码+日期 派生，相同前收盘价下结果确定
+ * @param {String} symbol 股票代码
+ * @param {String} fromDate 起始日期 YYYY-MM-DD (含)，默认 HISTORY_START_DATE
+ * @param {Date} toDate 截止日期 (含)，默认今天
+ * @param {Number} prevClose 起始日前一交易日收盘价，缺省时使用种子初始价
+ * @param {Function} isTradingDay 交易日判断 (Date => Boolean)，默认仅跳过周末
+ */
+const generateHistory = (symbol, fromDate = HISTORY_START_DATE, toDate = new Date(), prevClose = null, isTradingDay = isWeekday) => {
+  const stock = STOCKS.find(s => s.symbol === symbol);
+  if (!stock) return [];
+
+  const data = [];
+  let currentPrice = prevClose || getSeedPrice(stock);
+  const endDate = formatDate(toDate);
+  let currentDate = parseDate(fromDate);
 
-  while (currentDate <= endDate) {
-    // 跳过周六周日
-    const day = currentDate.getDay();
-    if (day !== 0 && day !== 6) {
-      const candle = generateCandle(currentPrice, stock.volatility, currentDate);
+  while (formatDate(currentDate) <= endDate) {
+    if (isTradingDay(currentDate)) {
+      const random = createRandom(hashSeed(`${symbol}:${formatDate(currentDate)}`));
+      const candle = generateCandle(currentPrice, stock.volatility, currentDate, random);
       data.push(candle);
       currentPrice = candle.close;
     }
     currentDate.setDate(currentDate.getDate() + 1);
   }
-  
+
   return data;
 };
 
+// 日内交易时段 (本地时间 09:30 - 16:00，共 390 分钟)，用于生成日内分钟K线
+const INTRADAY_SESSION = {
+  openMinute: 9 * 60 + 30,
+  minutes: 390
+};
+
+/**
+ * 将一天中的分钟数格式化为 HH:mm
+ */
+const formatMinute = (minuteOfDay) => {
+  const h = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+  const m = String(minuteOfDay % 60).padStart(2, '0');
+  return `${h}:${m}`;
+};
+
+/**
+ * 由日K线生成当日的分钟K线：开盘到收盘之间的随机桥路径，
+ * 缩放到日K线的高低点范围内，成交量按 U 型分布分摊日成交量
+ * 随机数由 股票代码+日期 派生，同一根日K线生成的分钟线始终一致
+ * @param {String} symbol 股票代码
+ * @param {Object} candle 日K线 { date, open, high, low, close, volume }
+ * @returns {Array} 分钟K线 [{ date: 'YYYY-MM-DD HH:mm', open, high, low, close, volume }]
+ */
+const generateIntradayBars = (symbol, candle) => {
+  const random = createRandom(hashSeed(`${symbol}:${candle.date}:intraday`));
+  const n = INTRADAY_SESSION.minutes;
+
+  // 随机游走后减去线性漂移，得到首尾为 0 的随机桥
+  const walk = [0];
+  for (let i = 1; i <= n; i++) walk.push(walk[i - 1] + (random() - 0.5));
+  const bridge = walk.map((w, i) => w - walk[n] * i / n);
+
+  const line = (i) => candle.open + (candle.close - candle.open) * i / n;
+  const maxDev = Math.max(...bridge.map((b, i) => b > 0 ? b / Math.max(candle.high - line(i), 1e-6) : 0));
+  const minDev = Math.max(...bridge.map((b, i) => b < 0 ? -b / Math.max(line(i) - candle.low, 1e-6) : 0));
+  // 正负偏离分别缩放，使路径恰好触及日内最高价与最低价
+  const path = bridge.map((b, i) => {
+    if (b > 0 && maxDev > 0) return line(i) + b / maxDev;
+    if (b < 0 && minDev > 0) return line(i) + b / minDev;
+    return line(i);
+  });
+
+  // U 型成交量权重：开盘与收盘附近成交更活跃
+  const weights = [];
+  for (let i = 0; i < n; i++) {
+    const x = (i + 0.5) / n;
+    weights.push((1 + 3 * Math.pow(2 * x - 1, 2)) * (0.5 + random()));
+  }
+  const weightSum = weights.reduce((a, b) => a + b, 0);
+
+  const bars = [];
+  for (let i = 0; i < n; i++) {
+    const open = Number(path[i].toFixed(2));
+    const close = Number(path[i + 1].toFixed(2));
+    const wick = Math.abs(close - open) * random() * 0.5;
+    bars.push({
+      date: `${candle.date} ${formatMinute(INTRADAY_SESSION.openMinute + i)}`,
+      open,
+      high: Number(Math.min(candle.high, Math.max(open, close) + wick).toFixed(2)),
+      low: Number(Math.max(candle.low, Math.min(open, close) - wick).toFixed(2)),
+      close,
+      volume: Math.round(candle.volume * weights[i] / weightSum)
+    });
+  }
+  return bars;
+};
+
 /**
  * 获取所有支持的股票列表
  */
@@ -119,6 +240,15 @@ const getStockList = () => {
   }));
 };
 
+/**
+ * 获取股票的参考日成交量 (用于滑点估算)
+ * @param {String} symbol 股票代码
+ */
+const getReferenceVolume = (symbol) => {
+  const stock = STOCKS.find(s => s.symbol === symbol);
+  return stock ? VOLUME_BASE : 0;
+};
+
 /**
  * 生成下一个实时价格 tick (用于模拟实时行情)
  * @param {Number} lastPrice 上一次价格
@@ -135,9 +265,27 @@ const generateRealtimeTick = (lastPrice, symbol) => {
   return Number(newPrice.toFixed(2));
 };
 
+/**
+ * 生成单个 tick 的成交量：按 tick 间隔占常规交易时段的比例分摊参考日成交量，并随机波动
+ * @param {Number} referenceVolume 参考日成交量
+ * @param {Number} intervalMs tick 间隔毫秒数
+ */
+const generateTickVolume = (referenceVolume, intervalMs) => {
+  const share = referenceVolume * intervalMs / (INTRADAY_SESSION.minutes * 60 * 1000);
+  return Math.max(1, Math.round(share * (0.5 + Math.random())));
+};
+
 module.exports = {
   STOCKS,
+  HISTORY_START_DATE,
+  INTRADAY_SESSION,
+  formatDate,
+  formatMinute,
+  parseDate,
   generateHistory,
+  generateIntradayBars,
   getStockList,
-  generateRealtimeTick
+  getReferenceVolume,
+  generateRealtimeTick,
+  generateTickVolume
 };
\ No newline at end of file
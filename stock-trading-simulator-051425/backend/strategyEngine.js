@@ -91,21 +91,21 @@ const calculateRSI = (closes, period = 14) => {
 };
 
 // 工具函数：计算MACD指标
-const calculateMACD = (closes) => {
-  const ema12 = calculateEMA(closes, 12);
-  const ema26 = calculateEMA(closes, 26);
+const calculateMACD = (closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+  const emaFast = calculateEMA(closes, fastPeriod);
+  const emaSlow = calculateEMA(closes, slowPeriod);
   const macdLine = [];
   
   for (let i = 0; i < closes.length; i++) {
-    if (ema12[i] === null || ema26[i] === null) {
+    if (emaFast[i] === null || emaSlow[i] === null) {
       macdLine.push(null);
     } else {
-      macdLine.push(Number((ema12[i] - ema26[i]).toFixed(2)));
+      macdLine.push(Number((emaFast[i] - emaSlow[i]).toFixed(2)));
     }
   }
   
   const validMacd = macdLine.filter(v => v !== null);
-  const signalLine = calculateEMA(validMacd, 9);
+  const signalLine = calculateEMA(validMacd, signalPeriod);
   const fullSignal = [...Array(macdLine.length - validMacd.length).fill(null), ...signalLine];
   
   const histogram = [];
@@ -124,9 +124,8 @@ const calculateMACD = (closes) => {
  * AI策略 1: 增强型均线交叉策略 (Enhanced MA Crossover with Volume)
  * 逻辑：结合成交量确认突破有效性
  */
-const analyzeEnhancedMACross = (dates, closes, volumes) => {
-  const shortPeriod = 5;
-  const longPeriod = 20;
+const analyzeEnhancedMACross = (dates, closes, volumes, params) => {
+  const { shortPeriod, longPeriod, volumeRatio } = params;
   
   const smaShort = calculateSMA(closes, shortPeriod);
   const smaLong = calculateSMA(closes, longPeriod);
@@ -138,7 +137,7 @@ const analyzeEnhancedMACross = (dates, closes, volumes) => {
     const prevLong = smaLong[i - 1];
     const currShort = smaShort[i];
     const currLong = smaLong[i];
-    const volumeConfirm = avgVolume[i] && volumes[i] > avgVolume[i] * 1.2;
+    const volumeConfirm = avgVolume[i] && volumes[i] > avgVolume[i] * volumeRatio;
     
     let signal = 'HOLD';
     let confidence = 0;
@@ -159,14 +158,16 @@ const analyzeEnhancedMACross = (dates, closes, volumes) => {
         price: closes[i],
         type: signal,
         confidence: confidence,
-        desc: `${signal === 'BUY' ? 'MA5上穿MA20 (金叉)' : 'MA5下穿MA20 (死叉)'}${volumeConfirm ? ' [成交量确认]' : ''}`
+        desc: `${signal === 'BUY'
+          ? `MA${shortPeriod}上穿MA${longPeriod} (金叉)`
+          : `MA${shortPeriod}下穿MA${longPeriod} (死叉)`}${volumeConfirm ? ' [成交量确认]' : ''}`
       });
     }
   }
   
   return {
     name: 'AI增强型均线交叉策略',
-    indicators: { sma5: smaShort, sma20: smaLong },
+    indicators: { [`sma${shortPeriod}`]: smaShort, [`sma${longPeriod}`]: smaLong },
     signals: signals.reverse(),
     aiScore: signals.length > 0 ? signals[0].confidence : 50
   };
@@ -176,9 +177,10 @@ const analyzeEnhancedMACross = (dates, closes, volumes) => {
  * AI策略 2: 智能RSI超买超卖策略
  * 逻辑：RSI < 30超卖买入，RSI > 70超买卖出，结合趋势确认
  */
-const analyzeSmartRSI = (dates, closes) => {
-  const rsi = calculateRSI(closes, 14);
-  const trend = calculateSMA(closes, 50);
+const analyzeSmartRSI = (dates, closes, params) => {
+  const { period, oversold, overbought, trendPeriod } = params;
+  const rsi = calculateRSI(closes, period);
+  const trend = calculateSMA(closes, trendPeriod);
   const signals = [];
   
   for (let i = 1; i < closes.length; i++) {
@@ -192,11 +194,11 @@ const analyzeSmartRSI = (dates, closes) => {
     let confidence = 0;
     let desc = '';
     
-    if (prevRSI >= 30 && currRSI < 30) {
+    if (prevRSI >= oversold && currRSI < oversold) {
       signal = 'BUY';
       confidence = inUptrend ? 90 : 70;
       desc = `RSI超卖信号 (${currRSI.toFixed(1)})${inUptrend ? ' [上升趋势确认]' : ''}`;
-    } else if (prevRSI <= 70 && currRSI > 70) {
+    } else if (prevRSI <= overbought && currRSI > overbought) {
       signal = 'SELL';
       confidence = !inUptrend ? 90 : 70;
       desc = `RSI超买信号 (${currRSI.toFixed(1)})${!inUptrend ? ' [下降趋势确认]' : ''}`;
@@ -219,8 +221,9 @@ const analyzeSmartRSI = (dates, closes) => {
  * AI策略 3: MACD动量策略
  * 逻辑：MACD金叉死叉，结合柱状图强度判断
  */
-const analyzeMACDMomentum = (dates, closes) => {
-  const { macdLine, signalLine, histogram } = calculateMACD(closes);
+const analyzeMACDMomentum = (dates, closes, params) => {
+  const { fastPeriod, slowPeriod, signalPeriod } = params;
+  const { macdLine, signalLine, histogram } = calculateMACD(closes, fastPeriod, slowPeriod, signalPeriod);
   const signals = [];
   
   for (let i = 1; i < closes.length; i++) {
@@ -263,21 +266,22 @@ const analyzeMACDMomentum = (dates, closes) => {
  * AI策略 4: 机器学习综合评分策略
  * 逻辑：综合多个指标进行加权评分
  */
-const analyzeMLComposite = (dates, closes, volumes) => {
-  const sma20 = calculateSMA(closes, 20);
-  const rsi = calculateRSI(closes, 14);
+const analyzeMLComposite = (dates, closes, volumes, params) => {
+  const { trendPeriod, rsiPeriod, threshold } = params;
+  const trend = calculateSMA(closes, trendPeriod);
+  const rsi = calculateRSI(closes, rsiPeriod);
   const { macdLine, signalLine } = calculateMACD(closes);
   const avgVolume = calculateSMA(volumes, 20);
   const signals = [];
   
-  for (let i = 20; i < closes.length; i++) {
-    if (!sma20[i] || !rsi[i] || !macdLine[i] || !signalLine[i]) continue;
+  for (let i = trendPeriod; i < closes.length; i++) {
+    if (!trend[i] || !rsi[i] || !macdLine[i] || !signalLine[i]) continue;
     
     let score = 0;
     const factors = [];
     
     // 趋势因子 (权重30%)
-    if (closes[i] > sma20[i]) {
+    if (closes[i] > trend[i]) {
       score += 30;
       factors.push('上升趋势');
     } else {
@@ -315,9 +319,9 @@ const analyzeMLComposite = (dates, closes, volumes) => {
     let signal = 'HOLD';
     let confidence = Math.abs(score);
     
-    if (score >= 60) {
+    if (score >= threshold) {
       signal = 'BUY';
-    } else if (score <= -60) {
+    } else if (score <= -threshold) {
       signal = 'SELL';
     }
     
@@ -334,7 +338,7 @@ const analyzeMLComposite = (dates, closes, volumes) => {
   
   return {
     name: 'AI机器学习综合策略',
-    indicators: { sma20, rsi, macd: macdLine },
+    indicators: { [`sma${trendPeriod}`]: trend, rsi, macd: macdLine },
     signals: signals.reverse(),
     aiScore: signals.length > 0 ? signals[0].confidence : 50
   };
@@ -343,9 +347,8 @@ const analyzeMLComposite = (dates, closes, volumes) => {
 /**
  * AI策略 5: 布林带策略 (保留原有)
  */
-const analyzeBollingerBands = (dates, closes) => {
-  const period = 20;
-  const multiplier = 2;
+const analyzeBollingerBands = (dates, closes, params) => {
+  const { period, multiplier } = params;
   
   const sma = calculateSMA(closes, period);
   const stdDev = calculateStdDev(closes, period, sma);
@@ -396,35 +399,161 @@ const analyzeBollingerBands = (dates, closes) => {
   };
 };
 
+/**
+ * 策略参数定义：每个策略声明可调参数的默认值与取值范围
+ * type: 'integer' | 'number'
+ */
+const STRATEGY_DEFINITIONS = {
+  ML_COMPOSITE: {
+    name: 'AI机器学习综合策略',
+    params: [
+      { key: 'trendPeriod', label: '趋势均线周期', type: 'integer', default: 20, min: 5, max: 120, step: 1 },
+      { key: 'rsiPeriod', label: 'RSI周期', type: 'integer', default: 14, min: 2, max: 50, step: 1 },
+      { key: 'threshold', label: '信号评分阈值', type: 'integer', default: 60, min: 10, max: 100, step: 5 }
+    ]
+  },
+  ENHANCED_MA: {
+    name: 'AI增强型均线交叉策略',
+    params: [
+      { key: 'shortPeriod', label: '短期均线', type: 'integer', default: 5, min: 2, max: 60, step: 1 },
+      { key: 'longPeriod', label: '长期均线', type: 'integer', default: 20, min: 5, max: 250, step: 1 },
+      { key: 'volumeRatio', label: '放量确认倍数', type: 'number', default: 1.2, min: 1, max: 3, step: 0.1 }
+    ]
+  },
+  SMART_RSI: {
+    name: 'AI智能RSI策略',
+    params: [
+      { key: 'period', label: 'RSI周期', type: 'integer', default: 14, min: 2, max: 50, step: 1 },
+      { key: 'oversold', label: '超卖阈值', type: 'number', default: 30, min: 5, max: 50, step: 1 },
+      { key: 'overbought', label: '超买阈值', type: 'number', default: 70, min: 50, max: 95, step: 1 },
+      { key: 'trendPeriod', label: '趋势均线周期', type: 'integer', default: 50, min: 10, max: 200, step: 1 }
+    ]
+  },
+  MACD_MOMENTUM: {
+    name: 'AI MACD动量策略',
+    params: [
+      { key: 'fastPeriod', label: '快线周期', type: 'integer', default: 12, min: 2, max: 50, step: 1 },
+      { key: 'slowPeriod', label: '慢线周期', type: 'integer', default: 26, min: 5, max: 100, step: 1 },
+      { key: 'signalPeriod', label: '信号线周期', type: 'integer', default: 9, min: 2, max: 50, step: 1 }
+    ]
+  },
+  BOLLINGER: {
+    name: 'AI布林带策略',
+    params: [
+      { key: 'period', label: '均线周期', type: 'integer', default: 20, min: 5, max: 100, step: 1 },
+      { key: 'multiplier', label: '标准差倍数', type: 'number', default: 2, min: 0.5, max: 4, step: 0.1 }
+    ]
+  }
+};
+
+// 参数之间的约束关系
+const PARAM_CONSTRAINTS = {
+  ENHANCED_MA: (p) => p.shortPeriod < p.longPeriod || '短期均线周期必须小于长期均线周期',
+  SMART_RSI: (p) => p.oversold < p.overbought || '超卖阈值必须小于超买阈值',
+  MACD_MOMENTUM: (p) => p.fastPeriod < p.slowPeriod || '快线周期必须小于慢线周期'
+};
+
+/**
+ * 获取策略列表及参数定义
+ */
+const getStrategyList = () => {
+  return Object.entries(STRATEGY_DEFINITIONS).map(([key, def]) => ({ key, ...def }));
+};
+
+/**
+ * 按参数定义合并默认值与用户覆盖值，校验类型与取值范围 (策略与技术指标共用)
+ * @param {Array} schemas 参数定义 [{ key, label, type, default, min, max }]
+ * @param {Object} overrides 用户传入的参数
+ * @returns {Object} { params } 或 { error }
+ */
+const validateParams = (schemas, overrides = {}) => {
+  const params = {};
+
+  for (const schema of schemas) {
+    const raw = overrides[schema.key];
+    if (raw === undefined || raw === null || raw === '') {
+      params[schema.key] = schema.default;
+      continue;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+      return { error: `参数 ${schema.label} 必须为${schema.type === 'integer' ? '整数' : '数字'}` };
+    }
+    if (value < schema.min || value > schema.max) {
+      return { error: `参数 ${schema.label} 超出范围 [${schema.min}, ${schema.max}]` };
+    }
+    params[schema.key] = value;
+  }
+  return { params };
+};
+
+/**
+ * 合并默认参数与用户覆盖值，并按参数定义校验
+ * @param {String} strategyType 策略类型
+ * @param {Object} overrides 用户传入的参数
+ * @returns {Object} { params } 或 { error }
+ */
+const resolveParams = (strategyType, overrides = {}) => {
+  const { params, error } = validateParams(STRATEGY_DEFINITIONS[strategyType].params, overrides);
+  if (error) return { error };
+
+  const constraint = PARAM_CONSTRAINTS[strategyType];
+  const check = constraint ? constraint(params) : true;
+  if (check !== true) return { error: check };
+
+  return { params };
+};
+
 /**
  * AI策略分析主入口
  * @param {Array} stockData - 股票K线数据
  * @param {String} strategyType - 策略类型
+ * @param {Object} overrides - 策略参数 (缺省使用参数定义中的默认值)
+ * @returns {Object} { name, signals, aiScore, indicators 指标序列 (与 dates 逐一对应), dates, strategyType, params }
  */
-const runStrategy = (stockData, strategyType = 'ML_COMPOSITE') => {
+const runStrategy = (stockData, strategyType = 'ML_COMPOSITE', overrides = {}) => {
   if (!stockData || stockData.length === 0) {
     return { error: '无数据可供分析' };
   }
+
+  const type = STRATEGY_DEFINITIONS[strategyType] ? strategyType : 'ML_COMPOSITE';
+  const { params, error } = resolveParams(type, overrides || {});
+  if (error) return { error };
   
   const dates = stockData.map(d => d.date);
   const closes = stockData.map(d => Number(d.close));
   const volumes = stockData.map(d => Number(d.volume || 0));
   
-  switch (strategyType) {
+  let result;
+  switch (type) {
     case 'ENHANCED_MA':
-      return analyzeEnhancedMACross(dates, closes, volumes);
+      result = analyzeEnhancedMACross(dates, closes, volumes, params);
+      break;
     case 'SMART_RSI':
-      return analyzeSmartRSI(dates, closes);
+      result = analyzeSmartRSI(dates, closes, params);
+      break;
     case 'MACD_MOMENTUM':
-      return analyzeMACDMomentum(dates, closes);
+      result = analyzeMACDMomentum(dates, closes, params);
+      break;
     case 'BOLLINGER':
-      return analyzeBollingerBands(dates, closes);
+      result = analyzeBollingerBands(dates, closes, params);
+      break;
     case 'ML_COMPOSITE':
     default:
-      return analyzeMLComposite(dates, closes, volumes);
+      result = analyzeMLComposite(dates, closes, volumes, params);
   }
+  return { ...result, dates, strategyType: type, params };
 };
 
 module.exports = {
+  calculateSMA,
+  calculateEMA,
+  calculateStdDev,
+  calculateRSI,
+  calculateMACD,
+  STRATEGY_DEFINITIONS,
+  getStrategyList,
+  validateParams,
+  resolveParams,
   runStrategy
-};
\ No newline at end of file
+};
@@ -0,0 +1,113 @@
+/**
+ * stock-trading-simulator-051425/backend/taxLots.js
+ * 持仓批次 (税务批次) 核算：每笔开仓形成一个批次，平仓时按成本计价方法匹配批次并计算已实现盈亏
+ * 支持先进先出 (FIFO)、后进先出 (LIFO) 与移动平均成本 (AVERAGE)，多头与空头 (卖空) 批次对称处理
+ */
+
+const COST_BASIS_METHODS = ['FIFO', 'LIFO', 'AVERAGE'];
+
+const round2 = (num) => Number(num.toFixed(2));
+
+/**
+ * 批次的持仓方向：买入开仓为多头，卖出开仓 (卖空) 为空头
+ */
+const lotSideFor = (type) => (type === 'BUY' ? 'LONG' : 'SHORT');
+
+/**
+ * 加权平均单位成本
+ */
+const averageCost = (lots) => {
+  const qty = lots.reduce((sum, l) => sum + l.quantity, 0);
+  return qty > 0 ? lots.reduce((sum, l) => sum + l.quantity * l.unit_cost, 0) / qty : 0;
+};
+
+/**
+ * 由未平仓批次汇总持仓 { quantity (空头为负), average_price }
+ */
+const summarizeLots = (lots) => {
+  const open = lots.filter(l => l.quantity > 0);
+  if (open.length === 0) return { quantity: 0, average_price: 0 };
+  const qty = open.reduce((sum, l) => sum + l.quantity, 0);
+  return {
+    quantity: open[0].side === 'SHORT' ? -qty : qty,
+    average_price: averageCost(open)
+  };
+};
+
+/**
+ * 按成本计价方法对一笔成交进行批次匹配
+ * 与持仓同向的成交开立新批次；反向成交先按方法顺序冲销批次，超出部分按成交方向开立新批次
+ * 单位成本均含费用：买入为 (成交额 + 费用) / 数量，卖出为 (成交额 - 费用) / 数量
+ * @param {Array} lots 该股票当前未平仓批次 { id, side, quantity, unit_cost, opened_at }
+ * @param {String} method 'FIFO' | 'LIFO' | 'AVERAGE'
+ * @param {String} type 'BUY' | 'SELL'
+ * @param {Number} quantity 成交数量
+ * @param {Number} unitAmount 本笔成交的单位成本/单位所得 (含费用)
+ * @returns {Object} { lots 匹配后的批次 (含已平仓批次，新批次无 id), realizedPnl, closedQuantity, position }
+ */
+const applyTradeToLots = (lots, method, type, quantity, unitAmount) => {
+  const tradeSide = lotSideFor(type);
+  const result = lots.filter(l => l.quantity > 0).map(l => ({ ...l }));
+  const opposite = result.filter(l => l.side !== tradeSide);
+
+  let remaining = quantity;
+  let realizedPnl = 0;
+
+  if (opposite.length > 0) {
+    // 移动平均法：冲销前将全部批次成本统一为平均成本
+    if (method === 'AVERAGE') {
+      const avg = averageCost(opposite);
+      opposite.forEach(l => { l.unit_cost = avg; });
+    }
+    const ordered = [...opposite].sort((a, b) => {
+      const byTime = String(a.opened_at).localeCompare(String(b.opened_at)) || (a.id || 0) - (b.id || 0);
+      return method === 'LIFO' ? -byTime : byTime;
+    });
+
+    for (const lot of ordered) {
+      if (remaining <= 0) break;
+      const closing = Math.min(lot.quantity, remaining);
+      // 多头：卖出所得 - 买入成本；空头：卖空所得 - 买回成本
+      realizedPnl += lot.side === 'LONG'
+        ? (unitAmount - lot.unit_cost) * closing
+        : (lot.unit_cost - unitAmount) * closing;
+      lot.quantity -= closing;
+      remaining -= closing;
+    }
+  }
+
+  if (remaining > 0) {
+    result.push({ side: tradeSide, quantity: remaining, original_quantity: remaining, unit_cost: unitAmount });
+  }
+
+  return {
+    lots: result,
+    realizedPnl: round2(realizedPnl),
+    closedQuantity: quantity - remaining,
+    position: summarizeLots(result)
+  };
+};
+
+/**
+ * 旧数据兼容：持仓存在但没有批次记录时，以持仓均价生成一个批次
+ * @param {Object|null} position 持仓 { quantity, average_price, updated_at }
+ */
+const legacyLotFor = (position) => {
+  if (!position || position.quantity === 0) return null;
+  const qty = Math.abs(position.quantity);
+  return {
+    side: position.quantity > 0 ? 'LONG' : 'SHORT',
+    quantity: qty,
+    original_quantity: qty,
+    unit_cost: position.average_price,
+    opened_at: position.updated_at || new Date(0).toISOString()
+  };
+};
+
+module.exports = {
+  COST_BASIS_METHODS,
+  averageCost,
+  summarizeLots,
+  applyTradeToLots,
+  legacyLotFor
+};
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isCrossed } = require('../alertEngine');
+
+test('上穿提醒仅在取值由阈值下方穿越时触发', () => {
+  const alert = { direction: 'ABOVE', threshold: 100 };
+  assert.equal(isCrossed(alert, null, 105), false);
+  assert.equal(isCrossed(alert, 99, 100), true);
+  assert.equal(isCrossed(alert, 101, 105), false);
+  assert.equal(isCrossed(alert, 95, 98), false);
+});
+
+test('下破提醒仅在取值由阈值上方穿越时触发', () => {
+  const alert = { direction: 'BELOW', threshold: 30 };
+  assert.equal(isCrossed(alert, undefined, 20), false);
+  assert.equal(isCrossed(alert, 31, 30), true);
+  assert.equal(isCrossed(alert, 25, 20), false);
+  assert.equal(isCrossed(alert, 40, 35), false);
+});
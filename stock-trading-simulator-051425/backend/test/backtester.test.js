@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const backtester = require('../backtester');
+
+const history = [100, 102, 101, 105].map((close, i) => ({
+  date: `2024-01-0${i + 2}`, open: close, high: close + 1, low: close - 1, close, volume: 1000000
+}));
+
+test('未提供的回测选项使用默认值，显式提供的值原样交由回测校验', () => {
+  assert.equal(backtester.parseOption(undefined), undefined);
+  assert.equal(backtester.parseOption(''), undefined);
+  assert.equal(backtester.parseOption('0.5'), 0.5);
+  assert.equal(backtester.parseOption(0), 0);
+  assert.ok(Number.isNaN(backtester.parseOption('abc')));
+});
+
+test('仓位比例或初始资金为 0 时返回错误而非使用默认值', () => {
+  const run = (initialCapital, positionSize) => backtester.runBacktest(history, [], {
+    initialCapital: backtester.parseOption(initialCapital),
+    positionSize: backtester.parseOption(positionSize)
+  });
+  assert.equal(run(undefined, 0).error, '仓位比例必须在 0 到 1 之间');
+  assert.equal(run(0, undefined).error, '初始资金必须大于0');
+  assert.equal(run('abc', undefined).error, '初始资金必须大于0');
+  const result = run(undefined, undefined);
+  assert.equal(result.error, undefined);
+  assert.equal(result.initialCapital, backtester.DEFAULT_OPTIONS.initialCapital);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const feeModel = require('../feeModel');
+
+const { FEE_SCHEDULE, SLIPPAGE_MODEL } = feeModel;
+
+test('佣金不低于最低佣金，印花税仅卖出收取', () => {
+  const small = feeModel.calculateFees('BUY', 1, 1);
+  assert.deepEqual(small, { commission: FEE_SCHEDULE.minCommission, stampDuty: 0 });
+
+  const sell = feeModel.calculateFees('SELL', 100, 10000);
+  assert.equal(sell.stampDuty, Number((1000000 * FEE_SCHEDULE.stampDutyRate).toFixed(2)));
+  assert.ok(sell.commission >= FEE_SCHEDULE.minCommission);
+});
+
+test('滑点按平方根冲击估算并有上限', () => {
+  assert.equal(feeModel.estimateSlippageRate(100, 0), 0);
+  assert.equal(feeModel.estimateSlippageRate(100, 10000), SLIPPAGE_MODEL.impactCoefficient * 0.1);
+  assert.equal(feeModel.estimateSlippageRate(1e9, 1), SLIPPAGE_MODEL.maxRate);
+});
+
+test('买入成交价含滑点且不劣于限价', () => {
+  const quote = feeModel.quoteTrade({ side: 'BUY', marketPrice: 100, quantity: 100, volume: 10000 });
+  assert.ok(quote.price > 100);
+  assert.equal(quote.netAmount, Number((quote.grossAmount + quote.fees).toFixed(2)));
+
+  const limited = feeModel.quoteTrade({ side: 'BUY', marketPrice: 100, quantity: 100, volume: 10000, limitPrice: 100.1 });
+  assert.equal(limited.price, 100.1);
+});
+
+test('卖出现金收入扣除佣金与印花税', () => {
+  const quote = feeModel.quoteTrade({ side: 'SELL', marketPrice: 100, quantity: 100, volume: 0, limitPrice: 99 });
+  assert.equal(quote.price, 100);
+  assert.equal(quote.slippage, 0);
+  assert.equal(quote.fees, Number((quote.commission + quote.stampDuty).toFixed(2)));
+  assert.equal(quote.netAmount, Number((10000 - quote.fees).toFixed(2)));
+});
+
+test('环境变量可显式设置为 0，无效值使用缺省值', () => {
+  const name = 'FEE_MODEL_TEST_RATE';
+  const read = (value) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+    return feeModel.envNonNegative(name, 0.5);
+  };
+  assert.equal(read(undefined), 0.5);
+  assert.equal(read(''), 0.5);
+  assert.equal(read('0'), 0);
+  assert.equal(read('0.001'), 0.001);
+  assert.equal(read('-1'), 0.5);
+  assert.equal(read('abc'), 0.5);
+  delete process.env[name];
+});
@@ -0,0 +1,38 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../database');
+const orderEngine = require('../orderEngine');
+
+test('并发委托逐笔校验保证金，不会基于同一账户快照同时成交', async () => {
+  await db.initDatabase();
+  const user = await db.createUser('margin-concurrency', 'password123', 'MARGIN');
+  const prices = { AAPL: 100 };
+  const buy = () => orderEngine.executeMarketTrade(user.id, 'AAPL', 'BUY', 1500, 100, { latestPrices: prices });
+
+  // 单笔成交后净值约 10 万、初始保证金要求约 7.5 万，可以成交；两笔合计要求约 15 万，第二笔须被拒绝
+  const results = await Promise.allSettled([buy(), buy()]);
+  assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.match(results.find(r => r.status === 'rejected').reason.message, /保证金不足/);
+
+  const positions = await db.getPortfolio(user.id);
+  assert.equal(positions.find(p => p.symbol === 'AAPL').quantity, 1500);
+});
+
+test('按经过的模拟时间计提利息并返回被计息的用户', async () => {
+  const marginEngine = require('../marginEngine');
+  const user = await db.createUser('margin-interest', 'password123', 'MARGIN');
+  await orderEngine.executeMarketTrade(user.id, 'AAPL', 'BUY', 1500, 100, { latestPrices: { AAPL: 100 } });
+  const before = await db.getUserById(user.id);
+  const { borrowed } = marginEngine.summarizeAccount(before, await db.getPortfolio(user.id), { AAPL: 100 });
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const charged = await marginEngine.accrueInterest({ AAPL: 100 }, dayMs);
+  assert.ok(charged.includes(user.id));
+
+  const after = await db.getUserById(user.id);
+  const expected = borrowed * marginEngine.MARGIN_CONFIG.annualInterestRate / 365;
+  assert.ok(Math.abs(after.margin_interest - expected) < 0.01);
+  assert.ok(Math.abs(before.balance - after.balance - expected) < 0.01);
+});
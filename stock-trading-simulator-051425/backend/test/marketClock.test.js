@@ -0,0 +1,68 @@
+// 模拟部署在非交易所时区的主机：时钟加载后须按交易所 (纽约) 时间计算
+delete process.env.MARKET_TIMEZONE;
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const marketClock = require('../marketClock');
+const stockGen = require('../stockDataGenerator');
+
+// 纽约时间的时刻 (以带时区偏移的绝对时间构造，不依赖进程时区)：冬令时 UTC-5，夏令时 UTC-4
+const at = (dateStr, hour, minute = 0) => {
+  const offset = dateStr >= '2024-03-10' && dateStr < '2024-11-03' ? '-04:00' : '-05:00';
+  return new Date(`${dateStr}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00${offset}`);
+};
+
+test('交易时段按交易所时区计算，与主机时区无关', { skip: marketClock.CLOCK_CONFIG.alwaysOpen }, () => {
+  assert.equal(marketClock.CLOCK_CONFIG.timezone, 'America/New_York');
+  assert.equal(marketClock.getSession(new Date('2024-01-08T14:30:00Z')).session, 'REGULAR');
+  assert.equal(marketClock.getSession(new Date('2024-01-08T09:30:00Z')).session, 'PRE_MARKET');
+  assert.equal(marketClock.getSession(new Date('2024-07-08T13:30:00Z')).session, 'REGULAR');
+  // 纽约周五晚间 (东京已是周六) 仍属周五
+  assert.equal(stockGen.formatDate(new Date('2024-01-13T00:30:00Z')), '2024-01-12');
+});
+
+test('识别周末与美股休市日', () => {
+  assert.equal(marketClock.getHoliday('2024-03-29'), '耶稣受难日');
+  assert.equal(marketClock.getHoliday('2024-11-28'), '感恩节');
+  // 独立日逢周六提前到周五补休
+  assert.equal(marketClock.getHoliday('2026-07-03'), '独立日');
+  // 元旦逢周六时上一年最后一个交易日不补休
+  assert.equal(marketClock.isTradingDay('2021-12-31'), true);
+  assert.equal(marketClock.isTradingDay('2024-01-06'), false);
+  assert.equal(marketClock.isTradingDay('2024-01-08'), true);
+  assert.equal(marketClock.nextTradingDay('2024-03-28'), '2024-04-01');
+});
+
+test('按时刻划分交易时段', { skip: marketClock.CLOCK_CONFIG.alwaysOpen }, () => {
+  assert.equal(marketClock.getSession(at('2024-01-08', 3, 59)).session, 'CLOSED');
+  assert.equal(marketClock.getSession(at('2024-01-08', 4)).session, 'PRE_MARKET');
+  assert.equal(marketClock.getSession(at('2024-01-08', 9, 30)).session, 'REGULAR');
+  assert.equal(marketClock.getSession(at('2024-01-08', 16)).session, 'AFTER_HOURS');
+  assert.equal(marketClock.getSession(at('2024-01-08', 20)).session, 'CLOSED');
+  assert.equal(marketClock.getSession(at('2024-01-06', 10)).session, 'CLOSED');
+});
+
+test('市场状态给出下一次时段切换', { skip: marketClock.CLOCK_CONFIG.alwaysOpen }, () => {
+  const status = marketClock.getStatus(at('2024-01-08', 10));
+  assert.equal(status.isOpen, true);
+  assert.equal(status.nextSession, 'AFTER_HOURS');
+  assert.equal(status.nextChangeAt, at('2024-01-08', 16).toISOString());
+
+  const weekend = marketClock.getStatus(at('2024-01-06', 12));
+  assert.equal(weekend.nextSession, 'PRE_MARKET');
+  assert.equal(weekend.nextChangeAt, at('2024-01-08', 4).toISOString());
+});
+
+test('当日委托在当前或下一个交易日盘后结束时过期', () => {
+  assert.equal(marketClock.tradingDayEnd(at('2024-01-08', 10)).toISOString(), at('2024-01-08', 20).toISOString());
+  assert.equal(marketClock.tradingDayEnd(at('2024-01-08', 21)).toISOString(), at('2024-01-09', 20).toISOString());
+  assert.equal(marketClock.tradingDayEnd(at('2024-03-28', 20)).toISOString(), at('2024-04-01', 20).toISOString());
+});
+
+test('tick 成交量按常规交易时段分摊日成交量', (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  const sessionMs = stockGen.INTRADAY_SESSION.minutes * 60 * 1000;
+  assert.equal(stockGen.generateTickVolume(1000000, sessionMs / 1000), 1000);
+  assert.equal(stockGen.generateTickVolume(10, 1000), 1);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const optimizer = require('../optimizer');
+
+const schemas = [
+  { key: 'period', label: '周期', type: 'integer', default: 20, min: 5, max: 100, step: 1 },
+  { key: 'multiplier', label: '标准差倍数', type: 'number', default: 2, min: 0.5, max: 4, step: 0.1 }
+];
+
+test('按区间计算取值个数，未给区间的参数固定', () => {
+  const axes = optimizer.expandRanges(schemas, { multiplier: { min: 1, max: 3, step: 0.1 } }, { period: 30 });
+  assert.deepEqual(axes.map(a => a.count), [1, 21]);
+  const combinations = optimizer.buildCombinations(axes, 'GRID');
+  assert.equal(combinations.length, 21);
+  assert.deepEqual(combinations[0], { period: 30, multiplier: 1 });
+  assert.deepEqual(combinations[20], { period: 30, multiplier: 3 });
+});
+
+test('网格按混合进制展开全部组合', () => {
+  const axes = optimizer.expandRanges(schemas, {
+    period: { min: 10, max: 30, step: 10 },
+    multiplier: { min: 1, max: 2, step: 0.5 }
+  });
+  const combinations = optimizer.buildCombinations(axes, 'GRID');
+  assert.equal(combinations.length, 9);
+  assert.equal(new Set(combinations.map(c => `${c.period}-${c.multiplier}`)).size, 9);
+});
+
+test('拒绝越界区间、过小步长与非整数区间', () => {
+  assert.throws(() => optimizer.expandRanges(schemas, { period: { min: 1, max: 30, step: 1 } }), /区间须在/);
+  assert.throws(() => optimizer.expandRanges(schemas, { multiplier: { min: 1, max: 3, step: 1e-9 } }), /步长不能小于/);
+  assert.throws(() => optimizer.expandRanges(schemas, { period: { min: 10, max: 30, step: 1.5 } }), /须为整数/);
+  assert.throws(() => optimizer.expandRanges(schemas, {}), /至少为一个参数/);
+});
+
+test('超过上限的网格在生成组合前拒绝，随机搜索按预算抽取', () => {
+  const wide = [
+    { key: 'a', label: 'A', type: 'integer', default: 1, min: 1, max: 1000, step: 1 },
+    { key: 'b', label: 'B', type: 'integer', default: 1, min: 1, max: 1000, step: 1 }
+  ];
+  const axes = optimizer.expandRanges(wide, { a: { min: 1, max: 1000, step: 1 }, b: { min: 1, max: 1000, step: 1 } });
+  assert.throws(() => optimizer.buildCombinations(axes, 'GRID'), /超过上限/);
+  const sample = optimizer.buildCombinations(axes, 'RANDOM', 50);
+  assert.equal(sample.length, 50);
+  assert.equal(new Set(sample.map(c => `${c.a}-${c.b}`)).size, 50);
+});
+
+test('按最大回撤排名时排除没有完成交易的组合', () => {
+  const result = (id, maxDrawdown, tradeCount, totalReturn = 0) => ({ params: { id }, metrics: { maxDrawdown, tradeCount, totalReturn } });
+  const results = [result('idle', 0, 0), result('a', 0.2, 3, 0.1), result('b', 0.1, 2, 0.05)];
+
+  const byDrawdown = optimizer.rankResults(results, 'DRAWDOWN');
+  assert.deepEqual(byDrawdown.map(r => [r.rank, r.params.id]), [[1, 'b'], [2, 'a']]);
+
+  const byReturn = optimizer.rankResults(results, 'RETURN');
+  assert.deepEqual(byReturn.map(r => r.params.id), ['a', 'b', 'idle']);
+});
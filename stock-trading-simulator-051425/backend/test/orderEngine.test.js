@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const marketData = require('../marketData');
+const orderEngine = require('../orderEngine');
+
+const order = (fields) => ({ side: 'BUY', limit_price: null, stop_price: null, status: 'OPEN', ...fields });
+
+test('限价单在价格达到限价时成交', () => {
+  const buy = order({ order_type: 'LIMIT', limit_price: 100 });
+  assert.equal(orderEngine.evaluateOrder(buy, 101), null);
+  assert.equal(orderEngine.evaluateOrder(buy, 100), 'FILL');
+  const sell = order({ side: 'SELL', order_type: 'LIMIT', limit_price: 100 });
+  assert.equal(orderEngine.evaluateOrder(sell, 99), null);
+  assert.equal(orderEngine.evaluateOrder(sell, 100.5), 'FILL');
+});
+
+test('止损单在价格触及触发价时成交', () => {
+  const sell = order({ side: 'SELL', order_type: 'STOP', stop_price: 90 });
+  assert.equal(orderEngine.evaluateOrder(sell, 91), null);
+  assert.equal(orderEngine.evaluateOrder(sell, 90), 'FILL');
+  const buy = order({ order_type: 'STOP', stop_price: 110 });
+  assert.equal(orderEngine.evaluateOrder(buy, 109), null);
+  assert.equal(orderEngine.evaluateOrder(buy, 111), 'FILL');
+});
+
+test('止损限价单先触发，再按限价成交', () => {
+  const sell = order({ side: 'SELL', order_type: 'STOP_LIMIT', stop_price: 90, limit_price: 89 });
+  assert.equal(orderEngine.evaluateOrder(sell, 95), null);
+  assert.equal(orderEngine.evaluateOrder(sell, 88), 'TRIGGER');
+  assert.equal(orderEngine.evaluateOrder(sell, 89.5), 'FILL');
+  const triggered = { ...sell, status: 'TRIGGERED' };
+  assert.equal(orderEngine.evaluateOrder(triggered, 88), null);
+  assert.equal(orderEngine.evaluateOrder(triggered, 95), 'FILL');
+});
+
+test('规范化委托参数并拒绝未知股票', (t) => {
+  t.mock.method(marketData, 'getSymbols', () => ['AAPL']);
+  assert.deepEqual(orderEngine.normalizeOrder({ symbol: 'aapl', side: 'buy', orderType: 'stop', quantity: '10', stopPrice: '99.999', limitPrice: 98 }), {
+    symbol: 'AAPL',
+    side: 'BUY',
+    orderType: 'STOP',
+    quantity: 10,
+    limitPrice: null,
+    stopPrice: 100,
+    timeInForce: 'DAY'
+  });
+  const base = { symbol: 'AAPL', side: 'BUY', quantity: 1, limitPrice: 10 };
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, symbol: 'ZZZZ' }), /未知的股票代码/);
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, symbol: '' }), /缺少股票代码/);
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, orderType: 'MARKET' }), /无效的委托类型/);
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, quantity: 0 }), /正整数/);
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, limitPrice: -1 }), /缺少有效的限价/);
+  assert.throws(() => orderEngine.normalizeOrder({ ...base, orderType: 'STOP_LIMIT' }), /止损触发价/);
+});
+
+test('市价单滑点保护：超出容忍度拒绝，容忍度可为 0', () => {
+  assert.doesNotThrow(() => orderEngine.assertWithinSlippage({ side: 'BUY', marketPrice: 100.5, clientPrice: 100, maxSlippage: 0.01 }));
+  assert.throws(() => orderEngine.assertWithinSlippage({ side: 'BUY', marketPrice: 100.01, clientPrice: 100, maxSlippage: 0 }), /滑点容忍范围/);
+  assert.doesNotThrow(() => orderEngine.assertWithinSlippage({ side: 'SELL', marketPrice: 100.01, clientPrice: 100, maxSlippage: 0 }));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const replayAccount = require('../replayAccount');
+
+const fees = { commission: 5, stampDuty: 0, slippage: 0 };
+const now = new Date('2024-01-02T09:31:00Z');
+
+test('回放账户买入扣减现金并记录回放时间', () => {
+  replayAccount.openAccount('s1', 10000);
+  const result = replayAccount.executeTrade('s1', 'AAPL', 'BUY', 100, 10, fees, now);
+  assert.equal(result.balance, 8995);
+  assert.equal(result.transaction.timestamp, now.toISOString());
+  assert.equal(result.transaction.replay_session_id, 's1');
+
+  const summary = replayAccount.summarizeAccount('s1', { AAPL: 110 });
+  assert.equal(summary.positions.length, 1);
+  assert.equal(summary.positions[0].quantity, 10);
+  assert.equal(summary.positionValue, 1100);
+  assert.equal(summary.equity, 10095);
+  replayAccount.closeAccount('s1');
+});
+
+test('回放账户卖出按先进先出计算已实现盈亏', () => {
+  replayAccount.openAccount('s2', 10000);
+  replayAccount.executeTrade('s2', 'AAPL', 'BUY', 100, 10, { commission: 0 }, now);
+  const sell = replayAccount.executeTrade('s2', 'AAPL', 'SELL', 120, 10, { commission: 0 }, now);
+  assert.equal(sell.transaction.realized_pnl, 200);
+  const summary = replayAccount.summarizeAccount('s2');
+  assert.equal(summary.cash, 10200);
+  assert.equal(summary.realizedPnl, 200);
+  assert.deepEqual(summary.positions, []);
+  replayAccount.closeAccount('s2');
+});
+
+test('回放账户不可透支与卖空', () => {
+  replayAccount.openAccount('s3', 1000);
+  assert.throws(() => replayAccount.executeTrade('s3', 'AAPL', 'BUY', 100, 20, fees, now), /资金不足/);
+  assert.throws(() => replayAccount.executeTrade('s3', 'AAPL', 'SELL', 100, 1, fees, now), /持仓不足/);
+  replayAccount.closeAccount('s3');
+});
+
+test('删除后的回放账户不可访问', () => {
+  replayAccount.openAccount('s4');
+  replayAccount.closeAccount('s4');
+  assert.throws(() => replayAccount.summarizeAccount('s4'), /回放账户不存在/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ruleStrategy = require('../ruleStrategy');
+
+const condition = (left, operator, right) => ({ left, operator, right });
+const sellGroup = { conditions: [condition({ type: 'CLOSE' }, 'LT', { type: 'VALUE', value: 1 })] };
+
+test('规范化规则：补全默认参数与组合方式', () => {
+  const rules = ruleStrategy.validateRules({
+    buy: { logic: 'or', conditions: [condition({ type: 'sma', period: 5 }, 'cross_above', { type: 'SMA' })] },
+    sell: sellGroup
+  });
+  assert.equal(rules.buy.logic, 'OR');
+  assert.deepEqual(rules.buy.conditions[0], {
+    left: { type: 'SMA', period: 5 },
+    operator: 'CROSS_ABOVE',
+    right: { type: 'SMA', period: 20 }
+  });
+  assert.equal(rules.sell.logic, 'AND');
+});
+
+test('拒绝无效的操作数、比较方式与条件组', () => {
+  const rules = (buy) => () => ruleStrategy.validateRules({ buy, sell: sellGroup });
+  assert.throws(() => ruleStrategy.validateRules(null), /规则定义格式错误/);
+  assert.throws(rules({ conditions: [] }), /请至少设置一条买入条件/);
+  assert.throws(rules({ logic: 'XOR', conditions: sellGroup.conditions }), /组合方式无效/);
+  assert.throws(rules({ conditions: [condition({ type: 'FOO' }, 'GT', { type: 'VALUE', value: 1 })] }), /操作数类型无效/);
+  assert.throws(rules({ conditions: [condition({ type: 'CLOSE' }, 'EQ', { type: 'VALUE', value: 1 })] }), /比较方式无效/);
+  assert.throws(rules({ conditions: [condition({ type: 'VALUE', value: 1 }, 'GT', { type: 'CLOSE' })] }), /左侧必须为价格或指标/);
+  assert.throws(rules({ conditions: [condition({ type: 'CLOSE' }, 'GT', { type: 'VALUE', value: '' })] }), /缺少有效的数值/);
+  assert.throws(rules({ conditions: Array(11).fill(sellGroup.conditions[0]) }), /最多 10 条/);
+});
+
+test('指标操作数的周期受指标库自身的范围约束', () => {
+  const rules = (left) => () => ruleStrategy.validateRules({
+    buy: { conditions: [condition(left, 'GT', { type: 'VALUE', value: 0 })] },
+    sell: sellGroup
+  });
+  ['KDJ_K', 'KDJ_D', 'KDJ_J', 'ATR', 'CCI', 'WR'].forEach(type => {
+    assert.throws(rules({ type, period: 150 }), /超出范围/);
+    assert.doesNotThrow(rules({ type, period: 100 }));
+  });
+  assert.doesNotThrow(rules({ type: 'SMA', period: 250 }));
+});
+
+test('按规则生成信号', () => {
+  const closes = [10, 10, 10, 12, 12, 8, 8];
+  const bars = closes.map((close, i) => ({ date: `2024-01-0${i + 1}`, open: close, high: close, low: close, close, volume: 100 }));
+  const result = ruleStrategy.runRuleStrategy(bars, {
+    buy: { conditions: [condition({ type: 'CLOSE' }, 'CROSS_ABOVE', { type: 'VALUE', value: 11 })] },
+    sell: { conditions: [condition({ type: 'CLOSE' }, 'CROSS_BELOW', { type: 'VALUE', value: 9 })] }
+  });
+  assert.deepEqual(result.signals.map(s => [s.date, s.type]), [['2024-01-06', 'SELL'], ['2024-01-04', 'BUY']]);
+});
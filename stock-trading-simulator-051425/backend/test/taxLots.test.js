@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const taxLots = require('../taxLots');
+
+const lots = [
+  { id: 1, side: 'LONG', quantity: 10, original_quantity: 10, unit_cost: 100, opened_at: '2024-01-01T00:00:00.000Z' },
+  { id: 2, side: 'LONG', quantity: 10, original_quantity: 10, unit_cost: 120, opened_at: '2024-01-02T00:00:00.000Z' }
+];
+
+test('先进先出冲销最早的批次', () => {
+  const result = taxLots.applyTradeToLots(lots, 'FIFO', 'SELL', 15, 130);
+  assert.equal(result.realizedPnl, 10 * 30 + 5 * 10);
+  assert.equal(result.closedQuantity, 15);
+  assert.deepEqual(result.lots.map(l => l.quantity), [0, 5]);
+  assert.deepEqual(result.position, { quantity: 5, average_price: 120 });
+});
+
+test('后进先出冲销最新的批次', () => {
+  const result = taxLots.applyTradeToLots(lots, 'LIFO', 'SELL', 15, 130);
+  assert.equal(result.realizedPnl, 10 * 10 + 5 * 30);
+  assert.deepEqual(result.lots.map(l => l.quantity), [5, 0]);
+});
+
+test('移动平均法按平均成本计算盈亏', () => {
+  const result = taxLots.applyTradeToLots(lots, 'AVERAGE', 'SELL', 10, 130);
+  assert.equal(result.realizedPnl, 10 * 20);
+  assert.deepEqual(result.position, { quantity: 10, average_price: 110 });
+});
+
+test('反向成交超出持仓时按成交方向开立新批次', () => {
+  const result = taxLots.applyTradeToLots(lots, 'FIFO', 'SELL', 25, 110);
+  assert.equal(result.closedQuantity, 20);
+  assert.equal(result.realizedPnl, 10 * 10 - 10 * 10);
+  const opened = result.lots.find(l => l.side === 'SHORT');
+  assert.deepEqual(opened, { side: 'SHORT', quantity: 5, original_quantity: 5, unit_cost: 110 });
+  assert.deepEqual(result.position, { quantity: -5, average_price: 110 });
+});
+
+test('空头批次买回时计算盈亏且不修改原批次', () => {
+  const shorts = [{ id: 3, side: 'SHORT', quantity: 10, original_quantity: 10, unit_cost: 50, opened_at: '2024-01-01' }];
+  const result = taxLots.applyTradeToLots(shorts, 'FIFO', 'BUY', 10, 45);
+  assert.equal(result.realizedPnl, 50);
+  assert.deepEqual(result.position, { quantity: 0, average_price: 0 });
+  assert.equal(shorts[0].quantity, 10);
+});
+
+test('旧持仓生成兼容批次', () => {
+  assert.equal(taxLots.legacyLotFor(null), null);
+  assert.equal(taxLots.legacyLotFor({ quantity: 0, average_price: 10 }), null);
+  assert.deepEqual(taxLots.legacyLotFor({ quantity: -3, average_price: 10, updated_at: '2024-01-01' }), {
+    side: 'SHORT', quantity: 3, original_quantity: 3, unit_cost: 10, opened_at: '2024-01-01'
+  });
+});
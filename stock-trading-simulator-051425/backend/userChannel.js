@@ -0,0 +1,124 @@
+/**
+ * stock-trading-simulator-051425/backend/userChannel.js
+ * 用户私有推送频道：已登录的 Socket.IO 连接加入 user:<id> 房间，
+ * 委托状态变化、成交、余额与持仓变动即时推送给该用户的全部连接 (多个标签页同步)
+ * 事件：order_update 委托、execution 成交、balance_update 余额与保证金状态、position_update 持仓、margin_call 追保、
+ * alert_triggered 价格/指标提醒触发、optimize_progress / optimize_complete 参数优化任务进度与结果
+ */
+
+const winston = require('winston');
+const db = require('./database');
+const marginEngine = require('./marginEngine');
+
+const logger = winston.createLogger({
+  transports: [new winston.transports.Console({ format: winston.format.simple() })]
+});
+
+let io = null;
+let getPrices = () => ({});
+
+/** 用户对应的 Socket.IO 房间名 */
+const roomOf = (userId) => `user:${userId}`;
+
+/**
+ * 绑定 Socket.IO 服务
+ * @param {Object} server Socket.IO 服务
+ * @param {Object} options { getPrices 返回最新价格，用于账户估值 }
+ */
+const attachSocket = (server, options = {}) => {
+  io = server;
+  if (options.getPrices) getPrices = options.getPrices;
+};
+
+const emit = (userId, event, payload) => {
+  if (io && userId !== undefined && userId !== null) io.to(roomOf(userId)).emit(event, payload);
+};
+
+/** 该用户是否有在线连接 (无连接时跳过账户查询) */
+const isOnline = (userId) => Boolean(io && io.sockets.adapter.rooms.get(roomOf(userId)));
+
+/**
+ * 推送委托状态 (新建、修改、触发、成交、撤销、过期、拒绝)
+ * @param {Object} order 数据库中的委托记录
+ * @returns {Object} 原委托，便于链式返回
+ */
+const publishOrder = (order) => {
+  if (order) emit(order.user_id, 'order_update', order);
+  return order;
+};
+
+/**
+ * 推送账户余额、保证金状态及指定股票的持仓 (已平仓时 position 为 null)
+ * @param {Number} userId
+ * @param {string[]} symbols 持仓发生变动的股票
+ */
+const publishAccount = async (userId, symbols = []) => {
+  if (!isOnline(userId)) return;
+  try {
+    const [user, positions] = await Promise.all([db.getUserById(userId), db.getPortfolio(userId)]);
+    if (!user) return;
+    const prices = getPrices();
+    emit(userId, 'balance_update', {
+      balance: user.balance,
+      account: { ...marginEngine.summarizeAccount(user, positions, prices), config: marginEngine.MARGIN_CONFIG }
+    });
+
+    const enriched = marginEngine.enrichPositions(positions.filter(p => symbols.includes(p.symbol)), prices);
+    [...new Set(symbols)].forEach(symbol => {
+      emit(userId, 'position_update', { symbol, position: enriched.find(p => p.symbol === symbol) || null });
+    });
+  } catch (err) {
+    logger.error(`publishAccount error: ${err.message}`);
+  }
+};
+
+/**
+ * 推送成交及随之变动的余额与持仓
+ * @param {Number} userId
+ * @param {Object} execution { transaction 成交记录, fees 成交报价, orderId 来源委托 (市价单为空), reason 说明 (如强制平仓) }
+ */
+const publishExecution = async (userId, execution) => {
+  if (!execution.transaction) return;
+  emit(userId, 'execution', execution);
+  await publishAccount(userId, [execution.transaction.symbol]);
+};
+
+/**
+ * 推送追保事件及强制平仓的成交
+ * @param {Object} event marginEngine.checkMaintenance 返回的追保事件
+ */
+const publishMarginCall = async (event) => {
+  emit(event.userId, 'margin_call', event);
+  event.liquidated
+    .filter(fill => fill.transaction)
+    .forEach(fill => emit(event.userId, 'execution', { transaction: fill.transaction, orderId: null, reason: '强制平仓' }));
+  await publishAccount(event.userId, event.liquidated.map(fill => fill.symbol));
+};
+
+/**
+ * 推送已触发的价格/指标提醒
+ * @param {Object} alert 数据库中的提醒记录
+ */
+const publishAlert = (alert) => {
+  if (alert) emit(alert.user_id, 'alert_triggered', alert);
+  return alert;
+};
+
+/**
+ * 推送参数优化任务的进度或结果
+ * @param {Number} userId
+ * @param {String} event optimize_progress | optimize_complete
+ * @param {Object} payload 任务进度 { id, completed, total } 或任务概要
+ */
+const publishOptimization = (userId, event, payload) => emit(userId, event, payload);
+
+module.exports = {
+  roomOf,
+  attachSocket,
+  publishOrder,
+  publishAccount,
+  publishExecution,
+  publishMarginCall,
+  publishAlert,
+  publishOptimization
+};
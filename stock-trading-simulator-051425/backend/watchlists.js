@@ -0,0 +1,122 @@
+/**
+ * stock-trading-simulator-051425/backend/watchlists.js
+ * 自选股模块：每个用户可建多个命名分组，分组内股票按添加顺序排列 (可整体调整顺序)
+ * 用户首次查询时自动创建默认分组
+ */
+
+const db = require('./database');
+const marketData = require('./marketData');
+
+const MAX_WATCHLISTS_PER_USER = 10;
+const MAX_SYMBOLS_PER_WATCHLIST = 50;
+const MAX_NAME_LENGTH = 20;
+
+const DEFAULT_WATCHLIST_NAME = '自选股';
+const DEFAULT_SYMBOL_COUNT = 5;
+
+const normalizeName = (name) => {
+  const value = String(name || '').trim();
+  if (!value) throw new Error('分组名称不能为空');
+  if (value.length > MAX_NAME_LENGTH) throw new Error(`分组名称不超过 ${MAX_NAME_LENGTH} 个字符`);
+  return value;
+};
+
+/**
+ * 校验股票代码列表：去重、转大写，未知股票报错
+ */
+const normalizeSymbols = (symbols) => {
+  if (!Array.isArray(symbols)) throw new Error('股票列表格式错误');
+  const known = marketData.getSymbols();
+  const list = [...new Set(symbols.map(s => String(s).toUpperCase()))];
+  const unknown = list.filter(s => !known.includes(s));
+  if (unknown.length > 0) throw new Error(`未知的股票代码: ${unknown.join(', ')}`);
+  if (list.length > MAX_SYMBOLS_PER_WATCHLIST) throw new Error(`每个分组最多 ${MAX_SYMBOLS_PER_WATCHLIST} 只股票`);
+  return list;
+};
+
+/**
+ * 查询用户的自选股分组，尚无分组时创建默认分组 (含前几只股票)
+ */
+const listWatchlists = async (userId) => {
+  const lists = await db.getWatchlists(userId);
+  if (lists.length > 0) return lists;
+  const created = await db.createWatchlist({ userId, name: DEFAULT_WATCHLIST_NAME });
+  return [await db.setWatchlistSymbols(created.id, marketData.getSymbols().slice(0, DEFAULT_SYMBOL_COUNT))];
+};
+
+/**
+ * 新建分组
+ * @param {Number} userId
+ * @param {Object} params { name, symbols }
+ */
+const createWatchlist = async (userId, { name, symbols = [] } = {}) => {
+  const listName = normalizeName(name);
+  const list = normalizeSymbols(symbols);
+  const existing = await db.getWatchlists(userId);
+  if (existing.length >= MAX_WATCHLISTS_PER_USER) throw new Error(`最多创建 ${MAX_WATCHLISTS_PER_USER} 个分组`);
+  if (existing.some(w => w.name === listName)) throw new Error('分组名称已存在');
+
+  const created = await db.createWatchlist({ userId, name: listName });
+  return list.length > 0 ? db.setWatchlistSymbols(created.id, list) : created;
+};
+
+const getOwnWatchlist = async (userId, watchlistId) => {
+  const watchlist = await db.getWatchlistById(watchlistId);
+  if (!watchlist || String(watchlist.user_id) !== String(userId)) throw new Error('自选股分组不存在');
+  return watchlist;
+};
+
+/**
+ * 重命名分组或按给定顺序替换分组内的股票
+ * @param {Number} userId
+ * @param {Number} watchlistId
+ * @param {Object} changes { name, symbols }
+ */
+const updateWatchlist = async (userId, watchlistId, { name, symbols } = {}) => {
+  let watchlist = await getOwnWatchlist(userId, watchlistId);
+  if (name !== undefined) {
+    const listName = normalizeName(name);
+    const existing = await db.getWatchlists(userId);
+    if (existing.some(w => w.name === listName && w.id !== watchlist.id)) throw new Error('分组名称已存在');
+    watchlist = await db.renameWatchlist(watchlist.id, listName);
+  }
+  if (symbols !== undefined) watchlist = await db.setWatchlistSymbols(watchlist.id, normalizeSymbols(symbols));
+  return watchlist;
+};
+
+/**
+ * 删除分组
+ */
+const deleteWatchlist = async (userId, watchlistId) => {
+  const watchlist = await getOwnWatchlist(userId, watchlistId);
+  await db.deleteWatchlist(watchlist.id);
+  return watchlist;
+};
+
+/**
+ * 向分组末尾添加股票 (已存在时不变)
+ */
+const addSymbol = async (userId, watchlistId, symbol) => {
+  const watchlist = await getOwnWatchlist(userId, watchlistId);
+  const [added] = normalizeSymbols([symbol]);
+  if (watchlist.symbols.includes(added)) return watchlist;
+  return db.setWatchlistSymbols(watchlist.id, normalizeSymbols(watchlist.symbols.concat([added])));
+};
+
+/**
+ * 从分组中移除股票
+ */
+const removeSymbol = async (userId, watchlistId, symbol) => {
+  const watchlist = await getOwnWatchlist(userId, watchlistId);
+  const target = String(symbol).toUpperCase();
+  return db.setWatchlistSymbols(watchlist.id, watchlist.symbols.filter(s => s !== target));
+};
+
+module.exports = {
+  listWatchlists,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addSymbol,
+  removeSymbol
+};
@@ -1,47 +1,157 @@
 // stock-trading-simulator-051425/frontend/src/App.jsx
 import React, { useState, useEffect } from 'react';
-import { HashRouter as Router, Routes, Route } from 'react-router-dom';
-import { Layout, ConfigProvider, theme, Typography, Space } from 'antd';
-import { io } from 'socket.io-client';
+import { HashRouter as Router, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom';
+import { Layout, ConfigProvider, theme, Typography, Space, Button, Segmented, Tooltip } from 'antd';
+import { LogoutOutlined, UserOutlined } from '@ant-design/icons';
 import { FaChartLine } from 'react-icons/fa';
 
 import StockSearch from './components/StockSearch';
 import StockChart from './components/StockChart';
 import TradingPanel from './components/TradingPanel';
 import StrategyAnalysis from './components/StrategyAnalysis';
+import LoginPage from './components/LoginPage';
+import PortfolioPage from './components/PortfolioPage';
+import PositionsPage from './components/PositionsPage';
+import TransactionsPage from './components/TransactionsPage';
+import ReplayPage from './components/ReplayPage';
+import AlertCenter from './components/AlertCenter';
+import QuoteBoard from './components/QuoteBoard';
+import socket, { subscribeSymbols, syncSocketAuth } from './services/socket';
+import { logoutUser } from './services/api';
+import { getSession, clearSession, onSessionExpired } from './services/auth';
 import './styles/index.css';
 
 const { Header, Content, Sider } = Layout;
 const { Title } = Typography;
 
-const socket = io('/', {
-  transports: ['websocket', 'polling'],
-  reconnectionAttempts: 5
-});
+// 顶部导航页面
+const NAV_ITEMS = [
+  { label: '交易', value: '/' },
+  { label: '持仓', value: '/positions' },
+  { label: '交易记录', value: '/transactions' },
+  { label: '账户表现', value: '/portfolio' },
+  { label: '复盘回放', value: '/replay' }
+];
 
-const Dashboard = () => {
-  const [selectedStock, setSelectedStock] = useState(null);
-  const [marketPrices, setMarketPrices] = useState({});
-  const [isConnected, setIsConnected] = useState(false);
+// 交易时段状态标识
+const SESSION_BADGES = {
+  REGULAR: { color: '#52C41A', text: 'Market Live' },
+  PRE_MARKET: { color: '#D4AF37', text: 'Pre-Market' },
+  AFTER_HOURS: { color: '#D4AF37', text: 'After Hours' },
+  CLOSED: { color: '#A89F99', text: 'Market Closed' }
+};
+
+const formatClock = (iso) => new Date(iso).toLocaleString([], { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+const AppHeader = ({ user, onLogout }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [isConnected, setIsConnected] = useState(socket.connected);
+  const [marketStatus, setMarketStatus] = useState(null);
 
   useEffect(() => {
     const onConnect = () => setIsConnected(true);
     const onDisconnect = () => setIsConnected(false);
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.on('market_status', setMarketStatus);
+    return () => {
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      socket.off('market_status', setMarketStatus);
+    };
+  }, []);
+
+  const badge = isConnected
+    ? SESSION_BADGES[marketStatus?.session] || SESSION_BADGES.REGULAR
+    : { color: '#FF4D4F', text: 'Disconnected' };
+  const badgeTip = isConnected && marketStatus
+    ? `${marketStatus.holiday ? `${marketStatus.holiday} · ` : ''}${marketStatus.label}` +
+      (marketStatus.nextChangeAt ? `，${formatClock(marketStatus.nextChangeAt)} 进入下一时段` : '')
+    : null;
+
+  return (
+    <Header style={{ 
+      display: 'flex', 
+      alignItems: 'center', 
+      justifyContent: 'space-between',
+      padding: '0 24px',
+      borderBottom: '1px solid #443B36',
+      zIndex: 10
+    }}>
+      <Space align="center" size="large">
+        <Space align="center" size="middle">
+          <FaChartLine style={{ fontSize: '24px', color: '#D4AF37' }} />
+          <Title level={4} style={{ margin: 0, color: '#D4AF37', letterSpacing: '1px' }}>
+            Q-STOCK
+          </Title>
+        </Space>
+        <Segmented options={NAV_ITEMS} value={location.pathname} onChange={(path) => navigate(path)} />
+      </Space>
+      <Space size="large">
+         <Tooltip title={badgeTip}>
+           <span style={{ color: badge.color, fontSize: '12px', fontWeight: 'bold' }}>
+             ● {badge.text}
+           </span>
+         </Tooltip>
+         <AlertCenter />
+         <Space>
+           <UserOutlined style={{ color: '#A89F99' }} />
+           <span style={{ color: '#E6E1DD' }}>{user.username}</span>
+           <Button type="text" size="small" icon={<LogoutOutlined />} onClick={onLogout} style={{ color: '#A89F99' }}>
+             退出
+           </Button>
+         </Space>
+      </Space>
+    </Header>
+  );
+};
+
+// 交易主界面以外的单页布局：顶部导航 + 可滚动内容区
+const PageView = ({ user, onLogout, children }) => (
+  <Layout style={{ height: '100vh' }}>
+    <AppHeader user={user} onLogout={onLogout} />
+    <Content style={{ padding: '16px', overflowY: 'auto' }}>
+      {children}
+    </Content>
+  </Layout>
+);
+
+const Dashboard = ({ user, onLogout }) => {
+  const [selectedStock, setSelectedStock] = useState(null);
+  const [marketPrices, setMarketPrices] = useState({});
+  const [liveBars, setLiveBars] = useState({});
+  const [intradayBars, setIntradayBars] = useState({});
+  const [analysis, setAnalysis] = useState(null);
+
+  useEffect(() => {
     const onPriceUpdate = (updates) => {
       setMarketPrices((prev) => ({ ...prev, ...updates }));
     };
+    const onBarUpdate = (bars) => {
+      setLiveBars((prev) => ({ ...prev, ...bars }));
+    };
+    const onIntradayBarUpdate = (bars) => {
+      setIntradayBars((prev) => ({ ...prev, ...bars }));
+    };
 
-    socket.on('connect', onConnect);
-    socket.on('disconnect', onDisconnect);
     socket.on('price_update', onPriceUpdate);
+    socket.on('bar_update', onBarUpdate);
+    socket.on('intraday_bar_update', onIntradayBarUpdate);
 
     return () => {
-      socket.off('connect', onConnect);
-      socket.off('disconnect', onDisconnect);
       socket.off('price_update', onPriceUpdate);
+      socket.off('bar_update', onBarUpdate);
+      socket.off('intraday_bar_update', onIntradayBarUpdate);
     };
   }, []);
 
+  // 仅订阅当前选中股票的行情
+  useEffect(() => {
+    if (!selectedStock?.symbol) return undefined;
+    return subscribeSymbols([selectedStock.symbol]);
+  }, [selectedStock?.symbol]);
+
   const currentPrice = selectedStock 
     ? (marketPrices[selectedStock.symbol]?.price || selectedStock.price) 
     : 0;
@@ -53,39 +163,26 @@ const Dashboard = () => {
 
   return (
     <Layout style={{ height: '100vh' }}>
-      <Header style={{ 
-        display: 'flex', 
-        alignItems: 'center', 
-        justifyContent: 'space-between',
-        padding: '0 24px',
-        borderBottom: '1px solid #443B36',
-        zIndex: 10
-      }}>
-        <Space align="center" size="middle">
-          <FaChartLine style={{ fontSize: '24px', color: '#D4AF37' }} />
-          <Title level={4} style={{ margin: 0, color: '#D4AF37', letterSpacing: '1px' }}>
-            Q-STOCK
-          </Title>
-        </Space>
-        <Space>
-           <span style={{ color: isConnected ? '#52C41A' : '#FF4D4F', fontSize: '12px', fontWeight: 'bold' }}>
-             ● {isConnected ? 'Market Live' : 'Disconnected'}
-           </span>
-        </Space>
-      </Header>
+      <AppHeader user={user} onLogout={onLogout} />
       
       <Layout style={{ overflow: 'hidden' }}>
         <Sider width={320} style={{ borderRight: '1px solid #443B36', display: 'flex', flexDirection: 'column' }}>
           <div style={{ padding: '16px', borderBottom: '1px solid #443B36', flexShrink: 0 }}>
-             <StockSearch onSelect={setSelectedStock} />
+             <StockSearch onSelect={setSelectedStock} selectedSymbol={selectedStock?.symbol} />
           </div>
           <div style={{ flex: 1, overflowY: 'auto', padding: '16px' }}>
-             <StrategyAnalysis currentSymbol={selectedStock?.symbol} />
+             <QuoteBoard selectedSymbol={selectedStock?.symbol} onSelect={setSelectedStock} />
+             <StrategyAnalysis currentSymbol={selectedStock?.symbol} onResult={setAnalysis} />
           </div>
         </Sider>
 
         <Content style={{ padding: '16px', minWidth: '400px', display: 'flex', flexDirection: 'column' }}>
-          <StockChart stock={stockWithPrice} />
+          <StockChart
+            stock={stockWithPrice}
+            liveBar={selectedStock ? liveBars[selectedStock.symbol] : null}
+            intradayBars={selectedStock ? intradayBars[selectedStock.symbol] : null}
+            analysis={analysis}
+          />
         </Content>
 
         <Sider width={340} style={{ borderLeft: '1px solid #443B36' }}>
@@ -93,6 +190,7 @@ const Dashboard = () => {
              <TradingPanel 
                 stock={stockWithPrice} 
                 currentPrice={currentPrice} 
+                user={user}
                 onTradeSuccess={() => {}}
              />
            </div>
@@ -103,6 +201,28 @@ const Dashboard = () => {
 };
 
 const App = () => {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+
+  // 刷新令牌失效时回到登录页
+  useEffect(() => onSessionExpired(() => setUser(null)), []);
+
+  // 登录或退出后以新身份重连 Socket.IO，接收当前用户的委托、成交与账户推送
+  useEffect(() => {
+    syncSocketAuth();
+  }, [user?.id]);
+
+  const handleLogout = async () => {
+    try {
+      await logoutUser();
+    } catch (err) {
+      // 会话已失效时忽略，直接清除本地登录状态
+    }
+    clearSession();
+    // 服务端已撤销会话的连接身份，立即以未登录身份重连
+    syncSocketAuth();
+    setUser(null);
+  };
+
   return (
     <ConfigProvider
       theme={{
@@ -119,7 +239,20 @@ const App = () => {
     >
       <Router>
         <Routes>
-           <Route path="/" element={<Dashboard />} />
+           <Route path="/login" element={user ? <Navigate to="/" replace /> : <LoginPage onLogin={setUser} />} />
+           <Route path="/" element={user ? <Dashboard user={user} onLogout={handleLogout} /> : <Navigate to="/login" replace />} />
+           {[
+             { path: '/positions', page: <PositionsPage /> },
+             { path: '/transactions', page: <TransactionsPage /> },
+             { path: '/portfolio', page: <PortfolioPage /> },
+             { path: '/replay', page: <ReplayPage /> }
+           ].map(({ path, page }) => (
+             <Route
+               key={path}
+               path={path}
+               element={user ? <PageView user={user} onLogout={handleLogout}>{page}</PageView> : <Navigate to="/login" replace />}
+             />
+           ))}
         </Routes>
       </Router>
     </ConfigProvider>
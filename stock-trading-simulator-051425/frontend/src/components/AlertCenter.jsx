@@ -0,0 +1,290 @@
+// stock-trading-simulator-051425/frontend/src/components/AlertCenter.jsx
+import React, { useState, useEffect } from 'react';
+import {
+  Badge, Button, Drawer, Tabs, List, Tag, Form, Select, InputNumber, Input, Radio, Row, Col, Space, Switch, Popconfirm, Empty, message, notification
+} from 'antd';
+import { BellOutlined, DeleteOutlined } from '@ant-design/icons';
+import { fetchStocks, fetchAlerts, createAlert, updateAlert, deleteAlert, markAlertsRead, INTERVAL_OPTIONS } from '../services/api';
+import socket from '../services/socket';
+
+const DIRECTION_TEXT = { ABOVE: '上穿', BELOW: '下破' };
+
+const STATUS_TAGS = {
+  ACTIVE: { color: 'processing', text: '监控中' },
+  TRIGGERED: { color: 'warning', text: '已触发' },
+  DISABLED: { color: 'default', text: '已停用' }
+};
+
+/**
+ * 提醒条件描述，如 "AAPL 价格 上穿 $180.00"、"AAPL RSI(14) 日K 上穿 70"
+ */
+const describeAlert = (alert) => {
+  if (alert.alert_type === 'PRICE') {
+    return `${alert.symbol} 价格 ${DIRECTION_TEXT[alert.direction]} $${alert.threshold.toFixed(2)}`;
+  }
+  const interval = INTERVAL_OPTIONS.find(o => o.value === alert.bar_interval)?.label || alert.bar_interval;
+  const indicator = alert.period ? `${alert.indicator}(${alert.period})` : alert.indicator;
+  return `${alert.symbol} ${indicator} ${interval} ${DIRECTION_TEXT[alert.direction]} ${alert.threshold}`;
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString([], { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * 顶栏提醒中心：铃铛显示未读的触发提醒数，抽屉内查看触发通知并管理价格/指标提醒
+ */
+const AlertCenter = () => {
+  const [open, setOpen] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [indicators, setIndicators] = useState([]);
+  const [stocks, setStocks] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [form] = Form.useForm();
+  const alertType = Form.useWatch('alertType', form);
+  const indicator = Form.useWatch('indicator', form);
+
+  const loadAlerts = async () => {
+    try {
+      const res = await fetchAlerts();
+      if (res.success) {
+        setAlerts(res.data.alerts);
+        setIndicators(res.data.indicators);
+      }
+    } catch (err) {
+      // 提醒加载失败不影响其他功能
+    }
+  };
+
+  useEffect(() => {
+    loadAlerts();
+    fetchStocks()
+      .then(res => { if (res.success) setStocks(res.data); })
+      .catch(() => {});
+
+    // 提醒触发由服务端经用户私有频道推送
+    const onAlertTriggered = (alert) => {
+      setAlerts(prev => (prev.some(a => a.id === alert.id)
+        ? prev.map(a => (a.id === alert.id ? alert : a))
+        : [alert, ...prev]));
+      notification.info({
+        message: '提醒已触发',
+        description: `${describeAlert(alert)}，当前 ${alert.triggered_value}` + (alert.note ? ` · ${alert.note}` : '')
+      });
+    };
+    socket.on('alert_triggered', onAlertTriggered);
+    socket.io.on('reconnect', loadAlerts);
+    return () => {
+      socket.off('alert_triggered', onAlertTriggered);
+      socket.io.off('reconnect', loadAlerts);
+    };
+  }, []);
+
+  const triggered = alerts
+    .filter(a => a.triggered_at)
+    .sort((a, b) => b.triggered_at.localeCompare(a.triggered_at));
+  const unread = triggered.filter(a => !a.acknowledged).length;
+
+  const handleMarkRead = async () => {
+    try {
+      await markAlertsRead();
+      setAlerts(prev => prev.map(a => (a.triggered_at ? { ...a, acknowledged: 1 } : a)));
+    } catch (err) {
+      message.error(err.message || '标记已读失败');
+    }
+  };
+
+  const handleCreate = async (values) => {
+    setSubmitting(true);
+    try {
+      const res = await createAlert(values);
+      if (res.success) {
+        message.success('提醒已创建');
+        setAlerts(prev => [res.data, ...prev]);
+        form.resetFields(['threshold', 'note']);
+      }
+    } catch (err) {
+      message.error(err.message || '创建提醒失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const replaceAlert = (updated) => setAlerts(prev => prev.map(a => (a.id === updated.id ? updated : a)));
+
+  const handleToggle = async (alert, checked) => {
+    try {
+      const res = await updateAlert(alert.id, { status: checked ? 'ACTIVE' : 'DISABLED' });
+      if (res.success) replaceAlert(res.data);
+    } catch (err) {
+      message.error(err.message || '修改提醒失败');
+    }
+  };
+
+  const handleDelete = async (alertId) => {
+    try {
+      await deleteAlert(alertId);
+      setAlerts(prev => prev.filter(a => a.id !== alertId));
+    } catch (err) {
+      message.error(err.message || '删除提醒失败');
+    }
+  };
+
+  const selectedIndicator = indicators.find(i => i.key === indicator);
+
+  const notificationsTab = (
+    <>
+      <div className="flex-between" style={{ marginBottom: 8 }}>
+        <span style={{ color: '#A89F99', fontSize: '12px' }}>未读 {unread} 条</span>
+        <Button type="link" size="small" disabled={unread === 0} onClick={handleMarkRead}>全部标记已读</Button>
+      </div>
+      {triggered.length === 0 ? (
+        <Empty description="暂无触发的提醒" />
+      ) : (
+        <List
+          size="small"
+          dataSource={triggered}
+          renderItem={(alert) => (
+            <List.Item style={{ borderColor: '#443B36', opacity: alert.acknowledged ? 0.6 : 1 }}>
+              <div style={{ width: '100%' }}>
+                <div className="flex-between">
+                  <span style={{ color: '#E6E1DD' }}>
+                    {!alert.acknowledged && <Badge color="#D4AF37" style={{ marginRight: 6 }} />}
+                    {describeAlert(alert)}
+                  </span>
+                  <span style={{ color: '#6B635F', fontSize: '12px' }}>{formatTime(alert.triggered_at)}</span>
+                </div>
+                <div style={{ color: '#A89F99', fontSize: '12px', marginTop: 4 }}>
+                  触发值 <span style={{ color: '#D4AF37' }}>{alert.triggered_value}</span>
+                  {alert.note && <span style={{ marginLeft: 8 }}>{alert.note}</span>}
+                </div>
+              </div>
+            </List.Item>
+          )}
+        />
+      )}
+    </>
+  );
+
+  const alertsTab = (
+    <>
+      <Form
+        form={form}
+        layout="vertical"
+        size="small"
+        initialValues={{ alertType: 'PRICE', direction: 'ABOVE', interval: '1d' }}
+        onFinish={handleCreate}
+        style={{ background: '#2C2420', padding: '12px', borderRadius: '8px', marginBottom: 16 }}
+      >
+        <Row gutter={8}>
+          <Col span={12}>
+            <Form.Item name="symbol" label={<span style={{ color: '#A89F99' }}>股票</span>} rules={[{ required: true, message: '请选择股票' }]}>
+              <Select
+                showSearch
+                placeholder="选择股票"
+                options={stocks.map(s => ({ value: s.symbol, label: `${s.symbol} ${s.name}` }))}
+              />
+            </Form.Item>
+          </Col>
+          <Col span={12}>
+            <Form.Item name="alertType" label={<span style={{ color: '#A89F99' }}>提醒类型</span>}>
+              <Radio.Group optionType="button" options={[{ value: 'PRICE', label: '价格' }, { value: 'INDICATOR', label: '指标' }]} />
+            </Form.Item>
+          </Col>
+        </Row>
+        {alertType === 'INDICATOR' && (
+          <Row gutter={8}>
+            <Col span={10}>
+              <Form.Item name="indicator" label={<span style={{ color: '#A89F99' }}>指标</span>} rules={[{ required: true, message: '请选择指标' }]}>
+                <Select
+                  options={indicators.map(i => ({ value: i.key, label: i.label }))}
+                  onChange={(key) => form.setFieldValue('period', indicators.find(i => i.key === key)?.defaultPeriod ?? undefined)}
+                />
+              </Form.Item>
+            </Col>
+            <Col span={6}>
+              <Form.Item name="period" label={<span style={{ color: '#A89F99' }}>周期</span>}>
+                <InputNumber min={2} max={200} precision={0} style={{ width: '100%' }} disabled={!selectedIndicator?.defaultPeriod} />
+              </Form.Item>
+            </Col>
+            <Col span={8}>
+              <Form.Item name="interval" label={<span style={{ color: '#A89F99' }}>K线周期</span>}>
+                <Select options={INTERVAL_OPTIONS} />
+              </Form.Item>
+            </Col>
+          </Row>
+        )}
+        <Row gutter={8}>
+          <Col span={10}>
+            <Form.Item name="direction" label={<span style={{ color: '#A89F99' }}>条件</span>}>
+              <Select options={[{ value: 'ABOVE', label: '上穿 (≥)' }, { value: 'BELOW', label: '下破 (≤)' }]} />
+            </Form.Item>
+          </Col>
+          <Col span={14}>
+            <Form.Item name="threshold" label={<span style={{ color: '#A89F99' }}>阈值</span>} rules={[{ required: true, message: '请输入阈值' }]}>
+              <InputNumber
+                style={{ width: '100%' }}
+                precision={2}
+                prefix={alertType === 'PRICE' ? '$' : undefined}
+                placeholder={alertType === 'PRICE' ? '180.00' : '70'}
+              />
+            </Form.Item>
+          </Col>
+        </Row>
+        <Form.Item name="note" label={<span style={{ color: '#A89F99' }}>备注</span>}>
+          <Input maxLength={100} placeholder="可选" />
+        </Form.Item>
+        <Button type="primary" htmlType="submit" block loading={submitting}>添加提醒</Button>
+      </Form>
+
+      {alerts.length === 0 ? (
+        <Empty description="暂无提醒" />
+      ) : (
+        <List
+          size="small"
+          dataSource={alerts}
+          renderItem={(alert) => (
+            <List.Item
+              style={{ borderColor: '#443B36' }}
+              actions={[
+                <Switch
+                  key="toggle"
+                  size="small"
+                  checked={alert.status === 'ACTIVE'}
+                  onChange={(checked) => handleToggle(alert, checked)}
+                />,
+                <Popconfirm key="delete" title="删除该提醒？" onConfirm={() => handleDelete(alert.id)}>
+                  <Button type="text" size="small" icon={<DeleteOutlined />} style={{ color: '#A89F99' }} />
+                </Popconfirm>
+              ]}
+            >
+              <Space direction="vertical" size={0}>
+                <span style={{ color: '#E6E1DD' }}>{describeAlert(alert)}</span>
+                <Space size={4}>
+                  <Tag color={STATUS_TAGS[alert.status]?.color}>{STATUS_TAGS[alert.status]?.text || alert.status}</Tag>
+                  {alert.note && <span style={{ color: '#6B635F', fontSize: '12px' }}>{alert.note}</span>}
+                </Space>
+              </Space>
+            </List.Item>
+          )}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <>
+      <Badge count={unread} size="small" offset={[-4, 4]}>
+        <Button type="text" icon={<BellOutlined />} onClick={() => setOpen(true)} style={{ color: '#A89F99' }} />
+      </Badge>
+      <Drawer title="提醒中心" placement="right" width={420} open={open} onClose={() => setOpen(false)}>
+        <Tabs
+          items={[
+            { key: 'notifications', label: `通知${unread ? ` (${unread})` : ''}`, children: notificationsTab },
+            { key: 'alerts', label: '我的提醒', children: alertsTab }
+          ]}
+        />
+      </Drawer>
+    </>
+  );
+};
+
+export default AlertCenter;
@@ -0,0 +1,183 @@
+// stock-trading-simulator-051425/frontend/src/components/BacktestModal.jsx
+import React, { useState, useEffect } from 'react';
+import ReactECharts from 'echarts-for-react';
+import { Modal, Form, InputNumber, Select, Button, Row, Col, Statistic, Table, Tag, Alert, Spin, Empty, Typography } from 'antd';
+import { runStrategyBacktest, exportBacktest, INTERVAL_OPTIONS } from '../services/api';
+import ExportButton from './ExportButton';
+
+const { Text } = Typography;
+
+const formatPercent = (val) => `${(val * 100).toFixed(2)}%`;
+
+/**
+ * 策略回测弹窗
+ * @param {string} strategyType 策略选择 (切换时清空结果)
+ * @param {Object} strategyRequest 请求中的策略部分 { strategyType, params } 或 { strategyType: 'CUSTOM', customStrategyId }
+ */
+const BacktestModal = ({ open, onClose, symbol, strategyType, strategyRequest, interval = '1d', strategyLabel }) => {
+  const [initialCapital, setInitialCapital] = useState(100000);
+  const [positionSize, setPositionSize] = useState(100);
+  const [days, setDays] = useState(365);
+  const [loading, setLoading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  // 最近一次回测的请求参数，导出时按同一参数重新计算
+  const [lastRequest, setLastRequest] = useState(null);
+
+  // 切换股票或策略后清空旧结果
+  useEffect(() => {
+    setResult(null);
+    setError(null);
+    setLastRequest(null);
+  }, [symbol, strategyType, interval]);
+
+  const handleRun = async () => {
+    setLoading(true);
+    setError(null);
+    const request = {
+      symbol,
+      ...strategyRequest,
+      interval,
+      // 日内周期使用服务端默认回溯区间
+      days: interval === '1d' ? days : undefined,
+      initialCapital,
+      positionSize: positionSize / 100
+    };
+    try {
+      const res = await runStrategyBacktest(request);
+      if (res.success) {
+        setResult(res.data);
+        setLastRequest(request);
+      }
+    } catch (err) {
+      setError(err.message || '策略回测失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getChartOption = () => ({
+    backgroundColor: 'transparent',
+    animation: false,
+    tooltip: { trigger: 'axis', backgroundColor: 'rgba(44, 36, 32, 0.9)', borderColor: '#D4AF37', textStyle: { color: '#E6E1DD' } },
+    legend: { data: ['策略净值', '买入持有'], textStyle: { color: '#A89F99' }, top: 0 },
+    grid: { left: '8%', right: '4%', top: 30, bottom: 30 },
+    xAxis: {
+      type: 'category',
+      data: result.equityCurve.map(p => p.date),
+      axisLabel: { color: '#A89F99' },
+      axisLine: { lineStyle: { color: '#443B36' } }
+    },
+    yAxis: {
+      scale: true,
+      axisLabel: { color: '#A89F99' },
+      splitLine: { lineStyle: { color: '#443B36', opacity: 0.5 } }
+    },
+    series: [
+      { name: '策略净值', type: 'line', data: result.equityCurve.map(p => p.equity), showSymbol: false, lineStyle: { color: '#D4AF37', width: 2 } },
+      { name: '买入持有', type: 'line', data: result.equityCurve.map(p => p.benchmark), showSymbol: false, lineStyle: { color: '#177DDC', width: 1 } }
+    ]
+  });
+
+  const columns = [
+    { title: '买入日期', dataIndex: 'entryDate', key: 'entryDate', width: 100 },
+    { title: '买入价', dataIndex: 'entryPrice', key: 'entryPrice', width: 80, render: (val) => `$${val.toFixed(2)}` },
+    { title: '卖出日期', dataIndex: 'exitDate', key: 'exitDate', width: 100, render: (val, record) => record.open ? <Tag color="processing">持仓中</Tag> : val },
+    { title: '卖出价', dataIndex: 'exitPrice', key: 'exitPrice', width: 80, render: (val) => `$${val.toFixed(2)}` },
+    { title: '数量', dataIndex: 'quantity', key: 'quantity', width: 70 },
+    { title: '费用', dataIndex: 'fees', key: 'fees', width: 80, render: (val) => `$${val.toFixed(2)}` },
+    {
+      title: '盈亏',
+      dataIndex: 'pnl',
+      key: 'pnl',
+      width: 110,
+      render: (val, record) => (
+        <Text style={{ color: val >= 0 ? '#FF4D4F' : '#52C41A' }}>
+          {val >= 0 ? '+' : ''}{val.toFixed(2)} ({formatPercent(record.returnPct)})
+        </Text>
+      )
+    }
+  ];
+
+  const renderResult = () => {
+    if (error) return <Alert message="回测失败" description={error} type="error" showIcon />;
+    if (!result) {
+      return <Empty description={<span style={{ color: '#A89F99' }}>设置参数后点击“开始回测”</span>} />;
+    }
+
+    const { metrics, benchmark } = result;
+    const statStyle = (val) => ({ color: val >= 0 ? '#FF4D4F' : '#52C41A', fontSize: '18px' });
+    const statTitle = (text) => <span style={{ color: '#A89F99', fontSize: '12px' }}>{text}</span>;
+
+    return (
+      <>
+        <Row gutter={[16, 16]}>
+          <Col span={6}><Statistic title={statTitle('总收益率')} value={formatPercent(metrics.totalReturn)} valueStyle={statStyle(metrics.totalReturn)} /></Col>
+          <Col span={6}><Statistic title={statTitle('买入持有收益率')} value={formatPercent(benchmark.totalReturn)} valueStyle={statStyle(benchmark.totalReturn)} /></Col>
+          <Col span={6}><Statistic title={statTitle('超额收益')} value={formatPercent(result.excessReturn)} valueStyle={statStyle(result.excessReturn)} /></Col>
+          <Col span={6}><Statistic title={statTitle('期末净值')} value={result.finalEquity} precision={2} prefix="$" valueStyle={{ color: '#D4AF37', fontSize: '18px' }} /></Col>
+          <Col span={6}><Statistic title={statTitle('最大回撤')} value={formatPercent(metrics.maxDrawdown)} valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+          <Col span={6}><Statistic title={statTitle('夏普比率')} value={metrics.sharpeRatio} precision={2} valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+          <Col span={6}><Statistic title={statTitle('胜率')} value={formatPercent(metrics.winRate)} suffix={`/ ${metrics.tradeCount}笔`} valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+          <Col span={6}><Statistic title={statTitle('交易费用')} value={metrics.totalFees} precision={2} prefix="$" valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+        </Row>
+        <ReactECharts option={getChartOption()} style={{ height: 260, marginTop: 16 }} notMerge={true} theme="dark" />
+        <Table
+          dataSource={result.trades}
+          columns={columns}
+          rowKey={(record) => `${record.entryDate}-${record.exitDate}`}
+          size="small"
+          pagination={{ pageSize: 5, size: 'small', showSizeChanger: false }}
+          style={{ marginTop: 16 }}
+        />
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title={`策略回测 · ${symbol || ''} · ${strategyLabel || strategyType} · ${INTERVAL_OPTIONS.find(o => o.value === interval)?.label || interval}`}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={860}
+      destroyOnClose
+    >
+      <Form layout="inline" style={{ marginBottom: 16 }}>
+        <Form.Item label="初始资金">
+          <InputNumber min={1000} step={10000} prefix="$" value={initialCapital} onChange={setInitialCapital} style={{ width: 140 }} />
+        </Form.Item>
+        <Form.Item label="仓位比例">
+          <InputNumber min={1} max={100} suffix="%" value={positionSize} onChange={setPositionSize} style={{ width: 100 }} />
+        </Form.Item>
+        {interval === '1d' && (
+          <Form.Item label="回测区间">
+            <Select
+              value={days}
+              onChange={setDays}
+              style={{ width: 110 }}
+              options={[
+                { value: 180, label: '近半年' },
+                { value: 365, label: '近一年' },
+                { value: 730, label: '近两年' }
+              ]}
+            />
+          </Form.Item>
+        )}
+        <Form.Item>
+          <Button type="primary" onClick={handleRun} loading={loading} disabled={!symbol}>开始回测</Button>
+        </Form.Item>
+        <Form.Item>
+          <ExportButton
+            size="middle"
+            disabled={!result || !lastRequest}
+            onExport={(format) => exportBacktest(lastRequest, format)}
+          />
+        </Form.Item>
+      </Form>
+      <Spin spinning={loading}>{renderResult()}</Spin>
+    </Modal>
+  );
+};
+
+export default BacktestModal;
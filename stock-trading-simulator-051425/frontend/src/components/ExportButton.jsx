@@ -0,0 +1,37 @@
+// stock-trading-simulator-051425/frontend/src/components/ExportButton.jsx
+import React, { useState } from 'react';
+import { Dropdown, Button, message } from 'antd';
+import { DownloadOutlined } from '@ant-design/icons';
+import { EXPORT_FORMATS } from '../services/api';
+
+/**
+ * 导出按钮：下拉选择 CSV / Excel 格式
+ * @param {Function} onExport 导出回调，参数为格式 'csv' | 'xlsx'，返回 Promise
+ * @param {Boolean} disabled
+ * @param {String} size 按钮尺寸
+ */
+const ExportButton = ({ onExport, disabled, size = 'small' }) => {
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async ({ key }) => {
+    setExporting(true);
+    try {
+      await onExport(key);
+    } catch (err) {
+      message.error(err.message || '导出失败');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dropdown
+      disabled={disabled || exporting}
+      menu={{ items: EXPORT_FORMATS.map(f => ({ key: f.value, label: f.label })), onClick: handleExport }}
+    >
+      <Button size={size} icon={<DownloadOutlined />} loading={exporting}>导出</Button>
+    </Dropdown>
+  );
+};
+
+export default ExportButton;
@@ -0,0 +1,75 @@
+// stock-trading-simulator-051425/frontend/src/components/IndicatorPicker.jsx
+import React, { useState, useEffect } from 'react';
+import { Popover, Button, Select, Empty, Typography } from 'antd';
+import { FundOutlined, CloseOutlined } from '@ant-design/icons';
+import { fetchIndicatorList } from '../services/api';
+import StrategyParamsForm from './StrategyParamsForm';
+
+const { Text } = Typography;
+
+/**
+ * K线图技术指标选择：添加/移除指标并调整参数
+ * @param {Array} value 已添加的指标 [{ name, params }]
+ * @param {Function} onChange (nextValue) => void
+ */
+const IndicatorPicker = ({ value = [], onChange }) => {
+  const [definitions, setDefinitions] = useState([]);
+
+  useEffect(() => {
+    fetchIndicatorList()
+      .then(res => res.success && setDefinitions(res.data))
+      .catch(() => {});
+  }, []);
+
+  const added = value.map(item => item.name);
+
+  const content = (
+    <div style={{ width: 300 }}>
+      <Select
+        size="small"
+        value={null}
+        placeholder="添加技术指标"
+        onChange={(name) => onChange(value.concat([{ name, params: {} }]))}
+        options={definitions.filter(d => !added.includes(d.key)).map(d => ({
+          value: d.key,
+          label: `${d.name}${d.pane === 'main' ? ' · 主图' : ''}`
+        }))}
+        style={{ width: '100%', marginBottom: '12px' }}
+      />
+      {value.length === 0 ? (
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="未添加指标" />
+      ) : value.map(item => {
+        const definition = definitions.find(d => d.key === item.name);
+        return (
+          <div key={item.name} style={{ background: '#2C2420', padding: '8px', borderRadius: '4px', marginBottom: '8px' }}>
+            <div className="flex-between" style={{ marginBottom: definition?.params.length ? '8px' : 0 }}>
+              <Text style={{ color: '#D4AF37' }}>{definition?.name || item.name}</Text>
+              <Button
+                type="text"
+                size="small"
+                icon={<CloseOutlined style={{ fontSize: '10px' }} />}
+                onClick={() => onChange(value.filter(v => v.name !== item.name))}
+                style={{ color: '#6B635F' }}
+              />
+            </div>
+            <StrategyParamsForm
+              schema={definition?.params}
+              values={item.params}
+              onChange={(params) => onChange(value.map(v => (v.name === item.name ? { ...v, params } : v)))}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <Popover content={content} title="技术指标" trigger="click" placement="bottomRight">
+      <Button size="small" icon={<FundOutlined />}>
+        指标{value.length > 0 ? ` (${value.length})` : ''}
+      </Button>
+    </Popover>
+  );
+};
+
+export default IndicatorPicker;
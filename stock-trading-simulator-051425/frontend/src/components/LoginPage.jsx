@@ -0,0 +1,124 @@
+// stock-trading-simulator-051425/frontend/src/components/LoginPage.jsx
+import React, { useState } from 'react';
+import { Card, Tabs, Form, Input, Button, Radio, Typography, Space, message } from 'antd';
+import { UserOutlined, LockOutlined } from '@ant-design/icons';
+import { FaChartLine } from 'react-icons/fa';
+import { loginUser, registerUser } from '../services/api';
+import { saveSession } from '../services/auth';
+
+const { Title, Text } = Typography;
+
+/**
+ * 登录 / 注册页
+ * @param {Function} onLogin 登录成功回调，参数为当前用户 { id, username, accountType }
+ */
+const LoginPage = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (values) => {
+    setSubmitting(true);
+    try {
+      const res = mode === 'login'
+        ? await loginUser(values.username, values.password)
+        : await registerUser(values.username, values.password, values.accountType);
+      if (res.success) {
+        saveSession(res.data);
+        message.success(mode === 'login' ? `欢迎回来，${res.data.user.username}` : '注册成功，已自动登录');
+        onLogin(res.data.user);
+      }
+    } catch (err) {
+      message.error(err.message || (mode === 'login' ? '登录失败' : '注册失败'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="flex-center" style={{ height: '100vh' }}>
+      <Card style={{ width: 380, border: '1px solid #443B36' }}>
+        <Space direction="vertical" align="center" style={{ width: '100%', marginBottom: 8 }}>
+          <FaChartLine style={{ fontSize: '32px', color: '#D4AF37' }} />
+          <Title level={3} style={{ margin: 0, color: '#D4AF37', letterSpacing: '1px' }}>Q-STOCK</Title>
+          <Text style={{ color: '#A89F99', fontSize: '12px' }}>模拟股票交易平台</Text>
+        </Space>
+
+        <Tabs
+          activeKey={mode}
+          onChange={setMode}
+          centered
+          items={[
+            { key: 'login', label: '登录' },
+            { key: 'register', label: '注册' }
+          ]}
+        />
+
+        <Form
+          key={mode}
+          layout="vertical"
+          onFinish={handleSubmit}
+          initialValues={{ accountType: 'CASH' }}
+          requiredMark={false}
+        >
+          <Form.Item
+            name="username"
+            rules={[
+              { required: true, message: '请输入用户名' },
+              { min: 3, message: '用户名至少3个字符' }
+            ]}
+          >
+            <Input prefix={<UserOutlined style={{ color: '#6B635F' }} />} placeholder="用户名" autoComplete="username" />
+          </Form.Item>
+          <Form.Item
+            name="password"
+            rules={[
+              { required: true, message: '请输入密码' },
+              ...(mode === 'register' ? [{ min: 6, message: '密码至少6个字符' }] : [])
+            ]}
+          >
+            <Input.Password
+              prefix={<LockOutlined style={{ color: '#6B635F' }} />}
+              placeholder="密码"
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            />
+          </Form.Item>
+          {mode === 'register' && (
+            <>
+              <Form.Item
+                name="confirm"
+                dependencies={['password']}
+                rules={[
+                  { required: true, message: '请再次输入密码' },
+                  ({ getFieldValue }) => ({
+                    validator: (_, value) => (!value || getFieldValue('password') === value
+                      ? Promise.resolve()
+                      : Promise.reject(new Error('两次输入的密码不一致')))
+                  })
+                ]}
+              >
+                <Input.Password prefix={<LockOutlined style={{ color: '#6B635F' }} />} placeholder="确认密码" autoComplete="new-password" />
+              </Form.Item>
+              <Form.Item name="accountType" label={<span style={{ color: '#A89F99' }}>账户类型</span>}>
+                <Radio.Group>
+                  <Radio value="CASH">现金账户</Radio>
+                  <Radio value="MARGIN">保证金账户</Radio>
+                </Radio.Group>
+              </Form.Item>
+            </>
+          )}
+          <Button type="primary" htmlType="submit" block loading={submitting}>
+            {mode === 'login' ? '登录' : '注册并登录'}
+          </Button>
+        </Form>
+
+        {mode === 'login' && (
+          <Text style={{ display: 'block', marginTop: 12, textAlign: 'center', color: '#6B635F', fontSize: '12px' }}>
+            演示账号：demo / password123
+          </Text>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default LoginPage;
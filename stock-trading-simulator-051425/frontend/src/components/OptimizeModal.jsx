@@ -0,0 +1,302 @@
+// stock-trading-simulator-051425/frontend/src/components/OptimizeModal.jsx
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, InputNumber, Select, Radio, Checkbox, Button, Table, Progress, Alert, Empty, Space, Typography } from 'antd';
+import { fetchOptimizerOptions, startOptimization, fetchOptimization, cancelOptimization, INTERVAL_OPTIONS } from '../services/api';
+import socket from '../services/socket';
+
+const { Text } = Typography;
+
+const formatPercent = (val) => `${(val * 100).toFixed(2)}%`;
+
+const METHOD_OPTIONS = [
+  { value: 'GRID', label: '网格搜索' },
+  { value: 'RANDOM', label: '随机搜索' }
+];
+
+const STATUS_TEXT = { CANCELLED: '任务已取消', FAILED: '参数优化失败' };
+
+const roundTo = (val, step) => Number((Math.round(val / step) * step).toFixed(4));
+
+/**
+ * 参数默认搜索区间：默认值的一半到两倍 (限制在取值范围内)，约分 5 档
+ */
+const defaultRange = (param) => {
+  const unit = param.type === 'integer' ? 1 : param.step;
+  const min = Math.max(param.min, roundTo(param.default / 2, unit));
+  const max = Math.min(param.max, roundTo(param.default * 2, unit));
+  return { enabled: true, min, max, step: Math.max(unit, roundTo((max - min) / 4, unit)) };
+};
+
+const countValues = ({ min, max, step }) => (step > 0 && max >= min ? Math.floor((max - min) / step + 1e-9) + 1 : 0);
+
+/**
+ * 策略参数优化弹窗：设置参数区间与优化目标，服务端逐组回测后按目标排序，可将某组参数应用到策略
+ * @param {Array} paramSchema 策略参数定义
+ * @param {Object} params 当前策略参数 (未参与优化的参数按此固定)
+ * @param {Function} onApply (params) => void 应用选中的参数组合
+ */
+const OptimizeModal = ({ open, onClose, symbol, strategyType, interval = '1d', strategyLabel, paramSchema = [], params = {}, onApply }) => {
+  const [ranges, setRanges] = useState({});
+  const [method, setMethod] = useState('GRID');
+  const [budget, setBudget] = useState(100);
+  const [objective, setObjective] = useState('SHARPE');
+  const [days, setDays] = useState(365);
+  const [options, setOptions] = useState(null);
+  const [job, setJob] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchOptimizerOptions()
+      .then(res => res.success && setOptions(res.data))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    setRanges(Object.fromEntries(paramSchema.map(p => [p.key, defaultRange(p)])));
+  }, [strategyType, paramSchema.map(p => p.key).join()]);
+
+  // 切换股票、策略或周期后清空已结束任务的结果，进行中的任务保留以便查看进度
+  useEffect(() => {
+    setJob(prev => (prev?.status === 'RUNNING' ? prev : null));
+    setError(null);
+  }, [symbol, strategyType, interval]);
+
+  // 任务进度与结果由服务端经用户私有频道推送；订阅后及断线重连后各查询一次，补上错过的事件 (小任务可能在订阅前已完成)
+  useEffect(() => {
+    if (!job || job.status !== 'RUNNING') return undefined;
+    const onProgress = (progress) => {
+      if (progress.id === job.id) setJob(prev => ({ ...prev, completed: progress.completed }));
+    };
+    const onComplete = (finished) => {
+      if (finished.id === job.id) setJob(finished);
+    };
+    const reload = () => {
+      fetchOptimization(job.id)
+        .then(res => res.success && setJob(res.data))
+        .catch(() => {});
+    };
+    socket.on('optimize_progress', onProgress);
+    socket.on('optimize_complete', onComplete);
+    socket.io.on('reconnect', reload);
+    reload();
+    return () => {
+      socket.off('optimize_progress', onProgress);
+      socket.off('optimize_complete', onComplete);
+      socket.io.off('reconnect', reload);
+    };
+  }, [job?.id, job?.status]);
+
+  const enabledKeys = paramSchema.filter(p => ranges[p.key]?.enabled).map(p => p.key);
+  const gridSize = enabledKeys.reduce((size, key) => size * countValues(ranges[key]), enabledKeys.length ? 1 : 0);
+  const combinations = method === 'RANDOM' ? Math.min(gridSize, budget || 0) : gridSize;
+  const running = job?.status === 'RUNNING';
+  // 结果对应当前股票与策略时才能直接应用
+  const applicable = job && job.symbol === symbol && job.strategyType === strategyType && job.interval === interval;
+
+  const updateRange = (key, changes) => setRanges(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError(null);
+    try {
+      const res = await startOptimization({
+        symbol,
+        strategyType,
+        interval,
+        days: interval === '1d' ? days : undefined,
+        params,
+        ranges: Object.fromEntries(enabledKeys.map(key => {
+          const { min, max, step } = ranges[key];
+          return [key, { min, max, step }];
+        })),
+        objective,
+        method,
+        budget: method === 'RANDOM' ? budget : undefined
+      });
+      if (res.success) setJob(res.data);
+    } catch (err) {
+      setError(err.message || '参数优化启动失败');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      const res = await cancelOptimization(job.id);
+      if (res.success) setJob(res.data);
+    } catch (err) {
+      setError(err.message || '取消任务失败');
+    }
+  };
+
+  const paramLabel = (key) => paramSchema.find(p => p.key === key)?.label || key;
+  const metricColor = (val) => ({ color: val >= 0 ? '#FF4D4F' : '#52C41A' });
+
+  const columns = [
+    { title: '排名', dataIndex: 'rank', key: 'rank', width: 56, fixed: 'left' },
+    ...Object.keys(job?.results?.[0]?.params || {}).map(key => ({
+      title: paramLabel(key),
+      key,
+      width: 90,
+      render: (_, record) => <Text className="text-gold">{record.params[key]}</Text>
+    })),
+    { title: '总收益率', key: 'totalReturn', width: 90, render: (_, r) => <Text style={metricColor(r.metrics.totalReturn)}>{formatPercent(r.metrics.totalReturn)}</Text> },
+    { title: '年化收益', key: 'annualizedReturn', width: 90, render: (_, r) => <Text style={metricColor(r.metrics.annualizedReturn)}>{formatPercent(r.metrics.annualizedReturn)}</Text> },
+    { title: '最大回撤', key: 'maxDrawdown', width: 90, render: (_, r) => formatPercent(r.metrics.maxDrawdown) },
+    { title: '夏普比率', key: 'sharpeRatio', width: 80, render: (_, r) => r.metrics.sharpeRatio.toFixed(2) },
+    { title: '交易次数', key: 'tradeCount', width: 80, render: (_, r) => r.metrics.tradeCount },
+    { title: '胜率', key: 'winRate', width: 80, render: (_, r) => formatPercent(r.metrics.winRate) },
+    {
+      title: '操作',
+      key: 'action',
+      width: 70,
+      fixed: 'right',
+      render: (_, record) => (
+        <Button type="link" size="small" disabled={!applicable} onClick={() => onApply(record.params)}>应用</Button>
+      )
+    }
+  ];
+
+  const renderJob = () => {
+    if (error) return <Alert message="参数优化失败" description={error} type="error" showIcon />;
+    if (!job) {
+      return <Empty description={<span style={{ color: '#A89F99' }}>设置参数区间后点击“开始优化”</span>} />;
+    }
+    if (running) {
+      return (
+        <div style={{ padding: '24px 0' }}>
+          <Text style={{ color: '#A89F99', fontSize: '12px' }}>
+            正在回测 {job.symbol} · {job.strategyName}：{job.completed} / {job.total} 组
+          </Text>
+          <Progress percent={Math.round((job.completed / job.total) * 100)} strokeColor="#D4AF37" />
+        </div>
+      );
+    }
+    if (job.status !== 'COMPLETED') {
+      return <Alert message={STATUS_TEXT[job.status]} description={job.error} type={job.status === 'FAILED' ? 'error' : 'info'} showIcon />;
+    }
+
+    return (
+      <>
+        <div className="flex-between" style={{ marginBottom: '8px' }}>
+          <Text style={{ color: '#A89F99', fontSize: '12px' }}>
+            {job.symbol} · {job.strategyName} · 共回测 {job.total - job.skipped} 组
+            {job.skipped > 0 && `，${job.skipped} 组不满足参数约束已跳过`}
+            {job.unranked > 0 && `，${job.unranked} 组无完成交易未参与排名`}
+          </Text>
+          <Text style={{ color: '#6B635F', fontSize: '12px' }}>
+            按{options?.objectives.find(o => o.key === job.objective)?.label || job.objective}排序，显示前 {job.results.length} 组
+          </Text>
+        </div>
+        <Table
+          dataSource={job.results}
+          columns={columns}
+          rowKey="rank"
+          size="small"
+          pagination={{ pageSize: 10, size: 'small', showSizeChanger: false }}
+          scroll={{ x: 800 }}
+        />
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      title={`参数优化 · ${symbol || ''} · ${strategyLabel || strategyType} · ${INTERVAL_OPTIONS.find(o => o.value === interval)?.label || interval}`}
+      open={open}
+      onCancel={onClose}
+      footer={null}
+      width={900}
+      destroyOnClose
+    >
+      <div style={{ background: '#2C2420', padding: '12px', borderRadius: '8px', marginBottom: '12px' }}>
+        {paramSchema.map(param => {
+          const range = ranges[param.key];
+          if (!range) return null;
+          const inputProps = {
+            size: 'small',
+            min: param.min,
+            max: param.max,
+            step: param.step,
+            precision: param.type === 'integer' ? 0 : undefined,
+            disabled: !range.enabled || running,
+            style: { width: 90 }
+          };
+          return (
+            <div key={param.key} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0' }}>
+              <Checkbox
+                checked={range.enabled}
+                disabled={running}
+                onChange={(e) => updateRange(param.key, { enabled: e.target.checked })}
+                style={{ width: 140, color: '#E6E1DD' }}
+              >
+                {param.label}
+              </Checkbox>
+              {range.enabled ? (
+                <Space size={4}>
+                  <InputNumber {...inputProps} value={range.min} onChange={(val) => updateRange(param.key, { min: val ?? param.min })} />
+                  <Text style={{ color: '#6B635F' }}>至</Text>
+                  <InputNumber {...inputProps} value={range.max} onChange={(val) => updateRange(param.key, { max: val ?? param.max })} />
+                  <Text style={{ color: '#6B635F' }}>步长</Text>
+                  <InputNumber {...inputProps} min={param.step} max={undefined} value={range.step} onChange={(val) => updateRange(param.key, { step: val ?? param.step })} />
+                  <Text style={{ color: '#A89F99', fontSize: '12px' }}>{countValues(range)} 档</Text>
+                </Space>
+              ) : (
+                <Text style={{ color: '#6B635F', fontSize: '12px' }}>固定为 {params[param.key] ?? param.default}</Text>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <Form layout="inline" style={{ marginBottom: 16 }} disabled={running}>
+        <Form.Item label="优化目标">
+          <Select
+            value={objective}
+            onChange={setObjective}
+            style={{ width: 110 }}
+            options={(options?.objectives || []).map(o => ({ value: o.key, label: o.label }))}
+          />
+        </Form.Item>
+        <Form.Item label="搜索方式">
+          <Radio.Group optionType="button" size="small" options={METHOD_OPTIONS} value={method} onChange={(e) => setMethod(e.target.value)} />
+        </Form.Item>
+        {method === 'RANDOM' && (
+          <Form.Item label="抽样组数">
+            <InputNumber min={1} max={options?.maxRandomBudget} value={budget} onChange={setBudget} style={{ width: 90 }} />
+          </Form.Item>
+        )}
+        {interval === '1d' && (
+          <Form.Item label="回测区间">
+            <Select
+              value={days}
+              onChange={setDays}
+              style={{ width: 110 }}
+              options={[
+                { value: 180, label: '近半年' },
+                { value: 365, label: '近一年' },
+                { value: 730, label: '近两年' }
+              ]}
+            />
+          </Form.Item>
+        )}
+      </Form>
+      <div className="flex-between" style={{ marginBottom: 16 }}>
+        <Text style={{ color: method === 'GRID' && options && gridSize > options.maxGridCombinations ? '#FF4D4F' : '#A89F99', fontSize: '12px' }}>
+          共 {gridSize} 组参数组合{method === 'RANDOM' ? `，随机回测其中 ${combinations} 组` : ''}
+          {method === 'GRID' && options && gridSize > options.maxGridCombinations && `，超过网格搜索上限 ${options.maxGridCombinations}`}
+        </Text>
+        <Space>
+          {running && <Button danger onClick={handleCancel}>取消任务</Button>}
+          <Button type="primary" onClick={handleStart} loading={starting || running} disabled={!symbol || !combinations}>
+            开始优化
+          </Button>
+        </Space>
+      </div>
+      {renderJob()}
+    </Modal>
+  );
+};
+
+export default OptimizeModal;
@@ -0,0 +1,159 @@
+// stock-trading-simulator-051425/frontend/src/components/PortfolioPage.jsx
+import React, { useState, useEffect } from 'react';
+import ReactECharts from 'echarts-for-react';
+import { Card, Row, Col, Statistic, Segmented, Button, Spin, Empty, Alert, Space } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { fetchEquityHistory } from '../services/api';
+
+const formatPercent = (val) => `${(val * 100).toFixed(2)}%`;
+
+// 统计区间 (回溯自然日，0 为全部)
+const RANGE_OPTIONS = [
+  { label: '近1月', value: 30 },
+  { label: '近3月', value: 90 },
+  { label: '近1年', value: 365 },
+  { label: '全部', value: 0 }
+];
+
+const toDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * 账户表现页：每日收盘净值曲线、持仓市值与回撤，及收益率、回撤、波动率等指标
+ */
+const PortfolioPage = () => {
+  const [range, setRange] = useState(90);
+  const [loading, setLoading] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      let from;
+      if (range) {
+        const start = new Date();
+        start.setDate(start.getDate() - range);
+        from = toDateString(start);
+      }
+      const res = await fetchEquityHistory({ from });
+      if (res.success) setHistory(res.data);
+    } catch (err) {
+      setError(err.message || '获取净值历史失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [range]);
+
+  const getChartOption = () => {
+    const { points } = history;
+    // 回撤：相对历史最高净值的跌幅
+    let peak = -Infinity;
+    const drawdowns = points.map(p => {
+      peak = Math.max(peak, p.equity);
+      return peak > 0 ? Number((-(peak - p.equity) / peak * 100).toFixed(2)) : 0;
+    });
+
+    return {
+      backgroundColor: 'transparent',
+      animation: false,
+      tooltip: { trigger: 'axis', backgroundColor: 'rgba(44, 36, 32, 0.9)', borderColor: '#D4AF37', textStyle: { color: '#E6E1DD' } },
+      axisPointer: { link: [{ xAxisIndex: 'all' }] },
+      legend: { data: ['账户净值', '持仓市值', '现金', '回撤 (%)'], textStyle: { color: '#A89F99' }, top: 0 },
+      grid: [
+        { left: '8%', right: '4%', top: 36, height: '55%' },
+        { left: '8%', right: '4%', top: '75%', height: '17%' }
+      ],
+      xAxis: [0, 1].map(gridIndex => ({
+        type: 'category',
+        gridIndex,
+        data: points.map(p => (p.live ? `${p.date} (当前)` : p.date)),
+        axisLabel: { color: '#A89F99', show: gridIndex === 1 },
+        axisLine: { lineStyle: { color: '#443B36' } }
+      })),
+      yAxis: [
+        { scale: true, gridIndex: 0, axisLabel: { color: '#A89F99' }, splitLine: { lineStyle: { color: '#443B36', opacity: 0.5 } } },
+        { gridIndex: 1, max: 0, axisLabel: { color: '#A89F99' }, splitLine: { show: false } }
+      ],
+      series: [
+        { name: '账户净值', type: 'line', data: points.map(p => p.equity), showSymbol: points.length < 30, lineStyle: { color: '#D4AF37', width: 2 }, itemStyle: { color: '#D4AF37' } },
+        { name: '持仓市值', type: 'line', data: points.map(p => p.positionValue), showSymbol: false, lineStyle: { color: '#177DDC', width: 1 }, itemStyle: { color: '#177DDC' } },
+        { name: '现金', type: 'line', data: points.map(p => p.cash), showSymbol: false, lineStyle: { color: '#A89F99', width: 1, type: 'dashed' }, itemStyle: { color: '#A89F99' } },
+        {
+          name: '回撤 (%)',
+          type: 'line',
+          xAxisIndex: 1,
+          yAxisIndex: 1,
+          data: drawdowns,
+          showSymbol: false,
+          lineStyle: { color: '#52C41A', width: 1 },
+          itemStyle: { color: '#52C41A' },
+          areaStyle: { color: 'rgba(82, 196, 26, 0.2)' }
+        }
+      ]
+    };
+  };
+
+  const renderContent = () => {
+    if (error) return <Alert message="加载失败" description={error} type="error" showIcon />;
+    if (!history) return <Spin />;
+    if (history.points.length === 0) {
+      return <Empty description={<span style={{ color: '#A89F99' }}>暂无净值记录</span>} />;
+    }
+
+    const { stats, current } = history;
+    const statStyle = (val) => ({ color: val >= 0 ? '#FF4D4F' : '#52C41A', fontSize: '18px' });
+    const plainStyle = { color: '#E6E1DD', fontSize: '18px' };
+    const statTitle = (text) => <span style={{ color: '#A89F99', fontSize: '12px' }}>{text}</span>;
+
+    return (
+      <>
+        <Row gutter={[16, 16]}>
+          <Col span={6}><Statistic title={statTitle('当前净值')} value={current.equity} precision={2} prefix="$" valueStyle={{ color: '#D4AF37', fontSize: '18px' }} /></Col>
+          <Col span={6}><Statistic title={statTitle('区间盈亏')} value={stats.pnl} precision={2} prefix={stats.pnl >= 0 ? '+$' : '$'} valueStyle={statStyle(stats.pnl)} /></Col>
+          <Col span={6}><Statistic title={statTitle('区间收益率')} value={formatPercent(stats.totalReturn)} valueStyle={statStyle(stats.totalReturn)} /></Col>
+          <Col span={6}><Statistic title={statTitle('年化收益率')} value={formatPercent(stats.annualizedReturn)} valueStyle={statStyle(stats.annualizedReturn)} /></Col>
+          <Col span={6}><Statistic title={statTitle('最大回撤')} value={formatPercent(stats.maxDrawdown)} valueStyle={plainStyle} /></Col>
+          <Col span={6}><Statistic title={statTitle('当前回撤')} value={formatPercent(stats.currentDrawdown)} valueStyle={plainStyle} /></Col>
+          <Col span={6}><Statistic title={statTitle('年化波动率')} value={formatPercent(stats.volatility)} valueStyle={plainStyle} /></Col>
+          <Col span={6}><Statistic title={statTitle('夏普比率')} value={stats.sharpeRatio} precision={2} valueStyle={plainStyle} /></Col>
+        </Row>
+        <ReactECharts option={getChartOption()} style={{ height: 420, marginTop: 16 }} notMerge={true} theme="dark" />
+        <Space size="large" style={{ fontSize: '12px', color: '#6B635F' }}>
+          <span>现金 ${current.cash.toFixed(2)}</span>
+          <span>多头市值 ${current.longValue.toFixed(2)}</span>
+          <span>空头市值 ${current.shortValue.toFixed(2)}</span>
+          {stats.bestDay && <span>最佳单日 {stats.bestDay.date} {formatPercent(stats.bestDay.return)}</span>}
+          {stats.worstDay && <span>最差单日 {stats.worstDay.date} {formatPercent(stats.worstDay.return)}</span>}
+        </Space>
+      </>
+    );
+  };
+
+  return (
+    <Card
+      title={<span style={{ color: '#D4AF37' }}>账户表现</span>}
+      style={{ border: '1px solid #443B36' }}
+      extra={
+        <Space>
+          <Segmented size="small" options={RANGE_OPTIONS} value={range} onChange={setRange} />
+          <Button size="small" icon={<ReloadOutlined />} loading={loading} onClick={loadHistory}>刷新</Button>
+        </Space>
+      }
+    >
+      <div style={{ fontSize: '12px', color: '#6B635F', marginBottom: 12 }}>
+        净值于每个交易日收盘时记录，末尾为按最新行情计算的当前净值
+      </div>
+      {renderContent()}
+    </Card>
+  );
+};
+
+export default PortfolioPage;
@@ -0,0 +1,213 @@
+// stock-trading-simulator-051425/frontend/src/components/PositionsPage.jsx
+import React, { useState, useEffect } from 'react';
+import ReactECharts from 'echarts-for-react';
+import { Card, Row, Col, Table, Tag, Statistic, Button, Empty, Typography, Space, message } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { fetchPortfolio, fetchAccount, exportPortfolio } from '../services/api';
+import ExportButton from './ExportButton';
+import socket, { subscribeSymbols } from '../services/socket';
+
+const { Text } = Typography;
+
+const PIE_COLORS = ['#D4AF37', '#177DDC', '#FF4D4F', '#52C41A', '#A89F99', '#E5C558', '#722ED1', '#13C2C2'];
+
+const profitColor = (val) => (val >= 0 ? '#FF4D4F' : '#52C41A');
+
+/**
+ * 按最新价格重新计算持仓市值与浮动盈亏 (空头数量为负，价格下跌为盈利)
+ */
+const valuePosition = (position, price) => {
+  const currentPrice = price || position.currentPrice;
+  return {
+    ...position,
+    currentPrice,
+    marketValue: currentPrice * position.quantity,
+    profit: (currentPrice - position.average_price) * position.quantity,
+    profitPercent: (currentPrice - position.average_price) / position.average_price * 100 * Math.sign(position.quantity)
+  };
+};
+
+/**
+ * 持仓页：实时盈亏的持仓明细，按股票与资产类别的配置饼图
+ */
+const PositionsPage = () => {
+  const [positions, setPositions] = useState([]);
+  const [account, setAccount] = useState(null);
+  const [prices, setPrices] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const loadData = async () => {
+    setLoading(true);
+    try {
+      const [portfolioRes, accountRes] = await Promise.all([fetchPortfolio(), fetchAccount()]);
+      if (portfolioRes.success) setPositions(portfolioRes.data);
+      if (accountRes.success) setAccount(accountRes.data);
+    } catch (err) {
+      message.error(err.message || '获取持仓失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData();
+    const onPriceUpdate = (updates) => {
+      setPrices((prev) => ({
+        ...prev,
+        ...Object.fromEntries(Object.entries(updates).map(([symbol, u]) => [symbol, u.price]))
+      }));
+    };
+    // 成交后服务端推送变动的持仓与账户状态 (其他标签页或挂单成交亦同步)
+    const onPositionUpdate = ({ symbol, position }) => {
+      setPositions((prev) => {
+        if (!position) return prev.filter(p => p.symbol !== symbol);
+        return prev.some(p => p.symbol === symbol)
+          ? prev.map(p => (p.symbol === symbol ? position : p))
+          : [...prev, position];
+      });
+    };
+    const onBalanceUpdate = ({ account: nextAccount }) => setAccount(nextAccount);
+    socket.on('price_update', onPriceUpdate);
+    socket.on('position_update', onPositionUpdate);
+    socket.on('balance_update', onBalanceUpdate);
+    return () => {
+      socket.off('price_update', onPriceUpdate);
+      socket.off('position_update', onPositionUpdate);
+      socket.off('balance_update', onBalanceUpdate);
+    };
+  }, []);
+
+  // 订阅持仓股票的实时行情
+  const heldSymbols = positions.map(p => p.symbol).sort().join(',');
+  useEffect(() => {
+    if (!heldSymbols) return undefined;
+    return subscribeSymbols(heldSymbols.split(','));
+  }, [heldSymbols]);
+
+  const rows = positions.map(p => valuePosition(p, prices[p.symbol]));
+  const grossValue = rows.reduce((sum, p) => sum + Math.abs(p.marketValue), 0);
+  const longValue = rows.filter(p => p.quantity > 0).reduce((sum, p) => sum + p.marketValue, 0);
+  const shortValue = rows.filter(p => p.quantity < 0).reduce((sum, p) => sum - p.marketValue, 0);
+  const totalProfit = rows.reduce((sum, p) => sum + p.profit, 0);
+  const cash = account ? account.cash : 0;
+  const equity = cash + longValue - shortValue;
+
+  const getPieOption = (title, data) => ({
+    backgroundColor: 'transparent',
+    color: PIE_COLORS,
+    title: { text: title, left: 'center', top: 0, textStyle: { color: '#A89F99', fontSize: 13, fontWeight: 'normal' } },
+    tooltip: {
+      trigger: 'item',
+      backgroundColor: 'rgba(44, 36, 32, 0.9)',
+      borderColor: '#D4AF37',
+      textStyle: { color: '#E6E1DD' },
+      formatter: (p) => `${p.name}<br/>$${p.value.toFixed(2)} (${p.percent}%)`
+    },
+    legend: { bottom: 0, textStyle: { color: '#A89F99' } },
+    series: [{
+      type: 'pie',
+      radius: ['40%', '65%'],
+      center: ['50%', '48%'],
+      itemStyle: { borderColor: '#2C2420', borderWidth: 2 },
+      label: { color: '#E6E1DD', formatter: '{b} {d}%' },
+      data
+    }]
+  });
+
+  const columns = [
+    {
+      title: '股票',
+      dataIndex: 'symbol',
+      key: 'symbol',
+      render: (val, record) => (
+        <>
+          <Text strong style={{ color: '#E6E1DD' }}>{val}</Text>
+          <Tag color={record.quantity > 0 ? 'red' : 'green'} style={{ marginLeft: 8 }}>{record.quantity > 0 ? '多' : '空'}</Tag>
+        </>
+      )
+    },
+    { title: '数量', dataIndex: 'quantity', key: 'quantity', align: 'right', render: (val) => Math.abs(val) },
+    { title: '成本价', dataIndex: 'average_price', key: 'average_price', align: 'right', render: (val) => `$${val.toFixed(2)}` },
+    { title: '现价', dataIndex: 'currentPrice', key: 'currentPrice', align: 'right', render: (val) => <span style={{ color: '#D4AF37' }}>${val.toFixed(2)}</span> },
+    { title: '市值', dataIndex: 'marketValue', key: 'marketValue', align: 'right', sorter: (a, b) => Math.abs(a.marketValue) - Math.abs(b.marketValue), render: (val) => `$${val.toFixed(2)}` },
+    {
+      title: '浮动盈亏',
+      dataIndex: 'profit',
+      key: 'profit',
+      align: 'right',
+      sorter: (a, b) => a.profit - b.profit,
+      render: (val) => <span style={{ color: profitColor(val) }}>{val >= 0 ? '+' : ''}{val.toFixed(2)}</span>
+    },
+    {
+      title: '收益率',
+      dataIndex: 'profitPercent',
+      key: 'profitPercent',
+      align: 'right',
+      sorter: (a, b) => a.profitPercent - b.profitPercent,
+      render: (val) => <span style={{ color: profitColor(val) }}>{val >= 0 ? '+' : ''}{val.toFixed(2)}%</span>
+    },
+    {
+      title: '仓位占比',
+      key: 'weight',
+      align: 'right',
+      render: (_, record) => (grossValue > 0 ? `${(Math.abs(record.marketValue) / grossValue * 100).toFixed(1)}%` : '-')
+    }
+  ];
+
+  const statTitle = (text) => <span style={{ color: '#A89F99', fontSize: '12px' }}>{text}</span>;
+
+  return (
+    <Card
+      title={<span style={{ color: '#D4AF37' }}>我的持仓</span>}
+      style={{ border: '1px solid #443B36' }}
+      extra={
+        <Space>
+          <ExportButton onExport={exportPortfolio} disabled={positions.length === 0} />
+          <Button size="small" icon={<ReloadOutlined />} loading={loading} onClick={loadData}>刷新</Button>
+        </Space>
+      }
+    >
+      <Row gutter={[16, 16]} style={{ marginBottom: 16 }}>
+        <Col span={6}><Statistic title={statTitle('账户净值')} value={equity} precision={2} prefix="$" valueStyle={{ color: '#D4AF37', fontSize: '18px' }} /></Col>
+        <Col span={6}><Statistic title={statTitle('现金余额')} value={cash} precision={2} prefix="$" valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+        <Col span={6}><Statistic title={statTitle('持仓市值 (多/空)')} value={`$${longValue.toFixed(2)} / $${shortValue.toFixed(2)}`} valueStyle={{ color: '#E6E1DD', fontSize: '18px' }} /></Col>
+        <Col span={6}><Statistic title={statTitle('浮动盈亏')} value={totalProfit} precision={2} prefix={totalProfit >= 0 ? '+$' : '$'} valueStyle={{ color: profitColor(totalProfit), fontSize: '18px' }} /></Col>
+      </Row>
+
+      <Table
+        dataSource={rows}
+        columns={columns}
+        rowKey="symbol"
+        size="small"
+        loading={loading && positions.length === 0}
+        pagination={false}
+        locale={{ emptyText: <Empty description={<span style={{ color: '#A89F99' }}>暂无持仓</span>} /> }}
+      />
+
+      {rows.length > 0 && (
+        <Row gutter={16} style={{ marginTop: 24 }}>
+          <Col span={12}>
+            <ReactECharts
+              option={getPieOption('持仓分布', rows.map(p => ({ name: p.symbol, value: Math.abs(p.marketValue) })))}
+              style={{ height: 300 }}
+              theme="dark"
+            />
+          </Col>
+          <Col span={12}>
+            <ReactECharts
+              option={getPieOption('资产构成', [
+                { name: '现金', value: Math.max(0, cash) },
+                { name: '多头持仓', value: longValue },
+                { name: '空头持仓', value: shortValue }
+              ].filter(d => d.value > 0))}
+              style={{ height: 300 }}
+              theme="dark"
+            />
+          </Col>
+        </Row>
+      )}
+    </Card>
+  );
+};
+
+export default PositionsPage;
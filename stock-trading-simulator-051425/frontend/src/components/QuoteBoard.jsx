@@ -0,0 +1,279 @@
+// stock-trading-simulator-051425/frontend/src/components/QuoteBoard.jsx
+import React, { useState, useEffect } from 'react';
+import { Card, Select, Button, Dropdown, Modal, Input, Empty, Tooltip, Spin, message } from 'antd';
+import { MoreOutlined, CloseOutlined } from '@ant-design/icons';
+import {
+  fetchStocks, fetchQuotes, fetchWatchlists, createWatchlist, updateWatchlist, deleteWatchlist, addWatchlistSymbol, removeWatchlistSymbol
+} from '../services/api';
+import socket, { subscribeSymbols } from '../services/socket';
+
+const changeColor = (val) => (val >= 0 ? '#FF4D4F' : '#52C41A');
+
+/**
+ * 迷你走势图 (SVG 折线)，按首尾涨跌着色
+ */
+const Sparkline = ({ data = [], width = 64, height = 24 }) => {
+  if (data.length < 2) return <div style={{ width, height }} />;
+  const min = Math.min(...data);
+  const max = Math.max(...data);
+  const range = max - min || 1;
+  const points = data.map((v, i) => `${(i / (data.length - 1)) * width},${height - 2 - ((v - min) / range) * (height - 4)}`).join(' ');
+  return (
+    <svg width={width} height={height} style={{ display: 'block' }}>
+      <polyline points={points} fill="none" stroke={changeColor(data[data.length - 1] - data[0])} strokeWidth="1.2" />
+    </svg>
+  );
+};
+
+/**
+ * 按最新价更新报价的涨跌、当日高低及走势图末点
+ */
+const applyPrice = (quote, price) => {
+  const change = price - quote.prevClose;
+  return {
+    ...quote,
+    price,
+    change,
+    changePercent: change / quote.prevClose * 100,
+    high: Math.max(quote.high, price),
+    low: Math.min(quote.low, price),
+    sparkline: quote.sparkline.slice(0, -1).concat([price])
+  };
+};
+
+/**
+ * 自选股行情看板：多个命名分组，实时显示最新价、涨跌幅、当日高低与走势，点击选中股票
+ */
+const QuoteBoard = ({ selectedSymbol, onSelect }) => {
+  const [stocks, setStocks] = useState([]);
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [quotes, setQuotes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [editor, setEditor] = useState(null); // { mode: 'create' | 'rename', name }
+
+  const active = watchlists.find(w => w.id === activeId) || null;
+  const symbols = active ? active.symbols : [];
+  const symbolKey = symbols.join(',');
+
+  const replaceWatchlist = (updated) => setWatchlists(prev => prev.map(w => (w.id === updated.id ? updated : w)));
+
+  useEffect(() => {
+    fetchStocks()
+      .then(res => { if (res.success) setStocks(res.data); })
+      .catch(() => {});
+    fetchWatchlists()
+      .then(res => {
+        if (!res.success) return;
+        setWatchlists(res.data);
+        if (res.data.length > 0) setActiveId(res.data[0].id);
+      })
+      .catch(err => message.error(err.message || '获取自选股失败'));
+
+    const onPriceUpdate = (updates) => {
+      setQuotes(prev => {
+        const next = { ...prev };
+        Object.values(updates).forEach(({ symbol, price }) => {
+          if (next[symbol]) next[symbol] = applyPrice(next[symbol], price);
+        });
+        return next;
+      });
+    };
+    socket.on('price_update', onPriceUpdate);
+    return () => socket.off('price_update', onPriceUpdate);
+  }, []);
+
+  // 切换分组或增删股票时重新拉取报价并订阅行情
+  useEffect(() => {
+    if (!symbolKey) return undefined;
+    const list = symbolKey.split(',');
+    setLoading(true);
+    fetchQuotes(list)
+      .then(res => {
+        if (res.success) setQuotes(prev => ({ ...prev, ...Object.fromEntries(res.data.map(q => [q.symbol, q])) }));
+      })
+      .catch(() => {})
+      .finally(() => setLoading(false));
+    return subscribeSymbols(list);
+  }, [symbolKey]);
+
+  const handleSelect = (symbol) => {
+    const stock = stocks.find(s => s.symbol === symbol);
+    if (stock && onSelect) onSelect(stock);
+  };
+
+  const handleAdd = async (symbol) => {
+    if (!active) return;
+    try {
+      const res = await addWatchlistSymbol(active.id, symbol);
+      if (res.success) replaceWatchlist(res.data);
+    } catch (err) {
+      message.error(err.message || '添加失败');
+    }
+  };
+
+  const handleRemove = async (symbol) => {
+    try {
+      const res = await removeWatchlistSymbol(active.id, symbol);
+      if (res.success) replaceWatchlist(res.data);
+    } catch (err) {
+      message.error(err.message || '移除失败');
+    }
+  };
+
+  const handleSaveEditor = async () => {
+    try {
+      if (editor.mode === 'create') {
+        const res = await createWatchlist(editor.name);
+        if (res.success) {
+          setWatchlists(prev => prev.concat([res.data]));
+          setActiveId(res.data.id);
+        }
+      } else {
+        const res = await updateWatchlist(active.id, { name: editor.name });
+        if (res.success) replaceWatchlist(res.data);
+      }
+      setEditor(null);
+    } catch (err) {
+      message.error(err.message || '保存分组失败');
+    }
+  };
+
+  const handleDeleteList = () => {
+    Modal.confirm({
+      title: `删除分组「${active.name}」？`,
+      okText: '删除',
+      cancelText: '取消',
+      onOk: async () => {
+        try {
+          await deleteWatchlist(active.id);
+          const rest = watchlists.filter(w => w.id !== active.id);
+          setWatchlists(rest);
+          setActiveId(rest.length > 0 ? rest[0].id : null);
+        } catch (err) {
+          message.error(err.message || '删除分组失败');
+        }
+      }
+    });
+  };
+
+  const menuItems = [
+    { key: 'create', label: '新建分组' },
+    { key: 'rename', label: '重命名', disabled: !active },
+    { key: 'delete', label: '删除分组', danger: true, disabled: !active }
+  ];
+  const onMenuClick = ({ key }) => {
+    if (key === 'create') setEditor({ mode: 'create', name: '' });
+    if (key === 'rename') setEditor({ mode: 'rename', name: active.name });
+    if (key === 'delete') handleDeleteList();
+  };
+
+  return (
+    <Card
+      size="small"
+      title={
+        <Select
+          size="small"
+          variant="borderless"
+          value={activeId}
+          onChange={setActiveId}
+          options={watchlists.map(w => ({ value: w.id, label: w.name }))}
+          style={{ minWidth: 120, marginLeft: -8 }}
+          placeholder="自选股"
+        />
+      }
+      extra={
+        <Dropdown menu={{ items: menuItems, onClick: onMenuClick }} trigger={['click']}>
+          <Button type="text" size="small" icon={<MoreOutlined />} style={{ color: '#A89F99' }} />
+        </Dropdown>
+      }
+      bodyStyle={{ padding: '8px' }}
+      style={{ marginBottom: '16px' }}
+    >
+      <Select
+        showSearch
+        size="small"
+        value={null}
+        placeholder="添加股票到当前分组"
+        disabled={!active}
+        onChange={handleAdd}
+        options={stocks.filter(s => !symbols.includes(s.symbol)).map(s => ({ value: s.symbol, label: `${s.symbol} ${s.name}` }))}
+        filterOption={(input, option) => option.label.toLowerCase().includes(input.toLowerCase())}
+        style={{ width: '100%', marginBottom: '8px' }}
+      />
+      <Spin spinning={loading}>
+        {symbols.length === 0 ? (
+          <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="分组内暂无股票" />
+        ) : symbols.map(symbol => {
+          const quote = quotes[symbol];
+          const selected = symbol === selectedSymbol;
+          return (
+            <div
+              key={symbol}
+              onClick={() => handleSelect(symbol)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px 8px',
+                cursor: 'pointer',
+                borderRadius: '4px',
+                borderLeft: `2px solid ${selected ? '#D4AF37' : 'transparent'}`,
+                background: selected ? '#2C2420' : 'transparent'
+              }}
+            >
+              <Tooltip title={quote?.name} placement="left">
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontWeight: 'bold', color: '#D4AF37' }}>{symbol}</div>
+                  <div style={{ fontSize: '11px', color: '#6B635F', whiteSpace: 'nowrap' }}>
+                    {quote ? `高 ${quote.high.toFixed(2)} 低 ${quote.low.toFixed(2)}` : '--'}
+                  </div>
+                </div>
+              </Tooltip>
+              <Sparkline data={quote?.sparkline} />
+              <div style={{ width: '72px', textAlign: 'right' }}>
+                <div style={{ color: '#E6E1DD' }}>{quote ? quote.price.toFixed(2) : '--'}</div>
+                {quote && (
+                  <div style={{ fontSize: '11px', color: changeColor(quote.change) }}>
+                    {quote.change >= 0 ? '+' : ''}{quote.change.toFixed(2)} ({quote.change >= 0 ? '+' : ''}{quote.changePercent.toFixed(2)}%)
+                  </div>
+                )}
+              </div>
+              <Button
+                type="text"
+                size="small"
+                icon={<CloseOutlined style={{ fontSize: '10px' }} />}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRemove(symbol);
+                }}
+                style={{ color: '#6B635F', width: '16px', minWidth: '16px', padding: 0 }}
+              />
+            </div>
+          );
+        })}
+      </Spin>
+
+      <Modal
+        title={editor?.mode === 'create' ? '新建分组' : '重命名分组'}
+        open={Boolean(editor)}
+        onOk={handleSaveEditor}
+        onCancel={() => setEditor(null)}
+        okText="保存"
+        cancelText="取消"
+        destroyOnClose
+      >
+        <Input
+          autoFocus
+          maxLength={20}
+          placeholder="分组名称"
+          value={editor?.name}
+          onChange={(e) => setEditor(prev => ({ ...prev, name: e.target.value }))}
+          onPressEnter={handleSaveEditor}
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default QuoteBoard;
@@ -0,0 +1,436 @@
+// stock-trading-simulator-051425/frontend/src/components/ReplayPage.jsx
+import React, { useState, useEffect } from 'react';
+import ReactECharts from 'echarts-for-react';
+import {
+  Card, Row, Col, Form, Select, DatePicker, Segmented, Button, Space, Table, Tag, InputNumber, Radio, Empty, Popconfirm, Statistic, message
+} from 'antd';
+import { CaretRightOutlined, PauseOutlined, StopOutlined } from '@ant-design/icons';
+import {
+  fetchStocks, fetchReplaySessions, createReplaySession, controlReplaySession, deleteReplaySession, fetchReplayAccount,
+  executeTrade, fetchOrders
+} from '../services/api';
+import socket from '../services/socket';
+
+const SPEED_OPTIONS = [1, 10, 60].map(speed => ({ label: `${speed}x`, value: speed }));
+
+const STATUS_TAGS = {
+  PLAYING: { color: 'processing', text: '回放中' },
+  PAUSED: { color: 'warning', text: '已暂停' },
+  FINISHED: { color: 'default', text: '已结束' }
+};
+
+const ORDER_STATUS_TEXT = {
+  OPEN: '挂单中',
+  TRIGGERED: '已触发',
+  FILLED: '已成交',
+  CANCELLED: '已撤销',
+  EXPIRED: '已过期',
+  REJECTED: '已拒绝'
+};
+
+const changeColor = (val) => (val >= 0 ? '#FF4D4F' : '#52C41A');
+
+const statTitle = (text) => <span style={{ color: '#A89F99', fontSize: '12px' }}>{text}</span>;
+
+/**
+ * 将回放 tick 的当前分钟K线合入分钟K线序列 (同一分钟则替换)
+ */
+const mergeMinuteBars = (prev, updates) => {
+  const next = { ...prev };
+  Object.entries(updates).forEach(([symbol, bar]) => {
+    const bars = next[symbol] || [];
+    const last = bars[bars.length - 1];
+    next[symbol] = last && last.date === bar.date ? bars.slice(0, -1).concat([bar]) : bars.concat([bar]);
+  });
+  return next;
+};
+
+/**
+ * 复盘回放页：选择股票与起始日期，按历史行情以 1x/10x/60x 回放，
+ * 支持暂停、继续与跳转，会话内下单以回放价格成交，记入会话独立的模拟账户 (不影响真实账户)
+ */
+const ReplayPage = () => {
+  const [stocks, setStocks] = useState([]);
+  const [session, setSession] = useState(null);
+  const [minuteBars, setMinuteBars] = useState({});
+  const [chartSymbol, setChartSymbol] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [account, setAccount] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [tradeForm] = Form.useForm();
+
+  const sessionId = session?.id;
+
+  const applySnapshot = (snapshot) => {
+    const { minuteBars: bars, ...rest } = snapshot;
+    setSession(rest);
+    setMinuteBars(bars || {});
+    setChartSymbol((prev) => (prev && rest.symbols.includes(prev) ? prev : rest.symbols[0]));
+  };
+
+  const refreshOrders = async (id = sessionId) => {
+    if (!id) return;
+    try {
+      const res = await fetchOrders('all');
+      if (res.success) setOrders(res.data.filter(o => o.replay_session_id === id));
+    } catch (err) {
+      message.error(err.message || '获取委托失败');
+    }
+  };
+
+  const refreshAccount = async (id = sessionId) => {
+    if (!id) return;
+    try {
+      const res = await fetchReplayAccount(id);
+      if (res.success) setAccount(res.data);
+    } catch (err) {
+      message.error(err.message || '获取回放账户失败');
+    }
+  };
+
+  // 载入股票列表，存在未结束的回放会话时直接恢复
+  useEffect(() => {
+    fetchStocks()
+      .then((res) => res.success && setStocks(res.data))
+      .catch((err) => message.error(err.message || '获取股票列表失败'));
+    fetchReplaySessions()
+      .then((res) => {
+        const active = res.success && res.data.sessions.find(s => s.status !== 'FINISHED');
+        if (active) applySnapshot(active);
+      })
+      .catch((err) => message.error(err.message || '获取回放会话失败'));
+  }, []);
+
+  // 加入会话房间接收回放行情，断线重连后重新加入
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    const join = () => socket.emit('replay_join', sessionId);
+    const onSnapshot = (snapshot) => {
+      if (snapshot.id === sessionId) applySnapshot(snapshot);
+    };
+    const onTick = (tick) => {
+      if (tick.sessionId !== sessionId) return;
+      setSession((prev) => ({ ...prev, time: tick.time, prices: tick.prices, bars: tick.bars }));
+      setMinuteBars((prev) => mergeMinuteBars(prev, tick.minuteBars));
+    };
+    const onStatus = (status) => {
+      if (status.id === sessionId) setSession((prev) => ({ ...prev, ...status }));
+    };
+
+    join();
+    refreshOrders(sessionId);
+    refreshAccount(sessionId);
+    socket.on('connect', join);
+    socket.on('replay_snapshot', onSnapshot);
+    socket.on('replay_tick', onTick);
+    socket.on('replay_status', onStatus);
+    const timer = setInterval(() => {
+      refreshOrders(sessionId);
+      refreshAccount(sessionId);
+    }, 5000);
+    return () => {
+      socket.emit('replay_leave', sessionId);
+      socket.off('connect', join);
+      socket.off('replay_snapshot', onSnapshot);
+      socket.off('replay_tick', onTick);
+      socket.off('replay_status', onStatus);
+      clearInterval(timer);
+    };
+  }, [sessionId]);
+
+  const handleCreate = async (values) => {
+    setCreating(true);
+    try {
+      const [start, end] = values.range;
+      const res = await createReplaySession({
+        symbols: values.symbols,
+        startDate: start.format('YYYY-MM-DD'),
+        endDate: end ? end.format('YYYY-MM-DD') : undefined,
+        speed: values.speed
+      });
+      if (res.success) applySnapshot(res.data);
+    } catch (err) {
+      message.error(err.message || '创建回放失败');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleControl = async (changes) => {
+    try {
+      const res = await controlReplaySession(sessionId, changes);
+      if (res.success) applySnapshot(res.data);
+    } catch (err) {
+      message.error(err.message || '操作失败');
+    }
+  };
+
+  const handleClose = async () => {
+    try {
+      const res = await deleteReplaySession(sessionId);
+      if (res.success && res.data.cancelledOrders > 0) message.info(`已撤销 ${res.data.cancelledOrders} 笔回放挂单`);
+    } catch (err) {
+      message.error(err.message || '结束回放失败');
+    }
+    setSession(null);
+    setMinuteBars({});
+    setOrders([]);
+    setAccount(null);
+  };
+
+  const handleTrade = async (values) => {
+    setSubmitting(true);
+    try {
+      const res = await executeTrade({ ...values, replaySessionId: sessionId });
+      if (res.success) {
+        if (res.data.order) message.success('挂单已提交，将按回放价格撮合');
+        else message.success(`成交 ${values.quantity} 股 @ $${res.data.transaction.price.toFixed(2)}`);
+        refreshOrders();
+        refreshAccount();
+      }
+    } catch (err) {
+      message.error(err.message || '交易失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getChartOption = () => {
+    const bars = minuteBars[chartSymbol] || [];
+    return {
+      backgroundColor: 'transparent',
+      animation: false,
+      tooltip: { trigger: 'axis', backgroundColor: 'rgba(44, 36, 32, 0.9)', borderColor: '#D4AF37', textStyle: { color: '#E6E1DD' } },
+      grid: { left: '8%', right: '4%', top: 24, bottom: 40 },
+      xAxis: {
+        type: 'category',
+        data: bars.map(b => b.date.slice(11)),
+        axisLabel: { color: '#A89F99' },
+        axisLine: { lineStyle: { color: '#443B36' } }
+      },
+      yAxis: { scale: true, axisLabel: { color: '#A89F99' }, splitLine: { lineStyle: { color: '#443B36', opacity: 0.5 } } },
+      series: [{
+        name: chartSymbol,
+        type: 'candlestick',
+        data: bars.map(b => [b.open, b.close, b.low, b.high]),
+        itemStyle: { color: '#FF4D4F', color0: '#52C41A', borderColor: '#FF4D4F', borderColor0: '#52C41A' }
+      }]
+    };
+  };
+
+  if (!session) {
+    return (
+      <Card title={<span style={{ color: '#D4AF37' }}>复盘回放</span>} style={{ border: '1px solid #443B36' }}>
+        <div style={{ fontSize: '12px', color: '#6B635F', marginBottom: 16 }}>
+          选择股票与起始日期，按历史日K线的日内走势逐笔回放；回放期间的下单以回放价格成交，使用独立的模拟账户，不影响真实账户
+        </div>
+        <Form layout="inline" onFinish={handleCreate} initialValues={{ speed: 10 }}>
+          <Form.Item name="symbols" label="股票" rules={[{ required: true, message: '请选择股票' }]}>
+            <Select
+              mode="multiple"
+              maxCount={10}
+              placeholder="选择回放股票"
+              style={{ minWidth: 240 }}
+              options={stocks.map(s => ({ value: s.symbol, label: `${s.symbol} ${s.name}` }))}
+            />
+          </Form.Item>
+          <Form.Item name="range" label="区间" rules={[{ required: true, message: '请选择起始日期' }]}>
+            <DatePicker.RangePicker allowEmpty={[false, true]} />
+          </Form.Item>
+          <Form.Item name="speed" label="倍速">
+            <Segmented options={SPEED_OPTIONS} />
+          </Form.Item>
+          <Form.Item>
+            <Button type="primary" htmlType="submit" icon={<CaretRightOutlined />} loading={creating}>开始回放</Button>
+          </Form.Item>
+        </Form>
+      </Card>
+    );
+  }
+
+  const status = STATUS_TAGS[session.status];
+  const quoteRows = session.symbols.map(symbol => {
+    const bar = session.bars[symbol];
+    return {
+      symbol,
+      price: session.prices[symbol],
+      open: bar?.open,
+      high: bar?.high,
+      low: bar?.low,
+      change: bar ? (bar.close - bar.open) / bar.open * 100 : null
+    };
+  });
+
+  return (
+    <Space direction="vertical" size={16} style={{ width: '100%' }}>
+      <Card
+        title={
+          <Space>
+            <span style={{ color: '#D4AF37' }}>复盘回放</span>
+            <Tag color={status.color}>{status.text}</Tag>
+            <span style={{ color: '#E6E1DD', fontFamily: 'monospace' }}>{session.time}</span>
+            <span style={{ color: '#A89F99', fontSize: '12px' }}>
+              第 {session.dayIndex + 1} / {session.totalDays} 个交易日 ({session.startDate} ~ {session.endDate})
+            </span>
+          </Space>
+        }
+        style={{ border: '1px solid #443B36' }}
+        extra={
+          <Space>
+            {session.status === 'PLAYING'
+              ? <Button size="small" icon={<PauseOutlined />} onClick={() => handleControl({ status: 'PAUSED' })}>暂停</Button>
+              : <Button size="small" type="primary" icon={<CaretRightOutlined />} disabled={session.status === 'FINISHED'} onClick={() => handleControl({ status: 'PLAYING' })}>继续</Button>}
+            <Segmented size="small" options={SPEED_OPTIONS} value={session.speed} onChange={(speed) => handleControl({ speed })} />
+            <DatePicker
+              size="small"
+              showTime={{ format: 'HH:mm' }}
+              format="YYYY-MM-DD HH:mm"
+              placeholder="跳转到"
+              disabledDate={(current) => {
+                const date = current.format('YYYY-MM-DD');
+                return date < session.startDate || date > session.endDate;
+              }}
+              onOk={(value) => handleControl({ seekTo: value.format('YYYY-MM-DD HH:mm') })}
+            />
+            <Popconfirm title="结束回放并撤销会话内挂单？" onConfirm={handleClose}>
+              <Button size="small" danger icon={<StopOutlined />}>结束</Button>
+            </Popconfirm>
+          </Space>
+        }
+      >
+        <Segmented
+          size="small"
+          options={session.symbols}
+          value={chartSymbol}
+          onChange={setChartSymbol}
+          style={{ marginBottom: 8 }}
+        />
+        {(minuteBars[chartSymbol] || []).length > 0
+          ? <ReactECharts option={getChartOption()} style={{ height: 360 }} notMerge={true} theme="dark" />
+          : <Empty description={<span style={{ color: '#A89F99' }}>{chartSymbol} 当日停牌</span>} />}
+      </Card>
+
+      <Row gutter={16}>
+        <Col span={14}>
+          <Card title={<span style={{ color: '#D4AF37' }}>回放行情</span>} size="small" style={{ border: '1px solid #443B36' }}>
+            <Table
+              dataSource={quoteRows}
+              rowKey="symbol"
+              size="small"
+              pagination={false}
+              columns={[
+                { title: '股票', dataIndex: 'symbol', render: (val) => <span style={{ color: '#E6E1DD', fontWeight: 'bold' }}>{val}</span> },
+                { title: '现价', dataIndex: 'price', align: 'right', render: (val) => (val ? `$${val.toFixed(2)}` : '-') },
+                { title: '开盘', dataIndex: 'open', align: 'right', render: (val) => (val ? val.toFixed(2) : '-') },
+                { title: '最高', dataIndex: 'high', align: 'right', render: (val) => (val ? val.toFixed(2) : '-') },
+                { title: '最低', dataIndex: 'low', align: 'right', render: (val) => (val ? val.toFixed(2) : '-') },
+                {
+                  title: '日内涨跌',
+                  dataIndex: 'change',
+                  align: 'right',
+                  render: (val) => (val === null ? '-' : <span style={{ color: changeColor(val) }}>{val >= 0 ? '+' : ''}{val.toFixed(2)}%</span>)
+                }
+              ]}
+            />
+          </Card>
+          {account && (
+            <Card title={<span style={{ color: '#D4AF37' }}>回放账户</span>} size="small" style={{ border: '1px solid #443B36', marginTop: 16 }}>
+              <Row gutter={16}>
+                <Col span={6}><Statistic title={statTitle('总资产')} value={account.equity} precision={2} prefix="$" valueStyle={{ color: '#D4AF37', fontSize: '16px' }} /></Col>
+                <Col span={6}><Statistic title={statTitle('可用现金')} value={account.cash} precision={2} prefix="$" valueStyle={{ color: '#E6E1DD', fontSize: '16px' }} /></Col>
+                <Col span={6}><Statistic title={statTitle('持仓市值')} value={account.positionValue} precision={2} prefix="$" valueStyle={{ color: '#E6E1DD', fontSize: '16px' }} /></Col>
+                <Col span={6}><Statistic title={statTitle('已实现盈亏')} value={account.realizedPnl} precision={2} prefix="$" valueStyle={{ color: changeColor(account.realizedPnl), fontSize: '16px' }} /></Col>
+              </Row>
+              <Table
+                dataSource={account.positions}
+                rowKey="symbol"
+                size="small"
+                pagination={false}
+                style={{ marginTop: 12 }}
+                locale={{ emptyText: '暂无回放持仓' }}
+                columns={[
+                  { title: '股票', dataIndex: 'symbol', render: (val) => <span style={{ color: '#E6E1DD', fontWeight: 'bold' }}>{val}</span> },
+                  { title: '数量', dataIndex: 'quantity', align: 'right' },
+                  { title: '成本价', dataIndex: 'averagePrice', align: 'right', render: (val) => val.toFixed(2) },
+                  { title: '现价', dataIndex: 'price', align: 'right', render: (val) => val.toFixed(2) },
+                  { title: '市值', dataIndex: 'marketValue', align: 'right', render: (val) => `$${val.toFixed(2)}` },
+                  {
+                    title: '浮动盈亏',
+                    dataIndex: 'unrealizedPnl',
+                    align: 'right',
+                    render: (val) => <span style={{ color: changeColor(val) }}>{val >= 0 ? '+' : ''}{val.toFixed(2)}</span>
+                  }
+                ]}
+              />
+            </Card>
+          )}
+        </Col>
+        <Col span={10}>
+          <Card title={<span style={{ color: '#D4AF37' }}>回放下单</span>} size="small" style={{ border: '1px solid #443B36' }}>
+            <Form
+              form={tradeForm}
+              layout="vertical"
+              onFinish={handleTrade}
+              initialValues={{ symbol: session.symbols[0], type: 'BUY', quantity: 100, orderType: 'MARKET' }}
+            >
+              <Row gutter={8}>
+                <Col span={12}>
+                  <Form.Item name="symbol" label="股票">
+                    <Select options={session.symbols.map(s => ({ value: s, label: s }))} />
+                  </Form.Item>
+                </Col>
+                <Col span={12}>
+                  <Form.Item name="type" label="方向">
+                    <Radio.Group buttonStyle="solid">
+                      <Radio.Button value="BUY">买入</Radio.Button>
+                      <Radio.Button value="SELL">卖出</Radio.Button>
+                    </Radio.Group>
+                  </Form.Item>
+                </Col>
+                <Col span={8}>
+                  <Form.Item name="quantity" label="数量" rules={[{ required: true }]}>
+                    <InputNumber min={1} precision={0} style={{ width: '100%' }} />
+                  </Form.Item>
+                </Col>
+                <Col span={8}>
+                  <Form.Item name="orderType" label="类型">
+                    <Select options={[{ value: 'MARKET', label: '市价' }, { value: 'LIMIT', label: '限价' }]} />
+                  </Form.Item>
+                </Col>
+                <Col span={8}>
+                  <Form.Item noStyle shouldUpdate={(prev, cur) => prev.orderType !== cur.orderType}>
+                    {({ getFieldValue }) => (
+                      <Form.Item name="limitPrice" label="限价" rules={[{ required: getFieldValue('orderType') === 'LIMIT' }]}>
+                        <InputNumber min={0.01} step={0.01} disabled={getFieldValue('orderType') !== 'LIMIT'} style={{ width: '100%' }} />
+                      </Form.Item>
+                    )}
+                  </Form.Item>
+                </Col>
+              </Row>
+              <Button type="primary" htmlType="submit" block loading={submitting} disabled={session.status === 'FINISHED'}>
+                提交
+              </Button>
+            </Form>
+            <Table
+              dataSource={orders}
+              rowKey="id"
+              size="small"
+              pagination={{ pageSize: 5, size: 'small' }}
+              style={{ marginTop: 12 }}
+              columns={[
+                { title: '股票', dataIndex: 'symbol' },
+                { title: '方向', dataIndex: 'side', render: (val) => <Tag color={val === 'BUY' ? 'red' : 'green'}>{val === 'BUY' ? '买' : '卖'}</Tag> },
+                { title: '数量', dataIndex: 'quantity', align: 'right' },
+                { title: '限价', dataIndex: 'limit_price', align: 'right' },
+                { title: '状态', dataIndex: 'status', render: (val, record) => <span title={record.reason || ''}>{ORDER_STATUS_TEXT[val] || val}</span> }
+              ]}
+            />
+          </Card>
+        </Col>
+      </Row>
+    </Space>
+  );
+};
+
+export default ReplayPage;
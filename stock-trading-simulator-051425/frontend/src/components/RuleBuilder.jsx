@@ -0,0 +1,255 @@
+// stock-trading-simulator-051425/frontend/src/components/RuleBuilder.jsx
+import React, { useState, useEffect } from 'react';
+import { Modal, Input, Select, InputNumber, Radio, Button, Space, Popconfirm, Typography, Alert, message } from 'antd';
+import { PlusOutlined, CloseOutlined } from '@ant-design/icons';
+import { createCustomStrategy, updateCustomStrategy, deleteCustomStrategy, runStrategyAnalysis } from '../services/api';
+
+const { Text } = Typography;
+
+const SIDES = {
+  buy: { title: '买入条件', color: '#FF4D4F' },
+  sell: { title: '卖出条件', color: '#52C41A' }
+};
+
+const LOGIC_OPTIONS = [
+  { value: 'AND', label: '全部满足' },
+  { value: 'OR', label: '任一满足' }
+];
+
+const newCondition = (side) => (side === 'buy'
+  ? { left: { type: 'SMA', period: 5 }, operator: 'CROSS_ABOVE', right: { type: 'SMA', period: 20 } }
+  : { left: { type: 'SMA', period: 5 }, operator: 'CROSS_BELOW', right: { type: 'SMA', period: 20 } });
+
+const emptyDefinition = () => ({
+  buy: { logic: 'AND', conditions: [newCondition('buy')] },
+  sell: { logic: 'OR', conditions: [newCondition('sell')] }
+});
+
+/**
+ * 操作数输入：类型选择 + 该类型的参数 (数值类型为常数输入)
+ */
+const OperandInput = ({ operands, value, onChange, allowValue }) => {
+  const definition = operands.find(o => o.type === value.type);
+
+  const handleTypeChange = (type) => {
+    if (type === 'VALUE') return onChange({ type, value: 0 });
+    const params = operands.find(o => o.type === type)?.params || [];
+    return onChange({ type, ...Object.fromEntries(params.map(p => [p.key, p.default])) });
+  };
+
+  return (
+    <Space size={4} wrap>
+      <Select
+        size="small"
+        value={value.type}
+        onChange={handleTypeChange}
+        options={operands.filter(o => allowValue || o.type !== 'VALUE').map(o => ({ value: o.type, label: o.label }))}
+        style={{ width: 110 }}
+        dropdownMatchSelectWidth={false}
+      />
+      {value.type === 'VALUE' ? (
+        <InputNumber size="small" value={value.value} onChange={(val) => onChange({ ...value, value: val })} style={{ width: 80 }} />
+      ) : (definition?.params || []).map(param => (
+        <InputNumber
+          key={param.key}
+          size="small"
+          min={param.min}
+          max={param.max}
+          step={param.step}
+          precision={param.type === 'integer' ? 0 : undefined}
+          placeholder={param.label}
+          title={param.label}
+          value={value[param.key]}
+          onChange={(val) => onChange({ ...value, [param.key]: val ?? param.default })}
+          style={{ width: 64 }}
+        />
+      ))}
+    </Space>
+  );
+};
+
+/**
+ * 买入或卖出条件组
+ */
+const ConditionGroup = ({ side, group, schema, onChange }) => {
+  const { title, color } = SIDES[side];
+  const updateCondition = (index, changes) => onChange({
+    ...group,
+    conditions: group.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c))
+  });
+
+  return (
+    <div style={{ background: '#2C2420', padding: '12px', borderRadius: '8px', marginBottom: '12px', borderLeft: `3px solid ${color}` }}>
+      <div className="flex-between" style={{ marginBottom: '8px' }}>
+        <Text strong style={{ color }}>{title}</Text>
+        <Radio.Group
+          size="small"
+          optionType="button"
+          options={LOGIC_OPTIONS}
+          value={group.logic}
+          onChange={(e) => onChange({ ...group, logic: e.target.value })}
+        />
+      </div>
+      {group.conditions.map((condition, index) => (
+        <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '6px 0', borderBottom: '1px solid #443B36' }}>
+          <Space size={6} wrap style={{ flex: 1 }}>
+            <OperandInput operands={schema.operands} value={condition.left} onChange={(left) => updateCondition(index, { left })} />
+            <Select
+              size="small"
+              value={condition.operator}
+              onChange={(operator) => updateCondition(index, { operator })}
+              options={schema.operators.map(o => ({ value: o.key, label: o.label }))}
+              style={{ width: 72 }}
+            />
+            <OperandInput operands={schema.operands} value={condition.right} allowValue onChange={(right) => updateCondition(index, { right })} />
+          </Space>
+          <Button
+            type="text"
+            size="small"
+            icon={<CloseOutlined style={{ fontSize: '10px' }} />}
+            disabled={group.conditions.length <= 1}
+            onClick={() => onChange({ ...group, conditions: group.conditions.filter((_, i) => i !== index) })}
+            style={{ color: '#6B635F' }}
+          />
+        </div>
+      ))}
+      <Button
+        type="dashed"
+        size="small"
+        icon={<PlusOutlined />}
+        disabled={group.conditions.length >= schema.maxConditions}
+        onClick={() => onChange({ ...group, conditions: group.conditions.concat([newCondition(side)]) })}
+        style={{ marginTop: '8px' }}
+      >
+        添加条件
+      </Button>
+    </div>
+  );
+};
+
+/**
+ * 规则策略编辑器：设置买入/卖出条件，预览当前股票的信号并保存到服务端
+ * @param {boolean} open
+ * @param {Object} schema 规则编辑器定义 { operands, operators, logics, maxConditions }
+ * @param {Object} strategy 正在编辑的策略 (新建时为空)
+ * @param {string} symbol 预览信号使用的股票
+ * @param {string} interval 预览信号使用的K线周期
+ * @param {Function} onSaved (strategy) => void
+ * @param {Function} onDeleted (strategyId) => void
+ * @param {Function} onClose
+ */
+const RuleBuilder = ({ open, schema, strategy, symbol, interval, onSaved, onDeleted, onClose }) => {
+  const [name, setName] = useState('');
+  const [definition, setDefinition] = useState(emptyDefinition);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setName(strategy?.name || '');
+    setDefinition(strategy?.definition || emptyDefinition());
+    setPreview(null);
+  }, [open, strategy]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const res = strategy
+        ? await updateCustomStrategy(strategy.id, { name, definition })
+        : await createCustomStrategy({ name, definition });
+      if (res.success) {
+        message.success('策略已保存');
+        onSaved(res.data);
+      }
+    } catch (err) {
+      message.error(err.message || '保存策略失败');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteCustomStrategy(strategy.id);
+      onDeleted(strategy.id);
+    } catch (err) {
+      message.error(err.message || '删除策略失败');
+    }
+  };
+
+  // 以未保存的规则对当前股票试运行，校验规则并查看信号数量
+  const handlePreview = async () => {
+    setPreviewing(true);
+    try {
+      const res = await runStrategyAnalysis({ symbol, interval, rules: definition });
+      if (res.success) {
+        const [latest] = res.data.signals;
+        const latestText = latest ? `，最新 ${latest.date} ${latest.type === 'BUY' ? '买入' : '卖出'}：${latest.desc}` : '';
+        setPreview({ type: 'info', text: `共 ${res.data.signals.length} 条信号${latestText}` });
+      }
+    } catch (err) {
+      setPreview({ type: 'error', text: err.message || '规则试运行失败' });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  return (
+    <Modal
+      title={strategy ? '编辑规则策略' : '新建规则策略'}
+      open={open}
+      onCancel={onClose}
+      width={720}
+      destroyOnClose
+      footer={
+        <div className="flex-between">
+          <div>
+            {strategy && (
+              <Popconfirm title="删除该策略？" onConfirm={handleDelete}>
+                <Button danger>删除</Button>
+              </Popconfirm>
+            )}
+          </div>
+          <Space>
+            <Button onClick={handlePreview} loading={previewing} disabled={!symbol}>预览信号</Button>
+            <Button onClick={onClose}>取消</Button>
+            <Button type="primary" onClick={handleSave} loading={saving}>保存</Button>
+          </Space>
+        </div>
+      }
+    >
+      {schema ? (
+        <>
+          <Input
+            maxLength={30}
+            placeholder="策略名称"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            style={{ marginBottom: '12px' }}
+          />
+          <ConditionGroup
+            side="buy"
+            group={definition.buy}
+            schema={schema}
+            onChange={(buy) => setDefinition(prev => ({ ...prev, buy }))}
+          />
+          <ConditionGroup
+            side="sell"
+            group={definition.sell}
+            schema={schema}
+            onChange={(sell) => setDefinition(prev => ({ ...prev, sell }))}
+          />
+          <Text style={{ color: '#6B635F', fontSize: '12px' }}>
+            条件组由不满足变为满足的K线产生信号，回测时于下一根K线开盘成交
+          </Text>
+          {preview && <Alert type={preview.type} message={preview.text} showIcon style={{ marginTop: '12px' }} />}
+        </>
+      ) : (
+        <Alert type="warning" message="规则定义加载失败" showIcon />
+      )}
+    </Modal>
+  );
+};
+
+export default RuleBuilder;
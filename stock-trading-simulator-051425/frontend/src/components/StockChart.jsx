@@ -1,13 +1,65 @@
 // stock-trading-simulator-051425/frontend/src/components/StockChart.jsx
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import ReactECharts from 'echarts-for-react';
-import { Spin, Empty, Card } from 'antd';
-import { fetchStockHistory } from '../services/api';
+import { Spin, Empty, Card, Segmented, Space, Switch } from 'antd';
+import { fetchStockHistory, fetchIndicator, INTERVAL_OPTIONS } from '../services/api';
 import * as echarts from 'echarts';
+import IndicatorPicker from './IndicatorPicker';
 
-const StockChart = ({ stock }) => {
+// 策略指标名称，smaN 显示为 SMA(N)
+const INDICATOR_LABELS = {
+  upper: '布林上轨',
+  middle: '布林中轨',
+  lower: '布林下轨',
+  trend: '趋势均线',
+  rsi: 'RSI',
+  macd: 'MACD',
+  signal: '信号线',
+  histogram: 'MACD柱'
+};
+const indicatorLabel = (key) => INDICATOR_LABELS[key] || key.replace(/^sma(\d+)$/, 'SMA($1)');
+
+// 各指标所在的副图，未列出的指标叠加在主图上
+const INDICATOR_PANES = { rsi: 'rsi', macd: 'macd', signal: 'macd', histogram: 'macd' };
+const STRATEGY_PANES = {
+  rsi: { key: 'rsi', min: 0, max: 100, levels: [30, 70] },
+  macd: { key: 'macd', levels: [] }
+};
+const OVERLAY_COLORS = ['#D4AF37', '#1890FF', '#B37FEB', '#13C2C2'];
+
+// 序列绘制方式：柱状 (MACD柱)、虚线通道 (布林带、一目均衡表先行带)、普通折线
+const lineStyleOf = (key) => {
+  if (key === 'histogram') return 'bar';
+  if (['upper', 'lower', 'spanA', 'spanB'].includes(key)) return 'band';
+  return 'line';
+};
+
+// 按日期把指标序列对齐到图表横轴，缺失值显示为断点
+const alignSeries = (dates, sourceDates, series) => {
+  const indexOf = new Map(sourceDates.map((date, i) => [date, i]));
+  return dates.map((date) => {
+    const value = indexOf.has(date) ? series[indexOf.get(date)] : null;
+    return value === null || value === undefined ? '-' : +value.toFixed(2);
+  });
+};
+
+/**
+ * K线图
+ * @param {Object} stock 当前股票
+ * @param {Object} liveBar 服务端推送的当日实时K线 { date, open, high, low, close, volume }
+ * @param {Object} intradayBars 服务端推送的当前日内周期K线 { '1m': bar, '5m': bar, '15m': bar, '1h': bar }
+ * @param {Object} analysis 策略分析结果 { symbol, interval, signals, indicators, dates }，股票与K线周期一致时叠加买卖点与指标
+ */
+const StockChart = ({ stock, liveBar, intradayBars, analysis }) => {
   const [loading, setLoading] = useState(false);
   const [historyData, setHistoryData] = useState([]);
+  const [timeframe, setTimeframe] = useState('1d');
+  const [showStrategy, setShowStrategy] = useState(true);
+  // 用户添加的技术指标 [{ name, params }] 及其计算结果
+  const [indicatorConfigs, setIndicatorConfigs] = useState([]);
+  const [indicatorResults, setIndicatorResults] = useState([]);
+  // 记录用户缩放区间，实时K线刷新图表时保持不变
+  const zoomRef = useRef({ start: 50, end: 100 });
 
   // 监听股票切换，加载历史数据
   useEffect(() => {
@@ -19,7 +71,7 @@ const StockChart = ({ stock }) => {
     const loadData = async () => {
       setLoading(true);
       try {
-        const res = await fetchStockHistory(stock.symbol);
+        const res = await fetchStockHistory(stock.symbol, undefined, timeframe);
         if (res.success && Array.isArray(res.data)) {
           setHistoryData(res.data);
         }
@@ -30,25 +82,58 @@ const StockChart = ({ stock }) => {
       }
     };
 
+    zoomRef.current = { start: 50, end: 100 };
     loadData();
-  }, [stock]);
+  }, [stock?.symbol, timeframe]);
+
+  // 用实时K线替换同一周期的最后一根K线，或在新周期开始时追加
+  const currentBar = timeframe === '1d' ? liveBar : intradayBars?.[timeframe];
+  const chartData = useMemo(() => {
+    if (!historyData.length || !currentBar || currentBar.volume <= 0) return historyData;
+    const last = historyData[historyData.length - 1];
+    if (currentBar.date === last.date) return [...historyData.slice(0, -1), currentBar];
+    if (currentBar.date > last.date) return [...historyData, currentBar];
+    return historyData;
+  }, [historyData, currentBar]);
+
+  // 切换股票、周期、指标参数或出现新K线时重新计算技术指标
+  const indicatorKey = JSON.stringify(indicatorConfigs);
+  const barCount = chartData.length;
+  useEffect(() => {
+    if (!stock?.symbol || indicatorConfigs.length === 0) {
+      setIndicatorResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    Promise.all(indicatorConfigs.map(({ name, params }) =>
+      fetchIndicator({ symbol: stock.symbol, name, params, interval: timeframe })
+        .then(res => (res.success ? res.data : null))
+        .catch((error) => {
+          console.error('Indicator load failed', error);
+          return null;
+        })
+    )).then(results => {
+      if (!cancelled) setIndicatorResults(results.filter(Boolean));
+    });
+    return () => { cancelled = true; };
+  }, [stock?.symbol, timeframe, indicatorKey, barCount]);
 
   // 数据预处理：拆分为ECharts需要的格式
   const processedData = useMemo(() => {
-    if (!historyData.length) return null;
+    if (!chartData.length) return null;
 
     const dates = [];
     const values = []; // [open, close, lowest, highest]
     const volumes = [];
 
-    historyData.forEach((item, index) => {
+    chartData.forEach((item, index) => {
       dates.push(item.date);
       values.push([item.open, item.close, item.low, item.high]);
       volumes.push([index, item.volume, item.open > item.close ? 1 : -1]); // 1为阴线(跌)，-1为阳线(涨)
     });
 
     return { dates, values, volumes };
-  }, [historyData]);
+  }, [chartData]);
 
   // 计算移动平均线 (MA)
   const calculateMA = (dayCount, data) => {
@@ -67,6 +152,68 @@ const StockChart = ({ stock }) => {
     return result;
   };
 
+  // 策略结果仅在与当前股票、K线周期一致时叠加
+  const strategyAvailable = Boolean(analysis?.dates && analysis.symbol === stock?.symbol && analysis.interval === timeframe);
+  const strategy = strategyAvailable && showStrategy ? analysis : null;
+
+  // 按日期把策略指标对齐到图表横轴，按所在副图分组
+  const strategyOverlay = useMemo(() => {
+    if (!strategy || !processedData) return null;
+    const { dates, values } = processedData;
+    // 规则策略随结果返回各指标所在副图 (indicatorPanes)
+    const paneOf = (key) => strategy.indicatorPanes?.[key] || INDICATOR_PANES[key] || 'main';
+
+    const lines = Object.entries(strategy.indicators || {}).map(([key, series]) => ({
+      name: indicatorLabel(key),
+      pane: paneOf(key),
+      style: lineStyleOf(key),
+      data: alignSeries(dates, strategy.dates, series)
+    }));
+
+    // 买点标在K线最低价下方，卖点标在最高价上方
+    const dateIndex = new Map(dates.map((date, i) => [date, i]));
+    const markers = (strategy.signals || [])
+      .filter(signal => dateIndex.has(signal.date))
+      .map(signal => {
+        const [, , low, high] = values[dateIndex.get(signal.date)];
+        const isBuy = signal.type === 'BUY';
+        return {
+          name: signal.desc,
+          value: isBuy ? '买' : '卖',
+          coord: [signal.date, isBuy ? low : high],
+          symbolRotate: isBuy ? 180 : 0,
+          symbolOffset: [0, isBuy ? '50%' : '-50%'],
+          itemStyle: { color: isBuy ? '#FF4D4F' : '#52C41A' }
+        };
+      });
+
+    const panes = [...new Set(lines.map(line => line.pane))]
+      .filter(pane => pane !== 'main')
+      .map(pane => STRATEGY_PANES[pane] || { key: pane, levels: [] });
+    return { lines, markers, panes };
+  }, [strategy, processedData]);
+
+  // 技术指标：主图指标叠加在K线上，其余每个指标单独一个副图
+  const indicatorOverlay = useMemo(() => {
+    if (!indicatorResults.length || !processedData) return null;
+    const { dates } = processedData;
+    const lines = [];
+    const panes = [];
+    indicatorResults.forEach(result => {
+      const pane = result.pane === 'main' ? 'main' : `indicator:${result.name}`;
+      if (pane !== 'main') panes.push({ key: pane, levels: result.levels });
+      Object.entries(result.series).forEach(([key, series]) => {
+        lines.push({
+          name: result.outputs[key] || key,
+          pane,
+          style: lineStyleOf(key),
+          data: alignSeries(dates, result.dates, series)
+        });
+      });
+    });
+    return { lines, panes };
+  }, [indicatorResults, processedData]);
+
   // 生成图表配置
   const getOption = () => {
     if (!processedData) return {};
@@ -80,13 +227,68 @@ const StockChart = ({ stock }) => {
     const textColor = '#A89F99'; // 文字颜色
     const splitLineColor = '#443B36'; // 分割线
 
+    // 有指标副图时压缩主图与成交量区域，副图平分剩余高度
+    const overlays = [strategyOverlay, indicatorOverlay].filter(Boolean);
+    const panes = overlays.flatMap(overlay => overlay.panes);
+    const volumeHeight = panes.length ? 10 : 15;
+    const mainHeight = Math.max(30, 70 - volumeHeight - panes.length * 13);
+    const volumeTop = 10 + mainHeight + 5;
+    const paneStep = panes.length ? (85 - volumeTop - volumeHeight) / panes.length : 0;
+    const paneGrids = panes.map((pane, i) => ({
+      left: '6%', right: '4%', top: `${volumeTop + volumeHeight + 3 + i * paneStep}%`, height: `${paneStep - 3}%`
+    }));
+    const gridOf = (paneKey) => 2 + panes.findIndex(pane => pane.key === paneKey);
+    const axisIndexes = [0, 1, ...panes.map(pane => gridOf(pane.key))];
+
+    const overlaySeries = [];
+    const leveledPanes = new Set();
+    let colorIndex = 0;
+    overlays.flatMap(overlay => overlay.lines).forEach(line => {
+      const axis = line.pane === 'main' ? 0 : gridOf(line.pane);
+      if (line.style === 'bar') {
+        overlaySeries.push({
+          name: line.name,
+          type: 'bar',
+          xAxisIndex: axis,
+          yAxisIndex: axis,
+          data: line.data,
+          itemStyle: { color: (p) => (p.value >= 0 ? upColor : downColor) }
+        });
+        return;
+      }
+      // 副图参考线 (如 RSI 30/70) 挂在该副图的第一条指标线上
+      const levels = panes.find(pane => pane.key === line.pane)?.levels || [];
+      const withLevels = levels.length > 0 && !leveledPanes.has(line.pane);
+      if (withLevels) leveledPanes.add(line.pane);
+      overlaySeries.push({
+        name: line.name,
+        type: 'line',
+        xAxisIndex: axis,
+        yAxisIndex: axis,
+        data: line.data,
+        showSymbol: false,
+        lineStyle: { width: 1, type: line.style === 'band' ? 'dashed' : 'solid' },
+        color: line.style === 'band' ? '#D4AF37' : OVERLAY_COLORS[colorIndex++ % OVERLAY_COLORS.length],
+        markLine: withLevels ? {
+          silent: true,
+          symbol: 'none',
+          label: { color: textColor },
+          lineStyle: { color: splitLineColor, type: 'dashed' },
+          data: levels.map(level => ({ yAxis: level }))
+        } : undefined
+      });
+    });
+    const overlayNames = overlaySeries.map(series => series.name);
+
     return {
       backgroundColor: bgColor,
       animation: false,
       legend: {
         bottom: 10,
         left: 'center',
-        data: ['K-Line', 'MA5', 'MA10', 'MA20', 'MA30'],
+        data: ['K-Line', 'MA5', 'MA10', 'MA20', 'MA30', ...overlayNames],
+        // 叠加策略指标时默认隐藏均线，避免与策略均线重叠
+        selected: strategyOverlay ? { MA5: false, MA10: false, MA20: false, MA30: false } : {},
         textStyle: { color: textColor }
       },
       tooltip: {
@@ -107,8 +309,9 @@ const StockChart = ({ stock }) => {
         label: { backgroundColor: '#777' }
       },
       grid: [
-        { left: '6%', right: '4%', top: '10%', height: '55%' }, // K线图区域
-        { left: '6%', right: '4%', top: '70%', height: '15%' }  // 成交量区域
+        { left: '6%', right: '4%', top: '10%', height: `${mainHeight}%` }, // K线图区域
+        { left: '6%', right: '4%', top: `${volumeTop}%`, height: `${volumeHeight}%` }, // 成交量区域
+        ...paneGrids // 策略指标副图 (RSI、MACD)
       ],
       xAxis: [
         {
@@ -134,7 +337,20 @@ const StockChart = ({ stock }) => {
           axisLabel: { show: false },
           min: 'dataMin',
           max: 'dataMax'
-        }
+        },
+        ...panes.map(pane => ({
+          type: 'category',
+          gridIndex: gridOf(pane.key),
+          data: dates,
+          scale: true,
+          boundaryGap: false,
+          axisLine: { onZero: false },
+          axisTick: { show: false },
+          splitLine: { show: false },
+          axisLabel: { show: false },
+          min: 'dataMin',
+          max: 'dataMax'
+        }))
       ],
       yAxis: [
         {
@@ -152,22 +368,33 @@ const StockChart = ({ stock }) => {
           axisLine: { show: false },
           axisTick: { show: false },
           splitLine: { show: false }
-        }
+        },
+        ...panes.map(pane => ({
+          scale: pane.min === undefined,
+          min: pane.min,
+          max: pane.max,
+          gridIndex: gridOf(pane.key),
+          splitNumber: 2,
+          axisLabel: { color: textColor, fontSize: 10 },
+          axisLine: { show: false },
+          axisTick: { show: false },
+          splitLine: { show: true, lineStyle: { color: splitLineColor, opacity: 0.3 } }
+        }))
       ],
       dataZoom: [
         {
           type: 'inside',
-          xAxisIndex: [0, 1],
-          start: 50,
-          end: 100
+          xAxisIndex: axisIndexes,
+          start: zoomRef.current.start,
+          end: zoomRef.current.end
         },
         {
           show: true,
-          xAxisIndex: [0, 1],
+          xAxisIndex: axisIndexes,
           type: 'slider',
           bottom: 40,
-          start: 50,
-          end: 100,
+          start: zoomRef.current.start,
+          end: zoomRef.current.end,
           borderColor: splitLineColor,
           textStyle: { color: textColor },
           handleStyle: { color: '#D4AF37' }
@@ -193,6 +420,12 @@ const StockChart = ({ stock }) => {
             borderColor: upColor,
             borderColor0: downColor
           },
+          markPoint: strategyOverlay ? {
+            symbol: 'pin',
+            symbolSize: 30,
+            label: { color: '#fff', fontSize: 11 },
+            data: strategyOverlay.markers
+          } : undefined
         },
         {
           name: 'MA5',
@@ -232,7 +465,8 @@ const StockChart = ({ stock }) => {
           xAxisIndex: 1,
           yAxisIndex: 1,
           data: volumes
-        }
+        },
+        ...overlaySeries
       ]
     };
   };
@@ -250,11 +484,21 @@ const StockChart = ({ stock }) => {
       title={
         <div className="flex-between">
           <span>{stock.name} ({stock.symbol})</span>
-          {stock.currentPrice && (
-             <span style={{ fontSize: '16px', color: '#D4AF37', fontWeight: 'bold' }}>
-               ${stock.currentPrice.toFixed(2)}
-             </span>
-          )}
+          <Space size="middle">
+            {strategyAvailable && (
+              <Space size={4}>
+                <span style={{ fontSize: '12px', color: '#A89F99', fontWeight: 'normal' }}>策略叠加</span>
+                <Switch size="small" checked={showStrategy} onChange={setShowStrategy} />
+              </Space>
+            )}
+            <IndicatorPicker value={indicatorConfigs} onChange={setIndicatorConfigs} />
+            <Segmented size="small" options={INTERVAL_OPTIONS} value={timeframe} onChange={setTimeframe} />
+            {stock.currentPrice && (
+               <span style={{ fontSize: '16px', color: '#D4AF37', fontWeight: 'bold' }}>
+                 ${stock.currentPrice.toFixed(2)}
+               </span>
+            )}
+          </Space>
         </div>
       }
       className="h-full"
@@ -271,6 +515,12 @@ const StockChart = ({ stock }) => {
           notMerge={true}
           lazyUpdate={true}
           theme="dark"
+          onEvents={{
+            datazoom: (params) => {
+              const zoom = params.batch ? params.batch[0] : params;
+              if (zoom.start !== undefined) zoomRef.current = { start: zoom.start, end: zoom.end };
+            }
+          }}
         />
       )}
     </Card>
@@ -1,15 +1,20 @@
 // stock-trading-simulator-051425/frontend/src/components/StockSearch.jsx
 import React, { useState, useEffect } from 'react';
-import { Select, Spin, message } from 'antd';
+import { Select, Spin, Tag, message } from 'antd';
 import { fetchStocks } from '../services/api';
 
 const { Option } = Select;
 
-const StockSearch = ({ onSelect, className = '' }) => {
+const StockSearch = ({ onSelect, selectedSymbol, className = '' }) => {
   const [stocks, setStocks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [value, setValue] = useState(undefined);
 
+  // 从其他入口 (如自选股看板) 选中股票时同步显示
+  useEffect(() => {
+    if (selectedSymbol) setValue(selectedSymbol);
+  }, [selectedSymbol]);
+
   useEffect(() => {
     const loadStocks = async () => {
       setLoading(true);
@@ -65,6 +70,7 @@ const StockSearch = ({ onSelect, className = '' }) => {
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
               <span style={{ fontWeight: 'bold', color: '#D4AF37' }}>{stock.symbol}</span>
               <span style={{ color: '#A89F99', fontSize: '12px', marginLeft: '8px' }}>
+                {stock.source === 'IMPORTED' && <Tag color="gold" style={{ fontSize: '10px', lineHeight: '16px' }}>真实行情</Tag>}
                 {stock.name}
               </span>
             </div>
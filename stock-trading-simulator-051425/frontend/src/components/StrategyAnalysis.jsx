@@ -1,10 +1,17 @@
 // stock-trading-simulator-051425/frontend/src/components/StrategyAnalysis.jsx
 import React, { useState, useEffect } from 'react';
-import { Card, Select, Table, Tag, Spin, Empty, Typography, Space, Alert, Progress, Row, Col, Statistic } from 'antd';
-import { RobotOutlined, ThunderboltOutlined, LineChartOutlined } from '@ant-design/icons';
-import { runStrategyAnalysis } from '../services/api';
+import { Card, Select, Table, Tag, Spin, Empty, Typography, Space, Alert, Progress, Row, Col, Statistic, Button, Collapse, Divider, message } from 'antd';
+import { RobotOutlined, ThunderboltOutlined, LineChartOutlined, FundOutlined, SettingOutlined, PlusOutlined, EditOutlined, ApartmentOutlined, ExperimentOutlined } from '@ant-design/icons';
+import { runStrategyAnalysis, fetchStrategyList, fetchCustomStrategies, INTERVAL_OPTIONS } from '../services/api';
+import BacktestModal from './BacktestModal';
+import OptimizeModal from './OptimizeModal';
+import StrategyParamsForm from './StrategyParamsForm';
+import RuleBuilder from './RuleBuilder';
 
-const { Option } = Select;
+const { Option, OptGroup } = Select;
+
+// 自定义规则策略在策略选择中的取值前缀，如 CUSTOM:3
+const CUSTOM_PREFIX = 'CUSTOM:';
 const { Title, Text } = Typography;
 
 const STRATEGIES = [
@@ -15,23 +22,91 @@ const STRATEGIES = [
   { key: 'BOLLINGER', label: 'AI布林带策略', icon: <LineChartOutlined /> },
 ];
 
-const StrategyAnalysis = ({ currentSymbol }) => {
+/**
+ * AI策略分析面板
+ * @param {string} currentSymbol 当前股票
+ * @param {Function} onResult 分析结果回调 ({ symbol, interval, signals, indicators, dates } 或 null)，供K线图叠加信号与指标
+ */
+const StrategyAnalysis = ({ currentSymbol, onResult }) => {
   const [strategyType, setStrategyType] = useState('ML_COMPOSITE');
+  const [timeframe, setTimeframe] = useState('1d');
   const [loading, setLoading] = useState(false);
   const [data, setData] = useState(null);
   const [error, setError] = useState(null);
+  const [backtestOpen, setBacktestOpen] = useState(false);
+  const [optimizeOpen, setOptimizeOpen] = useState(false);
+  const [strategyDefs, setStrategyDefs] = useState([]);
+  // 各策略的参数分别保存，切换策略时互不干扰
+  const [paramsByStrategy, setParamsByStrategy] = useState({});
+  const [appliedVersion, setAppliedVersion] = useState(0);
+  const [customStrategies, setCustomStrategies] = useState([]);
+  const [ruleSchema, setRuleSchema] = useState(null);
+  const [builder, setBuilder] = useState(null); // { strategy } 打开规则编辑器，新建时 strategy 为空
+
+  const currentParams = paramsByStrategy[strategyType] || {};
+  const paramSchema = strategyDefs.find(s => s.key === strategyType)?.params || [];
+  const customStrategy = strategyType.startsWith(CUSTOM_PREFIX)
+    ? customStrategies.find(s => `${CUSTOM_PREFIX}${s.id}` === strategyType) || null
+    : null;
+  // 分析与回测请求中的策略部分
+  const strategyRequest = customStrategy
+    ? { strategyType: 'CUSTOM', customStrategyId: customStrategy.id }
+    : { strategyType, params: currentParams };
 
   useEffect(() => {
-    if (currentSymbol) executeAnalysis();
-    else setData(null);
-  }, [currentSymbol, strategyType]);
+    fetchStrategyList()
+      .then(res => res.success && setStrategyDefs(res.data))
+      .catch(() => {});
+    fetchCustomStrategies()
+      .then(res => {
+        if (!res.success) return;
+        setCustomStrategies(res.data.strategies);
+        setRuleSchema(res.data.schema);
+      })
+      .catch(() => {});
+  }, []);
+
+  const handleRuleSaved = (saved) => {
+    setCustomStrategies(prev => (prev.some(s => s.id === saved.id)
+      ? prev.map(s => (s.id === saved.id ? saved : s))
+      : prev.concat([saved])));
+    setBuilder(null);
+    setStrategyType(`${CUSTOM_PREFIX}${saved.id}`);
+    setAppliedVersion(v => v + 1);
+  };
+
+  // 应用参数优化结果中的一组参数并重新分析
+  const handleOptimizeApply = (params) => {
+    setParamsByStrategy(prev => ({ ...prev, [strategyType]: params }));
+    setAppliedVersion(v => v + 1);
+    setOptimizeOpen(false);
+    message.success('已应用优化参数');
+  };
+
+  const handleRuleDeleted = (strategyId) => {
+    setCustomStrategies(prev => prev.filter(s => s.id !== strategyId));
+    setBuilder(null);
+    if (strategyType === `${CUSTOM_PREFIX}${strategyId}`) setStrategyType('ML_COMPOSITE');
+  };
+
+  useEffect(() => {
+    if (currentSymbol) {
+      executeAnalysis();
+    } else {
+      setData(null);
+      if (onResult) onResult(null);
+    }
+  }, [currentSymbol, strategyType, timeframe, appliedVersion]);
 
   const executeAnalysis = async () => {
     setLoading(true);
     setError(null);
     try {
-      const res = await runStrategyAnalysis({ symbol: currentSymbol, strategyType });
-      if (res.success) setData(res.data);
+      const res = await runStrategyAnalysis({ symbol: currentSymbol, interval: timeframe, ...strategyRequest });
+      if (res.success) {
+        setData(res.data);
+        if (onResult) onResult({ ...res.data, symbol: currentSymbol });
+      }
     } catch (err) {
       setError(err.message || 'AI策略分析失败');
     } finally {
@@ -273,21 +348,149 @@ const StrategyAnalysis = ({ currentSymbol }) => {
           style={{ width: 200 }}
           disabled={loading || !currentSymbol}
           dropdownMatchSelectWidth={false}
+          dropdownRender={(menu) => (
+            <>
+              {menu}
+              <Divider style={{ margin: '4px 0' }} />
+              <Button type="text" size="small" block icon={<PlusOutlined />} disabled={!ruleSchema} onClick={() => setBuilder({ strategy: null })}>
+                新建规则策略
+              </Button>
+            </>
+          )}
         >
-          {STRATEGIES.map(s => (
-            <Option key={s.key} value={s.key}>
-              <Space>
-                {s.icon}
-                {s.label}
-              </Space>
-            </Option>
-          ))}
+          <OptGroup label="内置策略">
+            {STRATEGIES.map(s => (
+              <Option key={s.key} value={s.key}>
+                <Space>
+                  {s.icon}
+                  {s.label}
+                </Space>
+              </Option>
+            ))}
+          </OptGroup>
+          {customStrategies.length > 0 && (
+            <OptGroup label="我的规则策略">
+              {customStrategies.map(s => (
+                <Option key={s.id} value={`${CUSTOM_PREFIX}${s.id}`}>
+                  <Space>
+                    <ApartmentOutlined />
+                    {s.name}
+                  </Space>
+                </Option>
+              ))}
+            </OptGroup>
+          )}
         </Select>
       }
       className="h-full"
       bodyStyle={{ padding: '16px', overflowY: 'auto', maxHeight: '600px' }}
+      actions={[
+        <Button
+          key="backtest"
+          type="link"
+          icon={<FundOutlined />}
+          disabled={!currentSymbol}
+          onClick={() => setBacktestOpen(true)}
+        >
+          策略回测
+        </Button>,
+        <Button
+          key="optimize"
+          type="link"
+          icon={<ExperimentOutlined />}
+          disabled={!currentSymbol || !paramSchema.length}
+          onClick={() => setOptimizeOpen(true)}
+        >
+          参数优化
+        </Button>
+      ]}
     >
+      {currentSymbol && (
+        <div className="flex-between" style={{ marginBottom: '8px' }}>
+          <Text style={{ color: '#A89F99', fontSize: '12px' }}>K线周期</Text>
+          <Select
+            size="small"
+            value={timeframe}
+            onChange={setTimeframe}
+            disabled={loading}
+            options={INTERVAL_OPTIONS}
+            style={{ width: 90 }}
+          />
+        </div>
+      )}
+      {currentSymbol && customStrategy && (
+        <div className="flex-between" style={{ marginBottom: '12px' }}>
+          <Text style={{ color: '#A89F99', fontSize: '12px' }}>规则策略 · {customStrategy.name}</Text>
+          <Button size="small" icon={<EditOutlined />} onClick={() => setBuilder({ strategy: customStrategy })}>编辑规则</Button>
+        </div>
+      )}
+      {currentSymbol && paramSchema.length > 0 && (
+        <Collapse
+          ghost
+          size="small"
+          style={{ marginBottom: '12px' }}
+          items={[{
+            key: 'params',
+            label: <Space><SettingOutlined style={{ color: '#D4AF37' }} /><span style={{ color: '#A89F99' }}>策略参数</span></Space>,
+            children: (
+              <>
+                <StrategyParamsForm
+                  schema={paramSchema}
+                  values={currentParams}
+                  disabled={loading}
+                  onChange={(next) => setParamsByStrategy(prev => ({ ...prev, [strategyType]: next }))}
+                />
+                <Space style={{ marginTop: '12px' }}>
+                  <Button size="small" type="primary" loading={loading} onClick={() => setAppliedVersion(v => v + 1)}>
+                    应用参数
+                  </Button>
+                  <Button
+                    size="small"
+                    disabled={loading}
+                    onClick={() => {
+                      setParamsByStrategy(prev => ({ ...prev, [strategyType]: {} }));
+                      setAppliedVersion(v => v + 1);
+                    }}
+                  >
+                    恢复默认
+                  </Button>
+                </Space>
+              </>
+            )
+          }]}
+        />
+      )}
       {renderContent()}
+      <BacktestModal
+        open={backtestOpen}
+        onClose={() => setBacktestOpen(false)}
+        symbol={currentSymbol}
+        strategyType={strategyType}
+        strategyRequest={strategyRequest}
+        interval={timeframe}
+        strategyLabel={customStrategy ? customStrategy.name : STRATEGIES.find(s => s.key === strategyType)?.label}
+      />
+      <OptimizeModal
+        open={optimizeOpen}
+        onClose={() => setOptimizeOpen(false)}
+        symbol={currentSymbol}
+        strategyType={strategyType}
+        interval={timeframe}
+        strategyLabel={STRATEGIES.find(s => s.key === strategyType)?.label}
+        paramSchema={paramSchema}
+        params={currentParams}
+        onApply={handleOptimizeApply}
+      />
+      <RuleBuilder
+        open={Boolean(builder)}
+        schema={ruleSchema}
+        strategy={builder?.strategy}
+        symbol={currentSymbol}
+        interval={timeframe}
+        onSaved={handleRuleSaved}
+        onDeleted={handleRuleDeleted}
+        onClose={() => setBuilder(null)}
+      />
     </Card>
   );
 };
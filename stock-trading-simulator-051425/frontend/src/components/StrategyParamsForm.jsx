@@ -0,0 +1,41 @@
+// stock-trading-simulator-051425/frontend/src/components/StrategyParamsForm.jsx
+import React from 'react';
+import { InputNumber, Row, Col, Typography } from 'antd';
+
+const { Text } = Typography;
+
+/**
+ * 根据后端返回的策略参数定义生成参数输入控件
+ * @param {Array} schema [{ key, label, type, default, min, max, step }]
+ * @param {Object} values 当前参数值
+ * @param {Function} onChange (nextValues) => void
+ */
+const StrategyParamsForm = ({ schema = [], values = {}, onChange, disabled = false }) => {
+  if (!schema.length) return null;
+
+  return (
+    <Row gutter={[8, 8]}>
+      {schema.map((param) => (
+        <Col span={12} key={param.key}>
+          <Text style={{ color: '#A89F99', fontSize: '12px', display: 'block', marginBottom: '4px' }}>
+            {param.label}
+          </Text>
+          <InputNumber
+            size="small"
+            style={{ width: '100%' }}
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            precision={param.type === 'integer' ? 0 : undefined}
+            placeholder={String(param.default)}
+            value={values[param.key] ?? param.default}
+            disabled={disabled}
+            onChange={(val) => onChange({ ...values, [param.key]: val ?? param.default })}
+          />
+        </Col>
+      ))}
+    </Row>
+  );
+};
+
+export default StrategyParamsForm;
@@ -1,37 +1,162 @@
 // stock-trading-simulator-051425/frontend/src/components/TradingPanel.jsx
 import React, { useState, useEffect } from 'react';
-import { Card, Tabs, Button, InputNumber, Row, Col, Statistic, Divider, message, Spin, Empty, Form } from 'antd';
-import { fetchUserInfo, fetchPortfolio, executeTrade } from '../services/api';
+import { Card, Tabs, Button, InputNumber, Row, Col, Statistic, Divider, message, Spin, Empty, Form, Select, List, Tag, Switch, notification } from 'antd';
+import {
+  fetchUserInfo, fetchPortfolio, fetchAccount, updateAccountType, updateCostBasisMethod, executeTrade, fetchOrders, cancelOrder, estimateTrade
+} from '../services/api';
+import socket from '../services/socket';
 
-const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
+const ORDER_TYPES = [
+  { value: 'MARKET', label: '市价单' },
+  { value: 'LIMIT', label: '限价单' },
+  { value: 'STOP', label: '止损单' },
+  { value: 'STOP_LIMIT', label: '止损限价单' },
+];
+
+const TIME_IN_FORCE = [
+  { value: 'DAY', label: '当日有效 (DAY)' },
+  { value: 'GTC', label: '撤销前有效 (GTC)' },
+];
+
+const ORDER_STATUS = {
+  OPEN: { color: 'processing', text: '挂单中' },
+  TRIGGERED: { color: 'warning', text: '已触发' },
+  FILLED: { color: 'success', text: '已成交' },
+  CANCELLED: { color: 'default', text: '已撤销' },
+  EXPIRED: { color: 'default', text: '已过期' },
+  REJECTED: { color: 'error', text: '已拒绝' },
+};
+
+const isOpenOrder = (order) => order.status === 'OPEN' || order.status === 'TRIGGERED';
+
+const TradingPanel = ({ stock, currentPrice, user, onTradeSuccess }) => {
   const [activeTab, setActiveTab] = useState('BUY');
   const [balance, setBalance] = useState(0);
   const [holdings, setHoldings] = useState(0);
   const [loadingData, setLoadingData] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [tradeQuantity, setTradeQuantity] = useState(1);
+  const [orderType, setOrderType] = useState('MARKET');
+  const [limitPrice, setLimitPrice] = useState(null);
+  const [stopPrice, setStopPrice] = useState(null);
+  const [timeInForce, setTimeInForce] = useState('DAY');
+  const [orders, setOrders] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const [account, setAccount] = useState(null);
   
-  // 这里的userId硬编码为1，对应后端默认demo用户
-  const USER_ID = 1;
+  const needsLimit = orderType === 'LIMIT' || orderType === 'STOP_LIMIT';
+  const needsStop = orderType === 'STOP' || orderType === 'STOP_LIMIT';
+  const isMargin = account?.accountType === 'MARGIN';
 
   useEffect(() => {
     if (stock?.symbol) {
       refreshUserData();
+      refreshOrders();
     }
   }, [stock]);
 
+  // 用户私有频道推送：余额、持仓、委托状态与成交，多个标签页的账户状态保持同步
+  useEffect(() => {
+    if (!stock?.symbol) return undefined;
+    const onBalanceUpdate = ({ balance: nextBalance, account: nextAccount }) => {
+      setBalance(nextBalance);
+      setAccount(nextAccount);
+    };
+    const onPositionUpdate = ({ symbol, position }) => {
+      if (symbol === stock.symbol) setHoldings(position ? position.quantity : 0);
+    };
+    const onOrderUpdate = (order) => {
+      if (order.symbol !== stock.symbol || order.replay_session_id) return;
+      setOrders(prev => (prev.some(o => o.id === order.id)
+        ? prev.map(o => (o.id === order.id ? order : o))
+        : [order, ...prev]));
+    };
+    const onExecution = ({ transaction, orderId, reason }) => {
+      if (!orderId && !reason) return;
+      message.info(
+        `${reason || `委托 #${orderId} 已成交`}：${transaction.type === 'BUY' ? '买入' : '卖出'} ` +
+        `${transaction.symbol} ${transaction.quantity} 股，成交价 $${transaction.price.toFixed(2)}`
+      );
+    };
+    // 断线期间的推送会丢失，重连后重新拉取
+    const onReconnect = () => {
+      refreshUserData();
+      refreshOrders();
+    };
+    socket.on('balance_update', onBalanceUpdate);
+    socket.on('position_update', onPositionUpdate);
+    socket.on('order_update', onOrderUpdate);
+    socket.on('execution', onExecution);
+    socket.io.on('reconnect', onReconnect);
+    return () => {
+      socket.off('balance_update', onBalanceUpdate);
+      socket.off('position_update', onPositionUpdate);
+      socket.off('order_update', onOrderUpdate);
+      socket.off('execution', onExecution);
+      socket.io.off('reconnect', onReconnect);
+    };
+  }, [stock?.symbol]);
+
+  // 保证金不足触发追保与强制平仓时提醒用户 (余额与持仓随后经 balance_update / position_update 推送)
+  useEffect(() => {
+    const onMarginCall = (event) => {
+      notification.warning({
+        message: '追加保证金通知',
+        description: `账户净值 $${event.equity.toFixed(2)} 低于维持保证金 $${event.maintenanceRequirement.toFixed(2)}，` +
+          `已强制平仓 ${event.liquidated.map(l => `${l.symbol} ${l.quantity}股`).join('、') || '0 笔'}`,
+        duration: 0
+      });
+    };
+    socket.on('margin_call', onMarginCall);
+    return () => socket.off('margin_call', onMarginCall);
+  }, []);
+
+  // 下单前由服务端估算滑点与费用，行情变动时同步更新
+  const referencePrice = currentPrice || stock?.price || 0;
+  useEffect(() => {
+    if (!stock?.symbol || !tradeQuantity || tradeQuantity <= 0) {
+      setEstimate(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await estimateTrade({
+          symbol: stock.symbol,
+          type: activeTab,
+          quantity: tradeQuantity,
+          orderType,
+          limitPrice: needsLimit ? limitPrice : undefined,
+          stopPrice: needsStop ? stopPrice : undefined
+        });
+        if (!cancelled && res.success) setEstimate(res.data);
+      } catch (err) {
+        if (!cancelled) setEstimate(null);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [stock?.symbol, activeTab, tradeQuantity, orderType, limitPrice, stopPrice, referencePrice]);
+
   const refreshUserData = async () => {
     setLoadingData(true);
     try {
-      const [userRes, portRes] = await Promise.all([
-        fetchUserInfo(USER_ID),
-        fetchPortfolio(USER_ID)
+      const [userRes, portRes, accountRes] = await Promise.all([
+        fetchUserInfo(),
+        fetchPortfolio(),
+        fetchAccount()
       ]);
 
       if (userRes.success) {
         setBalance(userRes.data.balance);
       }
 
+      if (accountRes.success) {
+        setAccount(accountRes.data);
+      }
+
       if (portRes.success) {
         const currentStock = portRes.data.find(p => p.symbol === stock.symbol);
         setHoldings(currentStock ? currentStock.quantity : 0);
@@ -43,6 +168,46 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
     }
   };
 
+  const refreshOrders = async () => {
+    try {
+      const res = await fetchOrders();
+      if (res.success) {
+        setOrders(res.data.filter(o => o.symbol === stock?.symbol && !o.replay_session_id));
+      }
+    } catch (err) {
+      // 委托列表加载失败不影响下单
+    }
+  };
+
+  const handleAccountTypeChange = async (checked) => {
+    try {
+      await updateAccountType(checked ? 'MARGIN' : 'CASH');
+      message.success(checked ? '已开通保证金账户，可融资买入与卖空' : '已切换为现金账户');
+      refreshUserData();
+    } catch (err) {
+      message.error(err.message || '切换账户类型失败');
+    }
+  };
+
+  const handleCostBasisChange = async (method) => {
+    try {
+      await updateCostBasisMethod(method);
+      message.success('成本计价方法已更新，将用于之后的卖出');
+      refreshUserData();
+    } catch (err) {
+      message.error(err.message || '修改成本计价方法失败');
+    }
+  };
+
+  const handleCancelOrder = async (orderId) => {
+    try {
+      await cancelOrder(orderId);
+      message.success('撤单成功');
+    } catch (err) {
+      message.error(err.message || '撤单失败');
+    }
+  };
+
   const handleTrade = async () => {
     if (!stock) return;
     if (tradeQuantity <= 0) {
@@ -51,15 +216,28 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
     }
 
     const price = currentPrice || stock.price || 0;
-    const totalCost = price * tradeQuantity;
+    const totalCost = estimate ? estimate.netAmount : (needsLimit ? limitPrice || 0 : price) * tradeQuantity;
+
+    if (needsLimit && !limitPrice) {
+      message.warning('请输入限价');
+      return;
+    }
+    if (needsStop && !stopPrice) {
+      message.warning('请输入止损触发价');
+      return;
+    }
 
     // 前端预校验
     if (activeTab === 'BUY') {
-      if (totalCost > balance) {
+      if (isMargin && totalCost > account.buyingPower) {
+        message.error('超出购买力');
+        return;
+      }
+      if (!isMargin && totalCost > balance) {
         message.error('余额不足');
         return;
       }
-    } else {
+    } else if (!isMargin) {
       if (tradeQuantity > holdings) {
         message.error('持仓不足');
         return;
@@ -69,17 +247,29 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
     setSubmitting(true);
     try {
       const res = await executeTrade({
-        userId: USER_ID,
         symbol: stock.symbol,
         type: activeTab,
         quantity: tradeQuantity,
-        price: price
+        price: price,
+        orderType,
+        limitPrice: needsLimit ? limitPrice : undefined,
+        stopPrice: needsStop ? stopPrice : undefined,
+        timeInForce
       });
 
       if (res.success) {
-        message.success(`${activeTab === 'BUY' ? '买入' : '卖出'} ${stock.symbol} 成功`);
+        if (orderType === 'MARKET') {
+          const filledPrice = res.data?.transaction?.price;
+          const realizedPnl = res.data?.transaction?.realized_pnl;
+          message.success(
+            `${activeTab === 'BUY' ? '买入' : '卖出'} ${stock.symbol} 成功` +
+            (filledPrice ? `，成交价 $${filledPrice.toFixed(2)}` : '') +
+            (realizedPnl ? `，已实现盈亏 ${realizedPnl > 0 ? '+' : ''}$${realizedPnl.toFixed(2)}` : '')
+          );
+        } else {
+          message.success(`${stock.symbol} 委托已提交，等待成交`);
+        }
         setTradeQuantity(1);
-        refreshUserData(); // 刷新余额和持仓
         if (onTradeSuccess) onTradeSuccess();
       }
     } catch (err) {
@@ -98,7 +288,7 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
   }
 
   const price = currentPrice || stock.price || 0;
-  const estimatedTotal = price * tradeQuantity;
+  const estimatedTotal = estimate ? estimate.netAmount : (needsLimit ? limitPrice || 0 : price) * tradeQuantity;
   
   const items = [
     { key: 'BUY', label: '买入 (Buy)' },
@@ -134,10 +324,55 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
                 title={<span style={{ color: '#A89F99', fontSize: '12px' }}>当前持仓 (股)</span>}
                 value={holdings}
                 precision={0}
-                valueStyle={{ color: '#E6E1DD', fontSize: '18px' }}
+                valueStyle={{ color: holdings < 0 ? '#52C41A' : '#E6E1DD', fontSize: '18px' }}
               />
             </Col>
           </Row>
+          {account && (
+            <>
+              <Divider style={{ borderColor: '#443B36', margin: '12px 0' }} />
+              <div className="flex-between" style={{ fontSize: '12px' }}>
+                <span style={{ color: '#A89F99' }}>保证金账户 (融资/卖空)</span>
+                <Switch size="small" checked={isMargin} onChange={handleAccountTypeChange} />
+              </div>
+              <div className="flex-between" style={{ fontSize: '12px', marginTop: '8px' }}>
+                <span style={{ color: '#A89F99' }}>成本计价方法</span>
+                <Select
+                  size="small"
+                  style={{ width: 120 }}
+                  value={account.costBasisMethod || 'FIFO'}
+                  onChange={handleCostBasisChange}
+                  options={[
+                    { value: 'FIFO', label: '先进先出' },
+                    { value: 'LIFO', label: '后进先出' },
+                    { value: 'AVERAGE', label: '移动平均' }
+                  ]}
+                />
+              </div>
+              {isMargin && (
+                <div style={{ marginTop: '8px', fontSize: '12px', lineHeight: '22px' }}>
+                  <div className="flex-between">
+                    <span style={{ color: '#6B635F' }}>账户净值</span>
+                    <span style={{ color: '#E6E1DD' }}>${account.equity.toFixed(2)}</span>
+                  </div>
+                  <div className="flex-between">
+                    <span style={{ color: '#6B635F' }}>购买力</span>
+                    <span style={{ color: '#D4AF37' }}>${account.buyingPower.toFixed(2)}</span>
+                  </div>
+                  <div className="flex-between">
+                    <span style={{ color: '#6B635F' }}>借入总额 / 授信额度</span>
+                    <span style={{ color: '#E6E1DD' }}>${account.borrowed.toFixed(2)} / ${account.creditLimit.toFixed(2)}</span>
+                  </div>
+                  <div className="flex-between">
+                    <span style={{ color: '#6B635F' }}>维持保证金要求</span>
+                    <span style={{ color: account.equity < account.maintenanceRequirement * 1.2 ? '#FF4D4F' : '#E6E1DD' }}>
+                      ${account.maintenanceRequirement.toFixed(2)}
+                    </span>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
         </div>
 
         <Tabs 
@@ -149,7 +384,12 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
         />
 
         <Form layout="vertical">
-          <Form.Item label={<span style={{ color: '#A89F99' }}>当前价格</span>}>
+          <Form.Item
+            label={<span style={{ color: '#A89F99' }}>当前价格</span>}
+            extra={orderType === 'MARKET' && (
+              <span style={{ fontSize: '12px', color: '#6B635F' }}>市价单按服务端最新价成交，偏离超过 1% 将被拒绝</span>
+            )}
+          >
             <div style={{ 
               background: '#120F0E', 
               padding: '8px 12px', 
@@ -163,10 +403,60 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
             </div>
           </Form.Item>
 
+          <Row gutter={8}>
+            <Col span={orderType === 'MARKET' ? 24 : 12}>
+              <Form.Item label={<span style={{ color: '#A89F99' }}>委托类型</span>}>
+                <Select value={orderType} onChange={setOrderType} options={ORDER_TYPES} />
+              </Form.Item>
+            </Col>
+            {orderType !== 'MARKET' && (
+              <Col span={12}>
+                <Form.Item label={<span style={{ color: '#A89F99' }}>有效期</span>}>
+                  <Select value={timeInForce} onChange={setTimeInForce} options={TIME_IN_FORCE} />
+                </Form.Item>
+              </Col>
+            )}
+          </Row>
+
+          {(needsStop || needsLimit) && (
+            <Row gutter={8}>
+              {needsStop && (
+                <Col span={needsLimit ? 12 : 24}>
+                  <Form.Item label={<span style={{ color: '#A89F99' }}>触发价</span>}>
+                    <InputNumber
+                      min={0.01}
+                      precision={2}
+                      prefix="$"
+                      style={{ width: '100%' }}
+                      value={stopPrice}
+                      onChange={setStopPrice}
+                      placeholder={price.toFixed(2)}
+                    />
+                  </Form.Item>
+                </Col>
+              )}
+              {needsLimit && (
+                <Col span={needsStop ? 12 : 24}>
+                  <Form.Item label={<span style={{ color: '#A89F99' }}>限价</span>}>
+                    <InputNumber
+                      min={0.01}
+                      precision={2}
+                      prefix="$"
+                      style={{ width: '100%' }}
+                      value={limitPrice}
+                      onChange={setLimitPrice}
+                      placeholder={price.toFixed(2)}
+                    />
+                  </Form.Item>
+                </Col>
+              )}
+            </Row>
+          )}
+
           <Form.Item label={<span style={{ color: '#A89F99' }}>{activeTab === 'BUY' ? '买入数量' : '卖出数量'}</span>}>
             <InputNumber
               min={1}
-              max={activeTab === 'SELL' ? holdings : 999999}
+              max={activeTab === 'SELL' && !isMargin ? holdings : 999999}
               style={{ width: '100%' }}
               value={tradeQuantity}
               onChange={setTradeQuantity}
@@ -176,8 +466,31 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
             />
           </Form.Item>
 
-          <div className="flex-between mb-2" style={{ marginTop: '24px' }}>
-            <span style={{ color: '#A89F99' }}>预估总额</span>
+          {estimate && (
+            <div style={{ marginTop: '16px', fontSize: '12px', lineHeight: '22px' }}>
+              <div className="flex-between">
+                <span style={{ color: '#6B635F' }}>预估成交价 (含滑点)</span>
+                <span style={{ color: '#E6E1DD' }}>${estimate.price.toFixed(2)}</span>
+              </div>
+              <div className="flex-between">
+                <span style={{ color: '#6B635F' }}>滑点成本</span>
+                <span style={{ color: '#E6E1DD' }}>${estimate.slippage.toFixed(2)}</span>
+              </div>
+              <div className="flex-between">
+                <span style={{ color: '#6B635F' }}>佣金</span>
+                <span style={{ color: '#E6E1DD' }}>${estimate.commission.toFixed(2)}</span>
+              </div>
+              {activeTab === 'SELL' && (
+                <div className="flex-between">
+                  <span style={{ color: '#6B635F' }}>印花税</span>
+                  <span style={{ color: '#E6E1DD' }}>${estimate.stampDuty.toFixed(2)}</span>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex-between mb-2" style={{ marginTop: estimate ? '8px' : '24px' }}>
+            <span style={{ color: '#A89F99' }}>{activeTab === 'BUY' ? '预估总额 (含费用)' : '预估到账 (扣除费用)'}</span>
             <span style={{ color: '#D4AF37', fontWeight: 'bold', fontSize: '16px' }}>
               ${estimatedTotal.toFixed(2)}
             </span>
@@ -192,19 +505,66 @@ const TradingPanel = ({ stock, currentPrice, onTradeSuccess }) => {
             onClick={handleTrade}
             loading={submitting}
             danger={activeTab === 'SELL'} // 卖出按钮使用红色警示
-            disabled={activeTab === 'SELL' && holdings <= 0}
+            disabled={activeTab === 'SELL' && holdings <= 0 && !isMargin}
           >
-            {activeTab === 'BUY' ? '确认买入' : '确认卖出'}
+            {orderType !== 'MARKET' ? '提交委托' : activeTab === 'BUY' ? '确认买入' : '确认卖出'}
           </Button>
           
           {activeTab === 'BUY' && (
             <div style={{ textAlign: 'center', marginTop: '8px' }}>
               <span style={{ fontSize: '12px', color: '#6B635F' }}>
-                最大可买: {Math.floor(balance / price)} 股
+                最大可买: {Math.floor((isMargin ? account.buyingPower : balance) / price)} 股
               </span>
             </div>
           )}
         </Form>
+
+        {orders.length > 0 && (
+          <>
+            <Divider style={{ borderColor: '#443B36', margin: '24px 0 12px 0' }} />
+            <div className="flex-between mb-2">
+              <span style={{ color: '#E6E1DD', fontWeight: 'bold' }}>委托记录</span>
+              <span style={{ fontSize: '12px', color: '#A89F99' }}>
+                未成交 {orders.filter(isOpenOrder).length} 笔
+              </span>
+            </div>
+            <List
+              size="small"
+              dataSource={orders.slice(0, 10)}
+              rowKey="id"
+              renderItem={(order) => {
+                const status = ORDER_STATUS[order.status] || { color: 'default', text: order.status };
+                const typeLabel = ORDER_TYPES.find(t => t.value === order.order_type)?.label || order.order_type;
+                return (
+                  <List.Item
+                    style={{ padding: '8px 0', borderColor: '#443B36' }}
+                    actions={isOpenOrder(order) ? [
+                      <Button key="cancel" type="link" size="small" danger onClick={() => handleCancelOrder(order.id)}>
+                        撤单
+                      </Button>
+                    ] : []}
+                  >
+                    <div style={{ fontSize: '12px', lineHeight: '20px' }}>
+                      <div>
+                        <span style={{ color: order.side === 'BUY' ? '#FF4D4F' : '#52C41A', fontWeight: 'bold' }}>
+                          {order.side === 'BUY' ? '买' : '卖'}
+                        </span>
+                        <span style={{ color: '#E6E1DD', margin: '0 6px' }}>{typeLabel} × {order.quantity}</span>
+                        <Tag color={status.color} style={{ fontSize: '11px' }}>{status.text}</Tag>
+                      </div>
+                      <div style={{ color: '#A89F99' }}>
+                        {order.stop_price !== null && `触发 $${order.stop_price.toFixed(2)} `}
+                        {order.limit_price !== null && `限价 $${order.limit_price.toFixed(2)} `}
+                        {order.filled_price !== null && `成交 $${order.filled_price.toFixed(2)} `}
+                        {order.status === 'REJECTED' && order.reason}
+                      </div>
+                    </div>
+                  </List.Item>
+                );
+              }}
+            />
+          </>
+        )}
       </Spin>
     </Card>
   );
@@ -0,0 +1,135 @@
+// stock-trading-simulator-051425/frontend/src/components/TransactionsPage.jsx
+import React, { useState, useEffect } from 'react';
+import { Card, Table, Tag, Form, DatePicker, Select, Button, Space, message } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import { fetchTransactions, exportTransactions } from '../services/api';
+import ExportButton from './ExportButton';
+
+const { RangePicker } = DatePicker;
+
+const SIDE_OPTIONS = [
+  { value: 'BUY', label: '买入' },
+  { value: 'SELL', label: '卖出' }
+];
+
+const formatMoney = (val) => `$${(val || 0).toFixed(2)}`;
+
+/**
+ * 交易记录页：按日期区间、股票与买卖方向筛选，服务端分页
+ */
+const TransactionsPage = () => {
+  const [filters, setFilters] = useState({});
+  const [pagination, setPagination] = useState({ page: 1, pageSize: 20 });
+  const [data, setData] = useState({ items: [], total: 0, symbols: [] });
+  const [loading, setLoading] = useState(false);
+
+  const loadTransactions = async () => {
+    setLoading(true);
+    try {
+      const res = await fetchTransactions({ ...filters, ...pagination });
+      if (res.success) setData(res.data);
+    } catch (err) {
+      message.error(err.message || '获取交易记录失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTransactions();
+  }, [filters, pagination]);
+
+  const handleFilterChange = (_, values) => {
+    const [start, end] = values.range || [];
+    setFilters({
+      symbol: values.symbol,
+      type: values.type,
+      from: start ? start.format('YYYY-MM-DD') : undefined,
+      to: end ? end.format('YYYY-MM-DD') : undefined
+    });
+    // 筛选条件变化后回到第一页
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const columns = [
+    { title: '成交时间', dataIndex: 'timestamp', key: 'timestamp', width: 170, render: (val) => new Date(val).toLocaleString() },
+    { title: '股票', dataIndex: 'symbol', key: 'symbol', width: 90, render: (val) => <span style={{ color: '#E6E1DD', fontWeight: 'bold' }}>{val}</span> },
+    {
+      title: '方向',
+      dataIndex: 'type',
+      key: 'type',
+      width: 70,
+      render: (val) => <Tag color={val === 'BUY' ? 'red' : 'green'}>{val === 'BUY' ? '买入' : '卖出'}</Tag>
+    },
+    { title: '成交价', dataIndex: 'price', key: 'price', align: 'right', render: formatMoney },
+    { title: '数量', dataIndex: 'quantity', key: 'quantity', align: 'right' },
+    { title: '成交额', dataIndex: 'total_amount', key: 'total_amount', align: 'right', render: formatMoney },
+    {
+      title: '费用',
+      key: 'fees',
+      align: 'right',
+      render: (_, record) => formatMoney((record.commission || 0) + (record.stamp_duty || 0))
+    },
+    { title: '滑点', dataIndex: 'slippage', key: 'slippage', align: 'right', render: formatMoney },
+    {
+      title: '已实现盈亏',
+      dataIndex: 'realized_pnl',
+      key: 'realized_pnl',
+      align: 'right',
+      render: (val) => (val
+        ? <span style={{ color: val > 0 ? '#FF4D4F' : '#52C41A' }}>{val > 0 ? '+' : ''}{val.toFixed(2)}</span>
+        : <span style={{ color: '#6B635F' }}>-</span>)
+    }
+  ];
+
+  return (
+    <Card
+      title={<span style={{ color: '#D4AF37' }}>交易记录</span>}
+      style={{ border: '1px solid #443B36' }}
+      extra={
+        <Space>
+          {/* 导出当前筛选条件下的全部记录 (不分页) */}
+          <ExportButton onExport={(format) => exportTransactions(filters, format)} disabled={data.total === 0} />
+          <Button size="small" icon={<ReloadOutlined />} loading={loading} onClick={loadTransactions}>刷新</Button>
+        </Space>
+      }
+    >
+      <Form layout="inline" onValuesChange={handleFilterChange} style={{ marginBottom: 16 }}>
+        <Form.Item name="range" label="日期">
+          <RangePicker allowEmpty={[true, true]} />
+        </Form.Item>
+        <Form.Item name="symbol" label="股票">
+          <Select
+            allowClear
+            placeholder="全部"
+            style={{ width: 120 }}
+            options={data.symbols.map(symbol => ({ value: symbol, label: symbol }))}
+          />
+        </Form.Item>
+        <Form.Item name="type" label="方向">
+          <Select allowClear placeholder="全部" style={{ width: 100 }} options={SIDE_OPTIONS} />
+        </Form.Item>
+      </Form>
+
+      <Table
+        dataSource={data.items}
+        columns={columns}
+        rowKey="id"
+        size="small"
+        loading={loading}
+        pagination={{
+          current: pagination.page,
+          pageSize: pagination.pageSize,
+          total: data.total,
+          size: 'small',
+          showSizeChanger: true,
+          pageSizeOptions: [10, 20, 50, 100],
+          showTotal: (total) => <span style={{ color: '#A89F99' }}>共 {total} 笔</span>,
+          onChange: (page, pageSize) => setPagination({ page, pageSize })
+        }}
+      />
+    </Card>
+  );
+};
+
+export default TransactionsPage;
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getSession, saveSession, expireSession } from './auth';
 
 // 创建 axios 实例，不预设 baseURL 以避免重复拼接问题，直接使用相对路径
 const api = axios.create({
@@ -6,11 +7,51 @@ const api = axios.create({
   headers: { 'Content-Type': 'application/json' }
 });
 
+// 请求拦截器：携带访问令牌
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  return config;
+});
+
+// 同一时间只发起一次令牌刷新，并发的 401 请求共享刷新结果
+let refreshing = null;
+
+const refreshAccessToken = () => {
+  if (!refreshing) {
+    const session = getSession();
+    refreshing = axios.post('/api/auth/refresh', { refreshToken: session?.refreshToken })
+      .then((res) => {
+        saveSession(res.data.data);
+        return res.data.data.accessToken;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // 响应拦截器：简化返回数据结构，统一处理错误信息
+// 访问令牌过期 (401) 时用刷新令牌换取新令牌后重试一次，刷新失败则会话失效
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
-    const msg = error.response?.data?.message || error.message || '请求服务失败';
+  async (error) => {
+    const { config, response } = error;
+    const isAuthRequest = config?.url?.startsWith('/api/auth/');
+    if (response?.status === 401 && config && !config._retried && !isAuthRequest && getSession()?.refreshToken) {
+      try {
+        const accessToken = await refreshAccessToken();
+        return api({ ...config, _retried: true, headers: { ...config.headers, Authorization: `Bearer ${accessToken}` } });
+      } catch (refreshError) {
+        expireSession();
+      }
+    } else if (response?.status === 401 && !isAuthRequest) {
+      expireSession();
+    }
+    const msg = response?.data?.message || error.message || '请求服务失败';
     return Promise.reject(new Error(msg));
   }
 );
@@ -18,38 +59,286 @@ api.interceptors.response.use(
 /** 获取所有股票列表 */
 export const fetchStocks = () => api.get('/api/stocks');
 
+/** 支持的K线周期 */
+export const INTERVAL_OPTIONS = [
+  { value: '1m', label: '1分' },
+  { value: '5m', label: '5分' },
+  { value: '15m', label: '15分' },
+  { value: '1h', label: '1时' },
+  { value: '1d', label: '日K' }
+];
+
 /**
  * 获取单只股票历史K线数据
  * @param {string} symbol 股票代码
- * @param {number} days 历史天数
+ * @param {number} days 历史天数 (日内周期不传则使用服务端默认回溯天数)
+ * @param {string} interval K线周期 '1m'|'5m'|'15m'|'1h'|'1d'
  */
-export const fetchStockHistory = (symbol, days = 365) => 
-  api.get('/api/stocks/history', { params: { symbol, days } });
+export const fetchStockHistory = (symbol, days, interval = '1d') =>
+  api.get('/api/stocks/history', { params: { symbol, days: interval === '1d' ? (days || 365) : days, interval } });
+
+/** 获取技术指标列表及参数定义 */
+export const fetchIndicatorList = () => api.get('/api/indicators/list');
+
+/**
+ * 计算技术指标序列 (K线范围与 fetchStockHistory 一致)
+ * @param {Object} params { symbol, name: 指标名称, params: 指标参数, interval: K线周期 }
+ */
+export const fetchIndicator = ({ symbol, name, params = {}, interval = '1d' }) =>
+  api.get('/api/indicators', { params: { symbol, name, params, days: interval === '1d' ? 365 : undefined, interval } });
 
 /** 获取用户信息（余额等） */
-export const fetchUserInfo = (userId) => 
-  api.get('/api/user', { params: { userId } });
+export const fetchUserInfo = () => api.get('/api/user');
+
+/** 获取账户保证金状态 (净值、借入、保证金要求、购买力) */
+export const fetchAccount = () => api.get('/api/account');
+
+/**
+ * 获取账户净值历史 (每日收盘快照 + 当前净值) 及收益率、回撤、波动率指标
+ * @param {Object} params { from, to } 日期为 YYYY-MM-DD，可选
+ */
+export const fetchEquityHistory = (params) => api.get('/api/account/equity-history', { params });
+
+/**
+ * 切换账户类型
+ * @param {string} accountType 'CASH' 现金账户 | 'MARGIN' 保证金账户
+ */
+export const updateAccountType = (accountType) => api.put('/api/account', { accountType });
+
+/**
+ * 设置成本计价方法 (仅影响之后的卖出/平仓)
+ * @param {string} costBasisMethod 'FIFO' 先进先出 | 'LIFO' 后进先出 | 'AVERAGE' 移动平均
+ */
+export const updateCostBasisMethod = (costBasisMethod) => api.put('/api/account', { costBasisMethod });
 
 /** 获取用户持仓信息 */
-export const fetchPortfolio = (userId) => 
-  api.get('/api/portfolio', { params: { userId } });
+export const fetchPortfolio = () => api.get('/api/portfolio');
+
+/**
+ * 分页获取交易历史记录
+ * @param {Object} params { symbol, type: 'BUY'|'SELL', from, to (YYYY-MM-DD), page, pageSize }
+ * @returns {Promise} data: { items, total, page, pageSize, symbols }
+ */
+export const fetchTransactions = (params) => api.get('/api/transactions', { params });
 
-/** 获取交易历史记录 */
-export const fetchTransactions = (userId) => 
-  api.get('/api/transactions', { params: { userId } });
+/**
+ * 获取盈亏报表：已实现/未实现盈亏，按股票及按周期汇总
+ * @param {Object} params { groupBy: 'day'|'week'|'month'|'year', from, to } 日期为 YYYY-MM-DD
+ */
+export const fetchPnl = (params) => api.get('/api/pnl', { params });
+
+/**
+ * 交易预估：滑点后成交价、佣金、印花税及总额
+ * @param {Object} params { symbol, type: 'BUY'|'SELL', quantity, orderType, limitPrice, stopPrice }
+ */
+export const estimateTrade = (params) => api.get('/api/trade/estimate', { params });
 
 /**
  * 执行交易 (买入/卖出)
- * @param {Object} params { userId, symbol, type: 'BUY'|'SELL', quantity, price }
+ * 市价单以服务端最新价成交，price 为参考报价，偏离超过 maxSlippage (默认 0.01) 时拒绝
+ * @param {Object} params { symbol, type: 'BUY'|'SELL', quantity, price, maxSlippage,
+ *   orderType: 'MARKET'|'LIMIT'|'STOP'|'STOP_LIMIT', limitPrice, stopPrice, timeInForce: 'DAY'|'GTC',
+ *   replaySessionId: 在复盘回放会话内以回放价格交易 }
  */
 export const executeTrade = (params) => api.post('/api/trade', params);
 
+/**
+ * 获取委托列表
+ * @param {string} status 'open' 仅未成交 | 'all'
+ */
+export const fetchOrders = (status = 'all') => api.get('/api/orders', { params: { status } });
+
+/**
+ * 修改未成交委托
+ * @param {number} orderId
+ * @param {Object} changes { quantity, limitPrice, stopPrice, timeInForce }
+ */
+export const amendOrder = (orderId, changes) => api.put(`/api/orders/${orderId}`, changes);
+
+/** 撤销未成交委托 */
+export const cancelOrder = (orderId) => api.delete(`/api/orders/${orderId}`);
+
+/** 获取策略列表及参数定义 (默认值与取值范围) */
+export const fetchStrategyList = () => api.get('/api/strategy/list');
+
 /**
  * 运行策略分析
- * @param {Object} params { symbol, strategyType: 'MA_CROSS'|'MOMENTUM'|'BOLLINGER' }
+ * @param {Object} params { symbol, strategyType, period: 历史天数, params: 策略参数, interval: K线周期, customStrategyId: 自定义策略, rules: 未保存的规则定义 }
  */
 export const runStrategyAnalysis = (params) => api.post('/api/strategy/analyze', params);
 
-/** 用户注册 */
-export const registerUser = (username, password) => 
-  api.post('/api/auth/register', { username, password });
\ No newline at end of file
+/**
+ * 策略回测
+ * @param {Object} params { symbol, strategyType, params, interval, days, initialCapital, positionSize }
+ */
+export const runStrategyBacktest = (params) => api.post('/api/strategy/backtest', params);
+
+/** 获取当前用户的自定义规则策略及规则编辑器定义 { strategies, schema } */
+export const fetchCustomStrategies = () => api.get('/api/strategy/custom');
+
+/**
+ * 新建自定义规则策略
+ * @param {Object} strategy { name, definition: { buy: { logic, conditions }, sell: { logic, conditions } } }
+ */
+export const createCustomStrategy = (strategy) => api.post('/api/strategy/custom', strategy);
+
+/** 修改自定义规则策略 { name, definition } */
+export const updateCustomStrategy = (strategyId, changes) => api.put(`/api/strategy/custom/${strategyId}`, changes);
+
+/** 删除自定义规则策略 */
+export const deleteCustomStrategy = (strategyId) => api.delete(`/api/strategy/custom/${strategyId}`);
+
+// === 参数优化 ===
+
+/** 获取参数优化可选的目标指标及搜索上限 { objectives, maxGridCombinations, maxRandomBudget } */
+export const fetchOptimizerOptions = () => api.get('/api/strategy/optimize/options');
+
+/**
+ * 创建参数优化任务，进度与结果通过 Socket 事件 optimize_progress / optimize_complete 推送
+ * @param {Object} params { symbol, strategyType, interval, days, ranges: { [参数]: { min, max, step } }, params: 固定参数,
+ *   objective: 'SHARPE'|'RETURN'|'DRAWDOWN', method: 'GRID'|'RANDOM', budget: 随机搜索组数 }
+ */
+export const startOptimization = (params) => api.post('/api/strategy/optimize', params);
+
+/** 查询参数优化任务进度及结果 */
+export const fetchOptimization = (jobId) => api.get(`/api/strategy/optimize/${jobId}`);
+
+/** 取消进行中的参数优化任务 */
+export const cancelOptimization = (jobId) => api.delete(`/api/strategy/optimize/${jobId}`);
+
+// === 复盘回放 ===
+
+/** 获取当前用户的回放会话列表及支持的倍速 { sessions, speeds } */
+export const fetchReplaySessions = () => api.get('/api/replay/sessions');
+
+/**
+ * 创建回放会话并开始推送，随后通过 Socket 事件 replay_join 加入会话房间
+ * @param {Object} params { symbols, startDate, endDate (YYYY-MM-DD，可选), speed: 1|10|60 }
+ */
+export const createReplaySession = (params) => api.post('/api/replay/sessions', params);
+
+/**
+ * 控制回放
+ * @param {string} sessionId
+ * @param {Object} changes { status: 'PLAYING'|'PAUSED', speed, seekTo: 'YYYY-MM-DD HH:mm' }
+ */
+export const controlReplaySession = (sessionId, changes) => api.put(`/api/replay/sessions/${sessionId}`, changes);
+
+/** 获取回放会话的模拟账户 { initialCash, cash, positionValue, equity, realizedPnl, positions, transactions } */
+export const fetchReplayAccount = (sessionId) => api.get(`/api/replay/sessions/${sessionId}/account`);
+
+/** 结束回放会话 (撤销会话内未成交的挂单，删除会话的模拟账户) */
+export const deleteReplaySession = (sessionId) => api.delete(`/api/replay/sessions/${sessionId}`);
+
+// === 自选股 ===
+
+/**
+ * 批量获取股票报价 (最新价、涨跌幅、当日高低及迷你走势图)
+ * @param {string[]} symbols 股票代码
+ */
+export const fetchQuotes = (symbols) => api.get('/api/quotes', { params: { symbols: symbols.join(',') } });
+
+/** 获取当前用户的自选股分组 [{ id, name, symbols }] */
+export const fetchWatchlists = () => api.get('/api/watchlists');
+
+/** 新建自选股分组 */
+export const createWatchlist = (name, symbols = []) => api.post('/api/watchlists', { name, symbols });
+
+/**
+ * 重命名分组或调整分组内股票及顺序
+ * @param {Object} changes { name, symbols }
+ */
+export const updateWatchlist = (watchlistId, changes) => api.put(`/api/watchlists/${watchlistId}`, changes);
+
+/** 删除自选股分组 */
+export const deleteWatchlist = (watchlistId) => api.delete(`/api/watchlists/${watchlistId}`);
+
+/** 向分组添加股票 */
+export const addWatchlistSymbol = (watchlistId, symbol) => api.post(`/api/watchlists/${watchlistId}/symbols`, { symbol });
+
+/** 从分组移除股票 */
+export const removeWatchlistSymbol = (watchlistId, symbol) => api.delete(`/api/watchlists/${watchlistId}/symbols/${symbol}`);
+
+// === 价格提醒 ===
+
+/** 获取当前用户的提醒列表及可设置提醒的技术指标 { alerts, indicators } */
+export const fetchAlerts = () => api.get('/api/alerts');
+
+/**
+ * 新建提醒
+ * @param {Object} params { symbol, alertType: 'PRICE'|'INDICATOR', indicator, period, interval, direction: 'ABOVE'|'BELOW', threshold, note }
+ */
+export const createAlert = (params) => api.post('/api/alerts', params);
+
+/**
+ * 修改提醒条件或启停
+ * @param {Object} changes { direction, threshold, note, status: 'ACTIVE'|'DISABLED' }
+ */
+export const updateAlert = (alertId, changes) => api.put(`/api/alerts/${alertId}`, changes);
+
+/** 删除提醒 */
+export const deleteAlert = (alertId) => api.delete(`/api/alerts/${alertId}`);
+
+/** 已触发的提醒全部标记为已读 */
+export const markAlertsRead = () => api.post('/api/alerts/read');
+
+// === 数据导出 ===
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' }
+];
+
+/**
+ * 以 Blob 方式请求导出接口 (携带登录令牌) 并触发浏览器下载
+ * @param {Object} config axios 请求配置
+ * @param {string} filename 保存的文件名
+ */
+const downloadFile = async (config, filename) => {
+  const blob = await api.request({ ...config, responseType: 'blob', timeout: 120000 });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * 导出交易记录
+ * @param {Object} filters { symbol, type, from, to } 同 fetchTransactions
+ * @param {string} format 'csv' | 'xlsx'
+ */
+export const exportTransactions = (filters, format) =>
+  downloadFile({ url: '/api/transactions/export', params: { ...filters, format } }, `transactions.${format}`);
+
+/**
+ * 导出当前持仓
+ * @param {string} format 'csv' | 'xlsx'
+ */
+export const exportPortfolio = (format) =>
+  downloadFile({ url: '/api/portfolio/export', params: { format } }, `positions.${format}`);
+
+/**
+ * 导出回测交易明细
+ * @param {Object} params 同 runStrategyBacktest
+ * @param {string} format 'csv' | 'xlsx'
+ */
+export const exportBacktest = (params, format) =>
+  downloadFile(
+    { url: '/api/strategy/backtest/export', method: 'post', data: params, params: { format } },
+    `backtest-${params.symbol}-${params.strategyType}.${format}`
+  );
+
+/** 用户注册，成功后返回登录会话 { accessToken, refreshToken, user } */
+export const registerUser = (username, password, accountType = 'CASH') => 
+  api.post('/api/auth/register', { username, password, accountType });
+
+/** 用户登录，返回登录会话 { accessToken, refreshToken, user } */
+export const loginUser = (username, password) =>
+  api.post('/api/auth/login', { username, password });
+
+/** 登出，撤销服务端会话 */
+export const logoutUser = () => api.post('/api/auth/logout');
\ No newline at end of file
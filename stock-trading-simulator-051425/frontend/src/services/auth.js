@@ -0,0 +1,38 @@
+// stock-trading-simulator-051425/frontend/src/services/auth.js
+// 登录会话存储：访问令牌、刷新令牌与当前用户保存在 localStorage
+
+const STORAGE_KEY = 'qstock_session';
+const expiredListeners = new Set();
+
+/** 读取本地保存的会话 { accessToken, refreshToken, user } */
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/** 保存登录/刷新接口返回的会话 */
+export const saveSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * 订阅会话失效事件 (刷新令牌失效，需重新登录)
+ * @returns {Function} 取消订阅
+ */
+export const onSessionExpired = (listener) => {
+  expiredListeners.add(listener);
+  return () => expiredListeners.delete(listener);
+};
+
+/** 清除会话并通知订阅方 */
+export const expireSession = () => {
+  clearSession();
+  expiredListeners.forEach(listener => listener());
+};
@@ -0,0 +1,117 @@
+// stock-trading-simulator-051425/frontend/src/services/socket.js
+import { io } from 'socket.io-client';
+import { getSession } from './auth';
+import { fetchUserInfo } from './api';
+
+// 握手所用会话的用户 ID，登录状态变化时据此判断是否需要重连
+let authUserId = getSession()?.user?.id ?? null;
+// 令牌刷新后仍被拒绝时改以未登录身份连接，仅接收公开行情
+let anonymous = false;
+
+// 全局共享的 Socket.IO 连接，各组件自行订阅所需事件
+// 握手 (含断线重连) 时携带当前访问令牌，服务端据此将连接加入用户私有房间
+const socket = io('/', {
+  transports: ['websocket', 'polling'],
+  reconnectionAttempts: 5,
+  auth: (cb) => {
+    const session = anonymous ? null : getSession();
+    authUserId = session?.user?.id ?? null;
+    cb(session?.accessToken ? { token: session.accessToken } : {});
+  }
+});
+
+// 股票行情订阅计数 (多个组件可订阅同一股票，计数归零时才退订)
+const subscriptions = new Map();
+// 各股票行情流最近收到的序号
+const lastSeq = {};
+
+/**
+ * 订阅股票行情：服务端仅向订阅了该股票的客户端推送 price_update / bar_update / intraday_bar_update，
+ * 新订阅的股票会先收到一次快照
+ * @param {string[]} symbols 股票代码
+ * @returns {Function} 取消订阅
+ */
+export const subscribeSymbols = (symbols) => {
+  const list = [...new Set(symbols.filter(Boolean))];
+  const added = list.filter(symbol => !subscriptions.has(symbol));
+  list.forEach(symbol => subscriptions.set(symbol, (subscriptions.get(symbol) || 0) + 1));
+  if (added.length > 0) socket.emit('subscribe', added);
+
+  return () => {
+    const removed = list.filter(symbol => {
+      const count = subscriptions.get(symbol) - 1;
+      if (count > 0) {
+        subscriptions.set(symbol, count);
+        return false;
+      }
+      subscriptions.delete(symbol);
+      delete lastSeq[symbol];
+      return true;
+    });
+    if (removed.length > 0) socket.emit('unsubscribe', removed);
+  };
+};
+
+// 序号跳跃说明有推送丢失，请求这些股票的快照补齐
+socket.on('price_update', (updates) => {
+  const gaps = [];
+  Object.values(updates).forEach(({ symbol, seq }) => {
+    if (!subscriptions.has(symbol) || seq === undefined) return;
+    if (lastSeq[symbol] !== undefined && seq > lastSeq[symbol] + 1) gaps.push(symbol);
+    lastSeq[symbol] = Math.max(lastSeq[symbol] || 0, seq);
+  });
+  if (gaps.length > 0) socket.emit('snapshot', gaps);
+});
+
+// 访问令牌过期导致握手被拒：请求一次接口触发令牌刷新后重连
+let authRetried = false;
+socket.on('connect_error', async (err) => {
+  if (err.data?.code !== 'AUTH_FAILED') return;
+  if (authRetried) {
+    anonymous = true;
+  } else {
+    authRetried = true;
+    try {
+      await fetchUserInfo();
+    } catch (e) {
+      anonymous = true;
+    }
+  }
+  socket.connect();
+});
+
+socket.on('connect', () => {
+  authRetried = false;
+});
+
+// 以当前令牌重新握手，并恢复行情订阅
+const rehandshake = () => {
+  socket.disconnect().connect();
+  if (subscriptions.size > 0) socket.emit('subscribe', [...subscriptions.keys()]);
+};
+
+/**
+ * 登录或退出后同步连接身份：当前会话用户与握手时不同则断开重连，并恢复行情订阅
+ */
+export const syncSocketAuth = () => {
+  anonymous = false;
+  if ((getSession()?.user?.id ?? null) === authUserId) return;
+  rehandshake();
+};
+
+// 握手所用的访问令牌到期，服务端已停止推送用户数据：请求一次接口触发令牌刷新后重新握手
+socket.on('auth_expired', async () => {
+  try {
+    await fetchUserInfo();
+  } catch (e) {
+    // 刷新失败时会话已失效，以未登录身份重连
+  }
+  rehandshake();
+});
+
+// 重连后服务端已不在原房间中，重新订阅全部股票 (订阅时推送快照)
+socket.io.on('reconnect', () => {
+  if (subscriptions.size > 0) socket.emit('subscribe', [...subscriptions.keys()]);
+});
+
+export default socket;